@@ -0,0 +1,93 @@
+'use strict';
+
+// congress-worker.js — Turso edition
+// Loads House and Senate STOCK Act periodic transaction reports (see
+// lib/congress.js for the feed formats and sources) into congress_trades.
+// Runs as a one-shot GitHub Actions job; a no-op unless CONGRESS_TRADES=on.
+// A chamber whose feed is unset or unreachable is logged and skipped.
+// Usage: node congress-worker.js [daysBack] [--source=<spec>]
+//   daysBack — only reports disclosed in the last N days (default 60; 0 = all)
+//   --source — live (default), dir:<path> or a saved .json feed
+//
+// The feeds re-publish their whole history every day, so a row is identified by
+// what was disclosed (member, date, asset, type, range, owner, report link) and
+// re-runs only add what is new.
+
+const { createClient } = require('@libsql/client');
+const { congressEnabled, normalizeTrade, congressSourceFromArgs } = require('./lib/congress');
+const { createIngest } = require('./lib/ingest');
+
+const TURSO_URL   = process.env.TURSO_DATABASE_URL;
+const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
+if (!TURSO_URL) { console.error('TURSO_DATABASE_URL not set'); process.exit(1); }
+
+const client = createClient({ url: TURSO_URL, authToken: TURSO_TOKEN || undefined });
+
+function log(msg) { process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${msg}\n`); }
+
+async function dbQuery(sql, args = []) {
+  const r = await client.execute({ sql, args });
+  return r.rows.map(row => Object.fromEntries(r.columns.map((c, i) => [c, row[i] ?? null])));
+}
+async function dbBatch(stmts) {
+  return client.batch(stmts, 'write');
+}
+
+async function initSchema() {
+  const stmts = [
+    // amount_low / amount_high are the disclosed range's bounds (high is NULL for
+    // "Over $50,000,000"); tx_type is purchase | sale | sale_partial | exchange.
+    // The key columns are stored as '' rather than NULL so UNIQUE holds.
+    `CREATE TABLE IF NOT EXISTS congress_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chamber TEXT NOT NULL, member TEXT NOT NULL, member_slug TEXT NOT NULL,
+      state TEXT, district TEXT, party TEXT,
+      ticker TEXT, asset TEXT NOT NULL DEFAULT '', asset_type TEXT, owner TEXT NOT NULL DEFAULT '',
+      tx_type TEXT NOT NULL, tx_date TEXT NOT NULL, disclosure_date TEXT,
+      amount_range TEXT NOT NULL DEFAULT '', amount_low INTEGER, amount_high INTEGER,
+      ptr_link TEXT NOT NULL DEFAULT '', comment TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (chamber, member, tx_date, asset, tx_type, amount_range, owner, ptr_link)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_ticker ON congress_trades(ticker, tx_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_member ON congress_trades(member_slug, tx_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_disclosed ON congress_trades(disclosure_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_tx_date ON congress_trades(tx_date)`,
+  ];
+  for (const sql of stmts) try { await client.execute(sql); } catch(_) {}
+}
+
+const INSERT_CONGRESS_SQL = `INSERT OR IGNORE INTO congress_trades (chamber,member,member_slug,state,district,party,ticker,asset,asset_type,owner,tx_type,tx_date,disclosure_date,amount_range,amount_low,amount_high,ptr_link,comment) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const { insertBatch } = createIngest({ dbQuery, dbBatch, log, chunk: 100 });
+
+const { source, args: cliArgs } = congressSourceFromArgs(process.argv.slice(2));
+
+(async () => {
+  if (!congressEnabled()) { log('CONGRESS_TRADES is not on, nothing to do'); process.exit(0); }
+  const daysBack = parseInt(cliArgs[0] ?? '60') || 0;
+  const since = daysBack ? new Date(Date.now() - daysBack * 86400000).toISOString().slice(0, 10) : null;
+  log(`=== congress-worker start — ${daysBack ? `disclosed since ${since}` : 'full history'}, source=${source.name} ===`);
+  await initSchema();
+
+  const feeds = await source.load();
+  const rows = [];
+  for (const { chamber, records, error } of feeds) {
+    if (error) { log(`  ${chamber || 'feed'}: skipped — ${error}`); continue; }
+    let kept = 0, bad = 0;
+    for (const rec of records) {
+      const t = normalizeTrade(rec, chamber);
+      if (!t) { bad++; continue; }
+      // Reports with no disclosure date are judged by the trade date.
+      if (since && (t.disclosureDate || t.txDate) < since) continue;
+      rows.push([t.chamber, t.member, t.slug, t.state, t.district, t.party, t.ticker, t.asset || '', t.assetType, t.owner || '',
+        t.txType, t.txDate, t.disclosureDate, t.amountRange || '', t.amountLow, t.amountHigh, t.link || '', t.comment]);
+      kept++;
+    }
+    log(`  ${chamber || 'feed'}: ${records.length} records, ${kept} in window, ${bad} unreadable`);
+  }
+  const inserted = await insertBatch(rows, INSERT_CONGRESS_SQL);
+  const count = await dbQuery('SELECT COUNT(*) AS n FROM congress_trades');
+  log(`=== congress-worker done — ${inserted} new, ${(count[0]?.n || 0).toLocaleString()} total ===`);
+  process.exit(0);
+})().catch(e => { log(`FATAL: ${e.message}\n${e.stack}`); process.exit(1); });
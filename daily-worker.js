@@ -3,12 +3,23 @@
 // daily-worker.js v10 — Turso edition
 // Designed to run as a one-shot GitHub Actions job (backfill mode).
 // Replaces better-sqlite3 with @libsql/client (async, remote Turso DB).
-// Usage: node daily-worker.js [daysBack] [mode]
+// Usage: node daily-worker.js [daysBack] [mode] [--source=<spec>]
 //   daysBack — how many calendar days to backfill (default: 3)
-//   mode     — 'backfill' (default) or 'recent' (same, alias)
+//   mode     — 'backfill' (default) or 'recent' (same, alias); 'reconcile'
+//              checks the last daysBack days against EDGAR's daily form index
+//              and re-fetches any filing the backfill missed
+//   --source — where filings come from (see lib/filing-source.js); default
+//              live EDGAR. A local dir/tarball replays every filing it holds
+//              and ignores daysBack.
 
-const https  = require('https');
 const { createClient } = require('@libsql/client');
+const { sourceFromArgs } = require('./lib/filing-source');
+const { mapLimit } = require('./lib/edgar-client');
+const { parseFiling, parseDate } = require('./lib/form4');
+const { parseForm144 } = require('./lib/form144');
+const { parseSchedule13 } = require('./lib/schedule13');
+const { createIngest } = require('./lib/ingest');
+const { isBusinessDay } = require('./lib/calendar');
 
 const TURSO_URL   = process.env.TURSO_DATABASE_URL;
 const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
@@ -37,8 +48,7 @@ async function initSchema() {
       ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
       trade_date TEXT NOT NULL, filing_date TEXT,
       type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
-      accession TEXT, footnote TEXT,
-      UNIQUE(accession, insider, trade_date, type, qty)
+      accession TEXT, footnote TEXT
     )`,
     `CREATE INDEX IF NOT EXISTS idx_ticker      ON trades(ticker)`,
     `CREATE INDEX IF NOT EXISTS idx_trade_date  ON trades(trade_date DESC)`,
@@ -49,8 +59,162 @@ async function initSchema() {
     // which the plain type index can't serve - this lets them seek by type+date
     // instead of full-scanning the table (the main Turso rows-read driver).
     `CREATE INDEX IF NOT EXISTS idx_trades_ttype_date ON trades(TRIM(type), trade_date)`,
+    // Table II (derivative) rows - option exercises, RSU conversions, warrants.
+    // Kept apart from `trades` so their values never leak into open-market totals.
+    `CREATE TABLE IF NOT EXISTS derivative_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, security TEXT NOT NULL DEFAULT '', qty INTEGER, price REAL, value INTEGER,
+      exercise_price REAL, exercise_date TEXT, expiration_date TEXT,
+      underlying_security TEXT, underlying_shares INTEGER,
+      acq_disp TEXT, owned INTEGER, accession TEXT, footnote TEXT,
+      UNIQUE(accession, insider, trade_date, type, security, qty)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_ticker ON derivative_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_insider_upper ON derivative_trades(UPPER(insider))`,
+    // Form 3: the position an insider starts with when they first become one.
+    // event_date is the date of the event requiring the statement (periodOfReport).
+    `CREATE TABLE IF NOT EXISTS form3_holdings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      event_date TEXT NOT NULL, filing_date TEXT,
+      security TEXT NOT NULL DEFAULT '', is_derivative INTEGER NOT NULL DEFAULT 0,
+      shares INTEGER, exercise_price REAL, expiration_date TEXT, accession TEXT,
+      UNIQUE(accession, insider, security, is_derivative, shares)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_ticker ON form3_holdings(insider, ticker)`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_upper  ON form3_holdings(UPPER(insider))`,
+    // Form 5: annual report of transactions that were exempt from (or missed)
+    // Form 4. Same layout as trades, kept apart so late/deferred rows are explicit.
+    `CREATE TABLE IF NOT EXISTS form5_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
+      accession TEXT, footnote TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_ticker       ON form5_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_insider_upper ON form5_trades(UPPER(insider))`,
+    // Issuer / reporting-owner CIKs: identity that survives name and ticker
+    // changes. Added after these tables shipped; the ALTERs no-op once present.
+    ...['trades', 'derivative_trades', 'form3_holdings', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN issuer_cik TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN owner_cik TEXT`,
+    ]),
+    `CREATE INDEX IF NOT EXISTS idx_trades_owner_cik  ON trades(owner_cik)`,
+    `CREATE INDEX IF NOT EXISTS idx_trades_issuer_cik ON trades(issuer_cik, trade_date DESC)`,
+    // Rule 10b5-1 plan flag (1 plan, 0 not, NULL undisclosed) and adoption date;
+    // ownership 'D' direct / 'I' indirect with its nature ("By Trust", "By Spouse");
+    // price_low/high: execution range from a weighted-average price footnote.
+    ...['trades', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN plan_10b5_1 INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN plan_adopted TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership_nature TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN price_low REAL`,
+      `ALTER TABLE ${t} ADD COLUMN price_high REAL`,
+      `ALTER TABLE ${t} ADD COLUMN filing_latency INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN late_filing INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN parser_version INTEGER`,
+    ]),
+    // One row per ownership line: a filing's direct and "By Spouse" lines can
+    // share date, code and quantity. Tables created with the older
+    // UNIQUE(accession, insider, trade_date, type, qty) are moved onto this key
+    // by scripts/rekey-trades.js.
+    ...['trades', 'form5_trades'].map(t =>
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_${t}_line ON ${t}(accession, insider, trade_date, type, qty, COALESCE(ownership, ''), COALESCE(ownership_nature, ''))`),
+    // Every reporting owner on a filing. Joint filings (a fund, its GP and the
+    // partner on one Form 4) get one row per owner; trades stay attributed to the
+    // first listed owner so values are never double counted.
+    `CREATE TABLE IF NOT EXISTS filing_owners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, ticker TEXT, filing_date TEXT, owner_seq INTEGER NOT NULL DEFAULT 0,
+      owner_name TEXT NOT NULL DEFAULT '', owner_cik TEXT, title TEXT,
+      is_director INTEGER NOT NULL DEFAULT 0, is_officer INTEGER NOT NULL DEFAULT 0,
+      is_ten_pct INTEGER NOT NULL DEFAULT 0, is_other INTEGER NOT NULL DEFAULT 0, officer_title TEXT,
+      UNIQUE(accession, owner_name)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_name ON filing_owners(owner_name)`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_cik  ON filing_owners(owner_cik)`,
+    // Form 4/A and 5/A chains: each amendment, the version it replaces (`amends`,
+    // NULL until that filing is loaded) and the chain's original filing.
+    `CREATE TABLE IF NOT EXISTS filing_amendments (
+      accession TEXT PRIMARY KEY, amends TEXT, root_accession TEXT,
+      ticker TEXT, insider TEXT, filing_date TEXT, original_date TEXT,
+      rows_superseded INTEGER NOT NULL DEFAULT 0, linked_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_root    ON filing_amendments(root_accession)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_amends  ON filing_amendments(amends)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_lookup  ON filing_amendments(ticker, insider, original_date)`,
+    `ALTER TABLE filing_amendments ADD COLUMN form TEXT NOT NULL DEFAULT '4'`,
+    // Rows an amendment replaced, moved out of trades / derivative_trades so no
+    // aggregate can see them. Kept verbatim (row_json) for the filing history.
+    `CREATE TABLE IF NOT EXISTS superseded_rows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_table TEXT NOT NULL, accession TEXT NOT NULL, superseded_by TEXT NOT NULL,
+      row_json TEXT NOT NULL, superseded_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_superseded_acc ON superseded_rows(accession)`,
+    // Form 4 / 5 Table I rows the parser rejected on a sanity check (reason codes
+    // in lib/form4.js QUARANTINE_REASONS), kept for review at /api/admin/quarantine.
+    // status: pending | released (copied into trades / form5_trades) | dismissed.
+    `CREATE TABLE IF NOT EXISTS quarantined_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, form TEXT NOT NULL DEFAULT '4', reason TEXT NOT NULL,
+      ticker TEXT, insider TEXT, trade_date TEXT, filing_date TEXT, type TEXT,
+      qty INTEGER, price REAL, value INTEGER, row_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', reviewed_at TEXT, note TEXT,
+      quarantined_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(accession, insider, trade_date, type, qty, price)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_quarantine_status ON quarantined_trades(status, reason, filing_date DESC)`,
+    // Form 144 proposed-sale notices. sale_* is the Form 4 sale the notice was
+    // linked to (same issuer and seller, within 90 days); NULL while pending.
+    `CREATE TABLE IF NOT EXISTS form144_notices (
+      accession TEXT PRIMARY KEY, filing_date TEXT NOT NULL,
+      issuer_cik TEXT NOT NULL, ticker TEXT, company TEXT,
+      seller TEXT NOT NULL, seller_cik TEXT, relationship TEXT, security TEXT,
+      shares INTEGER, market_value INTEGER, shares_outstanding INTEGER,
+      approx_sale_date TEXT, exchange TEXT, plan_adopted TEXT, is_amendment INTEGER NOT NULL DEFAULT 0,
+      sale_accession TEXT, sale_date TEXT, sale_shares INTEGER, sale_value INTEGER, linked_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form144_ticker ON form144_notices(ticker, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_form144_issuer ON form144_notices(issuer_cik, filing_date DESC)`,
+    // Schedule 13D/G 5%+ stakes, one row per filing; schedule13_owners lists
+    // every joint filer. prev_pct is the filer's previous percent for the issuer.
+    `CREATE TABLE IF NOT EXISTS schedule13_filings (
+      accession TEXT PRIMARY KEY, form_type TEXT NOT NULL, filing_date TEXT NOT NULL, event_date TEXT,
+      issuer_cik TEXT NOT NULL, ticker TEXT, company TEXT, cusip TEXT,
+      filer TEXT NOT NULL, filer_cik TEXT, filer_key TEXT NOT NULL,
+      shares INTEGER, pct_of_class REAL, prev_pct REAL,
+      is_activist INTEGER NOT NULL DEFAULT 0, is_amendment INTEGER NOT NULL DEFAULT 0
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_ticker ON schedule13_filings(ticker, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_issuer ON schedule13_filings(issuer_cik, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_filer  ON schedule13_filings(filer_key, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_date   ON schedule13_filings(filing_date DESC)`,
+    `CREATE TABLE IF NOT EXISTS schedule13_owners (
+      accession TEXT NOT NULL, owner_seq INTEGER NOT NULL, name TEXT NOT NULL, cik TEXT, name_key TEXT NOT NULL,
+      shares INTEGER, pct_of_class REAL, PRIMARY KEY (accession, owner_seq)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_owner_key ON schedule13_owners(name_key)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_owner_cik ON schedule13_owners(cik)`,
+    // Ownership XML as fetched (gzipped), one row per filing; parser_version is
+    // the lib/form4.js version it was last parsed with (scripts/reprocess.js).
+    `CREATE TABLE IF NOT EXISTS raw_filings (
+      accession TEXT PRIMARY KEY, form TEXT, filing_date TEXT, xml_gz BLOB NOT NULL, xml_bytes INTEGER,
+      parser_version INTEGER, stored_at TEXT DEFAULT (datetime('now')), reparsed_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_raw_filings_version ON raw_filings(parser_version, accession)`,
     `CREATE TABLE IF NOT EXISTS daily_log (date TEXT PRIMARY KEY, synced_at TEXT DEFAULT (datetime('now')), filings INTEGER, trades INTEGER)`,
     `CREATE TABLE IF NOT EXISTS seen_filings (accession TEXT PRIMARY KEY, seen_at TEXT DEFAULT (datetime('now')))`,
+    // One row per day checked against EDGAR's daily form index (runReconcile):
+    // seen = already ingested before the check, missing = re-queued by it.
+    `CREATE TABLE IF NOT EXISTS coverage_report (
+      date TEXT PRIMARY KEY, indexed INTEGER, seen INTEGER, missing INTEGER, missing_by_form TEXT,
+      recovered_trades INTEGER, logged_filings INTEGER, completeness REAL, checked_at TEXT
+    )`,
   ];
   for (const sql of stmts) {
     try { await client.execute(sql); } catch(e) { /* already exists */ }
@@ -60,116 +224,21 @@ async function initSchema() {
 // ─── Logging ──────────────────────────────────────────────────────────────────
 function log(msg) { process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${msg}\n`); }
 
-// ─── Rate-limited HTTPS GET (SEC rate limit: max 8 req/sec) ──────────────────
-const reqTimes = [];
-async function get(url, ms = 20000, _hops = 0) {
-  if (_hops > 5) throw new Error('Too many redirects');
-  const now = Date.now();
-  while (reqTimes.length && reqTimes[0] < now - 1000) reqTimes.shift();
-  if (reqTimes.length >= 8) await new Promise(r => setTimeout(r, 1000 - (now - reqTimes[0]) + 10));
-  reqTimes.push(Date.now());
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': 'InsiderTape/2.0 admin@insidertape.com' }, timeout: ms }, res => {
-      if ([301, 302, 303].includes(res.statusCode) && res.headers.location) {
-        res.resume();
-        return get(res.headers.location, ms, _hops + 1).then(resolve).catch(reject);
-      }
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
-      res.on('error', reject);
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
-}
-
-// ─── Form 4 XML parsing ───────────────────────────────────────────────────────
-function parseDate(s) {
-  if (!s) return null;
-  const d = s.slice(0, 10);
-  if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) return null;
-  const yr = parseInt(d.slice(0, 4), 10);
-  const today = new Date().toISOString().slice(0, 10);
-  if (d > today || yr < 2000) return null;
-  return d;
-}
-
-// SEC Form 4 XML encodes special characters as entities (e.g. "WINMILL &amp; CO").
-// Decode them so names are stored clean - otherwise the same entity ("&" vs
-// "&amp;") is counted as two different insiders in distinct-insider/cluster logic.
-function _decodeEntities(s) {
-  return String(s || '')
-    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
-    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(+n))
-    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
-    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
-    .replace(/&amp;/g, '&');
+// ─── Filing source ────────────────────────────────────────────────────────────
+const { source, args: cliArgs } = sourceFromArgs(process.argv.slice(2));
+async function get(url, ms = 20000) {
+  const { status, body } = await source.get(url, ms);
+  return { status, body: body.toString('utf8') };
 }
-function xmlGet(xml, tag) {
-  let m = xml.match(new RegExp('<' + tag + '[^>]*>\\s*<value>\\s*([^<]+?)\\s*</value>', 'is'));
-  if (m?.[1]?.trim()) return _decodeEntities(m[1].trim());
-  m = xml.match(new RegExp('<' + tag + '[^>]*>\\s*([^<\\s][^<]*?)\\s*</' + tag + '>', 'i'));
-  return _decodeEntities(m?.[1]?.trim() || '');
-}
-
-function parseForm4(xml, filingDate, accession) {
-  const ticker  = xmlGet(xml, 'issuerTradingSymbol').toUpperCase().trim().replace(/^[A-Z]+:/, '');
-  const company = xmlGet(xml, 'issuerName').trim();
-  const insider = xmlGet(xml, 'rptOwnerName').trim();
-  // Build a role/title from the officer title plus the relationship flags, so
-  // directors and 10% owners (who have no officerTitle) still get a usable role.
-  const _offTitle = xmlGet(xml, 'officerTitle').trim();
-  const _flag = t => /^(1|true)$/i.test(xmlGet(xml, t));
-  const _parts = [];
-  if (_offTitle) _parts.push(_offTitle);
-  if (_flag('isDirector')) _parts.push('Director');
-  if (_flag('isTenPercentOwner')) _parts.push('10% Owner');
-  if (!_parts.length) { if (_flag('isOfficer')) _parts.push('Officer'); else if (_flag('isOther')) _parts.push('Other'); }
-  const title   = _parts.join(', ');
-  const period  = parseDate(xmlGet(xml, 'periodOfReport'));
-  const INVALID = new Set(['NONE', 'NULL', 'N/A', 'NA', '--', '-', '.', '0', 'FALSE', 'TRUE']);
-  if (!ticker || INVALID.has(ticker) || !/^[A-Z]/.test(ticker) || ticker.length > 10) return [];
-
-  const rows = [];
-  function parseBlock(block) {
-    const code = (xmlGet(block, 'transactionCode') || '').trim();
-    if (!['P', 'S', 'S-'].includes(code)) return;
-    const date  = parseDate(xmlGet(block, 'transactionDate')) || period || filingDate;
-    if (!date) return;
-    const qty   = Math.round(Math.abs(parseFloat(xmlGet(block, 'transactionShares') || '0') || 0));
-    const price = Math.abs(parseFloat(xmlGet(block, 'transactionPricePerShare') || '0') || 0);
-    const owned = Math.round(Math.abs(parseFloat(xmlGet(block, 'sharesOwnedFollowingTransaction') || '0') || 0));
-    if (qty > 500_000_000 || price > 1_500_000) return;
-    const value = Math.round(qty * price);
-    if (value > 5_000_000_000) return;
-    if (price > 0 && price < 0.05 && qty > 1_000_000) return;
-    if (value > 0 && value < 500) return;
-
-    const fnTexts = [];
-    const fnRe = /<footnote[^>]*id="([^"]*)"[^>]*>([\s\S]*?)<\/footnote>/gi;
-    let fnMatch;
-    while ((fnMatch = fnRe.exec(block + xml)) !== null) fnTexts.push(fnMatch[2].replace(/<[^>]+>/g, '').trim());
-    const footnote = fnTexts.join(' ').replace(/\s+/g, ' ').trim().slice(0, 500);
-
-    if (code === 'P') {
-      const fn = footnote.toLowerCase();
-      const isDRIP = (fn.includes('pursuant to') || fn.includes('through the') || fn.includes('under the') || fn.includes('under a') || fn.includes('automatic') || fn.includes('prior election'))
-        && (fn.includes('dividend reinvest') || fn.includes('drip') || fn.includes('reinvestment plan') || fn.includes('stock purchase plan') || fn.includes('espp') || fn.includes('compensation plan') || fn.includes('deferred compensation'));
-      const isOffering = fn.includes('public offering') || fn.includes('underwritten offering') || fn.includes('private placement') || fn.includes('subscription agreement') || fn.includes('securities purchase agreement') || fn.includes('placement agent') || fn.includes('direct offering');
-      if (isDRIP || isOffering) return;
-    }
-
-    rows.push([ticker, company, insider, title, date, filingDate, code, qty, +price.toFixed(4), value, owned, accession, footnote || null]);
-  }
-
-  let m;
-  const ndRe = /<nonDerivativeTransaction>([\s\S]*?)<\/nonDerivativeTransaction>/gi;
-  while ((m = ndRe.exec(xml))) parseBlock(m[1]);
-  return rows;
+function logEdgarStats() {
+  if (!source.stats) return;
+  const s = source.stats();
+  log(`EDGAR: ${s.requests} requests, ${s.cacheHits} cache hits, ${s.retries} retries (${s.throttled} throttled), ${s.errors} failed`);
 }
 
 // ─── Fetch Form 4 XML from EDGAR ──────────────────────────────────────────────
+// null when no ownership XML could be fetched, so processBatch leaves the
+// filing unseen; XML that parses to nothing still comes back as a document.
 async function fetchForm4(accession, filingDate, xmlFile, ciks) {
   const acc      = accession.replace(/-/g, '');
   const filerCik = parseInt(acc.slice(0, 10), 10).toString();
@@ -179,11 +248,13 @@ async function fetchForm4(accession, filingDate, xmlFile, ciks) {
     try { const { status, body } = await get(url); if (status === 200 && body.includes('ownershipDocument')) return body; } catch(_) {}
     return null;
   }
+  // The XML rides along so insertParsed can keep it in raw_filings.
+  const parse = xml => ({ ...parseFiling(xml, filingDate, accession), xml });
 
   if (xmlFile) {
     for (const cik of allCiks) {
       const xml = await tryXml(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${xmlFile}`);
-      if (xml) return parseForm4(xml, filingDate, accession);
+      if (xml) return parse(xml);
     }
   }
 
@@ -194,7 +265,7 @@ async function fetchForm4(accession, filingDate, xmlFile, ciks) {
         const xmlMatch = body.match(/href="([^"]+\.xml)"/i);
         if (xmlMatch) {
           const xml = await tryXml(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${xmlMatch[1].split('/').pop()}`);
-          if (xml) return parseForm4(xml, filingDate, accession);
+          if (xml) return parse(xml);
         }
       }
     } catch(_) {}
@@ -203,8 +274,8 @@ async function fetchForm4(accession, filingDate, xmlFile, ciks) {
       const { status, body } = await get(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${accession}-index.json`);
       if (status === 200) {
         const idx = JSON.parse(body);
-        const doc = (idx.documents || []).find(d => d.document?.match(/\.xml$/i) && (d.type === '4' || d.type === '4/A' || !d.type)) || (idx.documents || []).find(d => d.document?.match(/\.xml$/i));
-        if (doc) { const xml = await tryXml(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${doc.document}`); if (xml) return parseForm4(xml, filingDate, accession); }
+        const doc = (idx.documents || []).find(d => d.document?.match(/\.xml$/i) && (OWNERSHIP_FORMS.has(d.type) || !d.type)) || (idx.documents || []).find(d => d.document?.match(/\.xml$/i));
+        if (doc) { const xml = await tryXml(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${doc.document}`); if (xml) return parse(xml); }
       }
     } catch(_) {}
   }
@@ -212,18 +283,64 @@ async function fetchForm4(accession, filingDate, xmlFile, ciks) {
   for (const cik of allCiks) {
     for (const name of [`${accession}.xml`, 'form4.xml', 'wf-form4.xml']) {
       const xml = await tryXml(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${name}`);
-      if (xml) return parseForm4(xml, filingDate, accession);
+      if (xml) return parse(xml);
     }
   }
 
-  return [];
+  return null;
+}
+
+// Form 144 since 2023 is an XML edgarSubmission, usually primary_doc.xml.
+async function fetchForm144(accession, xmlFile, ciks) {
+  const acc      = accession.replace(/-/g, '');
+  const filerCik = parseInt(acc.slice(0, 10), 10).toString();
+  const allCiks  = [...new Set([...(ciks || []).map(k => parseInt(k, 10).toString()), filerCik])];
+  for (const cik of allCiks) {
+    for (const name of [...new Set([xmlFile, 'primary_doc.xml'].filter(Boolean))]) {
+      try {
+        const { status, body } = await get(`https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${name}`);
+        if (status === 200) { const n = parseForm144(body); if (n) return n; }
+      } catch(_) {}
+    }
+  }
+  return null;
+}
+
+// Schedule 13D/G: the XML primary document when there is one (2025 on), else
+// the complete submission text, whose SEC header names the subject company.
+async function fetchSchedule13(accession, xmlFile, ciks) {
+  const acc      = accession.replace(/-/g, '');
+  const filerCik = parseInt(acc.slice(0, 10), 10).toString();
+  const allCiks  = [...new Set([...(ciks || []).map(k => parseInt(k, 10).toString()), filerCik])];
+  for (const cik of allCiks) {
+    const names = [...new Set([/\.xml$/i.test(xmlFile || '') ? xmlFile : null, 'primary_doc.xml', `${accession}.txt`].filter(Boolean))];
+    for (const name of names) {
+      const url = name.endsWith('.txt') ? `https://www.sec.gov/Archives/edgar/data/${cik}/${name}` : `https://www.sec.gov/Archives/edgar/data/${cik}/${acc}/${name}`;
+      try {
+        const { status, body } = await get(url, 30000);
+        if (status === 200) { const s = parseSchedule13(body); if (s) return s; }
+      } catch(_) {}
+    }
+  }
+  return null;
 }
 
 // ─── EDGAR filing discovery ────────────────────────────────────────────────────
+// Section 16 ownership forms: 3 (initial statement), 4 (changes), 5 (annual).
+// Form 144 (proposed sale notice) and Schedule 13D/G (5%+ stakes, "SC 13D"
+// before the 2024 XML switch) are discovered alongside them.
+const OWNERSHIP_FORMS = new Set(['3', '3/A', '4', '4/A', '5', '5/A']);
+const NOTICE_FORMS    = new Set(['144', '144/A']);
+const STAKE_FORMS     = new Set(['SC 13D', 'SC 13D/A', 'SC 13G', 'SC 13G/A', 'SCHEDULE 13D', 'SCHEDULE 13D/A', 'SCHEDULE 13G', 'SCHEDULE 13G/A']);
+const DISCOVERY_FORMS = new Set([...OWNERSHIP_FORMS, ...NOTICE_FORMS, ...STAKE_FORMS]);
+const isNotice = f => NOTICE_FORMS.has((f.formType || '').trim());
+const isStake  = f => STAKE_FORMS.has((f.formType || '').trim().toUpperCase());
+
 async function searchEFTS(startDate, endDate) {
   const filings = [];
+  const forms = [...DISCOVERY_FORMS].map(encodeURIComponent).join(',');
   for (let from = 0; from < 10000; from += 100) {
-    const url = `https://efts.sec.gov/LATEST/search-index?forms=4,4%2FA&dateRange=custom&startdt=${startDate}&enddt=${endDate}&from=${from}&size=100`;
+    const url = `https://efts.sec.gov/LATEST/search-index?forms=${forms}&dateRange=custom&startdt=${startDate}&enddt=${endDate}&from=${from}&size=100`;
     try {
       const { status, body } = await get(url, 30000);
       if (status !== 200) { log(`EFTS HTTP ${status}`); break; }
@@ -247,10 +364,10 @@ async function searchEFTS(startDate, endDate) {
   return filings;
 }
 
-async function fetchViaAtom(sinceDate) {
+async function fetchViaAtom(sinceDate, type = '4') {
   const filings = [], seen = new Set();
   for (let start = 0; start < 4000; start += 40) {
-    const url = `https://www.sec.gov/cgi-bin/browse-edgar?action=getcurrent&type=4&dateb=&owner=include&count=40&start=${start}&output=atom`;
+    const url = `https://www.sec.gov/cgi-bin/browse-edgar?action=getcurrent&type=${encodeURIComponent(type)}&dateb=&owner=include&count=40&start=${start}&output=atom`;
     const r = await get(url, 30000);
     if (r.status !== 200) break;
     const entries = r.body.split('<entry>').slice(1);
@@ -266,8 +383,8 @@ async function fetchViaAtom(sinceDate) {
       const accDash = `${accRaw.slice(0, 10)}-${accRaw.slice(10, 12)}-${accRaw.slice(12)}`;
       if (!seen.has(accDash)) {
         seen.add(accDash);
-        const isAmend = entry.includes('4/A');
-        filings.push({ accession: accDash, xmlFile: null, ciks: [cik], filingDate, formType: isAmend ? '4/A' : '4' });
+        const isAmend = entry.includes(type + '/A');
+        filings.push({ accession: accDash, xmlFile: null, ciks: [cik], filingDate, formType: isAmend ? type + '/A' : type });
       }
       if (!oldestOnPage || filingDate < oldestOnPage) oldestOnPage = filingDate;
     }
@@ -277,6 +394,40 @@ async function fetchViaAtom(sinceDate) {
   return filings.filter(f => f.filingDate >= sinceDate);
 }
 
+// form.idx lines (full-index: YYYY-MM-DD dates, daily-index: YYYYMMDD) -> filings
+// in [startDate, endDate]. A filing with several reporting owners is listed once
+// per filer CIK; those collapse into one entry carrying every CIK.
+function parseFormIdx(body, startDate, endDate) {
+  const byAcc = new Map();
+  let pastHeader = false;
+  for (const line of body.split('\n')) {
+    if (!pastHeader) { if (/^-{5}/.test(line.trim())) pastHeader = true; continue; }
+    if (line.length < 30) continue;
+    // Schedule 13D/G types can run past the 12-character column.
+    const formType = (line.match(/^(?:SC|SCHEDULE) 13[DG](?:\/A)?(?=\s)/) || [line.slice(0, 12).trim()])[0];
+    if (!DISCOVERY_FORMS.has(formType)) continue;
+    let dateFiled = '';
+    // Checked first: in a daily index the accession number's digits would pass for an ISO date.
+    const ymdM = line.match(/\s(\d{4})(\d{2})(\d{2})\s+edgar\//i);
+    const isoM = line.match(/(\d{4}-\d{2}-\d{2})/);
+    const mdyM = line.match(/(\d{2})\/(\d{2})\/(\d{4})/);
+    if (ymdM) dateFiled = `${ymdM[1]}-${ymdM[2]}-${ymdM[3]}`;
+    else if (isoM) dateFiled = isoM[1];
+    else if (mdyM) dateFiled = `${mdyM[3]}-${mdyM[1]}-${mdyM[2]}`;
+    else continue;
+    if (dateFiled < startDate || dateFiled > endDate) continue;
+    const fm = line.match(/edgar\/data\/(\d+)\/([\d-]+)\.txt/i);
+    if (!fm) continue;
+    const parts = fm[2].split('-');
+    if (parts.length !== 3) continue;
+    const accession = `${parts[0].padStart(10, '0')}-${parts[1]}-${parts[2]}`;
+    const f = byAcc.get(accession);
+    if (f) { if (!f.ciks.includes(fm[1])) f.ciks.push(fm[1]); continue; }
+    byAcc.set(accession, { accession, xmlFile: null, ciks: [fm[1]], filingDate: dateFiled, formType });
+  }
+  return [...byAcc.values()];
+}
+
 async function fetchFullIndex(startDate, endDate) {
   const filings = [];
   const quarters = new Set();
@@ -293,92 +444,53 @@ async function fetchFullIndex(startDate, endDate) {
     try {
       const { status, body } = await get(url, 60000);
       if (status !== 200) { log(`full-index HTTP ${status} for ${yr}Q${q}`); continue; }
-      const lines = body.split('\n');
-      let pastHeader = false;
-      for (const line of lines) {
-        if (!pastHeader) { if (/^-{5}/.test(line.trim())) pastHeader = true; continue; }
-        if (line.length < 30) continue;
-        const formType = line.slice(0, 12).trim();
-        if (formType !== '4' && formType !== '4/A') continue;
-        let dateFiled = '';
-        const isoM = line.match(/(\d{4}-\d{2}-\d{2})/);
-        const mdyM = line.match(/(\d{2})\/(\d{2})\/(\d{4})/);
-        if (isoM) dateFiled = isoM[1];
-        else if (mdyM) dateFiled = `${mdyM[3]}-${mdyM[1]}-${mdyM[2]}`;
-        else continue;
-        if (dateFiled < startDate || dateFiled > endDate) continue;
-        const fm = line.match(/edgar\/data\/(\d+)\/([\d-]+)\.txt/i);
-        if (!fm) continue;
-        const parts = fm[2].split('-');
-        if (parts.length !== 3) continue;
-        filings.push({ accession: `${parts[0].padStart(10, '0')}-${parts[1]}-${parts[2]}`, xmlFile: null, ciks: [fm[1]], filingDate: dateFiled, formType });
-      }
+      filings.push(...parseFormIdx(body, startDate, endDate));
       log(`  form.idx ${yr}Q${q}: ${filings.length} total so far in range`);
     } catch(e) { log(`full-index error ${yr}Q${q}: ${e.message}`); }
   }
-  log(`Full-index: ${filings.length} Form 4 filings for ${startDate}→${endDate}`);
+  log(`Full-index: ${filings.length} Form 3/4/5/144/13D/13G filings for ${startDate}→${endDate}`);
   return filings;
 }
 
+// One day's form index, published after EDGAR closes that evening. null while
+// it isn't up yet (EDGAR answers 403/404 for a missing index file).
+async function fetchDailyIndex(date) {
+  const yr = date.slice(0, 4), q = Math.ceil(+date.slice(5, 7) / 3);
+  const url = `https://www.sec.gov/Archives/edgar/daily-index/${yr}/QTR${q}/form.${date.replace(/-/g, '')}.idx`;
+  const { status, body } = await get(url, 60000);
+  if (status === 403 || status === 404) return null;
+  if (status !== 200) throw new Error(`daily-index HTTP ${status} for ${date}`);
+  return parseFormIdx(body, date, date);
+}
+
 async function fetchRecentFilings(sinceDate) {
   const seen = new Set(), filings = [];
-  try {
-    const atom = await fetchViaAtom(sinceDate);
-    atom.forEach(f => { if (!seen.has(f.accession)) { seen.add(f.accession); filings.push(f); } });
-    log(`Atom feed: ${atom.length} since ${sinceDate}`);
-  } catch(e) { log(`Atom error: ${e.message}`); }
+  // Form 4 dominates the feed; 3, 5, 144 and 13D/G are lower-volume, so each gets
+  // its own pass. Passes (and EFTS days below) page in parallel; results merge
+  // in the same order as before, so the first source to list a filing wins.
+  const types = ['4', '3', '5', '144', 'SCHEDULE 13D', 'SCHEDULE 13G'];
+  const atoms = await mapLimit(types, 3, type => fetchViaAtom(sinceDate, type));
+  atoms.forEach((r, i) => {
+    if (r.status !== 'fulfilled') return log(`Atom error (Form ${types[i]}): ${r.reason.message}`);
+    r.value.forEach(f => { if (!seen.has(f.accession)) { seen.add(f.accession); filings.push(f); } });
+    log(`Atom feed (Form ${types[i]}): ${r.value.length} since ${sinceDate}`);
+  });
 
-  const today = new Date().toISOString().slice(0, 10);
-  for (let d = new Date(sinceDate + 'T12:00:00Z'); d.toISOString().slice(0, 10) <= today; d.setUTCDate(d.getUTCDate() + 1)) {
-    const ds = d.toISOString().slice(0, 10);
-    try {
-      const day = await searchEFTS(ds, ds);
-      let added = 0;
-      day.forEach(f => { if (!seen.has(f.accession)) { seen.add(f.accession); filings.push(f); added++; } });
-      if (added > 0) log(`EFTS ${ds}: +${added}`);
-    } catch(_) {}
-  }
+  const today = new Date().toISOString().slice(0, 10), days = [];
+  for (let d = new Date(sinceDate + 'T12:00:00Z'); d.toISOString().slice(0, 10) <= today; d.setUTCDate(d.getUTCDate() + 1)) days.push(d.toISOString().slice(0, 10));
+  const efts = await mapLimit(days, 3, ds => searchEFTS(ds, ds));
+  efts.forEach((r, i) => {
+    if (r.status !== 'fulfilled') return;
+    let added = 0;
+    r.value.forEach(f => { if (!seen.has(f.accession)) { seen.add(f.accession); filings.push(f); added++; } });
+    if (added > 0) log(`EFTS ${days[i]}: +${added}`);
+  });
   log(`fetchRecentFilings: ${filings.length} since ${sinceDate}`);
   return filings;
 }
 
-// ─── Batch insert helpers (Turso) ─────────────────────────────────────────────
-const INSERT_SQL = `INSERT OR IGNORE INTO trades (ticker,company,insider,title,trade_date,filing_date,type,qty,price,value,owned,accession,footnote) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`;
-
-async function doInsertBatch(rows) {
-  if (!rows.length) return 0;
-  let inserted = 0;
-  const CHUNK = 50;
-  for (let i = 0; i < rows.length; i += CHUNK) {
-    const stmts = rows.slice(i, i + CHUNK).map(r => ({ sql: INSERT_SQL, args: r }));
-    const results = await dbBatch(stmts);
-    for (const r of results) inserted += r.rowsAffected || 0;
-  }
-  return inserted;
-}
-
-async function doInsertAmendmentBatch(rows) {
-  if (!rows.length) return 0;
-  const keys = new Set(rows.map(r => r[0] + '|' + r[2] + '|' + r[4]));
-  const stmts = [];
-  for (const key of keys) {
-    const [ticker, insider, trade_date] = key.split('|');
-    stmts.push({ sql: `DELETE FROM trades WHERE ticker=? AND insider=? AND trade_date=? AND TRIM(type) IN ('P','S','S-')`, args: [ticker, insider, trade_date] });
-  }
-  for (const r of rows) stmts.push({ sql: INSERT_SQL, args: r });
-  const results = await dbBatch(stmts);
-  let inserted = 0;
-  for (const r of results.slice(keys.size)) inserted += r.rowsAffected || 0;
-  return inserted;
-}
-
-async function markSeenBatch(accessions) {
-  const CHUNK = 100;
-  for (let i = 0; i < accessions.length; i += CHUNK) {
-    const stmts = accessions.slice(i, i + CHUNK).map(acc => ({ sql: 'INSERT OR IGNORE INTO seen_filings (accession) VALUES (?)', args: [acc] }));
-    await dbBatch(stmts).catch(() => {});
-  }
-}
+// ─── Inserts (shared with sync-worker) ────────────────────────────────────────
+const { insertParsed, insertForm144, linkForm144, insertSchedule13, markSeenBatch } = createIngest({ dbQuery, dbBatch, log });
 
 // ─── Process filings (batch-aware) ────────────────────────────────────────────
 async function processBatch(filings, label) {
@@ -402,30 +514,44 @@ async function processBatch(filings, label) {
   log(`${label}: ${filings.length} total, ${filings.length - newFilings.length} already processed, ${newFilings.length} new`);
   if (!newFilings.length) return 0;
 
+  // Fetches fan out FETCH_CONCURRENCY wide (the EDGAR client holds them to the
+  // SEC rate); each group of INSERT_GROUP is written before the next is fetched.
+  // Only filings that were fetched and parsed go into seen_filings: a 429,
+  // timeout or missing XML stays unseen, so the next backfill or reconcile
+  // picks it up again.
   let inserted = 0;
-  const CONCURRENCY = 8;
-
-  for (let i = 0; i < newFilings.length; i += CONCURRENCY) {
-    const chunk = newFilings.slice(i, i + CONCURRENCY);
-    const results = await Promise.allSettled(
-      chunk.map(f => fetchForm4(f.accession, f.filingDate, f.xmlFile, f.ciks))
-    );
-    const insertRows = [], amendRows = [];
-    for (let j = 0; j < results.length; j++) {
-      const r = results[j];
-      if (r.status === 'fulfilled' && r.value?.length) {
-        if (chunk[j].formType === '4/A') amendRows.push(...r.value);
-        else insertRows.push(...r.value);
+  const FETCH_CONCURRENCY = 10, INSERT_GROUP = 100;
+  const saleIssuers = new Set();   // issuers with a new notice or sale, for linkForm144
+  const fetched = [];
+
+  for (let i = 0; i < newFilings.length; i += INSERT_GROUP) {
+    const chunk = newFilings.slice(i, i + INSERT_GROUP);
+    const results = await mapLimit(chunk, FETCH_CONCURRENCY, f =>
+      isNotice(f) ? fetchForm144(f.accession, f.xmlFile, f.ciks)
+        : isStake(f) ? fetchSchedule13(f.accession, f.xmlFile, f.ciks)
+        : fetchForm4(f.accession, f.filingDate, f.xmlFile, f.ciks));
+    const parsed = [], notices = [], stakes = [];
+    results.forEach((r, j) => {
+      if (r.status !== 'fulfilled' || !r.value) return;
+      fetched.push(chunk[j].accession);
+      if (isNotice(chunk[j])) { notices.push({ filing: chunk[j], notice: r.value }); saleIssuers.add(r.value.issuerCik); }
+      else if (isStake(chunk[j])) stakes.push({ filing: chunk[j], stake: r.value });
+      else {
+        parsed.push({ filing: chunk[j], doc: r.value });
+        for (const t of r.value.trades) if (/^S-?$/.test((t[6] || '').trim())) saleIssuers.add(t[13]);
       }
-    }
-    if (insertRows.length) inserted += await doInsertBatch(insertRows);
-    if (amendRows.length)  inserted += await doInsertAmendmentBatch(amendRows);
-    if ((i + CONCURRENCY) % 60 === 0) log(`  ${i + CONCURRENCY}/${newFilings.length} done, inserted:${inserted}`);
-    await new Promise(r => setTimeout(r, 25)); // brief yield
+    });
+    inserted += await insertParsed(parsed);
+    await insertForm144(notices);
+    await insertSchedule13(stakes);
+    log(`  ${Math.min(i + INSERT_GROUP, newFilings.length)}/${newFilings.length} done, inserted:${inserted}`);
   }
 
-  await markSeenBatch(newFilings.map(f => f.accession));
-  log(`${label}: done — ${inserted} trades from ${newFilings.length} new filings`);
+  await markSeenBatch(fetched);
+  // After the Form 4s are in, so a sale filed in this run links to its notice.
+  await linkForm144([...saleIssuers]).catch(e => log(`Form 144 linking: ${e.message}`));
+  const failed = newFilings.length - fetched.length;
+  log(`${label}: done — ${inserted} trades from ${newFilings.length} new filings${failed ? `, ${failed} not fetched (retried next run)` : ''}`);
   return inserted;
 }
 
@@ -435,18 +561,25 @@ async function runBackfill(daysBack) {
   const startDate = new Date(Date.now() - daysBack * 86400000).toISOString().slice(0, 10);
   const recentCutoff = new Date(Date.now() - 5 * 86400000).toISOString().slice(0, 10);
 
-  log(`Backfill: ${startDate} → ${today}`);
-
   let allFilings = [];
-  if (startDate < recentCutoff) {
-    const idxFilings = await fetchFullIndex(startDate, recentCutoff);
-    allFilings = allFilings.concat(idxFilings);
+  if (source.local) {
+    const { filings, skipped } = await source.listFilings();
+    log(`Replay from ${source.name}: ${filings.length} filings${skipped ? `, ${skipped} XML files skipped (no accession number in path)` : ''}`);
+    allFilings = filings;
+  } else {
+    log(`Backfill: ${startDate} → ${today}`);
+    if (startDate < recentCutoff) {
+      const idxFilings = await fetchFullIndex(startDate, recentCutoff);
+      allFilings = allFilings.concat(idxFilings);
+    }
+    const rssFilings = await fetchRecentFilings(recentCutoff);
+    allFilings = allFilings.concat(rssFilings);
   }
-  const rssFilings = await fetchRecentFilings(recentCutoff);
-  allFilings = allFilings.concat(rssFilings);
 
   if (!allFilings.length) { log('No filings found'); return; }
   const inserted = await processBatch(allFilings, 'Backfill');
+  // daily_log tracks what live EDGAR coverage has been synced; a replay says nothing about it.
+  if (source.local) { log(`Replay complete: ${inserted} trades`); return; }
 
   // Update daily_log
   const byDate = {};
@@ -458,25 +591,87 @@ async function runBackfill(daysBack) {
   logStmts.push({ sql: 'INSERT OR REPLACE INTO daily_log (date, filings, trades) VALUES (?, ?, ?)', args: [today, allFilings.length, inserted] });
   await dbBatch(logStmts).catch(() => {});
 
-  // Prune seen_filings older than 45 days
-  await dbRun("DELETE FROM seen_filings WHERE seen_at < datetime('now','-45 days')").catch(() => {});
+  // Prune seen_filings older than the retention window
+  await dbRun(`DELETE FROM seen_filings WHERE seen_at < datetime('now','-${SEEN_RETENTION_DAYS} days')`).catch(() => {});
 
   log(`Backfill complete: ${inserted} trades across ${Object.keys(byDate).length} days`);
+  logEdgarStats();
+}
+
+// ─── Reconciliation ───────────────────────────────────────────────────────────
+// EFTS stops at 10,000 hits and the Atom feed at 4,000 entries, so a busy day
+// can slip past the backfill. EDGAR's daily form index lists every filing of
+// the day; anything on it that seen_filings (or trades) doesn't know is fed
+// back through processBatch, and the day's coverage lands in coverage_report.
+// processBatch only marks a filing seen once it was fetched and parsed, so a
+// failed fetch counts as missing here until a later run gets it.
+// seen_filings is pruned after SEEN_RETENTION_DAYS, so that bounds how far back
+// the check can tell a missed filing from a forgotten one.
+const SEEN_RETENTION_DAYS = 45;
+
+async function reconcileDay(date) {
+  const indexed = await fetchDailyIndex(date);
+  if (!indexed) { log(`Reconcile ${date}: daily index not published yet`); return null; }
+
+  const known = new Set();
+  for (let i = 0; i < indexed.length; i += 500) {
+    const chunk = indexed.slice(i, i + 500).map(f => f.accession);
+    const placeholders = chunk.map(() => '?').join(',');
+    const [tradeRows, seenRows] = await Promise.all([
+      dbQuery(`SELECT DISTINCT accession FROM trades WHERE accession IN (${placeholders})`, chunk),
+      dbQuery(`SELECT accession FROM seen_filings WHERE accession IN (${placeholders})`, chunk),
+    ]);
+    tradeRows.forEach(r => known.add(r.accession));
+    seenRows.forEach(r => known.add(r.accession));
+  }
+  const missing = indexed.filter(f => !known.has(f.accession));
+  const missingByForm = {};
+  missing.forEach(f => { missingByForm[f.formType] = (missingByForm[f.formType] || 0) + 1; });
+
+  const recovered = missing.length ? await processBatch(missing, `Reconcile ${date}`) : 0;
+  const logged = (await dbQuery('SELECT filings FROM daily_log WHERE date = ?', [date]))[0]?.filings ?? null;
+  const completeness = indexed.length ? Math.round((indexed.length - missing.length) / indexed.length * 1000) / 10 : 100;
+  await dbRun(`INSERT OR REPLACE INTO coverage_report
+      (date, indexed, seen, missing, missing_by_form, recovered_trades, logged_filings, completeness, checked_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+    [date, indexed.length, indexed.length - missing.length, missing.length, JSON.stringify(missingByForm), recovered, logged, completeness]);
+  log(`Reconcile ${date}: ${indexed.length} indexed, ${missing.length} missing (${completeness}% complete), ${recovered} trades recovered`);
+  return { indexed: indexed.length, missing: missing.length, recovered };
+}
+
+async function runReconcile(daysBack) {
+  if (source.local) { log('Reconcile needs live EDGAR; skipped for a local source'); return; }
+  const span = Math.min(daysBack, SEEN_RETENTION_DAYS - 1);
+  if (span < daysBack) log(`Reconcile: clamped to ${span} days (seen_filings keeps ${SEEN_RETENTION_DAYS})`);
+  const today = new Date().toISOString().slice(0, 10);
+  let days = 0, missing = 0, recovered = 0;
+  for (let d = new Date(Date.now() - span * 86400000); d.toISOString().slice(0, 10) < today; d.setUTCDate(d.getUTCDate() + 1)) {
+    const ds = d.toISOString().slice(0, 10);
+    if (!isBusinessDay(ds)) continue;
+    try {
+      const r = await reconcileDay(ds);
+      if (r) { days++; missing += r.missing; recovered += r.recovered; }
+    } catch(e) { log(`Reconcile ${ds}: ${e.message}`); }
+  }
+  log(`Reconcile complete: ${days} days checked, ${missing} missed filings re-queued, ${recovered} trades recovered`);
+  logEdgarStats();
 }
 
 // ─── MAIN ─────────────────────────────────────────────────────────────────────
-const daysBack = parseInt(process.argv[2] || '3');
+const daysBack = parseInt(cliArgs[0] || '3');
+const mode     = cliArgs[1] || 'backfill';
 
 async function main() {
-  log(`=== daily-worker v10 (Turso) start, daysBack=${daysBack} ===`);
+  log(`=== daily-worker v10 (Turso) start, daysBack=${daysBack}, mode=${mode}, source=${source.name} ===`);
   await initSchema();
 
-  // NOTE: data-hygiene safety-net DELETEs (bad dates, non-P/S types, implausible
-  // values) used to run here every ingestion, but each full-scans the trades
-  // table (~1M rows) and was a major Turso rows-read cost. Moved to precompute's
-  // weekly pass - they rarely delete anything, so weekly is plenty.
+  // NOTE: data-hygiene safety-net DELETEs (bad dates, implausible values) used
+  // to run here every ingestion, but each full-scans the trades table (~1M rows)
+  // and was a major Turso rows-read cost. Moved to precompute's weekly pass -
+  // they rarely delete anything, so weekly is plenty.
 
-  await runBackfill(daysBack);
+  if (mode === 'reconcile') await runReconcile(daysBack);
+  else await runBackfill(daysBack);
   log('=== daily-worker done ===');
 }
 
@@ -0,0 +1,234 @@
+'use strict';
+
+// form13f-worker.js — Turso edition
+// Downloads the SEC Form 13F data set (quarterly) and stores every institutional
+// manager's long share positions per manager, per CUSIP and per quarter. Runs as
+// a one-shot GitHub Actions job, after sync-worker's quarterly run.
+// Usage: node form13f-worker.js [numQuarters] [--source=<spec>]
+//   --source — where the data-set ZIPs come from (see lib/filing-source.js);
+//              a local dir/tarball just needs the *_form13f.zip files.
+//
+// 13F reports by CUSIP, never by ticker, so positions are only kept for CUSIPs
+// mapped in cusip_tickers: from Schedule 13D/G filings (CUSIP plus issuer CIK),
+// else from the 13F issuer name when it matches exactly one Form 4 issuer.
+// Rows marked source='manual' there are never overwritten. A CUSIP mapped later
+// is picked up when that quarter is re-synced (delete its sync_log row).
+
+const { createClient } = require('@libsql/client');
+const { sourceFromArgs } = require('./lib/filing-source');
+const { toIsoDate, extractOne, extractBuffer, tsvRows, tsvBufferRows } = require('./lib/datasets');
+const { createIngest } = require('./lib/ingest');
+
+const TURSO_URL   = process.env.TURSO_DATABASE_URL;
+const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
+if (!TURSO_URL) { console.error('TURSO_DATABASE_URL not set'); process.exit(1); }
+
+const client = createClient({ url: TURSO_URL, authToken: TURSO_TOKEN || undefined });
+
+function log(msg) { process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${msg}\n`); }
+
+async function dbQuery(sql, args = []) {
+  const r = await client.execute({ sql, args });
+  return r.rows.map(row => Object.fromEntries(r.columns.map((c, i) => [c, row[i] ?? null])));
+}
+async function dbRun(sql, args = []) {
+  const r = await client.execute({ sql, args });
+  return r.rowsAffected;
+}
+async function dbBatch(stmts) {
+  return client.batch(stmts, 'write');
+}
+
+async function initSchema() {
+  const stmts = [
+    // quarter is the report period end (YYYY-MM-DD); value is in dollars.
+    `CREATE TABLE IF NOT EXISTS institutional_holdings (
+      quarter TEXT NOT NULL, manager_cik TEXT NOT NULL, cusip TEXT NOT NULL,
+      manager TEXT, shares INTEGER, value INTEGER, accession TEXT, filing_date TEXT,
+      PRIMARY KEY (quarter, manager_cik, cusip)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_inst_cusip   ON institutional_holdings(cusip, quarter)`,
+    `CREATE INDEX IF NOT EXISTS idx_inst_manager ON institutional_holdings(manager_cik, quarter)`,
+    `CREATE TABLE IF NOT EXISTS cusip_tickers (
+      cusip TEXT PRIMARY KEY, ticker TEXT NOT NULL, issuer_name TEXT,
+      source TEXT NOT NULL, updated_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_cusip_tickers_ticker ON cusip_tickers(ticker)`,
+    `CREATE TABLE IF NOT EXISTS sync_log (quarter TEXT PRIMARY KEY, synced_at TEXT DEFAULT (datetime('now')), rows INTEGER)`,
+  ];
+  for (const sql of stmts) try { await client.execute(sql); } catch(_) {}
+}
+
+const INSERT_HOLDING_SQL = `INSERT OR REPLACE INTO institutional_holdings (quarter,manager_cik,cusip,manager,shares,value,accession,filing_date) VALUES (?,?,?,?,?,?,?,?)`;
+
+const { insertBatch } = createIngest({ dbQuery, dbBatch, log, chunk: 100 });
+
+// ─── CUSIP -> ticker ──────────────────────────────────────────────────────────
+// 13F issuer names are abbreviated ("BERKSHIRE HATHAWAY INC DEL", "ALPHABET
+// HLDGS"); legal suffixes and state tags are dropped and the usual
+// abbreviations expanded so they meet the Form 4 issuer names in trades.
+const _NAME_DROP = new Set(['INC', 'INCORPORATED', 'CORP', 'CORPORATION', 'CO', 'COMPANY', 'LTD', 'LIMITED', 'PLC', 'LLC', 'LP', 'NV', 'SA', 'AG', 'SE', 'THE', 'DEL', 'DE', 'NEW', 'MD', 'NY', 'COM']);
+const _NAME_ABBR = { HLDGS: 'HOLDINGS', HLDG: 'HOLDING', INTL: 'INTERNATIONAL', GRP: 'GROUP', FINL: 'FINANCIAL', TECHS: 'TECHNOLOGIES', SVCS: 'SERVICES', PHARMACEUTICALS: 'PHARMA', PHARMACEUTICAL: 'PHARMA', BANCORPORATION: 'BANCORP', MTG: 'MORTGAGE', AMER: 'AMERICA' };
+function issuerKey(name) {
+  return String(name || '').toUpperCase().replace(/&/g, ' AND ').replace(/[.,']/g, '').replace(/[^A-Z0-9]+/g, ' ')
+    .trim().split(' ').map(t => _NAME_ABBR[t] || t).filter(t => t && !_NAME_DROP.has(t)).join(' ');
+}
+// Common equity only: preferreds, debt, warrants and units carry their own CUSIPs.
+const COMMON_RE = /\b(COM|COMMON|CL ?[A-C]|ORD|SHS|CAP STK|SH BEN INT)\b/i;
+const NOT_COMMON_RE = /\b(PFD|PREF|NOTE|NOTES|WT|WTS|WARRANT|RIGHT|RTS|UNIT|DEB|BOND|CONV)\b/i;
+
+async function updateCusipMap(infoBuf) {
+  const sched = await dbQuery(`
+    SELECT UPPER(cusip) AS cusip, MAX(ticker) AS ticker, MAX(company) AS company FROM schedule13_filings
+    WHERE cusip IS NOT NULL AND LENGTH(cusip) = 9 AND ticker IS NOT NULL GROUP BY UPPER(cusip)`).catch(() => []);
+  const stmts = sched.map(r => ({
+    sql: `INSERT INTO cusip_tickers (cusip, ticker, issuer_name, source) VALUES (?, ?, ?, '13dg')
+          ON CONFLICT(cusip) DO UPDATE SET ticker = excluded.ticker, updated_at = datetime('now') WHERE cusip_tickers.source != 'manual'`,
+    args: [r.cusip, r.ticker, r.company],
+  }));
+
+  // Name match: the issuer key must point at one ticker and one common CUSIP.
+  const issuers = await dbQuery(`
+    SELECT ticker, MAX(company) AS company FROM trades
+    WHERE trade_date >= date('now', '-3 years') AND company IS NOT NULL GROUP BY ticker`);
+  const byKey = new Map();
+  for (const r of issuers) {
+    const k = issuerKey(r.company);
+    if (k) byKey.set(k, byKey.has(k) && byKey.get(k) !== r.ticker ? null : r.ticker);
+  }
+  const cusipsByKey = new Map();
+  for (const h of tsvBufferRows(infoBuf)) {
+    const cusip = (h.CUSIP || '').toUpperCase();
+    if (cusip.length !== 9 || h.PUTCALL || !COMMON_RE.test(h.TITLEOFCLASS) || NOT_COMMON_RE.test(h.TITLEOFCLASS)) continue;
+    const k = issuerKey(h.NAMEOFISSUER);
+    if (!byKey.get(k)) continue;
+    const set = cusipsByKey.get(k) || cusipsByKey.set(k, new Map()).get(k);
+    set.set(cusip, h.NAMEOFISSUER);
+  }
+  let named = 0;
+  for (const [k, cusips] of cusipsByKey) {
+    if (cusips.size !== 1) continue;
+    const [[cusip, name]] = cusips;
+    stmts.push({ sql: `INSERT OR IGNORE INTO cusip_tickers (cusip, ticker, issuer_name, source) VALUES (?, ?, ?, 'name')`, args: [cusip, byKey.get(k), name.slice(0, 200)] });
+    named++;
+  }
+  for (let i = 0; i < stmts.length; i += 100) await dbBatch(stmts.slice(i, i + 100));
+  const map = new Map((await dbQuery('SELECT cusip, ticker FROM cusip_tickers')).map(r => [r.cusip, r.ticker]));
+  log(`  CUSIP map: ${sched.length} from 13D/G, ${named} name candidates, ${map.size} total`);
+  return map;
+}
+
+// ─── Quarterly data set ───────────────────────────────────────────────────────
+// The data sets are cut by filing date: since 2024 in three-month windows named
+// by their first and last day (01dec2024-28feb2025 carries the Q4 2024
+// reports), before that by calendar quarter (2023q1 carries Q4 2022). Either
+// way only reports for the wanted period are kept.
+const MON = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+function dataSetUrls(year, q) {
+  const base = 'https://www.sec.gov/files/structureddata/data/form-13f-data-sets/';
+  const start = new Date(Date.UTC(year, q * 3 - 1, 1));
+  const end   = new Date(Date.UTC(year, q * 3 + 2, 0));
+  const d = t => String(t.getUTCDate()).padStart(2, '0') + MON[t.getUTCMonth()] + t.getUTCFullYear();
+  const next = q === 4 ? { year: year + 1, q: 1 } : { year, q: q + 1 };
+  return [`${base}${d(start)}-${d(end)}_form13f.zip`, `${base}${next.year}q${next.q}_form13f.zip`];
+}
+
+async function syncQuarter(year, q) {
+  const key = `13F ${year}Q${q}`;
+  const period = new Date(Date.UTC(year, q * 3, 0)).toISOString().slice(0, 10);
+  const already = await dbQuery('SELECT 1 AS n FROM sync_log WHERE quarter = ?', [key]);
+  if (already.length) { log(`${key}: already synced`); return; }
+
+  let zipBuf = null;
+  for (const url of dataSetUrls(year, q)) {
+    log(`${key}: downloading ${url}`);
+    const { status, body } = await source.get(url, 300000);
+    if (status === 200) { zipBuf = body; break; }
+    log(`${key}: HTTP ${status}`);
+  }
+  if (!zipBuf) { log(`${key}: no data set, skipping`); return; }
+  log(`${key}: ${(zipBuf.length / 1024 / 1024).toFixed(1)}MB downloaded`);
+
+  // 13F-HR and 13F-HR/A for this period. 13F-NT (notice) filers hold nothing
+  // themselves; their positions are in another manager's report.
+  const subs = {};
+  for (const s of tsvRows(extractOne(zipBuf, 'SUBMISSION', log))) {
+    const type = (s.SUBMISSIONTYPE || '').trim().toUpperCase();
+    if (type !== '13F-HR' && type !== '13F-HR/A') continue;
+    if (toIsoDate(s.PERIODOFREPORT) !== period) continue;
+    subs[s.ACCESSION_NUMBER] = { cik: String(parseInt(s.CIK, 10)), filed: toIsoDate(s.FILING_DATE), amend: type.endsWith('/A') };
+  }
+  for (const c of tsvRows(extractOne(zipBuf, 'COVERPAGE', log))) {
+    const sub = subs[c.ACCESSION_NUMBER];
+    if (!sub) continue;
+    sub.manager = (c.FILINGMANAGER_NAME || '').trim().slice(0, 200) || null;
+    sub.restates = sub.amend && /RESTATE/i.test(c.AMENDMENTTYPE || '');
+  }
+  log(`${key}: ${Object.keys(subs).length} 13F-HR reports for ${period}`);
+
+  const infoBuf = extractBuffer(zipBuf, 'INFOTABLE');
+  zipBuf = null;
+  if (!infoBuf) { log(`${key}: INFOTABLE not found`); return; }
+  const cusipMap = await updateCusipMap(infoBuf);
+
+  // Long share positions only (no options, no principal amounts), summed per
+  // CUSIP across the report's lines. VALUE was in thousands until 2023.
+  const byAcc = {};
+  for (const h of tsvBufferRows(infoBuf)) {
+    const sub = subs[h.ACCESSION_NUMBER];
+    const cusip = (h.CUSIP || '').toUpperCase();
+    if (!sub || !cusipMap.has(cusip) || h.PUTCALL || (h.SSHPRNAMTTYPE || 'SH').toUpperCase() !== 'SH') continue;
+    const shares = Math.round(Math.abs(parseFloat(h.SSHPRNAMT || '0') || 0));
+    const value  = Math.round(Math.abs(parseFloat(h.VALUE || '0') || 0) * (sub.filed < '2023-01-03' ? 1000 : 1));
+    if (!shares || shares > 50_000_000_000) continue;
+    const pos = (byAcc[h.ACCESSION_NUMBER] || (byAcc[h.ACCESSION_NUMBER] = new Map()));
+    const p = pos.get(cusip) || { shares: 0, value: 0 };
+    p.shares += shares; p.value += value;
+    pos.set(cusip, p);
+  }
+
+  // Per manager, in filing order: the original report, replaced outright by a
+  // restatement, added to by a "new holdings" amendment.
+  const books = {};
+  const accs = Object.keys(byAcc).sort((a, b) => (subs[a].filed || '').localeCompare(subs[b].filed || '') || a.localeCompare(b));
+  for (const acc of accs) {
+    const sub = subs[acc];
+    if (!books[sub.cik] || !sub.amend || sub.restates) books[sub.cik] = { manager: sub.manager, positions: new Map() };
+    const book = books[sub.cik];
+    book.manager = sub.manager || book.manager;
+    for (const [cusip, p] of byAcc[acc]) book.positions.set(cusip, { ...p, acc, filed: sub.filed });
+  }
+
+  const rows = [];
+  for (const [cik, book] of Object.entries(books)) {
+    for (const [cusip, p] of book.positions) rows.push([period, cik, cusip, book.manager, p.shares, p.value, p.acc, p.filed]);
+  }
+  await dbRun('DELETE FROM institutional_holdings WHERE quarter = ?', [period]);
+  const inserted = await insertBatch(rows, INSERT_HOLDING_SQL);
+  await dbRun('INSERT OR REPLACE INTO sync_log (quarter, rows) VALUES (?, ?)', [key, inserted]);
+  log(`${key}: complete (${Object.keys(books).length} managers, ${inserted} positions)`);
+}
+
+function getQuarters(n) {
+  const out = [];
+  let yr = new Date().getFullYear(), q = Math.ceil((new Date().getMonth() + 1) / 3);
+  while (out.length < n) {
+    if (--q < 1) { q = 4; yr--; }
+    out.push({ year: yr, q });
+  }
+  return out;
+}
+
+const { source, args: cliArgs } = sourceFromArgs(process.argv.slice(2));
+
+(async () => {
+  const numQ = parseInt(cliArgs[0] || '4');
+  log(`=== form13f-worker start — ${numQ} quarters, source=${source.name} ===`);
+  await initSchema();
+  for (const { year, q } of getQuarters(numQ)) {
+    await syncQuarter(year, q);
+  }
+  const count = await dbQuery('SELECT COUNT(*) AS n FROM institutional_holdings');
+  log(`=== form13f-worker done — ${(count[0]?.n || 0).toLocaleString()} positions ===`);
+  process.exit(0);
+})();
@@ -0,0 +1,122 @@
+'use strict';
+
+// SEC business days and Form 4 filing latency. A Form 4 is due before the end
+// of the second business day after the transaction (Exchange Act Rule 16a-3),
+// and SEC business days skip weekends and federal holidays - EDGAR is open on
+// Good Friday, shut on Columbus and Veterans Day. Latency is the number of
+// business days after the trade date through the filing date: 0 = same day,
+// 2 = on the deadline, 3+ = late.
+
+const FORM4_DUE_DAYS = 2;
+
+// Days EDGAR was closed outside the statutory holidays (executive-order
+// closures, national days of mourning, Hurricane Sandy).
+const EXTRA_CLOSURES = [
+  '2001-12-24', '2003-12-26', '2004-06-11', '2007-01-02', '2007-12-24', '2008-12-26',
+  '2012-10-29', '2012-10-30', '2012-12-24', '2014-12-26', '2015-12-24', '2018-12-05',
+  '2018-12-24', '2019-12-24', '2020-12-24', '2024-12-24', '2025-01-09', '2025-12-24',
+  '2025-12-26',
+];
+
+// Transaction codes whose reporting may be deferred to Form 5, so a "late"
+// Form 4 for them is not a violation: L (small acquisitions), W (will or
+// inheritance), and G (gifts) until the 2023 amendments made gifts a 2-day item.
+const DEFERRABLE = new Set(['L', 'W']);
+const GIFTS_DUE_FROM = '2023-02-27';
+
+const DAY = 86400000;
+const ymd = t => new Date(t).toISOString().slice(0, 10);
+const utc = s => Date.UTC(+s.slice(0, 4), +s.slice(5, 7) - 1, +s.slice(8, 10));
+const valid = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '').slice(0, 10));
+
+// nth weekday (0 = Sun) of a month; n = -1 is the last one.
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return Date.UTC(year, month - 1, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0));
+  return lastDay.getTime() - ((lastDay.getUTCDay() - weekday + 7) % 7) * DAY;
+}
+// A fixed-date holiday on a Saturday is observed Friday, on a Sunday Monday.
+function observed(year, month, day) {
+  const t = Date.UTC(year, month - 1, day), dow = new Date(t).getUTCDay();
+  return dow === 6 ? t - DAY : dow === 0 ? t + DAY : t;
+}
+
+const _byYear = new Map();
+// Federal holidays (observed dates) falling in `year`, as YYYY-MM-DD.
+function federalHolidays(year) {
+  if (_byYear.has(year)) return _byYear.get(year);
+  const days = [
+    observed(year, 1, 1),
+    observed(year + 1, 1, 1),          // New Year's on a Saturday is observed Dec 31
+    year >= 1986 ? nthWeekday(year, 1, 1, 3) : null,
+    nthWeekday(year, 2, 1, 3),
+    nthWeekday(year, 5, 1, -1),
+    year >= 2021 ? observed(year, 6, 19) : null,
+    observed(year, 7, 4),
+    nthWeekday(year, 9, 1, 1),
+    nthWeekday(year, 10, 1, 2),
+    observed(year, 11, 11),
+    nthWeekday(year, 11, 4, 4),
+    observed(year, 12, 25),
+  ].filter(t => t != null).map(ymd).filter(d => +d.slice(0, 4) === year);
+  const set = new Set([...days, ...EXTRA_CLOSURES.filter(d => +d.slice(0, 4) === year)]);
+  const list = [...set].sort();
+  _byYear.set(year, list);
+  return list;
+}
+
+function isBusinessDay(date) {
+  if (!valid(date)) return false;
+  const d = String(date).slice(0, 10), dow = new Date(utc(d)).getUTCDay();
+  return dow !== 0 && dow !== 6 && !federalHolidays(+d.slice(0, 4)).includes(d);
+}
+
+// Weekdays in (from, to], by whole weeks plus the remainder.
+function _weekdaysAfter(fromT, toT) {
+  const days = Math.round((toT - fromT) / DAY);
+  let n = Math.floor(days / 7) * 5;
+  let dow = new Date(fromT).getUTCDay();
+  for (let i = 0; i < days % 7; i++) { dow = (dow + 1) % 7; if (dow !== 0 && dow !== 6) n++; }
+  return n;
+}
+
+// Business days d with from < d <= to; null for bad dates or to before from.
+function businessDaysBetween(from, to) {
+  if (!valid(from) || !valid(to)) return null;
+  const a = String(from).slice(0, 10), b = String(to).slice(0, 10);
+  if (b < a) return null;
+  let n = _weekdaysAfter(utc(a), utc(b));
+  for (let y = +a.slice(0, 4); y <= +b.slice(0, 4); y++) {
+    for (const h of federalHolidays(y)) if (h > a && h <= b) n--;
+  }
+  return n;
+}
+
+// Business days from trade to filing; null when either date is missing or the
+// filing predates the trade (bad data).
+function filingLatency(tradeDate, filingDate) {
+  return businessDaysBetween(tradeDate, filingDate);
+}
+
+// 1 late, 0 on time, null when the deadline does not apply (Form 5 rows,
+// deferrable codes, unknown latency).
+function isLateFiling(latency, code, tradeDate, form = '4') {
+  if (latency == null || form === '5') return null;
+  const c = String(code || '').trim().toUpperCase();
+  if (DEFERRABLE.has(c) || (c === 'G' && String(tradeDate) < GIFTS_DUE_FROM)) return null;
+  return latency > FORM4_DUE_DAYS ? 1 : 0;
+}
+
+// [filing_latency, late_filing] as stored on trades / form5_trades rows.
+function latencyCols(tradeDate, filingDate, code, form = '4') {
+  const latency = filingLatency(tradeDate, filingDate);
+  return [latency, isLateFiling(latency, code, tradeDate, form)];
+}
+
+module.exports = {
+  FORM4_DUE_DAYS, EXTRA_CLOSURES,
+  federalHolidays, isBusinessDay, businessDaysBetween, filingLatency, isLateFiling, latencyCols,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+// Congressional (STOCK Act) periodic transaction reports. Members of the House
+// and Senate disclose trades within 45 days, with the size given only as a
+// dollar range ("$1,001 - $15,000"). The module is optional and off unless
+// CONGRESS_TRADES=on; while off the worker is a no-op and the API, pages,
+// articles and sitemap entries are hidden.
+//
+// Reports come from a JSON feed per chamber, one object per transaction. Both
+// the House/Senate Stock Watcher layout (representative / senator,
+// transaction_date, amount, ptr_link) and FMP's camelCase layout are read.
+// Sources, chosen with --source=<spec> or CONGRESS_SOURCE:
+//   live           CONGRESS_HOUSE_URL and CONGRESS_SENATE_URL (default); there
+//                  is no built-in feed, so a chamber without a URL is skipped,
+//                  and a chamber whose fetch fails is logged and skipped
+//   dir:<path>     a folder of saved feeds (*.json), e.g. a test file drop
+//   <file>.json    a single saved feed
+// The chamber is taken from each record (representative/district vs senator),
+// else from the file name.
+
+const fs    = require('fs');
+const path  = require('path');
+const https = require('https');
+
+function congressEnabled() {
+  return /^(1|on|true|yes)$/i.test(String(process.env.CONGRESS_TRADES || '').trim());
+}
+
+// Lower bound of a disclosure range; the figure used for sizing and totals so
+// a "$1,001 - $15,000" trade never reads as $15K. Unparseable -> the smallest
+// band's floor.
+function parseAmountRange(s) {
+  if (!s) return 1001;
+  const nums = String(s).replace(/[$,]/g, '').match(/\d+/g);
+  if (!nums || !nums.length) return 1001;
+  return parseInt(nums[0]) || 1001;
+}
+// Upper bound, or null for the open-ended "Over $50,000,000" band.
+function amountHigh(s) {
+  const nums = String(s || '').replace(/[$,]/g, '').match(/\d+/g);
+  return nums && nums.length > 1 ? parseInt(nums[1]) || null : null;
+}
+
+// MM/DD/YYYY or YYYY-MM-DD -> YYYY-MM-DD. The feeds carry typos ("0021-09-27"),
+// so anything before the STOCK Act is dropped.
+function isoDate(s) {
+  s = String(s || '').trim();
+  const m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+  const d = m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : (s.match(/^\d{4}-\d{2}-\d{2}/) || [])[0];
+  return d && d >= '2012-01-01' && d <= '2099-12-31' ? d : null;
+}
+
+const TX_TYPES = [[/purchase|buy/i, 'purchase'], [/partial/i, 'sale_partial'], [/sale|sell/i, 'sale'], [/exchange/i, 'exchange']];
+function txType(s) {
+  const hit = TX_TYPES.find(([re]) => re.test(String(s || '')));
+  return hit ? hit[1] : null;
+}
+
+// "Hon. Nancy Pelosi" -> "Nancy Pelosi"
+function memberName(s) {
+  return String(s || '').replace(/^\s*(hon\.?|rep\.?|sen\.?|senator|representative)\s+/i, '').replace(/\s+/g, ' ').trim();
+}
+function memberSlug(name) {
+  return memberName(name).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function chamberOf(r, fallback) {
+  if (r.representative || r.district) return 'house';
+  if (r.senator || r.office) return 'senate';
+  return fallback || null;
+}
+
+// One feed record -> a congress_trades row, or null when it is not a dated
+// transaction by a named member.
+function normalizeTrade(r, fallbackChamber) {
+  const chamber = chamberOf(r, fallbackChamber);
+  const member = memberName(r.representative || r.senator || r.office
+    || [r.first_name || r.firstName, r.last_name || r.lastName].filter(Boolean).join(' '));
+  const txDate = isoDate(r.transaction_date || r.transactionDate);
+  const type = txType(r.type);
+  if (!chamber || !member || !txDate || !type) return null;
+  // Senate tickers sometimes arrive wrapped in an <a> tag; "--" means none.
+  const rawTicker = String(r.ticker || r.symbol || '').replace(/<[^>]+>/g, '').trim().toUpperCase();
+  const amount = String(r.amount || '').trim() || null;
+  return {
+    chamber, member, slug: memberSlug(member),
+    state: (r.state || (r.district ? String(r.district).slice(0, 2) : '') || '').toUpperCase() || null,
+    district: r.district || null, party: r.party || null,
+    ticker: /^[A-Z][A-Z0-9.\-]{0,9}$/.test(rawTicker) ? rawTicker : null,
+    asset: String(r.asset_description || r.assetDescription || '').replace(/<[^>]+>/g, '').trim().slice(0, 300) || null,
+    assetType: r.asset_type || r.assetType || null,
+    owner: String(r.owner || '').replace(/^--$/, '').trim() || null,
+    txType: type, txDate,
+    disclosureDate: isoDate(r.disclosure_date || r.disclosureDate || r.dateRecieved || r.dateReceived),
+    amountRange: amount, amountLow: amount ? parseAmountRange(amount) : null, amountHigh: amount ? amountHigh(amount) : null,
+    link: r.ptr_link || r.link || null,
+    comment: String(r.comment || '').replace(/^--$/, '').trim().slice(0, 500) || null,
+  };
+}
+
+// ─── Sources ──────────────────────────────────────────────────────────────────
+function fetchBuffer(url, ms = 60000, _hops = 0) {
+  if (_hops > 5) return Promise.reject(new Error('Too many redirects'));
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers: { 'User-Agent': 'InsiderTape/2.0 admin@insidertape.com' }, timeout: ms }, res => {
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume();
+        return fetchBuffer(new URL(res.headers.location, url).href, ms, _hops + 1).then(resolve).catch(reject);
+      }
+      if (res.statusCode !== 200) { res.resume(); return reject(new Error(`HTTP ${res.statusCode} for ${url}`)); }
+      const chunks = [];
+      res.on('data', c => chunks.push(c));
+      res.on('end', () => resolve(Buffer.concat(chunks)));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
+  });
+}
+
+// A feed is a JSON array, or an object wrapping one ({ data: [...] }).
+function parseFeed(buf) {
+  const j = JSON.parse(buf.toString('utf8'));
+  return Array.isArray(j) ? j : (j.data || j.transactions || j.results || []);
+}
+
+// load() -> [{ chamber, records, error }]; chamber is null when only the
+// records say. A live chamber that can't be read comes back with no records and
+// the reason in error, so one dead feed doesn't cost the other chamber's run.
+function openCongressSource(spec) {
+  spec = String(spec || 'live').trim();
+  if (spec === 'live') {
+    const urls = { house: process.env.CONGRESS_HOUSE_URL, senate: process.env.CONGRESS_SENATE_URL };
+    return {
+      name: 'live', local: false,
+      async load() {
+        const out = [];
+        for (const [chamber, url] of Object.entries(urls)) {
+          if (!url) { out.push({ chamber, records: [], error: `CONGRESS_${chamber.toUpperCase()}_URL not set` }); continue; }
+          try { out.push({ chamber, records: parseFeed(await fetchBuffer(url)) }); }
+          catch (e) { out.push({ chamber, records: [], error: e.message }); }
+        }
+        return out;
+      },
+    };
+  }
+  const target = path.resolve(spec.replace(/^dir:/, ''));
+  if (!fs.existsSync(target)) throw new Error(`congress source not found: ${target}`);
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(f => /\.json$/i.test(f)).sort().map(f => path.join(target, f))
+    : [target];
+  return {
+    name: `${fs.statSync(target).isDirectory() ? 'dir' : 'file'}:${target}`, local: true,
+    async load() {
+      return files.map(f => {
+        const base = path.basename(f).toLowerCase();
+        return { chamber: /senate/.test(base) ? 'senate' : /house/.test(base) ? 'house' : null, records: parseFeed(fs.readFileSync(f)) };
+      });
+    },
+  };
+}
+
+function congressSourceFromArgs(argv) {
+  const flag = argv.find(a => a.startsWith('--source='));
+  return {
+    source: openCongressSource(flag ? flag.slice('--source='.length) : process.env.CONGRESS_SOURCE),
+    args: argv.filter(a => a !== flag),
+  };
+}
+
+module.exports = { congressEnabled, parseAmountRange, amountHigh, memberName, memberSlug, normalizeTrade, openCongressSource, congressSourceFromArgs };
@@ -0,0 +1,73 @@
+'use strict';
+
+// Stock splits and reverse splits. The provider's daily bars are split-adjusted
+// back through history, but a Form 4 reports price, shares and shares owned as
+// they stood on the trade date. Adjusting a trade divides its price (and
+// multiplies its share counts) by every split that took effect after it, which
+// puts it on the same scale as the chart and today's share count. The reported
+// columns are never rewritten; the adjusted figures ride alongside as adj_*.
+
+// corporate_actions row: one per ticker, ex-date and action. ratio is new
+// shares per old share (4 for a 4-for-1, 0.1 for a 1-for-10 reverse split).
+const UPSERT_ACTION_SQL = `INSERT OR REPLACE INTO corporate_actions (ticker, ex_date, action_type, numerator, denominator, ratio, source, updated_at) VALUES (?,?,?,?,?,?,?,?)`;
+
+// Splits from a Yahoo chart result fetched with &events=split. The events come
+// keyed by timestamp: { date, numerator, denominator, splitRatio: "4:1" }.
+function splitsFromChart(result) {
+  const raw = result?.events?.splits;
+  if (!raw) return [];
+  const out = [];
+  for (const s of Object.values(raw)) {
+    let num = +s.numerator, den = +s.denominator;
+    if (!(num > 0 && den > 0)) {
+      const m = String(s.splitRatio || '').match(/^\s*([\d.]+)\s*[:/]\s*([\d.]+)\s*$/);
+      if (!m) continue;
+      num = +m[1]; den = +m[2];
+    }
+    if (!(num > 0 && den > 0) || num === den || !s.date) continue;
+    out.push({
+      date: new Date(s.date * 1000).toISOString().slice(0, 10),
+      type: num > den ? 'split' : 'reverse_split',
+      numerator: num, denominator: den, ratio: num / den,
+    });
+  }
+  return out.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+function actionRows(ticker, splits, source = 'yahoo') {
+  const now = Date.now();
+  return splits.map(s => [ticker, s.date, s.type, s.numerator, s.denominator, s.ratio, source, now]);
+}
+
+// Cumulative ratio of the splits after `date`. A trade on the ex-date already
+// trades on the new basis, so only strictly later ex-dates count.
+function splitFactor(splits, date) {
+  if (!splits?.length || !date) return 1;
+  const d = String(date).slice(0, 10);
+  let f = 1;
+  for (const s of splits) if ((s.date || s.ex_date) > d) f *= s.ratio;
+  return f;
+}
+
+// Adds split_factor and adj_price / adj_qty / adj_owned (plus the price range
+// when present) to a trade row in place. The factor is 1 when nothing split.
+function adjustTrade(t, splits, dateKey = 'trade') {
+  const f = splitFactor(splits, t[dateKey] || t.filing);
+  const px = v => (v == null ? v : +(v / f).toFixed(4));
+  const sh = v => (v == null ? v : Math.round(v * f));
+  t.split_factor = f;
+  t.adj_price = px(t.price);
+  t.adj_qty = sh(t.qty);
+  t.adj_owned = sh(t.owned);
+  if ('price_low' in t) { t.adj_price_low = px(t.price_low); t.adj_price_high = px(t.price_high); }
+  return t;
+}
+
+// Share count reported on `from`, restated on the basis of `to` (both dates);
+// how a holding from an older filing is compared with a newer one.
+function restateShares(shares, splits, from, to) {
+  if (!shares) return shares;
+  return Math.round(shares * splitFactor(splits, from) / splitFactor(splits, to));
+}
+
+module.exports = { UPSERT_ACTION_SQL, splitsFromChart, actionRows, splitFactor, adjustTrade, restateShares };
@@ -0,0 +1,174 @@
+'use strict';
+
+// SEC structured data sets (Form 3/4/5, Form 13F): a ZIP of tab-separated
+// tables. sync-worker streams each table's rows out of the downloaded ZIP
+// (openDataset); form13f-worker pulls whole tables (extractBuffer / extractOne)
+// and walks their rows keyed by the upper-cased header.
+
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// DD-MON-YYYY (the data-set format) or YYYY-MM-DD -> YYYY-MM-DD, no range check.
+function toIsoDate(s) {
+  if (!s) return null;
+  const mon = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
+  const m = s.match(/^(\d{2})-([A-Z]{3})-(\d{4})$/i);
+  if (m) return `${m[3]}-${mon[m[2].toUpperCase()] || '01'}-${m[1]}`;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s.slice(0, 10);
+  return null;
+}
+
+// ─── ZIP central directory ────────────────────────────────────────────────────
+// Entries are located through the central directory at the end of the archive,
+// never by scanning local headers: a streamed-out entry (general-purpose flag
+// bit 3) has zero sizes in its local header and the real ones only in the data
+// descriptor after the data, and past 4 GB / 65,535 entries the sizes and
+// offsets move to ZIP64 records. The directory has the true values in all cases.
+
+const SIG_EOCD = 0x06054b50, SIG_EOCD64 = 0x06064b50, SIG_LOC64 = 0x07064b50, SIG_CEN = 0x02014b50, SIG_LOC = 0x04034b50;
+const u64 = (buf, pos) => Number(buf.readBigUInt64LE(pos));
+
+// -> [{ name, method, flags, compSize, size, offset }] in directory order.
+function zipEntries(buf) {
+  // End of central directory: 22 bytes plus a comment of up to 64 KB.
+  let eocd = -1;
+  for (let pos = buf.length - 22; pos >= Math.max(0, buf.length - 22 - 0xffff); pos--) {
+    if (buf.readUInt32LE(pos) === SIG_EOCD) { eocd = pos; break; }
+  }
+  if (eocd < 0) throw new Error('not a ZIP archive (no end of central directory)');
+  let count = buf.readUInt16LE(eocd + 10), cdSize = buf.readUInt32LE(eocd + 12), cdOffset = buf.readUInt32LE(eocd + 16);
+  if (eocd >= 20 && buf.readUInt32LE(eocd - 20) === SIG_LOC64) {
+    const rec = u64(buf, eocd - 20 + 8);
+    if (buf.readUInt32LE(rec) !== SIG_EOCD64) throw new Error('bad ZIP64 end of central directory');
+    count = u64(buf, rec + 32); cdSize = u64(buf, rec + 40); cdOffset = u64(buf, rec + 48);
+  }
+  if (cdOffset + cdSize > buf.length) throw new Error('truncated ZIP archive');
+
+  const entries = [];
+  for (let pos = cdOffset, i = 0; i < count; i++) {
+    if (buf.readUInt32LE(pos) !== SIG_CEN) throw new Error(`bad central directory entry ${i}`);
+    const fnLen = buf.readUInt16LE(pos + 28), exLen = buf.readUInt16LE(pos + 30), cmLen = buf.readUInt16LE(pos + 32);
+    const e = {
+      name: buf.toString('utf8', pos + 46, pos + 46 + fnLen),
+      flags: buf.readUInt16LE(pos + 8), method: buf.readUInt16LE(pos + 10),
+      compSize: buf.readUInt32LE(pos + 20), size: buf.readUInt32LE(pos + 24), offset: buf.readUInt32LE(pos + 42),
+    };
+    // ZIP64 extended information (header 0x0001) holds, in this order, each
+    // field whose 32-bit slot is saturated.
+    for (let x = pos + 46 + fnLen, end = x + exLen; x + 4 <= end;) {
+      const id = buf.readUInt16LE(x), len = buf.readUInt16LE(x + 2);
+      if (id === 0x0001) {
+        let f = x + 4;
+        if (e.size === 0xffffffff)     { e.size = u64(buf, f); f += 8; }
+        if (e.compSize === 0xffffffff) { e.compSize = u64(buf, f); f += 8; }
+        if (e.offset === 0xffffffff)   { e.offset = u64(buf, f); }
+      }
+      x += 4 + len;
+    }
+    entries.push(e);
+    pos += 46 + fnLen + exLen + cmLen;
+  }
+  return entries;
+}
+
+// The first entry whose base name starts with targetPrefix (data-set tables
+// are named NONDERIV_TRANS.tsv etc., sometimes under a folder).
+function findEntry(entries, targetPrefix) {
+  const want = targetPrefix.toUpperCase();
+  return entries.find(e => e.name.split('/').pop().toUpperCase().startsWith(want)) || null;
+}
+
+// The entry's stored (still compressed) bytes. The local header's name and
+// extra lengths can differ from the directory's, so they are read there.
+function entryBytes(buf, e) {
+  if (e.flags & 1) throw new Error(`${e.name}: encrypted entries are not supported`);
+  if (e.method !== 0 && e.method !== 8) throw new Error(`${e.name}: compression method ${e.method} not supported`);
+  if (buf.readUInt32LE(e.offset) !== SIG_LOC) throw new Error(`${e.name}: bad local header`);
+  const start = e.offset + 30 + buf.readUInt16LE(e.offset + 26) + buf.readUInt16LE(e.offset + 28);
+  return buf.subarray(start, start + e.compSize);
+}
+
+// Inflated bytes of the first entry whose file name starts with targetPrefix.
+function extractBuffer(zipBuf, targetPrefix) {
+  const e = findEntry(zipEntries(zipBuf), targetPrefix);
+  if (!e) return null;
+  const data = entryBytes(zipBuf, e);
+  return e.method === 8 ? zlib.inflateRawSync(data) : data;
+}
+
+function extractOne(zipBuf, targetPrefix, log = () => {}) {
+  const raw = extractBuffer(zipBuf, targetPrefix);
+  if (!raw) return null;
+  const lines = raw.toString('utf8').split('\n');
+  log(`  ${targetPrefix}: ${lines.length} lines`);
+  return lines;
+}
+
+function* tsvRows(lines) {
+  if (!lines?.length) return;
+  const hdrs = lines[0].split('\t').map(h => h.trim().toUpperCase());
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cols = lines[i].split('\t'), row = {};
+    hdrs.forEach((h, j) => { row[h] = (cols[j] || '').trim(); });
+    yield row;
+  }
+}
+
+// Same rows straight off the inflated bytes, one line decoded at a time: the
+// 13F INFOTABLE runs past V8's maximum string length.
+function* tsvBufferRows(buf) {
+  if (!buf?.length) return;
+  let hdrs = null;
+  for (let pos = 0; pos < buf.length;) {
+    let end = buf.indexOf(0x0a, pos);
+    if (end < 0) end = buf.length;
+    const line = buf.toString('utf8', pos, end);
+    pos = end + 1;
+    if (!hdrs) { hdrs = line.split('\t').map(h => h.trim().toUpperCase()); continue; }
+    if (!line.trim()) continue;
+    const cols = line.split('\t'), row = {};
+    hdrs.forEach((h, j) => { row[h] = (cols[j] || '').trim(); });
+    yield row;
+  }
+}
+
+// ─── Streaming rows ───────────────────────────────────────────────────────────
+// A data set opened once: its directory is read up front and each table is
+// inflated as a stream and split into rows as the bytes arrive, so memory holds
+// the compressed archive and a chunk at a time, never a whole inflated table.
+//   rows(prefix)  async iterable of row objects keyed by upper-cased header
+//                 (empty when the table is missing)
+//   has(prefix)   whether the archive has the table
+function openDataset(zipBuf) {
+  const entries = zipEntries(zipBuf);
+  async function* rows(targetPrefix) {
+    const e = findEntry(entries, targetPrefix);
+    if (!e) return;
+    const data = entryBytes(zipBuf, e);
+    const stream = e.method === 8
+      ? Readable.from([data], { objectMode: false }).pipe(zlib.createInflateRaw({ chunkSize: 256 * 1024 }))
+      : Readable.from([data], { objectMode: false });
+    let hdrs = null, rest = null;
+    function* lines(buf, final) {
+      let pos = 0;
+      for (;;) {
+        let end = buf.indexOf(0x0a, pos);
+        if (end < 0) { if (!final) break; end = buf.length; if (pos >= end) break; }
+        const line = buf.toString('utf8', pos, end).replace(/\r$/, '');
+        pos = end + 1;
+        if (!hdrs) { hdrs = line.split('\t').map(h => h.trim().toUpperCase()); continue; }
+        if (!line.trim()) continue;
+        const cols = line.split('\t'), row = {};
+        hdrs.forEach((h, j) => { row[h] = (cols[j] || '').trim(); });
+        yield row;
+      }
+      rest = pos < buf.length ? buf.subarray(pos) : null;
+    }
+    for await (const chunk of stream) yield* lines(rest ? Buffer.concat([rest, chunk]) : chunk, false);
+    if (rest) yield* lines(rest, true);
+  }
+  return { entries, has: targetPrefix => !!findEntry(entries, targetPrefix), rows };
+}
+
+module.exports = { toIsoDate, zipEntries, extractBuffer, extractOne, tsvRows, tsvBufferRows, openDataset };
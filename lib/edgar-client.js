@@ -0,0 +1,174 @@
+'use strict';
+
+// One scheduler for every request to SEC hosts (www.sec.gov, efts.sec.gov,
+// data.sec.gov). The SEC's fair-access policy allows 10 requests a second per
+// client, with a User-Agent naming who is asking; going over gets the IP
+// refused for ten minutes. So the budget is process-wide, not per caller:
+// the ingestion workers, the SIC and XBRL lookups all draw from the same
+// client (sharedEdgarClient).
+//
+//   rate         requests started per second, evenly spaced (10)
+//   concurrency  requests in flight at once (8)
+//   retries      429 / 5xx / throttle 403 / network errors are retried with
+//                exponential backoff and jitter; Retry-After wins when
+//                longer, and a throttle pauses the whole budget, not just the
+//                request that hit it
+//   cache        recent responses (200 and 404) by URL, so fallbacks that
+//                probe the same index page or document twice cost one request
+//
+// Set SEC_USER_AGENT to declare a different contact.
+
+const https = require('https');
+const zlib  = require('zlib');
+
+const UA = process.env.SEC_USER_AGENT || 'InsiderTape/2.0 admin@insidertape.com';
+
+const RETRY_STATUS = new Set([429, 500, 502, 503, 504]);
+// EDGAR answers an over-limit client with a 403 page rather than a 429.
+const isThrottle = (status, body) => status === 429 || (status === 403 && /Request Rate Threshold Exceeded/i.test(body.toString('utf8', 0, 4096)));
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function createEdgarClient({
+  rate = 10, concurrency = 8, retries = 4, userAgent = UA,
+  cacheTtl = 10 * 60000, cacheBytes = 64 << 20, maxCacheable = 2 << 20,
+} = {}) {
+  // Starts are spaced a hair over 1000/rate ms so no 1-second window holds more than `rate`.
+  const spacing = Math.ceil(1000 / rate) + 1;
+  let nextSlot = 0, pausedUntil = 0, active = 0;
+  const waiting = [];
+  const cache = new Map();   // url -> { at, status, body }; insertion order = LRU order
+  let cached = 0;
+  const stats = { requests: 0, retries: 0, throttled: 0, cacheHits: 0, errors: 0 };
+
+  async function slot() {
+    if (active >= concurrency) await new Promise(r => waiting.push(r));
+    else active++;
+    const now = Date.now();
+    const at = Math.max(now, nextSlot, pausedUntil);
+    nextSlot = at + spacing;
+    if (at > now) await sleep(at - now);
+    // A throttle seen by another request while this one waited holds it too.
+    while (pausedUntil > Date.now()) await sleep(pausedUntil - Date.now());
+  }
+  function release() {
+    const next = waiting.shift();
+    if (next) next(); else active--;
+  }
+
+  function fromCache(url) {
+    const hit = cache.get(url);
+    if (!hit) return null;
+    cache.delete(url);
+    if (Date.now() - hit.at > cacheTtl) { cached -= hit.body.length; return null; }
+    cache.set(url, hit);
+    stats.cacheHits++;
+    return { status: hit.status, body: hit.body, cached: true };
+  }
+  function remember(url, status, body) {
+    if ((status !== 200 && status !== 404) || body.length > maxCacheable || !cacheTtl) return;
+    const old = cache.get(url);
+    if (old) { cache.delete(url); cached -= old.body.length; }
+    cache.set(url, { at: Date.now(), status, body });
+    cached += body.length;
+    for (const [k, v] of cache) {
+      if (cached <= cacheBytes) break;
+      cache.delete(k); cached -= v.body.length;
+    }
+  }
+
+  // One HTTP exchange inside a slot; redirects are followed as new requests.
+  function request(url, ms) {
+    return new Promise((resolve, reject) => {
+      const req = https.get(url, { headers: { 'User-Agent': userAgent, 'Accept-Encoding': 'gzip, deflate' }, timeout: ms }, res => {
+        const chunks = [];
+        res.on('data', c => chunks.push(c));
+        res.on('end', () => {
+          let body = Buffer.concat(chunks);
+          try {
+            const enc = (res.headers['content-encoding'] || '').toLowerCase();
+            if (enc === 'gzip') body = zlib.gunzipSync(body);
+            else if (enc === 'deflate') body = zlib.inflateSync(body);
+          } catch (e) { return reject(e); }
+          resolve({ status: res.statusCode, headers: res.headers, body });
+        });
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
+    });
+  }
+
+  function backoff(attempt, retryAfter) {
+    const base = Math.min(30000, 1000 * 2 ** attempt);
+    const jitter = Math.round(base / 2 + Math.random() * base / 2);
+    const after = parseInt(retryAfter, 10);
+    return after > 0 ? Math.max(jitter, after * 1000) : jitter;
+  }
+
+  // -> { status, body: Buffer, cached? }. Throws only when every retry failed
+  // on a network error; HTTP errors come back as their status.
+  async function get(url, ms = 20000, _hops = 0) {
+    if (_hops > 5) throw new Error('Too many redirects');
+    const hit = fromCache(url);
+    if (hit) return hit;
+    for (let attempt = 0; ; attempt++) {
+      await slot();
+      let res, err;
+      try { stats.requests++; res = await request(url, ms); }
+      catch (e) { err = e; }
+      finally { release(); }
+
+      if (res && [301, 302, 303, 307, 308].includes(res.status) && res.headers.location) {
+        return get(new URL(res.headers.location, url).href, ms, _hops + 1);
+      }
+      const throttled = res && isThrottle(res.status, res.body);
+      if (res && !throttled && !RETRY_STATUS.has(res.status)) {
+        remember(url, res.status, res.body);
+        return { status: res.status, body: res.body };
+      }
+      if (attempt >= retries) {
+        if (res) return { status: res.status, body: res.body };
+        stats.errors++;
+        throw err;
+      }
+      const wait = backoff(attempt, res?.headers['retry-after']);
+      if (throttled) { stats.throttled++; pausedUntil = Math.max(pausedUntil, Date.now() + wait); }
+      stats.retries++;
+      await sleep(wait);
+    }
+  }
+
+  // JSON body, null on 404, throws on any other non-200.
+  async function getJson(url, ms = 30000) {
+    const { status, body } = await get(url, ms);
+    if (status === 404) return null;
+    if (status !== 200) throw new Error(`HTTP ${status} for ${url}`);
+    return JSON.parse(body.toString('utf8'));
+  }
+
+  return { get, getJson, stats: () => ({ ...stats, cachedBytes: cached }) };
+}
+
+let _shared = null;
+function sharedEdgarClient() {
+  if (!_shared) _shared = createEdgarClient();
+  return _shared;
+}
+
+// Runs fn over items with at most `limit` in flight; results come back in
+// item order in Promise.allSettled's shape.
+async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      try { out[i] = { status: 'fulfilled', value: await fn(items[i], i) }; }
+      catch (reason) { out[i] = { status: 'rejected', reason }; }
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return out;
+}
+
+module.exports = { UA, createEdgarClient, sharedEdgarClient, mapLimit };
@@ -0,0 +1,148 @@
+'use strict';
+
+// Insider entity resolution. A reporting owner is filed as free text, so one
+// person turns up as "SMITH JOHN A", "Smith John A." and "SMITH JOHN" across
+// filings and agents. Each distinct (name as filed, owner CIK) pair is an alias
+// of one insider_entities row; trades carry the resolved insider_id, and the
+// profile, score and leaderboard aggregate on it.
+//
+// Matching, in order:
+//   1. owner CIK - the SEC's id for the filer, unambiguous across spellings
+//   2. normalized name (case, punctuation and spacing ignored)
+//   3. loose name - a person's name without middle initials
+// A name match is only taken when it points at exactly one entity and that
+// entity's CIK (if any) agrees with the alias's. Anything else starts a new
+// entity; /api/admin/insiders/merge and /split correct what this gets wrong.
+
+const ENTITY_RE = /\b(inc|incorporated|llc|llp|lp|ltd|limited|plc|trust|group|partners|partnership|fund|funds|capital|holdings?|management|advisors?|advisers?|corp|corporation|company|ventures?|associates|bank|systems?|technolog\w*|labs?|international|global|financial|securities|investments?|properties|realty|resources|enterprises?|gmbh|ag|nv|foundation|pension|retirement)\b/i;
+
+const ENTITIES = { '&amp;': '&', '&#38;': '&', '&apos;': "'", '&#39;': "'", '&quot;': '"', '&lt;': '<', '&gt;': '>' };
+
+// "Smith, John A." -> "SMITH JOHN A"; "MERCK &amp; CO., INC." -> "MERCK & CO INC"
+function normalizeInsiderName(s) {
+  return String(s || '')
+    .replace(/&(amp|#38|apos|#39|quot|lt|gt);/gi, m => ENTITIES[m.toLowerCase()] || m)
+    .toUpperCase()
+    .replace(/[.,'’"]/g, ' ')
+    .replace(/[^A-Z0-9&\/\- ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Person names lose single-letter initials ("SMITH JOHN A" -> "SMITH JOHN");
+// JR / SR / III stay, they tell a father from a son. Firms are left whole.
+function looseName(norm) {
+  if (!norm || ENTITY_RE.test(norm)) return norm;
+  const toks = norm.split(' ').filter(t => t.length > 1);
+  return toks.length >= 2 ? toks.join(' ') : norm;
+}
+
+function insiderKind(name) { return ENTITY_RE.test(String(name || '')) ? 'entity' : 'person'; }
+
+// Same rule as the profile URLs ("MUSK ELON" -> "musk-elon").
+function insiderSlug(n) { return String(n || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''); }
+
+// In-memory matcher over the current entities. entities: [{ id, name, owner_cik }];
+// aliases: [{ alias, owner_cik, entity_id }] (owner_cik '' when none).
+function createResolver({ entities = [], aliases = [] } = {}) {
+  const cikOf = new Map(), byCik = new Map(), byNorm = new Map(), byLoose = new Map(), byAlias = new Map();
+  const index = (m, k, id) => { if (!k) return; const s = m.get(k) || new Set(); s.add(id); m.set(k, s); };
+
+  function add(id, name, cik) {
+    if (cik) {
+      if (!cikOf.get(id)) cikOf.set(id, cik);
+      if (!byCik.has(cik)) byCik.set(cik, id);
+    } else if (!cikOf.has(id)) cikOf.set(id, null);
+    const norm = normalizeInsiderName(name);
+    index(byNorm, norm, id);
+    if (insiderKind(norm) === 'person') index(byLoose, looseName(norm), id);
+  }
+  for (const e of entities) add(e.id, e.name, e.owner_cik || null);
+  for (const a of aliases) {
+    add(a.entity_id, a.alias, a.owner_cik || null);
+    byAlias.set(`${a.alias}|${a.owner_cik || ''}`, a.entity_id);
+  }
+
+  // The one entity among ids whose CIK does not contradict `cik`, else null.
+  function pick(ids, cik) {
+    if (!ids) return null;
+    const ok = [...ids].filter(id => !cik || !cikOf.get(id) || cikOf.get(id) === cik);
+    return ok.length === 1 ? ok[0] : null;
+  }
+
+  // -> { id, via } with id null when the alias should start a new entity.
+  function resolve(name, cik) {
+    cik = cik || null;
+    const known = byAlias.get(`${name}|${cik || ''}`);
+    if (known != null) return { id: known, via: 'alias' };
+    if (cik && byCik.has(cik)) return { id: byCik.get(cik), via: 'cik' };
+    const norm = normalizeInsiderName(name);
+    let id = pick(byNorm.get(norm), cik);
+    if (id != null) return { id, via: 'name' };
+    if (insiderKind(norm) === 'person') {
+      id = pick(byLoose.get(looseName(norm)), cik);
+      if (id != null) return { id, via: 'loose' };
+    }
+    return { id: null, via: null };
+  }
+
+  // Records a new alias (and entity) so later rows in the same pass match it.
+  function remember(id, name, cik) {
+    add(id, name, cik || null);
+    byAlias.set(`${name}|${cik || ''}`, id);
+  }
+
+  return { resolve, remember, cikOf: id => cikOf.get(id) || null };
+}
+
+// Joint filers (a fund, its GP and the partner listed together on one Form 4)
+// are one economic actor, even when each later files on their own. Sets
+// `actor` on every row whose insider ever co-filed, to the alphabetically first
+// name of the co-filing group (union over filing_owners); other rows keep
+// `actor` unset and count as themselves. query(sql, args) -> rows.
+async function tagJointActors(rows, query) {
+  const names = [...new Set(rows.map(r => r.insider).filter(Boolean))];
+  if (!names.length) return rows;
+  const byAcc = {};
+  for (let i = 0; i < names.length; i += 500) {
+    const chunk = names.slice(i, i + 500);
+    const links = await query(`
+      SELECT a.accession, a.owner_name AS name, b.owner_name AS co_name FROM filing_owners a
+      JOIN filing_owners b ON b.accession = a.accession AND b.owner_name != a.owner_name
+      WHERE a.owner_name IN (${chunk.map(() => '?').join(',')})
+    `, chunk).catch(() => []);
+    for (const l of links) {
+      const g = byAcc[l.accession] || (byAcc[l.accession] = new Set());
+      g.add(l.name); g.add(l.co_name);
+    }
+  }
+  // Union-find whose root is always the smallest name, so keys are stable.
+  const parent = Object.create(null);
+  const find = n => { while (parent[n] !== n) n = parent[n]; return n; };
+  for (const group of Object.values(byAcc)) {
+    const members = [...group];
+    for (const n of members) if (!parent[n]) parent[n] = n;
+    for (const n of members.slice(1)) {
+      const a = find(members[0]), b = find(n);
+      if (a !== b) { if (a < b) parent[b] = a; else parent[a] = b; }
+    }
+  }
+  for (const r of rows) if (parent[r.insider]) r.actor = find(r.insider);
+  return rows;
+}
+
+// Queries that match trades per resolved insider key it on
+// COALESCE(CAST(insider_id AS TEXT), 'n:' || insider). Side tables with no
+// insider_id (form3_holdings) are matched by name instead: this CTE lists every
+// spelling of each key in `src` (a CTE with k and ticker columns) - the name
+// itself for unresolved keys, the entity's aliases for resolved ones.
+function insiderNamesCte(src, as = 'names') {
+  return `${as} AS (
+      SELECT k, ticker, substr(k, 3) AS name FROM ${src} WHERE k LIKE 'n:%'
+      UNION
+      SELECT s.k, s.ticker, a.alias FROM ${src} s JOIN insider_aliases a ON a.entity_id = CAST(s.k AS INTEGER)
+      WHERE s.k NOT LIKE 'n:%'
+    )`;
+}
+
+module.exports = { normalizeInsiderName, looseName, insiderKind, insiderSlug, createResolver, tagJointActors, insiderNamesCte };
@@ -0,0 +1,171 @@
+'use strict';
+
+// Where the ingestion workers read EDGAR documents from. Every source answers
+// get(url) for a sec.gov URL with { status, body: Buffer }, so the workers build
+// the same URLs whatever the backend:
+//   edgar          live www.sec.gov / efts.sec.gov (default)
+//   dir:<path>     a folder of saved filings, or a recorded EDGAR mirror
+//   tar:<path>     the same packed as .tar / .tar.gz / .tgz
+// A bare path picks dir: or tar: by its extension. Chosen with --source=<spec>
+// or FILING_SOURCE.
+//
+// Local sources resolve a URL by its path (Archives/edgar/data/<cik>/<acc>/<file>,
+// with or without a leading www.sec.gov/ from a mirror tool), else by file name,
+// so a flat folder works too. They also list the filings they hold
+// (listFilings), since EDGAR's search and index endpoints aren't recorded: one
+// per <accession>-index.json, plus any ownership (Form 3/4/5), Form 144 or
+// Schedule 13D/G XML named or foldered by its accession number (pre-2025 text
+// 13D/G filings only through their index). Files with no accession anywhere in
+// the path are skipped.
+
+const fs    = require('fs');
+const path  = require('path');
+const zlib  = require('zlib');
+const { sharedEdgarClient } = require('./edgar-client');
+
+// ─── Live EDGAR ───────────────────────────────────────────────────────────────
+// Rate limit, retries and caching live in the shared client (lib/edgar-client.js).
+function edgarSource() {
+  const client = sharedEdgarClient();
+  return { name: 'edgar', local: false, get: client.get, stats: client.stats };
+}
+
+// ─── Local directory / tarball ────────────────────────────────────────────────
+const ACC_RE = /(\d{10})-?(\d{2})-?(\d{6})/;
+
+function walkDir(root) {
+  const files = new Map();
+  (function walk(dir) {
+    for (const ent of fs.readdirSync(dir, { withFileTypes: true })) {
+      const abs = path.join(dir, ent.name);
+      if (ent.isDirectory()) walk(abs);
+      else if (ent.isFile()) files.set(path.relative(root, abs).split(path.sep).join('/'), () => fs.readFileSync(abs));
+    }
+  })(root);
+  return files;
+}
+
+// Minimal ustar reader: regular files plus GNU (L) and pax (x) long names.
+function readTar(file) {
+  let buf = fs.readFileSync(file);
+  if (buf[0] === 0x1f && buf[1] === 0x8b) buf = zlib.gunzipSync(buf);
+  const files = new Map();
+  let pos = 0, longName = null;
+  while (pos + 512 <= buf.length && buf[pos] !== 0) {
+    const str = (o, n) => buf.subarray(pos + o, pos + o + n).toString('utf8').replace(/\0[\s\S]*$/, '');
+    const size = parseInt(str(124, 12).trim() || '0', 8) || 0;
+    const type = str(156, 1) || '0';
+    const prefix = str(257, 5) === 'ustar' ? str(345, 155) : '';
+    const name = longName || (prefix ? prefix + '/' : '') + str(0, 100);
+    const body = buf.subarray(pos + 512, pos + 512 + size);
+    longName = null;
+    if (type === 'L') longName = body.toString('utf8').replace(/\0[\s\S]*$/, '');
+    else if (type === 'x') longName = (body.toString('utf8').match(/^\d+ path=(.*)$/m) || [])[1] || null;
+    else if (type === '0' || type === '7') files.set(name.replace(/^\.\//, ''), () => body);
+    pos += 512 + Math.ceil(size / 512) * 512;
+  }
+  return files;
+}
+
+function localSource(kind, root, files) {
+  const byBase = new Map();
+  for (const rel of files.keys()) {
+    const base = rel.split('/').pop().toLowerCase();
+    (byBase.get(base) || byBase.set(base, []).get(base)).push(rel);
+  }
+  // The accession folder disambiguates generic names like form4.xml.
+  function resolve(url) {
+    let p;
+    try { p = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, ''); } catch(_) { return null; }
+    for (const rel of [p, `www.sec.gov/${p}`]) if (files.has(rel)) return rel;
+    const parts = p.split('/');
+    const cands = byBase.get((parts.pop() || '').toLowerCase()) || [];
+    if (cands.length <= 1) return cands[0] || null;
+    const folder = parts.pop() || '';
+    return cands.find(rel => rel.split('/').includes(folder)) || null;
+  }
+  async function get(url) {
+    const rel = resolve(url);
+    return rel ? { status: 200, body: files.get(rel)() } : { status: 404, body: Buffer.alloc(0) };
+  }
+
+  // Filing date: the index's when recorded, else the owner's signature date
+  // (filed the same day or shortly after), else the period of report or event.
+  function xmlMeta(xml) {
+    const tag = t => (xml.match(new RegExp(`<${t}>\\s*(?:<value>\\s*)?([^<\\s]+)`, 'i')) || [])[1] || null;
+    const iso = d => d && d.replace(/^(\d{2})\/(\d{2})\/(\d{4})$/, '$3-$1-$2');
+    return { formType: tag('documentType') || tag('submissionType'), date: iso(tag('signatureDate')) || iso(tag('periodOfReport')) || iso(tag('noticeDate'))
+      || iso(tag('dateOfEvent')) || iso(tag('eventDateRequiresFilingThisStatement')) };
+  }
+  function accOf(rel) {
+    const m = rel.match(ACC_RE);
+    return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+  }
+  function cikOf(rel) {
+    return (rel.match(/(?:^|\/)data\/(\d+)\//) || [])[1] || null;
+  }
+
+  async function listFilings() {
+    const out = new Map();
+    let skipped = 0;
+    for (const rel of files.keys()) {
+      if (!/-index\.json$/i.test(rel)) continue;
+      const accession = accOf(rel.split('/').pop());
+      if (!accession) continue;
+      let idx;
+      try { idx = JSON.parse(files.get(rel)().toString('utf8')); } catch(_) { continue; }
+      const doc = (idx.documents || []).find(d => /\.xml$/i.test(d.document || ''));
+      out.set(accession, {
+        accession, xmlFile: doc ? doc.document.split('/').pop() : null,
+        ciks: [cikOf(rel), ...(idx.ciks || [])].filter(Boolean).map(String),
+        filingDate: (idx.filingDate || idx.filing_date || idx.dateFiled || '').slice(0, 10) || null,
+        formType: idx.formType || idx.form || doc?.type || null,
+      });
+    }
+    for (const rel of files.keys()) {
+      if (!/\.xml$/i.test(rel)) continue;
+      const accession = accOf(rel);
+      const known = accession && out.get(accession);
+      if (known && known.filingDate && known.formType && known.xmlFile) continue;
+      const xml = files.get(rel)().toString('utf8');
+      if (!xml.includes('ownershipDocument') && !/<edgarSubmission[\s\S]*<issuerInfo>/.test(xml)) continue;
+      if (!accession) { skipped++; continue; }
+      const meta = xmlMeta(xml);
+      const f = known || { accession, xmlFile: null, ciks: [], filingDate: null, formType: null };
+      f.xmlFile = f.xmlFile || rel.split('/').pop();
+      f.ciks = f.ciks.length ? f.ciks : [cikOf(rel)].filter(Boolean);
+      f.filingDate = f.filingDate || meta.date;
+      f.formType = f.formType || meta.formType;
+      out.set(accession, f);
+    }
+    const filings = [...out.values()]
+      .filter(f => f.xmlFile && /^\d{4}-\d{2}-\d{2}$/.test(f.filingDate || ''))
+      .map(f => ({ ...f, formType: (f.formType || '4').trim() }))
+      .sort((a, b) => a.filingDate.localeCompare(b.filingDate) || a.accession.localeCompare(b.accession));
+    return { filings, skipped };
+  }
+
+  return { name: `${kind}:${root}`, local: true, get, listFilings };
+}
+
+function openFilingSource(spec) {
+  spec = String(spec || 'edgar').trim();
+  if (spec === 'edgar') return edgarSource();
+  let [, kind, target] = spec.match(/^(dir|tar):(.+)$/) || [null, null, spec];
+  target = path.resolve(target);
+  if (!fs.existsSync(target)) throw new Error(`filing source not found: ${target}`);
+  if (!kind) kind = fs.statSync(target).isDirectory() ? 'dir' : 'tar';
+  return localSource(kind, target, kind === 'dir' ? walkDir(target) : readTar(target));
+}
+
+// Pulls --source=<spec> out of argv (falling back to FILING_SOURCE) and returns
+// the opened source plus the remaining positional arguments.
+function sourceFromArgs(argv) {
+  const flag = argv.find(a => a.startsWith('--source='));
+  return {
+    source: openFilingSource(flag ? flag.slice('--source='.length) : process.env.FILING_SOURCE),
+    args: argv.filter(a => a !== flag),
+  };
+}
+
+module.exports = { openFilingSource, sourceFromArgs };
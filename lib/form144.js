@@ -0,0 +1,48 @@
+'use strict';
+
+// Form 144: notice of proposed sale of restricted or control securities, filed
+// by an affiliate (officer, director, 10% holder) before the sale. Since 2023 it
+// is an XML edgarSubmission; older paper notices aren't on EDGAR as data.
+// parseForm144 returns one row per notice (every broker line summed), or null.
+// The notice carries no ticker; it is resolved from the issuer CIK at insert.
+
+const { xmlGet, parseAnyDate, normCik } = require('./form4');
+
+// Form 144 dates are MM/DD/YYYY.
+function mdy(s) {
+  const m = String(s || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : parseAnyDate(s);
+}
+
+function parseForm144(xml) {
+  if (!/<edgarSubmission[\s>]/i.test(xml) || !/<issuerInfo>/i.test(xml)) return null;
+  const issuer = (xml.match(/<issuerInfo>([\s\S]*?)<\/issuerInfo>/i) || [])[1] || '';
+  const issuerCik = normCik(xmlGet(issuer, 'issuerCik'));
+  const seller = xmlGet(issuer, 'nameOfPersonForWhoseAccountTheSecuritiesAreToBeSold');
+  if (!issuerCik || !seller) return null;
+  const relationship = [...issuer.matchAll(/<relationshipToIssuer>\s*([^<]+?)\s*<\/relationshipToIssuer>/gi)].map(m => m[1]).join(', ');
+
+  let shares = 0, value = 0, outstanding = null, saleDate = null, security = null, exchange = null;
+  for (const [, b] of xml.matchAll(/<securitiesInformation>([\s\S]*?)<\/securitiesInformation>/gi)) {
+    shares += Math.round(Math.abs(parseFloat(xmlGet(b, 'noOfUnitsSold').replace(/,/g, '')) || 0));
+    value  += Math.round(Math.abs(parseFloat(xmlGet(b, 'aggregateMarketValue').replace(/,/g, '')) || 0));
+    outstanding = outstanding || Math.round(parseFloat(xmlGet(b, 'noOfUnitsOutstanding').replace(/,/g, '')) || 0) || null;
+    const d = mdy(xmlGet(b, 'approxSaleDate'));
+    if (d && (!saleDate || d < saleDate)) saleDate = d;
+    security = security || xmlGet(b, 'securitiesClassTitle').slice(0, 200) || null;
+    exchange = exchange || xmlGet(b, 'securitiesExchangeName').slice(0, 60) || null;
+  }
+  if (shares > 5_000_000_000 || value > 50_000_000_000) return null;
+
+  const plans = [...xml.matchAll(/<planAdoptionDate>\s*([^<]+?)\s*<\/planAdoptionDate>/gi)].map(m => mdy(m[1])).filter(Boolean).sort();
+  const filer = (xml.match(/<filerCredentials>([\s\S]*?)<\/filerCredentials>/i) || [])[1] || '';
+  return {
+    issuerCik, company: xmlGet(issuer, 'issuerName').slice(0, 200) || null,
+    seller: seller.slice(0, 200), sellerCik: normCik(xmlGet(filer, 'cik')),
+    relationship: relationship.slice(0, 200) || null, security, shares, value, outstanding,
+    approxSaleDate: saleDate, exchange, planAdopted: plans[plans.length - 1] || null,
+    isAmend: /144\/A/i.test(xmlGet(xml, 'submissionType')),
+  };
+}
+
+module.exports = { parseForm144 };
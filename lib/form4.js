@@ -0,0 +1,349 @@
+'use strict';
+
+// Section 16 ownership-document parsing (Forms 3, 4 and 5 XML), shared by the
+// ingestion workers. Pure functions: no I/O, no DB. daily-worker parses every
+// filing it fetches with parseFiling; sync-worker reuses the footnote, plan and
+// CIK helpers on the SEC's tab-separated data sets.
+
+const { latencyCols } = require('./calendar');
+
+function parseDate(s) {
+  if (!s) return null;
+  const d = s.slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(d)) return null;
+  const yr = parseInt(d.slice(0, 4), 10);
+  const today = new Date().toISOString().slice(0, 10);
+  if (d > today || yr < 2000) return null;
+  return d;
+}
+
+// SEC Form 4 XML encodes special characters as entities (e.g. "WINMILL &amp; CO").
+// Decode them so names are stored clean - otherwise the same entity ("&" vs
+// "&amp;") is counted as two different insiders in distinct-insider/cluster logic.
+function _decodeEntities(s) {
+  return String(s || '')
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(+n))
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+// Like parseDate but without the not-in-the-future check - option expirations
+// and exercisable dates are routinely years ahead.
+function parseAnyDate(s) {
+  const d = (s || '').slice(0, 10);
+  return /^\d{4}-\d{2}-\d{2}$/.test(d) ? d : null;
+}
+
+// Rule 10b5-1 plan footnotes, e.g. "...pursuant to a Rule 10b5-1 trading plan
+// adopted by the reporting person on May 15, 2023". parsePlanAdoption returns
+// the adoption date as YYYY-MM-DD, or null when the footnote doesn't give one.
+// isPlanFootnote skips negated mentions ("not made pursuant to a Rule 10b5-1
+// trading plan", "outside of a 10b5-1 plan") and needs one that isn't.
+const PLAN_RE = /10b-?5[-\u2010\u2011\u2013\s]?1/i;
+const PLAN_NEG_RE = /\b(?:not|no|outside(?:\s+of)?|other\s+than|without)\s+(?:(?:made|effected|executed|entered|into|conducted|subject|pursuant|under|in|accordance|with|to|a|an|any|the|rule|sec|exchange|act)\s+)*10b-?5[-\u2010\u2011\u2013\s]?1/gi;
+function isPlanFootnote(text) {
+  const t = String(text || '');
+  return PLAN_RE.test(t) && PLAN_RE.test(t.replace(PLAN_NEG_RE, ''));
+}
+const _MONTHS = { jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06', jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12' };
+function parsePlanAdoption(text) {
+  const m = String(text || '').match(/(?:adopt|entered into|established)\w*\b[^.;]{0,80}?(\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2},?\s+\d{4})/i);
+  if (!m) return null;
+  let iso = m[1];
+  if (iso.includes('/')) {
+    const [mo, da, yr] = iso.split('/');
+    iso = `${yr.length === 2 ? '20' + yr : yr}-${mo.padStart(2, '0')}-${da.padStart(2, '0')}`;
+  } else if (!/^\d{4}-/.test(iso)) {
+    const [, mon, da, yr] = iso.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/i);
+    iso = `${yr}-${_MONTHS[mon.slice(0, 3).toLowerCase()]}-${da.padStart(2, '0')}`;
+  }
+  return parseAnyDate(iso) && iso >= '2000-01-01' && +iso.slice(5, 7) <= 12 ? iso : null;
+}
+
+// Weighted-average price footnotes, e.g. "...purchased in multiple transactions
+// at prices ranging from $12.01 to $12.45, inclusive." A footnote shared by
+// several lines can carry several ranges, so priceRangeFor keeps the first one
+// that brackets the row's reported average (and is no wider than 2x, which
+// only a garbled footnote produces); [null, null] when none does.
+const PRICE_RANGE_RE = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(?:to|and|through|-|\u2013)\s*\$\s?(\d[\d,]*(?:\.\d+)?)/gi;
+function parsePriceRanges(text) {
+  const out = [];
+  for (const m of String(text || '').matchAll(PRICE_RANGE_RE)) {
+    const lo = parseFloat(m[1].replace(/,/g, '')), hi = parseFloat(m[2].replace(/,/g, ''));
+    if (lo > 0 && hi >= lo) out.push([lo, hi]);
+  }
+  return out;
+}
+function priceRangeFor(texts, price) {
+  if (!(price > 0)) return [null, null];
+  for (const t of texts) {
+    for (const [lo, hi] of parsePriceRanges(t)) {
+      if (lo < hi && hi <= lo * 2 && lo <= price * 1.001 && hi >= price * 0.999) return [lo, hi];
+    }
+  }
+  return [null, null];
+}
+
+// CIKs are stored without leading zeros ("1318605"), as in EDGAR archive paths.
+function normCik(s) {
+  const n = parseInt(String(s || '').replace(/\D/g, ''), 10);
+  return n > 0 ? String(n) : null;
+}
+
+function xmlGet(xml, tag) {
+  let m = xml.match(new RegExp('<' + tag + '[^>]*>\\s*<value>\\s*([^<]+?)\\s*</value>', 'is'));
+  if (m?.[1]?.trim()) return _decodeEntities(m[1].trim());
+  m = xml.match(new RegExp('<' + tag + '[^>]*>\\s*([^<\\s][^<]*?)\\s*</' + tag + '>', 'i'));
+  return _decodeEntities(m?.[1]?.trim() || '');
+}
+
+// Bump whenever a change here alters what an ownership document parses to.
+// Table I rows carry it (trades.parser_version), daily-worker keeps each
+// filing's XML in raw_filings, and scripts/reprocess.js re-parses stored
+// filings below the current version and applies the differences.
+//   1  first stamped version: entity-decoded names, relationship-flag titles,
+//      DRIP / offering quarantine, filing latency
+//   2  negated 10b5-1 mentions ("not made pursuant to...") no longer flag a plan
+//   3  execution ranges only from footnotes the line itself cites
+//   4  amendments measure latency from the original submission (NULL without one)
+const PARSER_VERSION = 4;
+
+// parseFiling returns Table I rows (`trades`), Table II rows (`derivatives`),
+// for Form 3 the opening position (`holdings`), and every reporting owner
+// (`owners`), tagged with the document's form. Table I rows that fail a
+// sanity check come back in `quarantined` as { reason, row } instead.
+const NO_ROWS = Object.freeze({ form: null, trades: [], derivatives: [], holdings: [], owners: [], quarantined: [], originalDate: null });
+
+// Reason codes for quarantined rows, in the order parseForm4 checks them.
+const QUARANTINE_REASONS = {
+  qty_cap:     'more than 500M shares',
+  price_cap:   'price above $1.5M a share',
+  value_cap:   'value above $5B',
+  penny_flood: 'sub-5-cent price on more than 1M shares',
+  small_value: 'value under $500',
+  drip:        'purchase under a dividend reinvestment / stock purchase / deferred comp plan',
+  offering:    'purchase in an offering or private placement',
+};
+
+// First reason code (QUARANTINE_REASONS) a Table I line fails, or null.
+// footnotes is the filing's footnote text. Shared with sync-worker, so data-set
+// rows are held back on the same thresholds.
+function rejectReason(code, qty, price, value, footnotes) {
+  if (qty > 500_000_000) return 'qty_cap';
+  if (price > 1_500_000) return 'price_cap';
+  if (value > 5_000_000_000) return 'value_cap';
+  if (price > 0 && price < 0.05 && qty > 1_000_000) return 'penny_flood';
+  if (value > 0 && value < 500) return 'small_value';
+  if (code === 'P') {
+    const fn = String(footnotes || '').toLowerCase();
+    const has = (...ws) => ws.some(w => fn.includes(w));
+    if (has('pursuant to', 'through the', 'under the', 'under a', 'automatic', 'prior election')
+      && has('dividend reinvest', 'drip', 'reinvestment plan', 'stock purchase plan', 'espp', 'compensation plan', 'deferred compensation')) return 'drip';
+    if (has('public offering', 'underwritten offering', 'private placement', 'subscription agreement', 'securities purchase agreement', 'placement agent', 'direct offering')) return 'offering';
+  }
+  return null;
+}
+
+// "CEO, Director", "Director, 10% Owner", "Officer"... from the officer title
+// and relationship flags; shared with sync-worker's REPORTINGOWNER rows.
+function ownerTitle({ officerTitle, isDirector, isOfficer, isTenPct, isOther }) {
+  const parts = [];
+  if (officerTitle) parts.push(officerTitle);
+  if (isDirector) parts.push('Director');
+  if (isTenPct) parts.push('10% Owner');
+  if (!parts.length) { if (isOfficer) parts.push('Officer'); else if (isOther) parts.push('Other'); }
+  return parts.join(', ');
+}
+
+// One entry per <reportingOwner>, in document order. The role/title combines the
+// officer title with the relationship flags, so directors and 10% owners (who
+// have no officerTitle) still get a usable role.
+function parseOwners(xml) {
+  const blocks = [...xml.matchAll(/<reportingOwner>([\s\S]*?)<\/reportingOwner>/gi)].map(m => m[1]);
+  if (!blocks.length) blocks.push(xml); // malformed: fall back to first-match over the whole doc
+  return blocks.map(b => {
+    const flag = t => /^(1|true)$/i.test(xmlGet(b, t));
+    const officerTitle = xmlGet(b, 'officerTitle').trim();
+    const o = {
+      name: xmlGet(b, 'rptOwnerName').trim(), cik: normCik(xmlGet(b, 'rptOwnerCik')), officerTitle,
+      isDirector: flag('isDirector'), isOfficer: flag('isOfficer'), isTenPct: flag('isTenPercentOwner'), isOther: flag('isOther'),
+    };
+    o.title = ownerTitle(o);
+    return o;
+  }).filter(o => o.name);
+}
+
+// Issuer / reporting-owner header shared by Forms 3, 4 and 5. Returns null when
+// the issuer has no usable trading symbol. insider/title/ownerCik describe the
+// first listed owner; `owners` has all of them.
+function parseHeader(xml) {
+  const ticker  = xmlGet(xml, 'issuerTradingSymbol').toUpperCase().trim().replace(/^[A-Z]+:/, '');
+  const company = xmlGet(xml, 'issuerName').trim();
+  const issuerCik = normCik(xmlGet(xml, 'issuerCik'));
+  const owners  = parseOwners(xml);
+  const first   = owners[0] || { name: '', cik: null, title: '' };
+  const period  = parseDate(xmlGet(xml, 'periodOfReport'));
+  const INVALID = new Set(['NONE', 'NULL', 'N/A', 'NA', '--', '-', '.', '0', 'FALSE', 'TRUE']);
+  if (!ticker || INVALID.has(ticker) || !/^[A-Z]/.test(ticker) || ticker.length > 10) return null;
+  return { ticker, company, insider: first.name, title: first.title, period, issuerCik, ownerCik: first.cik, owners };
+}
+
+// filing_owners rows, column order matching INSERT_OWNER_SQL.
+function ownerRows(h, filingDate, accession) {
+  return h.owners.map((o, i) => [
+    accession, h.ticker, filingDate, i, o.name, o.cik, o.title,
+    o.isDirector ? 1 : 0, o.isOfficer ? 1 : 0, o.isTenPct ? 1 : 0, o.isOther ? 1 : 0, o.officerTitle || null,
+  ]);
+}
+
+// Forms 4 and 5 share the transaction layout; Form 3 only reports holdings.
+// originalDate (amendments only) is the filing date of the version amended.
+// An amendment's lines were first reported on that date, so their latency is
+// measured from it - left NULL when the amendment doesn't give it.
+function parseFiling(xml, filingDate, accession) {
+  const docType = xmlGet(xml, 'documentType').trim().toUpperCase();
+  const form = docType.replace(/\/A$/, '') || '4';
+  const h = parseHeader(xml);
+  const owners = h ? ownerRows(h, filingDate, accession) : [];
+  const originalDate = parseAnyDate(xmlGet(xml, 'dateOfOriginalSubmission'));
+  if (form === '3') return { ...NO_ROWS, form, owners, originalDate, holdings: parseForm3(xml, filingDate, accession) };
+  const reportedDate = /\/A$/.test(docType) || originalDate ? originalDate : filingDate;
+  return { ...NO_ROWS, ...parseForm4(xml, filingDate, accession, form, reportedDate), form, owners, originalDate };
+}
+
+function parseForm3(xml, filingDate, accession) {
+  const h = parseHeader(xml);
+  if (!h) return [];
+  const { ticker, company, insider, title, period, issuerCik, ownerCik } = h;
+  const eventDate = period || filingDate;
+  if (!eventDate) return [];
+  const rows = [];
+  function parseHolding(block, isDeriv) {
+    const security = xmlGet(block, 'securityTitle').trim().slice(0, 200);
+    const shares   = Math.round(Math.abs(parseFloat(xmlGet(block, isDeriv ? 'underlyingSecurityShares' : 'sharesOwnedFollowingTransaction') || '0') || 0));
+    if (shares > 5_000_000_000) return;
+    const exercise = isDeriv ? Math.abs(parseFloat(xmlGet(block, 'conversionOrExercisePrice') || '0') || 0) : 0;
+    rows.push([
+      ticker, company, insider, title, eventDate, filingDate, security, isDeriv ? 1 : 0, shares,
+      exercise ? +exercise.toFixed(4) : null, isDeriv ? parseAnyDate(xmlGet(block, 'expirationDate')) : null, accession,
+      issuerCik, ownerCik,
+    ]);
+  }
+  let m;
+  const ndRe = /<nonDerivativeHolding>([\s\S]*?)<\/nonDerivativeHolding>/gi;
+  while ((m = ndRe.exec(xml))) parseHolding(m[1], false);
+  const dRe = /<derivativeHolding>([\s\S]*?)<\/derivativeHolding>/gi;
+  while ((m = dRe.exec(xml))) parseHolding(m[1], true);
+  // "No securities are beneficially owned" still marks when they became an insider.
+  if (!rows.length) rows.push([ticker, company, insider, title, eventDate, filingDate, '', 0, 0, null, null, accession, issuerCik, ownerCik]);
+  return rows;
+}
+
+// `form` ('4' or '5') decides whether the 2-business-day deadline applies;
+// `reportedDate` is the date latency runs to (see parseFiling).
+function parseForm4(xml, filingDate, accession, form = '4', reportedDate = filingDate) {
+  const h = parseHeader(xml);
+  if (!h) return NO_ROWS;
+  const { ticker, company, insider, title, period, issuerCik, ownerCik } = h;
+
+  // Footnote bodies live once at the end of the document; collect them up front
+  // so every row (non-derivative and derivative) carries the same text.
+  const fnTexts = [], fnById = {};
+  const fnRe = /<footnote\s[^>]*id="([^"]*)"[^>]*>([\s\S]*?)<\/footnote>/gi;
+  let fnMatch;
+  while ((fnMatch = fnRe.exec(xml)) !== null) {
+    const text = fnMatch[2].replace(/<[^>]+>/g, '').trim();
+    fnTexts.push(text);
+    fnById[fnMatch[1]] = text;
+  }
+  const footnote = fnTexts.join(' ').replace(/\s+/g, ' ').trim().slice(0, 500);
+
+  // Rule 10b5-1: the aff10b5One box (Form 4 since April 2023) says the filing
+  // includes plan trades; the plan footnote a transaction points at says which,
+  // and usually when the plan was adopted. When the box is ticked but no
+  // transaction references a plan footnote, it covers all of them. NULL means
+  // the form predates the box and no footnote mentions a plan.
+  const affRaw  = xmlGet(xml, 'aff10b5One');
+  const docPlan = affRaw ? (/^(1|true)$/i.test(affRaw) ? 1 : 0) : null;
+  const planFns = Object.entries(fnById).filter(([, t]) => isPlanFootnote(t));
+  const refIds  = b => [...b.matchAll(/<footnoteId\s+id="([^"]+)"/gi)].map(x => x[1]);
+  const anyPlanRef = refIds(xml).some(id => planFns.some(([pid]) => pid === id));
+  function planInfo(block) {
+    const fn = refIds(block).map(id => fnById[id]).find(t => t && isPlanFootnote(t));
+    if (fn) return [1, parsePlanAdoption(fn)];
+    if (docPlan === 1 && !anyPlanRef) return [1, planFns.length === 1 ? parsePlanAdoption(planFns[0][1]) : null];
+    return [docPlan === 1 ? 0 : docPlan, null];
+  }
+
+  // Sanity checks on Table I rows (rejectReason). A failing row goes to
+  // `quarantined` in the same column order as a trades row, so a reviewer can
+  // release it unchanged.
+  const rows = [], derivRows = [], quarantined = [];
+  function parseBlock(block) {
+    // Every code is stored (A grants, M exercises, F withholding, G gifts, ...);
+    // readers filter with TRIM(type), and the default views stay P/S.
+    const code = (xmlGet(block, 'transactionCode') || '').trim();
+    if (!code) return;
+    const date  = parseDate(xmlGet(block, 'transactionDate')) || period || filingDate;
+    if (!date) return;
+    const qty   = Math.round(Math.abs(parseFloat(xmlGet(block, 'transactionShares') || '0') || 0));
+    const price = Math.abs(parseFloat(xmlGet(block, 'transactionPricePerShare') || '0') || 0);
+    const owned = Math.round(Math.abs(parseFloat(xmlGet(block, 'sharesOwnedFollowingTransaction') || '0') || 0));
+    const value = Math.round(qty * price);
+
+    // owned is the post-trade balance of this ownership line only (direct, or the
+    // named indirect holder), so it is stored alongside the line it belongs to.
+    const ownership = (xmlGet(block, 'directOrIndirectOwnership') || '').trim().toUpperCase().slice(0, 1) || null;
+    const nature    = ownership === 'I' ? xmlGet(block, 'natureOfOwnership').trim().slice(0, 200) || null : null;
+    // Execution range: the footnote the price cites first, then any other the
+    // line cites. Another line's footnote never applies, even when the price fits.
+    const priceEl = (block.match(/<transactionPricePerShare>[\s\S]*?<\/transactionPricePerShare>/i) || [''])[0];
+    const [priceLow, priceHigh] = priceRangeFor([...refIds(priceEl), ...refIds(block)].map(id => fnById[id]), price);
+    const row = [ticker, company, insider, title, date, filingDate, code, qty, +price.toFixed(4), value, owned, accession, footnote || null, issuerCik, ownerCik, ...planInfo(block), ownership, nature, priceLow, priceHigh, ...latencyCols(date, reportedDate, code, form), PARSER_VERSION];
+
+    const reason = rejectReason(code, qty, price, value, footnote);
+    if (reason) quarantined.push({ reason, row });
+    else rows.push(row);
+  }
+
+  // Table II: every code is kept (M exercises, A grants, C conversions, X, ...).
+  // `qty`/`price` are the derivative's own amounts; the share-equivalent is
+  // `underlying_shares`, and `exercise_price` is the strike / conversion price.
+  function parseDerivBlock(block) {
+    const code = (xmlGet(block, 'transactionCode') || '').trim();
+    if (!code) return;
+    const date = parseDate(xmlGet(block, 'transactionDate')) || period || filingDate;
+    if (!date) return;
+    const security   = xmlGet(block, 'securityTitle').trim().slice(0, 200);
+    const qty        = Math.round(Math.abs(parseFloat(xmlGet(block, 'transactionShares') || '0') || 0));
+    const price      = Math.abs(parseFloat(xmlGet(block, 'transactionPricePerShare') || '0') || 0);
+    const exercise   = Math.abs(parseFloat(xmlGet(block, 'conversionOrExercisePrice') || '0') || 0);
+    const underlying = Math.round(Math.abs(parseFloat(xmlGet(block, 'underlyingSecurityShares') || '0') || 0));
+    const owned      = Math.round(Math.abs(parseFloat(xmlGet(block, 'sharesOwnedFollowingTransaction') || '0') || 0));
+    if (qty > 500_000_000 || underlying > 500_000_000 || price > 1_500_000 || exercise > 1_500_000) return;
+    const value = Math.round(qty * price);
+    if (value > 5_000_000_000) return;
+    derivRows.push([
+      ticker, company, insider, title, date, filingDate, code, security,
+      qty, +price.toFixed(4), value, exercise ? +exercise.toFixed(4) : null,
+      parseAnyDate(xmlGet(block, 'exerciseDate')), parseAnyDate(xmlGet(block, 'expirationDate')),
+      xmlGet(block, 'underlyingSecurityTitle').trim().slice(0, 200) || null, underlying || null,
+      (xmlGet(block, 'transactionAcquiredDisposedCode') || '').trim().toUpperCase() || null,
+      owned, accession, footnote || null, issuerCik, ownerCik,
+    ]);
+  }
+
+  let m;
+  const ndRe = /<nonDerivativeTransaction>([\s\S]*?)<\/nonDerivativeTransaction>/gi;
+  while ((m = ndRe.exec(xml))) parseBlock(m[1]);
+  const dRe = /<derivativeTransaction>([\s\S]*?)<\/derivativeTransaction>/gi;
+  while ((m = dRe.exec(xml))) parseDerivBlock(m[1]);
+  return { trades: rows, derivatives: derivRows, quarantined };
+}
+
+module.exports = {
+  parseFiling, parseForm4, NO_ROWS, QUARANTINE_REASONS, rejectReason, PARSER_VERSION,
+  parseDate, parseAnyDate, normCik, xmlGet, ownerTitle,
+  PLAN_RE, isPlanFootnote, parsePlanAdoption, parsePriceRanges, priceRangeFor,
+};
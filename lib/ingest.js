@@ -0,0 +1,313 @@
+'use strict';
+
+// Insert path shared by the ingestion workers. Each worker owns its libsql
+// client, so createIngest() takes the worker's dbQuery / dbBatch / log and
+// returns the batch inserters, the Form 4/A reconciler and the Form 144 linker
+// bound to them, plus the Schedule 13D/G inserter.
+
+const zlib = require('zlib');
+const { PARSER_VERSION } = require('./form4');
+
+// filing_latency / late_filing: lib/calendar.js latencyCols, set at ingestion.
+// parser_version: lib/form4.js PARSER_VERSION (NULL for data-set rows).
+const INSERT_SQL = `INSERT OR IGNORE INTO trades (ticker,company,insider,title,trade_date,filing_date,type,qty,price,value,owned,accession,footnote,issuer_cik,owner_cik,plan_10b5_1,plan_adopted,ownership,ownership_nature,price_low,price_high,filing_latency,late_filing,parser_version) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const INSERT_DERIV_SQL = `INSERT OR IGNORE INTO derivative_trades (ticker,company,insider,title,trade_date,filing_date,type,security,qty,price,value,exercise_price,exercise_date,expiration_date,underlying_security,underlying_shares,acq_disp,owned,accession,footnote,issuer_cik,owner_cik) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const INSERT_FORM5_SQL = INSERT_SQL.replace('INTO trades', 'INTO form5_trades');
+
+const INSERT_FORM3_SQL = `INSERT OR IGNORE INTO form3_holdings (ticker,company,insider,title,event_date,filing_date,security,is_derivative,shares,exercise_price,expiration_date,accession,issuer_cik,owner_cik) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const INSERT_OWNER_SQL = `INSERT OR IGNORE INTO filing_owners (accession,ticker,filing_date,owner_seq,owner_name,owner_cik,title,is_director,is_officer,is_ten_pct,is_other,officer_title) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+// Table I rows parseForm4 rejected (reason codes: QUARANTINE_REASONS in lib/form4).
+// row_json is the full trades row, so /api/admin/quarantine/release can insert it as is.
+const INSERT_QUARANTINE_SQL = `INSERT OR IGNORE INTO quarantined_trades (accession,form,reason,ticker,insider,trade_date,filing_date,type,qty,price,value,row_json) VALUES (?,?,?,?,?,?,?,?,?,?,?,?)`;
+function quarantineArgs(form, { reason, row }) {
+  return [row[11], form, reason, row[0], row[2], row[4], row[5], row[6], row[7], row[8], row[9], JSON.stringify(row)];
+}
+
+// The ownership document as fetched, gzipped, so a parser fix can be replayed
+// over history (scripts/reprocess.js) instead of refetching from EDGAR.
+const INSERT_RAW_SQL = `INSERT OR REPLACE INTO raw_filings (accession,form,filing_date,xml_gz,xml_bytes,parser_version) VALUES (?,?,?,?,?,?)`;
+const packXml   = xml => zlib.gzipSync(Buffer.from(xml, 'utf8'), { level: 9 });
+const unpackXml = blob => zlib.gunzipSync(Buffer.from(blob)).toString('utf8');
+
+const INSERT_FORM144_SQL = `INSERT OR REPLACE INTO form144_notices (accession,filing_date,issuer_cik,ticker,company,seller,seller_cik,relationship,security,shares,market_value,shares_outstanding,approx_sale_date,exchange,plan_adopted,is_amendment) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const INSERT_SCHEDULE13_SQL = `INSERT OR REPLACE INTO schedule13_filings (accession,form_type,filing_date,event_date,issuer_cik,ticker,company,cusip,filer,filer_cik,filer_key,shares,pct_of_class,prev_pct,is_activist,is_amendment) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+
+const INSERT_SCHEDULE13_OWNER_SQL = `INSERT OR REPLACE INTO schedule13_owners (accession,owner_seq,name,cik,name_key,shares,pct_of_class) VALUES (?,?,?,?,?,?,?)`;
+
+// YYYY-MM-DD plus `days`.
+const _shiftDate = (d, days) => new Date(Date.parse(String(d).slice(0, 10)) + days * 86400000).toISOString().slice(0, 10);
+
+// Form 144 seller names are "First Last"; Form 4 owners are "Last First". Match
+// on the set of name tokens (initials dropped) when the CIKs don't line up.
+function _nameTokens(s) {
+  return String(s || '').toUpperCase().replace(/[^A-Z0-9 ]+/g, ' ').split(/\s+/).filter(t => t.length > 1);
+}
+function sameSeller(a, b) {
+  const ta = _nameTokens(a), tb = new Set(_nameTokens(b));
+  if (ta.length < 2 || tb.size < 2) return false;
+  const [small, big] = ta.length <= tb.size ? [ta, tb] : [[...tb], new Set(ta)];
+  return small.every(t => big.has(t));
+}
+
+// Where an amended filing's rows live, by form: Table I, Table II.
+const AMENDED_TABLES = { 4: ['trades', 'derivative_trades'], 5: ['form5_trades', 'derivative_trades'] };
+
+// chunk: statements per Turso batch round-trip.
+function createIngest({ dbQuery, dbBatch, log = () => {}, chunk = 50 }) {
+  async function insertBatch(rows, sql = INSERT_SQL) {
+    if (!rows.length) return 0;
+    let inserted = 0;
+    for (let i = 0; i < rows.length; i += chunk) {
+      const stmts = rows.slice(i, i + chunk).map(r => ({ sql, args: r }));
+      const results = await dbBatch(stmts);
+      for (const r of results) inserted += r.rowsAffected || 0;
+      if (i % 1000 === 0 && i > 0) log(`    ...${i} rows processed`);
+    }
+    return inserted;
+  }
+
+  // A 3/A restates the whole opening position, so it replaces what the original
+  // Form 3 recorded for that insider + issuer.
+  async function insertForm3Batch(rows, isAmend = false) {
+    if (!rows.length) return 0;
+    if (isAmend) {
+      const keys = new Set(rows.map(r => r[0] + '|' + r[2]));
+      await dbBatch([...keys].map(k => {
+        const [ticker, insider] = k.split('|');
+        return { sql: 'DELETE FROM form3_holdings WHERE ticker=? AND insider=?', args: [ticker, insider] };
+      }));
+    }
+    return insertBatch(rows, INSERT_FORM3_SQL);
+  }
+
+  async function markSeenBatch(accessions) {
+    for (let i = 0; i < accessions.length; i += 100) {
+      const stmts = accessions.slice(i, i + 100).map(acc => ({ sql: 'INSERT OR IGNORE INTO seen_filings (accession) VALUES (?)', args: [acc] }));
+      await dbBatch(stmts).catch(() => {});
+    }
+  }
+
+  // A Form 4/A (or 5/A) restates the filing it amends. Link it to the version it
+  // replaces - the latest in the chain for its dateOfOriginalSubmission, else
+  // the insider's filing from that date - and move the lines it restates out of
+  // trades (form5_trades) / derivative_trades into superseded_rows, from every
+  // earlier version in the chain. A line is restated when the amendment reports
+  // the same trade date, code and ownership line (security for Table II); an
+  // amendment reporting at least as many lines as a version replaces all of
+  // them. One with no rows of its own (e.g. a footnote-only fix) supersedes
+  // nothing, and one without an original date is recorded but never linked:
+  // guessing from trade dates can pick an unrelated filing.
+  async function reconcileAmendment(accession, ticker, insider, filingDate, originalDate, form = '4') {
+    const done = await dbQuery('SELECT amends FROM filing_amendments WHERE accession = ?', [accession]);
+    if (done[0]?.amends) return false;
+    const [main, deriv] = AMENDED_TABLES[form] || AMENDED_TABLES['4'];
+
+    let prev = null, root = null;
+    if (originalDate) {
+      const chain = await dbQuery(`
+        SELECT accession, COALESCE(root_accession, accession) AS root FROM filing_amendments
+        WHERE ticker = ? AND insider = ? AND original_date = ? AND form = ? AND accession != ? AND filing_date <= ?
+        ORDER BY filing_date DESC, accession DESC LIMIT 1`, [ticker, insider, originalDate, form, accession, filingDate]);
+      if (chain.length) { prev = chain[0].accession; root = chain[0].root; }
+    }
+    if (!prev && originalDate) {
+      const hit = await dbQuery(`
+        SELECT accession FROM (
+          SELECT accession, filing_date FROM ${main} WHERE ticker = ? AND insider = ?
+          UNION ALL
+          SELECT accession, filing_date FROM ${deriv} WHERE ticker = ? AND insider = ?
+        ) WHERE accession != ? AND filing_date = ?
+        GROUP BY accession ORDER BY accession DESC LIMIT 1`, [ticker, insider, ticker, insider, accession, originalDate]);
+      if (hit.length) {
+        prev = hit[0].accession;
+        const link = await dbQuery('SELECT root_accession FROM filing_amendments WHERE accession = ?', [prev]);
+        root = link[0]?.root_accession || prev;
+      }
+    }
+
+    const stmts = [];
+    let moved = 0;
+    if (prev) {
+      const versions = [root, ...(await dbQuery(
+        'SELECT accession FROM filing_amendments WHERE root_accession = ? AND accession != ? AND filing_date <= ?',
+        [root, accession, filingDate])).map(r => r.accession)];
+      for (const table of [main, deriv]) {
+        const lineKey = table === deriv
+          ? r => [r.trade_date, (r.type || '').trim(), r.security || ''].join('|')
+          : r => [r.trade_date, (r.type || '').trim(), r.ownership || '', r.ownership_nature || ''].join('|');
+        const restated = await dbQuery(`SELECT * FROM ${table} WHERE accession = ?`, [accession]);
+        if (!restated.length) continue;
+        const keys = new Set(restated.map(lineKey));
+        for (const v of new Set(versions)) {
+          const rows = await dbQuery(`SELECT * FROM ${table} WHERE accession = ?`, [v]);
+          for (const r of restated.length >= rows.length ? rows : rows.filter(r => keys.has(lineKey(r)))) {
+            stmts.push({ sql: 'INSERT INTO superseded_rows (source_table, accession, superseded_by, row_json) VALUES (?,?,?,?)', args: [table, v, accession, JSON.stringify(r)] });
+            stmts.push({ sql: `DELETE FROM ${table} WHERE id = ?`, args: [r.id] });
+            moved++;
+          }
+        }
+      }
+    }
+    stmts.push({
+      sql: 'INSERT OR REPLACE INTO filing_amendments (accession, amends, root_accession, ticker, insider, filing_date, original_date, rows_superseded, form) VALUES (?,?,?,?,?,?,?,?,?)',
+      args: [accession, prev, root, ticker, insider, filingDate, originalDate || null, moved, form],
+    });
+    await dbBatch(stmts);
+    return !!prev;
+  }
+
+  // Stores a chunk of parseFiling() results. `parsed` pairs each filing
+  // ({ accession, filingDate, formType }) with its parsed document; a document
+  // carrying its source (`doc.xml`) is also kept in raw_filings. Returns the
+  // number of Form 4 trade rows inserted.
+  async function insertParsed(parsed) {
+    const insertRows = [], derivRows = [], amendments = [], rawRows = [];
+    const form3Rows = [], form3AmendRows = [], form5Rows = [], ownerRowsBatch = [], quarantineRows = [];
+    for (const { filing, doc } of parsed) {
+      if (doc.xml && doc.form) rawRows.push([filing.accession, doc.form, filing.filingDate, packXml(doc.xml), Buffer.byteLength(doc.xml), PARSER_VERSION]);
+      ownerRowsBatch.push(...doc.owners);
+      const isAmend = /\/A$/.test(filing.formType || '') || !!doc.originalDate;
+      if (doc.form === '3') { (isAmend ? form3AmendRows : form3Rows).push(...doc.holdings); continue; }
+      for (const q of doc.quarantined || []) quarantineRows.push(quarantineArgs(doc.form === '5' ? '5' : '4', q));
+      (doc.form === '5' ? form5Rows : insertRows).push(...doc.trades);
+      derivRows.push(...doc.derivatives);
+      // [acc, ticker, filing_date, seq, owner_name, ...] - the first owner is who rows are attributed to.
+      if (isAmend && doc.owners.length) amendments.push([filing.accession, doc.owners[0][1], doc.owners[0][4], filing.filingDate, doc.originalDate, doc.form === '5' ? '5' : '4']);
+    }
+    const inserted = await insertBatch(insertRows);
+    await insertBatch(derivRows, INSERT_DERIV_SQL);
+    await insertBatch(form5Rows, INSERT_FORM5_SQL);
+    // Amendments reconcile after their own rows are in, oldest first, so a 4/A
+    // filed alongside its original in one chunk still finds it.
+    amendments.sort((a, b) => (a[3] || '').localeCompare(b[3] || ''));
+    for (const a of amendments) await reconcileAmendment(...a).catch(e => log(`  amendment ${a[0]}: ${e.message}`));
+    await insertForm3Batch(form3Rows);
+    await insertForm3Batch(form3AmendRows, true);
+    await insertBatch(ownerRowsBatch, INSERT_OWNER_SQL);
+    if (quarantineRows.length) {
+      const q = await insertBatch(quarantineRows, INSERT_QUARANTINE_SQL).catch(e => { log(`  quarantine: ${e.message}`); return 0; });
+      if (q) log(`  ${q} rejected rows quarantined`);
+    }
+    await insertBatch(rawRows, INSERT_RAW_SQL).catch(e => log(`  raw filings: ${e.message}`));
+    return inserted;
+  }
+
+  // Form 144 notices: { filing, notice } pairs from parseForm144. The ticker
+  // comes from the issuer's latest Form 4 row. A 144/A replaces the seller's
+  // latest earlier notice for the issuer.
+  async function insertForm144(items) {
+    if (!items.length) return 0;
+    const stmts = [];
+    for (const { filing, notice: n } of items) {
+      const tk = await dbQuery('SELECT ticker FROM trades WHERE issuer_cik = ? ORDER BY trade_date DESC LIMIT 1', [n.issuerCik]);
+      if (n.isAmend) {
+        stmts.push({ sql: `DELETE FROM form144_notices WHERE accession = (
+          SELECT accession FROM form144_notices WHERE issuer_cik = ? AND seller = ? AND accession != ?
+            AND filing_date <= ? AND filing_date >= date(?, '-90 days')
+          ORDER BY filing_date DESC LIMIT 1)`, args: [n.issuerCik, n.seller, filing.accession, filing.filingDate, filing.filingDate] });
+      }
+      stmts.push({ sql: INSERT_FORM144_SQL, args: [
+        filing.accession, filing.filingDate, n.issuerCik, tk[0]?.ticker || null, n.company, n.seller, n.sellerCik,
+        n.relationship, n.security, n.shares, n.value, n.outstanding, n.approxSaleDate, n.exchange, n.planAdopted, n.isAmend ? 1 : 0,
+      ] });
+    }
+    for (let i = 0; i < stmts.length; i += chunk) await dbBatch(stmts.slice(i, i + chunk));
+    return items.length;
+  }
+
+  // Links open notices to the Form 4 sale that follows each: same issuer and
+  // seller (CIK, else name), traded from the day before the notice through 90
+  // days after it. The earliest such filing wins. The window is the notice's own,
+  // not today's, so a notice loaded late (replay, backfill) still links once its
+  // sale is in; one nothing matches stays open. Only notices of `issuerCiks` (the
+  // issuers with a new notice or sale this run) are checked, and their sales are
+  // read in one query per 500 issuers.
+  async function linkForm144(issuerCiks) {
+    const ciks = [...new Set(issuerCiks)].filter(Boolean);
+    const open = [];
+    for (let i = 0; i < ciks.length; i += 500) {
+      const c = ciks.slice(i, i + 500);
+      open.push(...await dbQuery(`
+        SELECT accession, filing_date, issuer_cik, ticker, seller, seller_cik FROM form144_notices
+        WHERE sale_accession IS NULL AND issuer_cik IN (${c.map(() => '?').join(',')})`, c));
+    }
+    const byIssuer = {};
+    for (const n of open) (byIssuer[n.issuer_cik] || (byIssuer[n.issuer_cik] = [])).push(n);
+    const issuers = Object.keys(byIssuer), salesOf = {};
+    for (let i = 0; i < issuers.length; i += 500) {
+      const c = issuers.slice(i, i + 500);
+      const dates = c.flatMap(k => byIssuer[k].map(n => n.filing_date)).sort();
+      const rows = await dbQuery(`
+        SELECT issuer_cik, accession, insider, MAX(owner_cik) AS owner_cik, MAX(ticker) AS ticker, MIN(trade_date) AS sale_date,
+               SUM(COALESCE(qty,0)) AS shares, SUM(COALESCE(value,0)) AS value
+        FROM trades
+        WHERE issuer_cik IN (${c.map(() => '?').join(',')}) AND TRIM(type) IN ('S','S-')
+          AND trade_date >= date(?, '-1 day') AND trade_date <= date(?, '+90 days')
+        GROUP BY issuer_cik, accession, insider ORDER BY sale_date, accession`, [...c, dates[0], dates[dates.length - 1]]);
+      for (const r of rows) (salesOf[r.issuer_cik] || (salesOf[r.issuer_cik] = [])).push(r);
+    }
+
+    let linked = 0;
+    const stmts = [];
+    for (const n of open) {
+      const from = _shiftDate(n.filing_date, -1), to = _shiftDate(n.filing_date, 90);
+      const sales = (salesOf[n.issuer_cik] || []).filter(s => s.sale_date >= from && s.sale_date <= to);
+      const hit = sales.find(s => (n.seller_cik && s.owner_cik === n.seller_cik) || sameSeller(n.seller, s.insider));
+      if (!hit) {
+        if (!n.ticker && sales[0]?.ticker) stmts.push({ sql: 'UPDATE form144_notices SET ticker = ? WHERE accession = ?', args: [sales[0].ticker, n.accession] });
+        continue;
+      }
+      stmts.push({
+        sql: `UPDATE form144_notices SET sale_accession = ?, sale_date = ?, sale_shares = ?, sale_value = ?,
+              ticker = COALESCE(ticker, ?), linked_at = datetime('now') WHERE accession = ?`,
+        args: [hit.accession, hit.sale_date, hit.shares, hit.value, hit.ticker, n.accession],
+      });
+      linked++;
+    }
+    for (let i = 0; i < stmts.length; i += chunk) await dbBatch(stmts.slice(i, i + chunk));
+    log(`Form 144: ${linked}/${open.length} open notices linked to a Form 4 sale`);
+    return linked;
+  }
+
+  // Schedule 13D/G: { filing, stake } pairs from parseSchedule13. prev_pct is
+  // the filer's last reported percent for the issuer (NULL for a first filing),
+  // so readers can tell a new 5% stake from a change to one. Tickers missing
+  // at insert are retried for a month as the issuer's Form 4s arrive.
+  async function insertSchedule13(items) {
+    if (!items.length) return 0;
+    const stmts = [];
+    for (const { filing, stake: s } of items) {
+      const tk = await dbQuery('SELECT ticker FROM trades WHERE issuer_cik = ? ORDER BY trade_date DESC LIMIT 1', [s.issuerCik]);
+      const prev = await dbQuery(`
+        SELECT pct_of_class FROM schedule13_filings
+        WHERE issuer_cik = ? AND (filer_key = ? OR filer_cik = ?) AND filing_date <= ? AND accession != ?
+        ORDER BY filing_date DESC, accession DESC LIMIT 1`, [s.issuerCik, s.filerKey, s.filerCik || '', filing.filingDate, filing.accession]);
+      stmts.push({ sql: INSERT_SCHEDULE13_SQL, args: [
+        filing.accession, s.form, filing.filingDate, s.eventDate, s.issuerCik, tk[0]?.ticker || null, s.company, s.cusip,
+        s.filer, s.filerCik, s.filerKey, s.shares, s.pct, prev[0] ? prev[0].pct_of_class : null, s.isActivist ? 1 : 0, s.isAmend ? 1 : 0,
+      ] });
+      s.persons.forEach((p, i) => stmts.push({ sql: INSERT_SCHEDULE13_OWNER_SQL, args: [
+        filing.accession, i, p.name, p.cik, p.key, p.shares || null, p.pct || null,
+      ] }));
+    }
+    stmts.push({ sql: `UPDATE schedule13_filings SET ticker = (
+      SELECT ticker FROM trades WHERE trades.issuer_cik = schedule13_filings.issuer_cik ORDER BY trade_date DESC LIMIT 1)
+      WHERE ticker IS NULL AND filing_date >= date('now', '-30 days')`, args: [] });
+    for (let i = 0; i < stmts.length; i += chunk) await dbBatch(stmts.slice(i, i + chunk));
+    return items.length;
+  }
+
+  return { insertBatch, insertForm3Batch, markSeenBatch, reconcileAmendment, insertParsed, insertForm144, linkForm144, insertSchedule13 };
+}
+
+module.exports = {
+  createIngest,
+  INSERT_SQL, INSERT_DERIV_SQL, INSERT_FORM5_SQL, INSERT_FORM3_SQL, INSERT_OWNER_SQL, INSERT_FORM144_SQL, INSERT_QUARANTINE_SQL,
+  INSERT_SCHEDULE13_SQL, INSERT_SCHEDULE13_OWNER_SQL, INSERT_RAW_SQL,
+  quarantineArgs, packXml, unpackXml, sameSeller,
+};
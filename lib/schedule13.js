@@ -0,0 +1,99 @@
+'use strict';
+
+// Schedule 13D / 13G: beneficial ownership of more than 5% of a class. 13D is
+// the activist form (the holder may seek to influence control); 13G is the
+// short form for passive and institutional holders. Since December 2024 both
+// are XML edgarSubmissions ("SCHEDULE 13D"); older ones ("SC 13D") are HTML or
+// text, read from the complete submission .txt, where the SEC header names the
+// subject company and filer and the cover page carries the shares and percent.
+// parseSchedule13 returns one row per filing, or null. Joint filers each fill
+// in a cover page: the filing keeps the largest stake with the first person as
+// filer, and every person is listed (persons) like Form 4's filing_owners.
+// Like Form 144 there's no ticker; it is resolved from the issuer CIK at insert.
+
+const { xmlGet, parseAnyDate, normCik } = require('./form4');
+
+function mdy(s) {
+  const m = String(s || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : parseAnyDate(s);
+}
+const num = s => parseFloat(String(s || '').replace(/[,$%\s]/g, '')) || 0;
+
+// 'SC 13D/A' and 'SCHEDULE 13D/A' both become '13D/A'.
+function formOf(type) {
+  const m = String(type || '').toUpperCase().match(/13([DG])(\/A)?/);
+  return m ? `13${m[1]}${m[2] || ''}` : null;
+}
+
+// Order-free name key, so "ICAHN CARL C" (Form 4) and "Carl C. Icahn" (13D)
+// meet, as do "L.P." and "LP".
+function filerKey(name) {
+  return String(name || '').toUpperCase().replace(/[.,']/g, '').replace(/[^A-Z0-9&]+/g, ' ')
+    .trim().split(' ').filter(Boolean).sort().join(' ');
+}
+
+function fromXml(xml) {
+  const form = formOf(xmlGet(xml, 'submissionType'));
+  const issuer = (xml.match(/<issuerInfo>([\s\S]*?)<\/issuerInfo>/i) || [])[1] || '';
+  const issuerCik = normCik(xmlGet(issuer, 'issuerCik'));
+  if (!form || !issuerCik) return null;
+  // 13D nests each cover page in <reportingPersonInfo>, 13G in
+  // <coverPageHeaderReportingPersonDetails>; the field names differ too.
+  const persons = [...xml.matchAll(/<(reportingPersonInfo|coverPageHeaderReportingPersonDetails)>([\s\S]*?)<\/\1>/gi)].map(([, , b]) => ({
+    name:   xmlGet(b, 'reportingPersonName'),
+    cik:    normCik(xmlGet(b, 'reportingPersonCik')),
+    shares: Math.round(num(xmlGet(b, 'aggregateAmountOwned') || xmlGet(b, 'reportingPersonBeneficiallyOwnedAggregateNumberOfShares'))),
+    pct:    num(xmlGet(b, 'percentOfClass') || xmlGet(b, 'classPercent')),
+  })).filter(p => p.name);
+  const filerCred = (xml.match(/<filerCredentials>([\s\S]*?)<\/filerCredentials>/i) || [])[1] || '';
+  return {
+    form, issuerCik, company: xmlGet(issuer, 'issuerName') || null,
+    cusip: xmlGet(issuer, 'issuerCusip') || xmlGet(xml, 'issuerCusip') || null,
+    eventDate: mdy(xmlGet(xml, 'dateOfEvent') || xmlGet(xml, 'eventDateRequiresFilingThisStatement')),
+    persons, filerCik: normCik(xmlGet(filerCred, 'cik')),
+  };
+}
+
+// Pre-2025 filings: SEC header plus a free-text cover page. Row 11 (13D) / 9
+// (13G) is the aggregate amount, row 13 / 11 the percent of class; matched by
+// their captions since the row numbers are often dropped.
+function fromText(txt) {
+  const form = formOf((txt.match(/CONFORMED SUBMISSION TYPE:\s*([^\n]+)/) || [])[1]);
+  // A header section runs until the next unindented line.
+  const block = label => (txt.match(new RegExp(label + ':[^\\n]*\\n((?:[ \\t]*\\r?\\n|[ \\t]+[^\\n]*\\n)*)')) || [])[1] || '';
+  const subject = block('SUBJECT COMPANY'), filedBy = block('FILED BY');
+  const hdr = (b, f) => ((b.match(new RegExp(f + ':\\s*([^\\n]+)')) || [])[1] || '').trim();
+  const issuerCik = normCik(hdr(subject, 'CENTRAL INDEX KEY'));
+  if (!form || !issuerCik) return null;
+  const body = txt.replace(/<[^>]+>/g, ' ').replace(/&nbsp;|&#160;/gi, ' ').replace(/&amp;/gi, '&').replace(/\s+/g, ' ');
+  const pcts = [...body.matchAll(/PERCENT OF CLASS REPRESENTED BY AMOUNT IN ROW\s*\(?\s*\d*\s*\)?[^0-9]{0,60}?(\d{1,3}(?:\.\d+)?)\s*%/gi)].map(m => num(m[1]));
+  const shares = [...body.matchAll(/AGGREGATE AMOUNT BENEFICIALLY OWNED BY EACH REPORTING PERSON[^0-9]{0,60}?(\d[\d,]*)/gi)].map(m => Math.round(num(m[1])));
+  const name = hdr(filedBy, 'COMPANY CONFORMED NAME') || hdr(filedBy, 'CONFORMED NAME');
+  return {
+    form, issuerCik, company: hdr(subject, 'COMPANY CONFORMED NAME') || null,
+    cusip: (body.match(/CUSIP\s*(?:No\.?|Number)?\s*:?\s*([0-9A-Z]{6}\s?[0-9A-Z]{2}\s?[0-9])\b/i) || [])[1]?.replace(/\s/g, '') || null,
+    eventDate: null,
+    persons: name ? [{ name, cik: normCik(hdr(filedBy, 'CENTRAL INDEX KEY')), shares: Math.max(0, ...shares), pct: Math.max(0, ...pcts) }] : [],
+    filerCik: normCik(hdr(filedBy, 'CENTRAL INDEX KEY')),
+  };
+}
+
+function parseSchedule13(doc) {
+  const s = String(doc || '');
+  const xml = (s.match(/<edgarSubmission[\s>][\s\S]*<\/edgarSubmission>/i) || [])[0];
+  const f = xml ? fromXml(xml) : /<SEC-HEADER>|CONFORMED SUBMISSION TYPE:/.test(s) ? fromText(s) : null;
+  if (!f || !f.persons.length) return null;
+  const top = f.persons.reduce((a, p) => (p.pct > a.pct || (p.pct === a.pct && p.shares > a.shares) ? p : a), f.persons[0]);
+  const pct = top.pct > 0 && top.pct <= 100 ? Math.round(top.pct * 100) / 100 : null;
+  const shares = top.shares > 0 && top.shares < 50_000_000_000 ? top.shares : null;
+  const filer = f.persons[0];
+  return {
+    form: f.form, issuerCik: f.issuerCik, company: f.company ? f.company.slice(0, 200) : null, cusip: f.cusip,
+    filer: filer.name.slice(0, 200), filerCik: filer.cik || f.filerCik, filerKey: filerKey(filer.name),
+    persons: f.persons.map(p => ({ ...p, name: p.name.slice(0, 200), key: filerKey(p.name) })),
+    shares, pct, eventDate: f.eventDate,
+    isActivist: f.form.startsWith('13D'), isAmend: f.form.endsWith('/A'),
+  };
+}
+
+module.exports = { parseSchedule13, filerKey, formOf };
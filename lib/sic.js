@@ -0,0 +1,171 @@
+'use strict';
+
+// Sector / industry classification from each issuer's SEC SIC code. EDGAR's
+// company submissions carry the four-digit Standard Industrial Classification
+// the filer registered under; it is mapped here onto the same sector and
+// industry names the site has always used (Yahoo's taxonomy), so the sector
+// pages, heatmap and alert filters keep their labels while covering every
+// issuer we have trades for instead of a hand-kept list.
+//
+// Sources, chosen with SIC_SOURCE:
+//   live           data.sec.gov/submissions/CIK##########.json (default)
+//   dir:<path>     a folder of submissions files named CIK##########.json, e.g.
+//                  the unzipped bulk submissions.zip or a test fixture drop
+//   <file>.json    a fixture map { "<cik>": { sic, sicDescription, name } }, or
+//                  an array of those objects each with a cik
+
+const fs    = require('fs');
+const path  = require('path');
+const { sharedEdgarClient } = require('./edgar-client');
+
+const TECH = 'Technology', COMM = 'Communication Services', CYC = 'Consumer Cyclical', DEF = 'Consumer Defensive',
+  FIN = 'Financial Services', HC = 'Healthcare', EN = 'Energy', IND = 'Industrials', MAT = 'Basic Materials',
+  UTIL = 'Utilities', RE = 'Real Estate';
+
+// [from, to, sector, industry]. Ranges overlap on purpose: the narrowest range
+// containing a code wins, so a division default can be refined by a group or a
+// single code without worrying about order.
+const SIC_RANGES = [
+  // Agriculture, forestry, fishing
+  [100, 999, DEF, 'Farm Products'], [800, 899, MAT, 'Lumber & Wood Production'],
+  // Mining
+  [1000, 1099, MAT, 'Other Industrial Metals & Mining'], [1040, 1040, MAT, 'Gold'], [1044, 1044, MAT, 'Silver'],
+  [1220, 1241, EN, 'Thermal Coal'], [1300, 1399, EN, 'Oil & Gas E&P'], [1381, 1381, EN, 'Oil & Gas Drilling'],
+  [1382, 1389, EN, 'Oil & Gas Equipment & Services'], [1400, 1499, MAT, 'Building Materials'],
+  // Construction
+  [1500, 1799, IND, 'Engineering & Construction'], [1520, 1531, CYC, 'Residential Construction'],
+  // Manufacturing
+  [2000, 2099, DEF, 'Packaged Foods'], [2060, 2068, DEF, 'Confectioners'], [2080, 2086, DEF, 'Beverages-Non-Alcoholic'],
+  [2082, 2082, DEF, 'Beverages-Brewers'], [2084, 2085, DEF, 'Beverages-Wineries & Distilleries'],
+  [2100, 2199, DEF, 'Tobacco'],
+  [2200, 2299, CYC, 'Textile Manufacturing'], [2300, 2399, CYC, 'Apparel Manufacturing'],
+  [2400, 2499, MAT, 'Lumber & Wood Production'], [2450, 2452, CYC, 'Residential Construction'],
+  [2500, 2599, CYC, 'Furnishings, Fixtures & Appliances'],
+  [2600, 2699, MAT, 'Paper & Paper Products'], [2650, 2673, CYC, 'Packaging & Containers'],
+  [2700, 2799, COMM, 'Publishing'], [2750, 2799, IND, 'Specialty Business Services'],
+  [2800, 2899, MAT, 'Specialty Chemicals'], [2800, 2819, MAT, 'Chemicals'],
+  [2833, 2834, HC, 'Drug Manufacturers-Specialty & Generic'], [2835, 2835, HC, 'Diagnostics & Research'], [2836, 2836, HC, 'Biotechnology'],
+  [2840, 2844, DEF, 'Household & Personal Products'], [2870, 2879, MAT, 'Agricultural Inputs'],
+  [2900, 2999, EN, 'Oil & Gas Refining & Marketing'],
+  [3000, 3099, CYC, 'Rubber & Plastics'], [3011, 3011, CYC, 'Auto Parts'],
+  [3100, 3199, CYC, 'Footwear & Accessories'],
+  [3200, 3299, MAT, 'Building Materials'], [3220, 3221, CYC, 'Packaging & Containers'],
+  [3300, 3399, MAT, 'Other Industrial Metals & Mining'], [3310, 3317, MAT, 'Steel'], [3330, 3331, MAT, 'Copper'], [3334, 3334, MAT, 'Aluminum'], [3350, 3357, MAT, 'Aluminum'],
+  [3400, 3499, IND, 'Metal Fabrication'], [3410, 3412, CYC, 'Packaging & Containers'], [3420, 3429, IND, 'Tools & Accessories'],
+  [3430, 3449, IND, 'Building Products & Equipment'], [3480, 3489, IND, 'Aerospace & Defense'],
+  [3500, 3599, IND, 'Specialty Industrial Machinery'], [3520, 3537, IND, 'Farm & Heavy Construction Machinery'],
+  [3540, 3549, IND, 'Tools & Accessories'], [3570, 3579, TECH, 'Computer Hardware'], [3576, 3576, TECH, 'Communication Equipment'],
+  [3585, 3585, IND, 'Building Products & Equipment'],
+  [3600, 3699, IND, 'Electrical Equipment & Parts'], [3630, 3639, CYC, 'Furnishings, Fixtures & Appliances'],
+  [3651, 3652, TECH, 'Consumer Electronics'], [3660, 3669, TECH, 'Communication Equipment'],
+  [3670, 3679, TECH, 'Electronic Components'], [3674, 3674, TECH, 'Semiconductors'],
+  [3700, 3799, CYC, 'Recreational Vehicles'], [3711, 3711, CYC, 'Auto Manufacturers'], [3713, 3715, IND, 'Farm & Heavy Construction Machinery'],
+  [3714, 3714, CYC, 'Auto Parts'], [3720, 3731, IND, 'Aerospace & Defense'], [3743, 3743, IND, 'Railroads'], [3760, 3769, IND, 'Aerospace & Defense'],
+  [3800, 3899, TECH, 'Scientific & Technical Instruments'], [3812, 3812, IND, 'Aerospace & Defense'],
+  [3826, 3826, HC, 'Diagnostics & Research'], [3840, 3851, HC, 'Medical Instruments & Supplies'], [3844, 3845, HC, 'Medical Devices'],
+  [3873, 3873, CYC, 'Luxury Goods'],
+  [3900, 3999, IND, 'Conglomerates'], [3910, 3915, CYC, 'Luxury Goods'], [3940, 3949, CYC, 'Leisure'],
+  // Transportation, communications, utilities
+  [4000, 4099, IND, 'Railroads'], [4100, 4199, IND, 'Integrated Freight & Logistics'],
+  [4200, 4299, IND, 'Trucking'], [4220, 4226, IND, 'Integrated Freight & Logistics'],
+  [4400, 4499, IND, 'Marine Shipping'],
+  [4500, 4599, IND, 'Airlines'], [4513, 4513, IND, 'Integrated Freight & Logistics'], [4580, 4581, IND, 'Airports & Air Services'],
+  [4600, 4699, EN, 'Oil & Gas Midstream'],
+  [4700, 4799, CYC, 'Travel Services'], [4730, 4731, IND, 'Integrated Freight & Logistics'],
+  [4800, 4899, COMM, 'Telecom Services'], [4830, 4833, COMM, 'Broadcasting'],
+  [4900, 4999, UTIL, 'Utilities-Diversified'], [4910, 4911, UTIL, 'Utilities-Regulated Electric'], [4922, 4923, EN, 'Oil & Gas Midstream'],
+  [4924, 4924, UTIL, 'Utilities-Regulated Gas'], [4940, 4941, UTIL, 'Utilities-Regulated Water'],
+  [4950, 4959, IND, 'Waste Management'], [4991, 4991, UTIL, 'Utilities-Independent Power Producers'],
+  // Wholesale trade
+  [5000, 5199, IND, 'Industrial Distribution'], [5010, 5015, CYC, 'Auto Parts'], [5045, 5045, TECH, 'Electronics & Computer Distribution'],
+  [5047, 5047, HC, 'Medical Distribution'], [5063, 5065, TECH, 'Electronics & Computer Distribution'], [5122, 5122, HC, 'Medical Distribution'],
+  [5140, 5149, DEF, 'Food Distribution'], [5170, 5172, EN, 'Oil & Gas Refining & Marketing'], [5180, 5182, DEF, 'Food Distribution'],
+  // Retail trade
+  [5200, 5299, CYC, 'Home Improvement Retail'], [5300, 5399, DEF, 'Discount Stores'], [5311, 5311, CYC, 'Department Stores'],
+  [5400, 5499, DEF, 'Grocery Stores'], [5500, 5599, CYC, 'Auto & Truck Dealerships'], [5600, 5699, CYC, 'Apparel Retail'],
+  [5700, 5799, CYC, 'Specialty Retail'], [5800, 5899, CYC, 'Restaurants'],
+  [5900, 5999, CYC, 'Specialty Retail'], [5912, 5912, HC, 'Pharmaceutical Retailers'], [5961, 5961, CYC, 'Internet Retail'],
+  // Finance, insurance, real estate
+  [6000, 6099, FIN, 'Banks-Regional'], [6099, 6099, FIN, 'Credit Services'],
+  [6100, 6199, FIN, 'Credit Services'], [6162, 6163, FIN, 'Mortgage Finance'],
+  [6200, 6299, FIN, 'Capital Markets'], [6280, 6282, FIN, 'Asset Management'],
+  [6300, 6399, FIN, 'Insurance-Diversified'], [6310, 6311, FIN, 'Insurance-Life'], [6320, 6324, HC, 'Healthcare Plans'],
+  [6330, 6331, FIN, 'Insurance-Property & Casualty'], [6350, 6361, FIN, 'Insurance-Specialty'], [6411, 6411, FIN, 'Insurance Brokers'],
+  [6500, 6599, RE, 'Real Estate Services'], [6552, 6552, RE, 'Real Estate-Development'],
+  [6700, 6799, FIN, 'Asset Management'], [6770, 6770, FIN, 'Shell Companies'], [6792, 6792, EN, 'Oil & Gas E&P'],
+  [6794, 6794, IND, 'Specialty Business Services'], [6795, 6795, MAT, 'Other Industrial Metals & Mining'], [6798, 6798, RE, 'REIT-Diversified'],
+  // Services
+  [7000, 7099, CYC, 'Lodging'], [7200, 7299, CYC, 'Personal Services'],
+  [7300, 7399, IND, 'Specialty Business Services'], [7310, 7319, COMM, 'Advertising Agencies'], [7320, 7323, FIN, 'Financial Data & Stock Exchanges'],
+  [7350, 7359, IND, 'Rental & Leasing Services'], [7360, 7363, IND, 'Staffing & Employment Services'],
+  [7370, 7379, TECH, 'Information Technology Services'], [7370, 7370, COMM, 'Internet Content & Information'], [7372, 7372, TECH, 'Software-Application'],
+  [7377, 7377, IND, 'Rental & Leasing Services'], [7381, 7382, IND, 'Security & Protection Services'],
+  [7500, 7599, CYC, 'Personal Services'], [7510, 7519, IND, 'Rental & Leasing Services'],
+  [7600, 7699, IND, 'Specialty Business Services'], [7800, 7899, COMM, 'Entertainment'], [7900, 7999, CYC, 'Leisure'],
+  [8000, 8099, HC, 'Medical Care Facilities'], [8071, 8071, HC, 'Diagnostics & Research'],
+  [8100, 8199, IND, 'Specialty Business Services'], [8200, 8299, DEF, 'Education & Training Services'],
+  [8300, 8399, HC, 'Medical Care Facilities'],
+  [8700, 8799, IND, 'Consulting Services'], [8711, 8711, IND, 'Engineering & Construction'],
+  [8731, 8731, HC, 'Biotechnology'], [8734, 8734, HC, 'Diagnostics & Research'], [8744, 8744, IND, 'Specialty Business Services'],
+  [8900, 8999, IND, 'Specialty Business Services'],
+  // Nonclassifiable
+  [9995, 9995, FIN, 'Shell Companies'],
+];
+
+// SIC code -> [sector, industry], or null when it falls outside the map.
+function sectorForSic(sic) {
+  const n = parseInt(sic, 10);
+  if (!(n > 0)) return null;
+  let best = null;
+  for (const r of SIC_RANGES) {
+    if (n < r[0] || n > r[1]) continue;
+    if (!best || r[1] - r[0] < best[1] - best[0]) best = r;
+  }
+  return best ? [best[2], best[3]] : null;
+}
+
+// A submissions object (or fixture entry) -> the issuer_sectors columns.
+function classifySubmission(sub) {
+  const sic = String(sub?.sic || '').trim() || null;
+  const hit = sectorForSic(sic);
+  return {
+    sic, description: String(sub?.sicDescription || sub?.sic_description || '').trim() || null,
+    name: sub?.name || null, sector: hit ? hit[0] : null, industry: hit ? hit[1] : null,
+  };
+}
+
+const padCik = cik => String(parseInt(cik, 10) || '').padStart(10, '0');
+
+// ─── Sources ──────────────────────────────────────────────────────────────────
+// lookup(cik) -> the issuer's submissions object ({ sic, sicDescription, name }),
+// or null when the source has nothing for it.
+function openSicSource(spec) {
+  spec = String(spec || 'live').trim();
+  if (spec === 'live') {
+    // The shared EDGAR client keeps to the SEC's 10 requests a second.
+    const client = sharedEdgarClient();
+    return {
+      name: 'live', local: false,
+      lookup: cik => client.getJson(`https://data.sec.gov/submissions/CIK${padCik(cik)}.json`),
+    };
+  }
+  const target = path.resolve(spec.replace(/^dir:/, ''));
+  if (!fs.existsSync(target)) throw new Error(`sic source not found: ${target}`);
+  if (fs.statSync(target).isDirectory()) {
+    return {
+      name: `dir:${target}`, local: true,
+      async lookup(cik) {
+        const f = path.join(target, `CIK${padCik(cik)}.json`);
+        return fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : null;
+      },
+    };
+  }
+  const j = JSON.parse(fs.readFileSync(target, 'utf8'));
+  const byCik = new Map((Array.isArray(j) ? j.map(e => [e.cik, e]) : Object.entries(j)).map(([c, e]) => [padCik(c), e]));
+  return {
+    name: `file:${target}`, local: true,
+    async lookup(cik) { return byCik.get(padCik(cik)) || null; },
+  };
+}
+
+module.exports = { SIC_RANGES, sectorForSic, classifySubmission, openSicSource };
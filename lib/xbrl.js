@@ -0,0 +1,108 @@
+'use strict';
+
+// Shares outstanding from EDGAR XBRL company facts. Every 10-K and 10-Q cover
+// page tags dei:EntityCommonStockSharesOutstanding as of a recent date, which
+// times a price gives the issuer's market cap at that point. The series is
+// kept per issuer in issuer_fundamentals so a trade can be sized against the
+// company as it stood then, not as it stands today.
+//
+// Sources, chosen with XBRL_SOURCE:
+//   live           data.sec.gov companyconcept API for the one dei concept (default)
+//   dir:<path>     a folder of companyfacts files named CIK##########.json, e.g.
+//                  the unzipped bulk companyfacts.zip or a test fixture drop
+//   <file>.json    a fixture map { "<cik>": <companyfacts or companyconcept JSON> }
+
+const fs    = require('fs');
+const path  = require('path');
+const { sharedEdgarClient } = require('./edgar-client');
+
+const CONCEPT = 'EntityCommonStockSharesOutstanding';
+
+// Market-cap bands, lower bound inclusive.
+const MCAP_BANDS = [
+  ['nano', 0], ['micro', 50e6], ['small', 300e6], ['mid', 2e9], ['large', 10e9], ['mega', 200e9],
+];
+function marketCapBand(cap) {
+  if (!(cap > 0)) return null;
+  let band = null;
+  for (const [name, floor] of MCAP_BANDS) if (cap >= floor) band = name;
+  return band;
+}
+
+// companyfacts or companyconcept JSON -> [{ date, shares, filed, form, accn }],
+// one point per as-of date, oldest first. Issuers with several share classes
+// tag one figure per class in the same filing; those are summed. When a later
+// filing repeats a date (an amendment), the later one wins.
+function sharesFromFacts(json) {
+  const units = json?.facts?.dei?.[CONCEPT]?.units || (json?.tag === CONCEPT ? json.units : null);
+  const facts = units?.shares;
+  if (!Array.isArray(facts)) return [];
+  const byFiling = new Map();
+  for (const f of facts) {
+    const v = +f.val;
+    if (!(v > 0) || !/^\d{4}-\d{2}-\d{2}$/.test(f.end || '')) continue;
+    const k = `${f.accn}|${f.end}`;
+    const p = byFiling.get(k) || { date: f.end, shares: 0, filed: f.filed || null, form: f.form || null, accn: f.accn || null, _vals: new Set() };
+    if (p._vals.has(v)) continue;   // the same figure repeated in one filing
+    p._vals.add(v); p.shares += v;
+    byFiling.set(k, p);
+  }
+  const byDate = new Map();
+  for (const p of byFiling.values()) {
+    const cur = byDate.get(p.date);
+    if (!cur || (p.filed || '') > (cur.filed || '')) byDate.set(p.date, p);
+  }
+  return [...byDate.values()]
+    .map(({ _vals, ...p }) => p)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+}
+
+// Latest point on or before `date` from [{ date, shares }] or [[date, shares]]
+// (oldest first), or null when the series starts later.
+function sharesAsOf(points, date) {
+  if (!points?.length || !date) return null;
+  const d = String(date).slice(0, 10);
+  let hit = null;
+  for (const p of points) {
+    const pd = Array.isArray(p) ? p[0] : p.date;
+    if (pd > d) break;
+    hit = p;
+  }
+  return hit && (Array.isArray(hit) ? { date: hit[0], shares: hit[1] } : hit);
+}
+
+const padCik = cik => String(parseInt(cik, 10) || '').padStart(10, '0');
+
+// ─── Sources ──────────────────────────────────────────────────────────────────
+// lookup(cik) -> XBRL JSON for the issuer (anything sharesFromFacts reads), or
+// null when the source has nothing for it.
+function openXbrlSource(spec) {
+  spec = String(spec || 'live').trim();
+  if (spec === 'live') {
+    // The shared EDGAR client keeps to the SEC's 10 requests a second.
+    const client = sharedEdgarClient();
+    return {
+      name: 'live', local: false,
+      lookup: cik => client.getJson(`https://data.sec.gov/api/xbrl/companyconcept/CIK${padCik(cik)}/dei/${CONCEPT}.json`),
+    };
+  }
+  const target = path.resolve(spec.replace(/^dir:/, ''));
+  if (!fs.existsSync(target)) throw new Error(`xbrl source not found: ${target}`);
+  if (fs.statSync(target).isDirectory()) {
+    return {
+      name: `dir:${target}`, local: true,
+      async lookup(cik) {
+        const f = path.join(target, `CIK${padCik(cik)}.json`);
+        return fs.existsSync(f) ? JSON.parse(fs.readFileSync(f, 'utf8')) : null;
+      },
+    };
+  }
+  const j = JSON.parse(fs.readFileSync(target, 'utf8'));
+  const byCik = new Map(Object.entries(j).map(([c, e]) => [padCik(c), e]));
+  return {
+    name: `file:${target}`, local: true,
+    async lookup(cik) { return byCik.get(padCik(cik)) || null; },
+  };
+}
+
+module.exports = { MCAP_BANDS, marketCapBand, sharesFromFacts, sharesAsOf, openXbrlSource };
@@ -1,9 +1,17 @@
 'use strict';
 
 // cleanup-delisted.js
-// Checks stale tickers (no trades in last 90 days) against Yahoo Finance.
-// Removes ALL trades for tickers Yahoo explicitly confirms are delisted.
-// Conservative: only deletes on definitive "symbol may be delisted" response.
+// Maintains the security master: one row per issuer CIK (securities) with its
+// listing status, plus every symbol it has filed under (symbol_history).
+//   1. Symbols and date ranges are rebuilt from the issuer tickers on Form 4s.
+//   2. SEC's company_tickers.json marks which symbols are listed today; a CIK
+//      listed under a new symbol is a rename, so the old one redirects.
+//   3. Issuers with no trades in 90 days that SEC no longer lists are checked
+//      against Yahoo Finance; a definitive "may be delisted" flags the issuer as
+//      delisted. Trades are never deleted: acquired and renamed companies keep
+//      their insider history, and backtests keep the dead names.
+// Bars for at-risk names are copied to price_archive so the study can still
+// price them once Yahoo stops serving the symbol.
 // Run weekly via GitHub Actions.
 
 const https  = require('https');
@@ -25,11 +33,37 @@ async function dbRun(sql, args = []) {
   const r = await client.execute({ sql, args });
   return r.rowsAffected;
 }
+async function dbBatch(stmts) {
+  return client.batch(stmts, 'write');
+}
+
+async function initSchema() {
+  const stmts = [
+    // Same definitions as server.js initSchema. symbol_history.current is 1 for
+    // the symbols the issuer trades under today.
+    `CREATE TABLE IF NOT EXISTS securities (
+      issuer_cik TEXT PRIMARY KEY, ticker TEXT, company TEXT,
+      status TEXT NOT NULL DEFAULT 'active', delisted_at TEXT, status_source TEXT,
+      first_trade TEXT, last_trade TEXT, updated_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_securities_ticker ON securities(ticker)`,
+    `CREATE TABLE IF NOT EXISTS symbol_history (
+      issuer_cik TEXT NOT NULL, ticker TEXT NOT NULL,
+      first_seen TEXT, last_seen TEXT, source TEXT, current INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (issuer_cik, ticker)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_symbol_history_ticker ON symbol_history(ticker)`,
+    `CREATE TABLE IF NOT EXISTS price_archive (
+      symbol TEXT PRIMARY KEY, bars_json TEXT NOT NULL, last_bar TEXT, archived_at INTEGER NOT NULL
+    )`,
+  ];
+  for (const sql of stmts) try { await client.execute(sql); } catch(_) {}
+}
 
-function get(url, ms = 10000) {
+function get(url, ms = 10000, headers = { 'User-Agent': 'Mozilla/5.0 (compatible; InsiderTape/2.0)' }) {
   return new Promise((resolve, reject) => {
     const req = https.get(url, {
-      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; InsiderTape/2.0)' },
+      headers,
       timeout: ms,
     }, res => {
       const chunks = [];
@@ -51,9 +85,10 @@ async function throttle() {
   _times.push(Date.now());
 }
 
-// Returns true ONLY if Yahoo definitively says this ticker is delisted/gone.
-// Returns false on timeouts, rate limits, or any ambiguous response.
-async function isDefinitelyDelisted(ticker) {
+// Yahoo's verdict on a symbol: { delisted, bars }. delisted is true ONLY on the
+// explicit "may be delisted" message - timeouts, rate limits and anything
+// ambiguous count as listed. bars are the daily closes when it still trades.
+async function checkYahoo(ticker) {
   await throttle();
   try {
     const endTs   = Math.floor(Date.now() / 1000);
@@ -61,52 +96,132 @@ async function isDefinitelyDelisted(ticker) {
     const { status, body } = await get(
       `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(ticker)}?interval=1d&period1=${startTs}&period2=${endTs}`
     );
-    if (status !== 200) return false; // Any non-200 = uncertain, don't delete
+    if (status !== 200) return { delisted: false, bars: null };
     const data  = JSON.parse(body);
     const error = data?.chart?.error;
-    // Only return true on the explicit "symbol may be delisted" message
     if (error?.code === 'Not Found' && error?.description?.toLowerCase().includes('may be delisted')) {
-      return true;
+      return { delisted: true, bars: null };
     }
-    // If we got valid result data back, it's definitely NOT delisted
-    if (data?.chart?.result?.[0]?.timestamp?.length > 0) return false;
-    // Any other case: uncertain — don't delete
-    return false;
+    const r = data?.chart?.result?.[0];
+    if (!r?.timestamp?.length) return { delisted: false, bars: null };
+    const q = r.indicators.quote[0];
+    const bars = r.timestamp.map((t, i) => ({ time: new Date(t * 1000).toISOString().slice(0, 10), open: q.open?.[i] || 0, high: q.high?.[i] || 0, low: q.low?.[i] || 0, close: q.close?.[i] || 0, volume: q.volume?.[i] || 0 })).filter(b => b.close > 0);
+    return { delisted: false, bars: bars.length >= 2 ? bars : null };
   } catch(_) {
-    return false; // Timeout or network error = uncertain, don't delete
+    return { delisted: false, bars: null };
   }
 }
 
-async function main() {
-  log('=== cleanup-delisted start ===');
+// SEC's list of currently registered issuers with a ticker: cik -> [tickers],
+// primary class first. null when it can't be fetched (step 2 is then skipped
+// and every stale issuer goes to Yahoo).
+async function fetchSecTickers() {
+  try {
+    const { status, body } = await get('https://www.sec.gov/files/company_tickers.json', 30000,
+      { 'User-Agent': 'InsiderTape/2.0 admin@insidertape.com', 'Accept': 'application/json' });
+    if (status !== 200) { log(`  company_tickers.json: HTTP ${status}`); return null; }
+    const out = new Map();
+    for (const e of Object.values(JSON.parse(body))) {
+      const cik = String(parseInt(e.cik_str, 10)), tk = String(e.ticker || '').toUpperCase();
+      if (!cik || !tk) continue;
+      (out.get(cik) || out.set(cik, []).get(cik)).push(tk);
+    }
+    return out;
+  } catch(e) { log(`  company_tickers.json: ${e.message}`); return null; }
+}
 
-  // Find tickers that haven't had any new trades in the last 90 days
-  // These are candidates: either delisted or just inactive companies
-  const stale = await dbQuery(`
-    SELECT ticker, COUNT(*) AS trade_count, MAX(trade_date) AS latest_trade
+// 1. Symbols per issuer from the filings themselves, and the issuer rows.
+async function rebuildFromTrades() {
+  await dbRun(`
+    INSERT INTO symbol_history (issuer_cik, ticker, first_seen, last_seen, source)
+    SELECT issuer_cik, ticker, MIN(COALESCE(filing_date, trade_date)), MAX(COALESCE(filing_date, trade_date)), 'form4'
     FROM trades
-    WHERE ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
-    GROUP BY ticker
-    HAVING MAX(trade_date) < date('now', '-90 days')
-    ORDER BY latest_trade ASC
-  `);
+    WHERE issuer_cik IS NOT NULL AND issuer_cik != '' AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
+    GROUP BY issuer_cik, ticker
+    ON CONFLICT (issuer_cik, ticker) DO UPDATE SET
+      first_seen = MIN(COALESCE(symbol_history.first_seen, excluded.first_seen), excluded.first_seen),
+      last_seen  = MAX(COALESCE(symbol_history.last_seen, excluded.last_seen), excluded.last_seen)`);
+  // The latest symbol filed under stands as current until SEC says otherwise.
+  await dbRun(`
+    INSERT INTO securities (issuer_cik, ticker, company, first_trade, last_trade)
+    SELECT t.issuer_cik,
+           (SELECT h.ticker FROM symbol_history h WHERE h.issuer_cik = t.issuer_cik ORDER BY h.last_seen DESC LIMIT 1),
+           MAX(t.company), MIN(t.trade_date), MAX(t.trade_date)
+    FROM trades t WHERE t.issuer_cik IS NOT NULL AND t.issuer_cik != ''
+    GROUP BY t.issuer_cik
+    ON CONFLICT (issuer_cik) DO UPDATE SET
+      ticker = excluded.ticker, company = COALESCE(excluded.company, securities.company),
+      first_trade = excluded.first_trade, last_trade = excluded.last_trade, updated_at = datetime('now')`);
+  await dbRun(`UPDATE symbol_history SET current = CASE WHEN ticker = (SELECT s.ticker FROM securities s WHERE s.issuer_cik = symbol_history.issuer_cik) THEN 1 ELSE 0 END`);
+}
 
-  log(`Found ${stale.length} tickers with no trades in last 90 days — checking Yahoo Finance...`);
+// 2. Listed symbols from SEC. A listed issuer is active whatever was flagged before.
+async function applySecTickers(sec) {
+  const known = new Set((await dbQuery('SELECT issuer_cik FROM securities')).map(r => r.issuer_cik));
+  const today = new Date().toISOString().slice(0, 10);
+  const stmts = [];
+  for (const [cik, tickers] of sec) {
+    if (!known.has(cik)) continue;
+    stmts.push({ sql: 'UPDATE symbol_history SET current = 0 WHERE issuer_cik = ?', args: [cik] });
+    for (const tk of tickers) {
+      stmts.push({ sql: `INSERT INTO symbol_history (issuer_cik, ticker, first_seen, last_seen, source, current) VALUES (?,?,?,?,'sec',1)
+        ON CONFLICT (issuer_cik, ticker) DO UPDATE SET current = 1, last_seen = MAX(COALESCE(symbol_history.last_seen, excluded.last_seen), excluded.last_seen)`,
+        args: [cik, tk, today, today] });
+    }
+    stmts.push({ sql: `UPDATE securities SET ticker = ?, status = 'active', delisted_at = NULL, status_source = 'sec', updated_at = datetime('now') WHERE issuer_cik = ?`, args: [tickers[0], cik] });
+  }
+  for (let i = 0; i < stmts.length; i += 300) await dbBatch(stmts.slice(i, i + 300));
+  const retired = await dbQuery(`SELECT COUNT(*) AS n FROM symbol_history WHERE current = 0`);
+  log(`  SEC lists ${sec.size} issuers; ${[...sec.keys()].filter(c => known.has(c)).length} of ours, ${retired[0]?.n || 0} retired symbols on file`);
+}
+
+async function archiveBars(ticker, bars) {
+  if (bars) {
+    await dbRun('INSERT OR REPLACE INTO price_archive (symbol, bars_json, last_bar, archived_at) VALUES (?,?,?,?)',
+      [ticker, JSON.stringify(bars), bars[bars.length - 1].time, Date.now()]);
+  } else {
+    // Yahoo has nothing any more; keep whatever the price cache still holds.
+    await dbRun(`INSERT OR IGNORE INTO price_archive (symbol, bars_json, last_bar, archived_at)
+      SELECT symbol, bars_json, NULL, ? FROM price_cache WHERE symbol = ?`, [Date.now(), ticker]);
+  }
+}
 
-  let checked = 0, deleted = 0, kept = 0;
+async function main() {
+  log('=== cleanup-delisted start ===');
+  await initSchema();
+
+  await rebuildFromTrades();
+  const sec = await fetchSecTickers();
+  if (sec) await applySecTickers(sec);
+
+  // 3. Issuers with no trades in 90 days that SEC does not list: delisted, or
+  // just quiet companies.
+  const stale = (await dbQuery(`
+    SELECT issuer_cik, ticker, last_trade FROM securities
+    WHERE status = 'active' AND ticker IS NOT NULL AND last_trade < date('now', '-90 days')
+    ORDER BY last_trade ASC
+  `)).filter(r => !sec || !sec.has(r.issuer_cik));
+  const noCik = await dbQuery(`
+    SELECT COUNT(DISTINCT ticker) AS n FROM trades
+    WHERE (issuer_cik IS NULL OR issuer_cik = '') AND ticker GLOB '[A-Z]*'`);
+
+  log(`Found ${stale.length} unlisted issuers with no trades in last 90 days — checking Yahoo Finance...`);
+  if (noCik[0]?.n) log(`  ${noCik[0].n} tickers have no issuer CIK on file (run backfill-ciks); left as they are`);
+
+  let checked = 0, kept = 0;
   const delistedTickers = [];
 
   for (const row of stale) {
-    const ticker = row.ticker;
-    const delisted = await isDefinitelyDelisted(ticker);
+    const { delisted, bars } = await checkYahoo(row.ticker);
     checked++;
 
     if (delisted) {
-      const removed = await dbRun('DELETE FROM trades WHERE ticker = ?', [ticker]);
-      delistedTickers.push(ticker);
-      deleted += removed;
-      log(`  DELISTED: ${ticker} (${row.trade_count} trades removed, last trade ${row.latest_trade})`);
+      await archiveBars(row.ticker, null);
+      await dbRun(`UPDATE securities SET status = 'delisted', delisted_at = date('now'), status_source = 'yahoo', updated_at = datetime('now') WHERE issuer_cik = ?`, [row.issuer_cik]);
+      delistedTickers.push(row.ticker);
+      log(`  DELISTED: ${row.ticker} (CIK ${row.issuer_cik}, last trade ${row.last_trade}) — flagged, history kept`);
     } else {
+      if (bars) await archiveBars(row.ticker, bars);
       kept++;
     }
 
@@ -115,12 +230,14 @@ async function main() {
     }
   }
 
+  const totals = await dbQuery(`SELECT status, COUNT(*) AS n FROM securities GROUP BY status`);
   log(`=== cleanup complete ===`);
-  log(`Checked: ${checked} tickers`);
-  log(`Delisted and removed: ${delistedTickers.length} tickers (${deleted} trade rows)`);
-  log(`Kept (active or uncertain): ${kept} tickers`);
+  log(`Checked: ${checked} issuers`);
+  log(`Newly flagged delisted: ${delistedTickers.length}`);
+  log(`Kept (active or uncertain): ${kept}`);
+  log(`Security master: ${totals.map(t => `${t.n} ${t.status}`).join(', ')}`);
   if (delistedTickers.length > 0) {
-    log(`Removed tickers: ${delistedTickers.join(', ')}`);
+    log(`Flagged tickers: ${delistedTickers.join(', ')}`);
   }
 }
 
@@ -0,0 +1,37 @@
+'use strict';
+
+// One-time migration: derivative_trades rows from before a missing security
+// title was stored as ''. NULLs never match UNIQUE(accession, insider,
+// trade_date, type, security, qty), so re-ingestion duplicated them. Keeps the
+// first of each, sets its security to '', and drops the rest (a NULL row whose
+// '' twin is already in the table included). Nothing to do once no NULLs are
+// left.
+// Usage: node scripts/dedupe-derivatives.js [--dry-run]   (run via workflow_dispatch)
+
+const { createClient } = require('@libsql/client');
+
+const TURSO_URL   = process.env.TURSO_DATABASE_URL;
+const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
+if (!TURSO_URL) { console.error('TURSO_DATABASE_URL not set'); process.exit(1); }
+
+const client = createClient({ url: TURSO_URL, authToken: TURSO_TOKEN || undefined });
+const log = m => process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${m}\n`);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function main() {
+  log(`=== dedupe-derivatives start${DRY_RUN ? ' (dry run)' : ''} ===`);
+  const { rows: [{ n }] } = await client.execute('SELECT COUNT(*) AS n FROM derivative_trades WHERE security IS NULL');
+  log(`derivative_trades: ${n} rows with a NULL security`);
+  if (!n || DRY_RUN) return;
+  const res = await client.batch([
+    `DELETE FROM derivative_trades WHERE security IS NULL AND id NOT IN (
+      SELECT MIN(id) FROM derivative_trades WHERE security IS NULL GROUP BY accession, insider, trade_date, type, qty
+    )`,
+    `UPDATE OR IGNORE derivative_trades SET security = '' WHERE security IS NULL`,
+    `DELETE FROM derivative_trades WHERE security IS NULL`,
+  ], 'write');
+  log(`derivative_trades: ${res[0].rowsAffected + res[2].rowsAffected} duplicates removed, ${res[1].rowsAffected} set to ''`);
+  log('=== dedupe-derivatives done ===');
+}
+
+main().catch(e => { log(`FATAL: ${e.message}\n${e.stack}`); process.exit(1); });
@@ -6,6 +6,11 @@
 
 const https  = require('https');
 const { createClient } = require('@libsql/client');
+const { UPSERT_ACTION_SQL, splitsFromChart, actionRows, splitFactor, restateShares } = require('../lib/corporate-actions');
+const { openSicSource, classifySubmission } = require('../lib/sic');
+const { openXbrlSource, sharesFromFacts, marketCapBand } = require('../lib/xbrl');
+const { createResolver, normalizeInsiderName, insiderKind, insiderSlug, tagJointActors, insiderNamesCte } = require('../lib/entities');
+const { latencyCols } = require('../lib/calendar');
 
 const TURSO_URL   = process.env.TURSO_DATABASE_URL;
 const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
@@ -49,7 +54,7 @@ async function computeStockLists() {
                MAX(CASE WHEN TRIM(type)='P' AND (UPPER(title) LIKE '%CEO%' OR UPPER(title) LIKE '%CFO%' OR UPPER(title) LIKE '%PRESIDENT%' OR UPPER(title) LIKE '%CHIEF%') THEN 1 ELSE 0 END) AS exec_buy,
                MAX(trade_date) AS latest_date
              FROM trades WHERE trade_date >= date('now','-14 days') AND trade_date <= date('now')
-               AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
+               AND TRIM(type) IN ('P','S','S-') AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
              GROUP BY ticker HAVING buys >= 1 AND buy_val >= 1000
                AND NOT (COUNT(DISTINCT CASE WHEN TRIM(type)='P' THEN insider END) >= 2 AND COUNT(DISTINCT CASE WHEN TRIM(type)='P' AND price>0 THEN price END) <= 1 AND COUNT(DISTINCT CASE WHEN TRIM(type)='P' THEN trade_date END) <= 1)
              ORDER BY buyers DESC, buy_val DESC LIMIT 24`),
@@ -106,37 +111,52 @@ async function ensureComputedCacheTable() {
   )`);
 }
 
+// A first buy is either a buy after a long gap since the previous one, or - when
+// the Form 3 baseline shows they have been an insider that long - the first
+// open-market buy they have ever made. Insiders with neither (no prior buy and
+// no Form 3 on file) stay out: we can't tell how long they have held off.
+// Buys are matched to history per resolved insider (insider_id, else the name),
+// so a buy filed under a new spelling still finds the old ones.
 async function computeFirstBuys() {
   log('Computing first-buys...');
   // Match the Radar tile's request (365-day gap, 90-day lookback)
   const lookbackDays = 90, minGapDays = 365, limit = 100;
   const rows = await dbQuery(`
     WITH recent_buys AS (
-      SELECT DISTINCT insider, ticker FROM trades
+      SELECT DISTINCT COALESCE(CAST(insider_id AS TEXT), 'n:' || insider) AS k, ticker FROM trades
       WHERE TRIM(type)='P' AND trade_date >= date('now','-${lookbackDays} days') AND trade_date <= date('now')
         AND insider IS NOT NULL AND ticker IS NOT NULL
     ),
     latest AS (
-      SELECT t.ticker, MAX(t.company) AS company, t.insider, MAX(t.title) AS title,
+      SELECT rb.k, t.ticker, MAX(t.company) AS company, MAX(t.insider) AS insider, MAX(t.title) AS title,
              MAX(t.trade_date) AS latest_trade, MAX(t.filing_date) AS latest_filing,
              MAX(t.price) AS latest_price, MAX(t.qty) AS latest_qty,
              MAX(t.value) AS latest_value, MAX(t.owned) AS latest_owned
-      FROM trades t JOIN recent_buys rb ON t.insider=rb.insider AND t.ticker=rb.ticker
+      FROM trades t JOIN recent_buys rb ON COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)=rb.k AND t.ticker=rb.ticker
       WHERE TRIM(t.type)='P' AND t.trade_date >= date('now','-${lookbackDays} days') AND t.trade_date <= date('now')
-      GROUP BY t.insider, t.ticker
+      GROUP BY rb.k, t.ticker
     ),
     prev AS (
-      SELECT t.insider, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
-      FROM trades t JOIN recent_buys rb ON t.insider=rb.insider AND t.ticker=rb.ticker
+      SELECT rb.k, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
+      FROM trades t JOIN recent_buys rb ON COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)=rb.k AND t.ticker=rb.ticker
       WHERE TRIM(t.type)='P' AND t.trade_date < date('now','-${lookbackDays} days')
-      GROUP BY t.insider, t.ticker
+      GROUP BY rb.k, t.ticker
+    ),
+    ${insiderNamesCte('recent_buys')},
+    baseline AS (
+      SELECT n.k, n.ticker, MIN(f.event_date) AS became_insider,
+             SUM(CASE WHEN f.is_derivative=0 THEN f.shares ELSE 0 END) AS initial_shares
+      FROM form3_holdings f JOIN names n ON f.insider=n.name AND f.ticker=n.ticker
+      GROUP BY n.k, n.ticker
     )
     SELECT l.ticker, l.company, l.insider, l.title,
            l.latest_trade, l.latest_filing, l.latest_price, l.latest_qty, l.latest_value, l.latest_owned,
-           p.prev_trade, p.prev_owned,
-           CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) AS gap_days
-    FROM latest l JOIN prev p ON l.insider=p.insider AND l.ticker=p.ticker
-    WHERE CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) >= ${minGapDays}
+           p.prev_trade, p.prev_owned, b.became_insider, b.initial_shares,
+           CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) AS gap_days
+    FROM latest l
+    LEFT JOIN prev p ON l.k=p.k AND l.ticker=p.ticker
+    LEFT JOIN baseline b ON l.k=b.k AND l.ticker=b.ticker
+    WHERE CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) >= ${minGapDays}
     ORDER BY gap_days DESC LIMIT ${limit}
   `);
   await dbRun(
@@ -394,15 +414,18 @@ async function computeScreener90() {
     SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
            trade_date AS trade, MAX(filing_date) AS filing,
            TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-           MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
+           MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+           MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+           MIN(price_low) AS price_low, MAX(price_high) AS price_high
     FROM trades
     WHERE trade_date >= date('now','-90 days') AND trade_date <= date('now')
       AND TRIM(type) IN ('P','S','S-')
       AND ticker NOT IN ('N/A','NA','NONE','NULL','--','-','.')
       AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
-    GROUP BY ticker, insider, trade_date, type
+    GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
     ORDER BY trade_date DESC LIMIT 20000
   `);
+  await tagJointActors(rows, dbQuery);
   await dbRun(
     `INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('screener-90d', ?, ?)`,
     [JSON.stringify(rows), Date.now()]
@@ -415,31 +438,40 @@ async function computeFirstBuysMonitor() {
   const lookbackDays = 92, minGapDays = 730, limit = 100;
   const rows = await dbQuery(`
     WITH recent_buys AS (
-      SELECT DISTINCT insider, ticker FROM trades
+      SELECT DISTINCT COALESCE(CAST(insider_id AS TEXT), 'n:' || insider) AS k, ticker FROM trades
       WHERE TRIM(type)='P' AND trade_date >= date('now','-${lookbackDays} days') AND trade_date <= date('now')
         AND insider IS NOT NULL AND ticker IS NOT NULL
     ),
     latest AS (
-      SELECT t.ticker, MAX(t.company) AS company, t.insider, MAX(t.title) AS title,
+      SELECT rb.k, t.ticker, MAX(t.company) AS company, MAX(t.insider) AS insider, MAX(t.title) AS title,
              MAX(t.trade_date) AS latest_trade, MAX(t.filing_date) AS latest_filing,
              MAX(t.price) AS latest_price, MAX(t.qty) AS latest_qty,
              MAX(t.value) AS latest_value, MAX(t.owned) AS latest_owned
-      FROM trades t JOIN recent_buys rb ON t.insider=rb.insider AND t.ticker=rb.ticker
+      FROM trades t JOIN recent_buys rb ON COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)=rb.k AND t.ticker=rb.ticker
       WHERE TRIM(t.type)='P' AND t.trade_date >= date('now','-${lookbackDays} days') AND t.trade_date <= date('now')
-      GROUP BY t.insider, t.ticker
+      GROUP BY rb.k, t.ticker
     ),
     prev AS (
-      SELECT t.insider, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
-      FROM trades t JOIN recent_buys rb ON t.insider=rb.insider AND t.ticker=rb.ticker
+      SELECT rb.k, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
+      FROM trades t JOIN recent_buys rb ON COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)=rb.k AND t.ticker=rb.ticker
       WHERE TRIM(t.type)='P' AND t.trade_date < date('now','-${lookbackDays} days')
-      GROUP BY t.insider, t.ticker
+      GROUP BY rb.k, t.ticker
+    ),
+    ${insiderNamesCte('recent_buys')},
+    baseline AS (
+      SELECT n.k, n.ticker, MIN(f.event_date) AS became_insider,
+             SUM(CASE WHEN f.is_derivative=0 THEN f.shares ELSE 0 END) AS initial_shares
+      FROM form3_holdings f JOIN names n ON f.insider=n.name AND f.ticker=n.ticker
+      GROUP BY n.k, n.ticker
     )
     SELECT l.ticker, l.company, l.insider, l.title,
            l.latest_trade, l.latest_filing, l.latest_price, l.latest_qty, l.latest_value, l.latest_owned,
-           p.prev_trade, p.prev_owned,
-           CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) AS gap_days
-    FROM latest l JOIN prev p ON l.insider=p.insider AND l.ticker=p.ticker
-    WHERE CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) >= ${minGapDays}
+           p.prev_trade, p.prev_owned, b.became_insider, b.initial_shares,
+           CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) AS gap_days
+    FROM latest l
+    LEFT JOIN prev p ON l.k=p.k AND l.ticker=p.ticker
+    LEFT JOIN baseline b ON l.k=b.k AND l.ticker=b.ticker
+    WHERE CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) >= ${minGapDays}
     ORDER BY gap_days DESC LIMIT ${limit}
   `);
   await dbRun(
@@ -449,6 +481,12 @@ async function computeFirstBuysMonitor() {
   log(`firstbuys-monitor cached: ${rows.length} results`);
 }
 
+// Rows an admin released from quarantine (/api/admin/quarantine/release) were
+// reviewed and kept; the hygiene deletes below leave them alone.
+const notReleased = t => `NOT EXISTS (
+  SELECT 1 FROM quarantined_trades q WHERE q.status = 'released' AND q.accession = ${t}.accession
+    AND q.insider = ${t}.insider AND q.trade_date = ${t}.trade_date AND q.type = ${t}.type AND q.qty = ${t}.qty)`;
+
 // Remove DRIP / director-plan clusters: 3+ distinct insiders buying the SAME
 // ticker on the SAME day at the EXACT same price, each a small buy (<$5,000).
 // These are coded 'P' with no footnote, so text-based filters can't catch them,
@@ -461,6 +499,7 @@ async function cleanupPlanClusters() {
     WHERE id IN (
       SELECT t.id FROM trades t
       WHERE TRIM(t.type) = 'P' AND t.price > 0 AND COALESCE(t.value,0) < 5000
+        AND ${notReleased('t')}
         AND EXISTS (
           SELECT 1 FROM trades t2
           WHERE t2.ticker = t.ticker AND t2.trade_date = t.trade_date AND t2.price = t.price
@@ -478,8 +517,9 @@ async function cleanupPlanClusters() {
 // come through as open-market "P" buys (e.g. an insider "buying" $BORR at $1.66
 // while it traded $4.25-$4.44 that day). These are impossible on the open market
 // and pollute every buy-based signal. We can only verify tickers that have cached
-// price bars; others are left untouched. Scoped to the last 180 days to cover the
-// signal windows and avoid split-adjustment false positives on old trades.
+// price bars; others are left untouched. Bars are split-adjusted, so the reported
+// price is put on their basis (corporate_actions) before comparing. Scoped to the
+// last 180 days to cover the signal windows.
 async function cleanupNonOpenMarket() {
   log('Cleaning non-open-market buys (price far below trading range)...');
   const rows = await dbQuery(`
@@ -487,17 +527,21 @@ async function cleanupNonOpenMarket() {
     WHERE TRIM(type)='P' AND COALESCE(price,0) > 0
       AND trade_date >= date('now','-180 days')
       AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
+      AND ${notReleased('trades')}
   `);
   const byTicker = {};
   rows.forEach(r => { (byTicker[r.ticker] || (byTicker[r.ticker] = [])).push(r); });
   const tickers = Object.keys(byTicker);
 
-  // Batch-load the cached price bars for these tickers
+  // Batch-load the cached price bars and splits for these tickers
   const lowByTicker = {}; // ticker -> { 'YYYY-MM-DD': low }
+  const splitsBy = {};
   for (let i = 0; i < tickers.length; i += 50) {
     const chunk = tickers.slice(i, i + 50);
     const cacheRows = await dbQuery(
       `SELECT symbol, bars_json FROM price_cache WHERE symbol IN (${chunk.map(() => '?').join(',')})`, chunk);
+    const actRows = await dbQuery(`SELECT ticker, ex_date, ratio FROM corporate_actions WHERE ticker IN (${chunk.map(() => '?').join(',')}) AND ratio > 0 ORDER BY ex_date`, chunk).catch(() => []);
+    for (const a of actRows) (splitsBy[a.ticker] || (splitsBy[a.ticker] = [])).push({ date: a.ex_date, ratio: a.ratio });
     for (const cr of cacheRows) {
       try {
         const map = {};
@@ -517,7 +561,7 @@ async function cleanupNonOpenMarket() {
       let low = lowMap[d];
       // Exact date may be a weekend/holiday/gap - check the nearest few days
       for (let i = 1; i <= 3 && low == null; i++) low = lowMap[shift(d, -i)] ?? lowMap[shift(d, i)];
-      if (low != null && low > 0 && t.price < low * 0.7) toDelete.push(t.id);
+      if (low != null && low > 0 && t.price / splitFactor(splitsBy[ticker], d) < low * 0.7) toDelete.push(t.id);
     }
   }
 
@@ -687,10 +731,84 @@ async function migrateDecodeInsiderNames() {
   log('Decoded HTML entities in existing insider/company/title names (one-time)');
 }
 
+// Filing latency for rows ingested before the columns existed (new rows get it
+// at ingestion). Walks filing_date backwards in 90-day windows from a cursor
+// kept in computed_cache, a few windows per run, one UPDATE per distinct
+// trade date / filing date / code, until it passes the oldest filing.
+// Amendments are left to restateAmendmentLatency: their filing_date is the
+// 4/A's own, not the date the lines were first reported.
+async function backfillFilingLatency() {
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_trades_late ON trades(late_filing, filing_date DESC)`);
+  const KEY = 'filing_latency_backfill_v1';
+  const saved = (await dbQuery('SELECT value_json FROM computed_cache WHERE key = ?', [KEY]))[0];
+  let cursor = saved ? JSON.parse(saved.value_json) : new Date(Date.now() + 86400000).toISOString().slice(0, 10);
+  if (cursor === 'done') return;
+  const oldest = (await dbQuery('SELECT MIN(filing_date) AS d FROM trades'))[0]?.d || cursor;
+  const back = (ds, n) => { const d = new Date(ds + 'T12:00:00Z'); d.setUTCDate(d.getUTCDate() - n); return d.toISOString().slice(0, 10); };
+  let updated = 0;
+  for (let w = 0; w < 4 && cursor !== 'done'; w++) {
+    const from = back(cursor, 90);
+    const groups = await dbQuery(`SELECT trade_date, filing_date, TRIM(type) AS type FROM trades
+      WHERE filing_date >= ? AND filing_date < ? AND filing_latency IS NULL AND trade_date IS NOT NULL
+        AND accession NOT IN (SELECT accession FROM filing_amendments)
+      GROUP BY trade_date, filing_date, TRIM(type)`, [from, cursor]);
+    const stmts = [];
+    for (const g of groups) {
+      const [latency, late] = latencyCols(g.trade_date, g.filing_date, g.type);
+      if (latency == null) continue;   // filed before the trade date: bad data, left NULL
+      stmts.push({ sql: `UPDATE trades SET filing_latency = ?, late_filing = ?
+        WHERE filing_date = ? AND trade_date = ? AND TRIM(type) = ? AND filing_latency IS NULL
+          AND accession NOT IN (SELECT accession FROM filing_amendments)`, args: [latency, late, g.filing_date, g.trade_date, g.type] });
+    }
+    for (let i = 0; i < stmts.length; i += 200) {
+      const res = await client.batch(stmts.slice(i, i + 200), 'write');
+      updated += res.reduce((n, r) => n + (r.rowsAffected || 0), 0);
+    }
+    cursor = from <= oldest ? 'done' : from;
+  }
+  await dbRun('INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES (?, ?, ?)', [KEY, JSON.stringify(cursor), Date.now()]);
+  log(`filing-latency backfill: ${updated} rows, ${cursor === 'done' ? 'complete' : 'next window before ' + cursor}`);
+}
+
+// One-time: amendment rows stored before parser v4 measured latency to the
+// 4/A's own filing date, so a correction filed weeks later marked every line
+// late. Restates them from the original submission date filing_amendments
+// keeps, or NULL where the amendment didn't give one.
+async function restateAmendmentLatency() {
+  const KEY = 'amendment_latency_v1';
+  const marker = await dbQuery('SELECT 1 AS n FROM computed_cache WHERE key = ?', [KEY]);
+  if (marker.length) return;
+  const stmts = [];
+  for (const [table, form] of [['trades', '4'], ['form5_trades', '5']]) {
+    const groups = await dbQuery(`SELECT t.accession, t.trade_date, TRIM(t.type) AS type, a.original_date FROM ${table} t
+      JOIN filing_amendments a ON a.accession = t.accession
+      WHERE t.trade_date IS NOT NULL
+      GROUP BY t.accession, t.trade_date, TRIM(t.type)`);
+    for (const g of groups) {
+      const [latency, late] = latencyCols(g.trade_date, g.original_date, g.type, form);
+      stmts.push({ sql: `UPDATE ${table} SET filing_latency = ?, late_filing = ? WHERE accession = ? AND trade_date = ? AND TRIM(type) = ?`,
+        args: [latency, late, g.accession, g.trade_date, g.type] });
+    }
+  }
+  let updated = 0;
+  for (let i = 0; i < stmts.length; i += 200) {
+    const res = await client.batch(stmts.slice(i, i + 200), 'write');
+    updated += res.reduce((n, r) => n + (r.rowsAffected || 0), 0);
+  }
+  await dbRun('INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES (?, ?, ?)', [KEY, '1', Date.now()]);
+  log(`Restated filing latency on ${updated} amendment rows (one-time)`);
+}
+
 // Pre-warm the price cache for the most-active tickers so their charts load instantly
 async function prewarmPrices() {
   log('Pre-warming price cache...');
   await client.execute(`CREATE TABLE IF NOT EXISTS price_cache (symbol TEXT PRIMARY KEY, bars_json TEXT NOT NULL, fetched_at INTEGER NOT NULL)`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS corporate_actions (
+    ticker TEXT NOT NULL, ex_date TEXT NOT NULL, action_type TEXT NOT NULL,
+    numerator REAL, denominator REAL, ratio REAL NOT NULL,
+    source TEXT, updated_at INTEGER,
+    PRIMARY KEY (ticker, ex_date, action_type)
+  )`);
   // Cover (a) recent open-market buy tickers first - these power the Radar
   // price-context tiles (Buying at the Lows / Recent Winners) and are often small
   // caps outside the top-by-volume set - then (b) generally active tickers.
@@ -712,11 +830,11 @@ async function prewarmPrices() {
     `SELECT symbol FROM price_cache WHERE fetched_at >= ?`, [Date.now() - 20 * 3600000]
   )).map(r => r.symbol));
   const endTs = Math.floor(Date.now() / 1000), startTs = endTs - 1830 * 86400; // ~5 years
-  let warmed = 0;
+  let warmed = 0, splitCount = 0;
   for (const { ticker } of rows) {
     if (fresh.has(ticker)) continue;
     try {
-      const resp = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&period1=${startTs}&period2=${endTs}`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
+      const resp = await fetch(`https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?interval=1d&period1=${startTs}&period2=${endTs}&events=split`, { headers: { 'User-Agent': 'Mozilla/5.0' } });
       if (!resp.ok) continue;
       const d = await resp.json();
       const r = d?.chart?.result?.[0];
@@ -725,11 +843,13 @@ async function prewarmPrices() {
       const bars = r.timestamp.map((t, i) => ({ time: new Date(t * 1000).toISOString().slice(0, 10), open: q.open?.[i] || 0, high: q.high?.[i] || 0, low: q.low?.[i] || 0, close: q.close?.[i] || 0, volume: q.volume?.[i] || 0 })).filter(b => b.close > 0);
       if (bars.length < 2) continue;
       await dbRun(`INSERT OR REPLACE INTO price_cache (symbol, bars_json, fetched_at) VALUES (?,?,?)`, [ticker, JSON.stringify(bars), Date.now()]);
+      // The bars come split-adjusted; keep the splits so Form 4 prices can be too.
+      for (const args of actionRows(ticker, splitsFromChart(r))) { await dbRun(UPSERT_ACTION_SQL, args); splitCount++; }
       warmed++;
     } catch(_) {}
     await new Promise(r => setTimeout(r, 120)); // gentle on Yahoo
   }
-  log(`Price cache pre-warmed: ${warmed} fetched, ${fresh.size} already fresh, ${rows.length} candidates`);
+  log(`Price cache pre-warmed: ${warmed} fetched, ${fresh.size} already fresh, ${rows.length} candidates, ${splitCount} splits`);
 }
 
 // Keep the table to ~5 years so scans stay small and Turso reads stay low.
@@ -740,19 +860,85 @@ async function prune5yr() {
 
 // Pre-score the insider leaderboard (Top Insider Scores + Best Timing Insiders).
 // This replaces the client's slow per-insider scoring loop (which was timing out).
+// Insider entity resolution (lib/entities.js): every (insider, owner_cik) pair
+// on trades without an insider_id is matched to an insider_entities row - by
+// CIK, then normalized name - or starts a new one, and its trades are stamped.
+// Pairs with a CIK go first so a later bare name can land on the right person.
+// Known aliases are never re-resolved, so admin merges and splits stick.
+const RESOLVE_BATCH = 20000;
+async function resolveInsiderEntities() {
+  await client.execute(`CREATE TABLE IF NOT EXISTS insider_entities (
+    id INTEGER PRIMARY KEY, name TEXT NOT NULL, slug TEXT, owner_cik TEXT,
+    kind TEXT, merged_into INTEGER, created_at INTEGER, updated_at INTEGER
+  )`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_insider_entities_cik ON insider_entities(owner_cik)`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_insider_entities_slug ON insider_entities(slug)`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS insider_aliases (
+    alias TEXT NOT NULL, owner_cik TEXT NOT NULL DEFAULT '', norm TEXT, slug TEXT,
+    entity_id INTEGER NOT NULL, source TEXT, pinned INTEGER DEFAULT 0, updated_at INTEGER,
+    PRIMARY KEY (alias, owner_cik)
+  )`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_insider_aliases_entity ON insider_aliases(entity_id)`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_insider_aliases_slug ON insider_aliases(slug)`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_insider_aliases_norm ON insider_aliases(norm)`);
+  await client.execute(`ALTER TABLE trades ADD COLUMN insider_id INTEGER`).catch(() => {});
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_trades_insider_id ON trades(insider_id, trade_date DESC)`);
+
+  const pending = await dbQuery(`SELECT insider, COALESCE(owner_cik,'') AS cik, COUNT(*) AS n FROM trades
+    WHERE insider_id IS NULL AND insider IS NOT NULL AND insider != ''
+    GROUP BY insider, COALESCE(owner_cik,'') ORDER BY (COALESCE(owner_cik,'') = ''), n DESC LIMIT ${RESOLVE_BATCH}`);
+  if (!pending.length) { log('insider entities: nothing to resolve'); return; }
+  log(`Resolving ${pending.length} insider aliases...`);
+
+  // Merged-away entities forward to the survivor; only live ones are match targets.
+  const entities = await dbQuery('SELECT id, name, owner_cik FROM insider_entities WHERE merged_into IS NULL');
+  const aliases = await dbQuery(`SELECT a.alias, a.owner_cik, COALESCE(e.merged_into, a.entity_id) AS entity_id
+    FROM insider_aliases a LEFT JOIN insider_entities e ON e.id = a.entity_id`);
+  const resolver = createResolver({ entities, aliases });
+  let nextId = ((await dbQuery('SELECT MAX(id) AS m FROM insider_entities'))[0]?.m || 0) + 1;
+
+  const now = Date.now(), via = {};
+  let stmts = [], created = 0, stamped = 0;
+  const flush = async () => {
+    if (!stmts.length) return;
+    await client.batch(stmts, 'write');
+    stmts = [];
+  };
+  for (const p of pending) {
+    const cik = p.cik || null;
+    let { id, via: how } = resolver.resolve(p.insider, cik);
+    if (id == null) {
+      id = nextId++; how = 'new'; created++;
+      stmts.push({ sql: 'INSERT INTO insider_entities (id, name, slug, owner_cik, kind, created_at, updated_at) VALUES (?,?,?,?,?,?,?)',
+        args: [id, p.insider, insiderSlug(p.insider), cik, insiderKind(p.insider), now, now] });
+    }
+    resolver.remember(id, p.insider, cik);
+    via[how] = (via[how] || 0) + 1;
+    stmts.push({ sql: `INSERT OR IGNORE INTO insider_aliases (alias, owner_cik, norm, slug, entity_id, source, pinned, updated_at) VALUES (?,?,?,?,?,?,0,?)`,
+      args: [p.insider, p.cik, normalizeInsiderName(p.insider), insiderSlug(p.insider), id, how === 'alias' || how === 'new' ? (cik ? 'cik' : 'name') : how, now] });
+    stmts.push({ sql: `UPDATE trades SET insider_id = ? WHERE insider = ? AND COALESCE(owner_cik,'') = ? AND insider_id IS NULL`, args: [id, p.insider, p.cik] });
+    stamped += p.n;
+    if (stmts.length >= 300) await flush();
+  }
+  await flush();
+  log(`insider entities: ${pending.length} aliases (${Object.entries(via).map(([k, v]) => `${v} ${k}`).join(', ')}), ${created} new entities, ${stamped} trades stamped`);
+}
+
 async function computeInsiderLeaderboard() {
   log('Computing insider leaderboard...');
   // Candidates = top recent buyers (last 90 days) by their largest recent buy.
   // Restricting to a 90-day window uses idx_trades_ttype_date and stays small,
   // instead of grouping all 5 years of P trades with an IN subquery (which scanned
   // ~1M rows and stalled). The >=4 total-buys filter is applied per candidate below.
+  // Grouped by resolved insider (resolveInsiderEntities), so one person filed
+  // under several spellings is one candidate; not-yet-resolved names stand alone.
   const candidates = await dbQuery(`
-    SELECT insider AS name, MAX(title) AS title, MAX(COALESCE(value,0)) AS mv
-    FROM trades
-    WHERE TRIM(type)='P' AND price > 0 AND COALESCE(value,0) >= 10000
-      AND trade_date >= date('now','-90 days')
-      AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6 AND insider IS NOT NULL
-    GROUP BY insider ORDER BY mv DESC LIMIT 120
+    SELECT t.insider_id AS id, COALESCE(e.name, MAX(t.insider)) AS name, MAX(t.title) AS title, MAX(COALESCE(t.value,0)) AS mv
+    FROM trades t LEFT JOIN insider_entities e ON e.id = t.insider_id
+    WHERE TRIM(t.type)='P' AND t.price > 0 AND COALESCE(t.value,0) >= 10000
+      AND t.trade_date >= date('now','-90 days')
+      AND t.ticker GLOB '[A-Z]*' AND LENGTH(t.ticker) BETWEEN 1 AND 6 AND t.insider IS NOT NULL
+    GROUP BY COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider) ORDER BY mv DESC LIMIT 120
   `);
   if (!candidates.length) {
     await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('insider-leaderboard', ?, ?)`, [JSON.stringify({ accuracy: [], timing: [] }), Date.now()]);
@@ -767,12 +953,12 @@ async function computeInsiderLeaderboard() {
   const perCand = [];
   const allTickers = new Set();
   for (const c of candidates) {
-    // c.name is the exact stored insider string, so match the plain (indexed)
-    // insider column directly - no UPPER(), guaranteed to use idx_insider.
+    // Both lookups are indexed exact matches (idx_trades_insider_id / idx_insider);
+    // an unresolved c.name is the stored insider string, so no UPPER() needed.
     const rows = await dbQuery(`
       SELECT ticker, trade_date AS trade, COALESCE(price,0) AS price
-      FROM trades WHERE insider = ? AND TRIM(type)='P' AND price > 0
-      ORDER BY trade_date DESC LIMIT 500`, [c.name]);
+      FROM trades WHERE ${c.id != null ? 'insider_id = ?' : 'insider = ?'} AND TRIM(type)='P' AND price > 0
+      ORDER BY trade_date DESC LIMIT 500`, [c.id != null ? c.id : c.name]);
     if (rows.length < 4) continue;
     perCand.push({ c, rows });
     rows.forEach(r => allTickers.add(r.ticker));
@@ -790,6 +976,13 @@ async function computeInsiderLeaderboard() {
       try { priceCache[cr.symbol] = JSON.parse(cr.bars_json).filter(b => b.close > 0).map(b => ({ time: b.time, close: b.close })); } catch(_) {}
     }
   }
+  // Splits per ticker: cached bars are split-adjusted, reported buy prices are not.
+  const splitsBy = {};
+  for (let i = 0; i < tickerArr.length; i += 100) {
+    const chunk = tickerArr.slice(i, i + 100);
+    const actRows = await dbQuery(`SELECT ticker, ex_date, ratio FROM corporate_actions WHERE ticker IN (${chunk.map(() => '?').join(',')}) AND ratio > 0 ORDER BY ex_date`, chunk).catch(() => []);
+    for (const a of actRows) (splitsBy[a.ticker] || (splitsBy[a.ticker] = [])).push({ date: a.ex_date, ratio: a.ratio });
+  }
 
   const accuracy = [], timing = [];
   for (const { c, rows } of perCand) {
@@ -798,7 +991,7 @@ async function computeInsiderLeaderboard() {
       const bars = priceCache[t.ticker];
       if (!bars || !bars.length) return null;
       const buyDate = t.trade.slice(0, 10);
-      const buyPrice = t.price || bars.find(b => b.time >= buyDate)?.close || 0;
+      const buyPrice = (t.price ? t.price / splitFactor(splitsBy[t.ticker], buyDate) : 0) || bars.find(b => b.time >= buyDate)?.close || 0;
       if (!buyPrice) return null;
       if (today < addDays(buyDate, 90)) return null;
       const barMap = {}; bars.forEach(b => { barMap[b.time] = b.close; });
@@ -825,13 +1018,13 @@ async function computeInsiderLeaderboard() {
     const timingAlpha = computeTimingAlpha(avgRet30, avgRet90, win30Rate, completed.length);
     const tickers3 = tickers.slice(0, 3).join(', ');
 
-    if (accuracyScore >= 35) accuracy.push({ name: c.name, title: c.title || '', accuracyScore, tier, winRate, avgRet90, avgRet30, tradeCount: completed.length, tickers: tickers3 });
+    if (accuracyScore >= 35) accuracy.push({ id: c.id, name: c.name, title: c.title || '', accuracyScore, tier, winRate, avgRet90, avgRet30, tradeCount: completed.length, tickers: tickers3 });
     if (avgRet30 !== null) {
       const verdict = avgRet30 >= 8 ? 'Buys trigger immediate upward moves'
                     : avgRet30 >= 3 ? 'Above-average short-term reaction'
                     : avgRet30 >= 0 ? 'Mixed short-term price reaction'
                     : 'Buys often followed by weakness';
-      timing.push({ name: c.name, title: c.title || '', timingAlpha, avgRet30, avgRet90, win30Rate, verdict, tradeCount: completed.length, tickers: tickers3 });
+      timing.push({ id: c.id, name: c.name, title: c.title || '', timingAlpha, avgRet30, avgRet90, win30Rate, verdict, tradeCount: completed.length, tickers: tickers3 });
     }
   }
   accuracy.sort((a, b) => b.accuracyScore - a.accuracyScore);
@@ -847,7 +1040,7 @@ async function computeInsiderLeaderboard() {
 async function computeInsiderStudy() {
   // Recompute if the cached study is missing, an older structure/version, or >25
   // days old (this version fetches prices market-wide, so it runs ~monthly).
-  const STUDY_VERSION = 4;
+  const STUDY_VERSION = 5;
   // The sweep does a heavy market-wide price fetch (thousands of Yahoo calls + a
   // ~1M-row scan), so it runs ONLY on a manual FORCE_FULL trigger. Every scheduled
   // run skips it entirely - it never touches Turso or Yahoo on the automatic path.
@@ -870,14 +1063,30 @@ async function computeInsiderStudy() {
   const shiftDate = (ymd, n) => { const x = new Date(ymd + 'T12:00:00Z'); x.setUTCDate(x.getUTCDate() + n); return x.toISOString().slice(0, 10); };
   const onOrBefore = (map, date) => { for (let i = 0; i <= 6; i++) { const dd = shiftDate(date, -i); if (map[dd] != null) return map[dd]; } return null; };
 
-  // Preload whatever price bars we already have cached.
+  // Preload whatever price bars we already have cached, then the archived bars
+  // of names Yahoo no longer serves (scripts/cleanup-delisted.js keeps those).
   const barsByTicker = {};
-  try {
-    const priceRows = await dbQuery('SELECT symbol, bars_json FROM price_cache');
-    for (const pr of priceRows) {
-      try { const arr = JSON.parse(pr.bars_json).filter(b => b.close > 0).map(b => ({ t: b.time, c: b.close })); arr.sort((a, b) => a.t < b.t ? -1 : 1); if (arr.length > 30) barsByTicker[pr.symbol] = arr; } catch(_) {}
-    }
-  } catch(_) {}
+  for (const table of ['price_cache', 'price_archive']) {
+    try {
+      const priceRows = await dbQuery(`SELECT symbol, bars_json FROM ${table}`);
+      for (const pr of priceRows) {
+        if (barsByTicker[pr.symbol]) continue;
+        try { const arr = JSON.parse(pr.bars_json).filter(b => b.close > 0).map(b => ({ t: b.time, c: b.close })); arr.sort((a, b) => a.t < b.t ? -1 : 1); if (arr.length > 30) barsByTicker[pr.symbol] = arr; } catch(_) {}
+      }
+    } catch(_) {}
+  }
+
+  // Survivorship: dead and renamed names stay in the sample. A retired symbol's
+  // buys count under the issuer's current one (Yahoo keeps the history there);
+  // a delisted name is held to its last close when a window runs past it.
+  const renamedTo = {}, dead = new Set();
+  for (const r of await dbQuery(`
+    SELECT h.ticker AS old, s.ticker AS cur FROM symbol_history h JOIN securities s ON s.issuer_cik = h.issuer_cik
+    WHERE h.current = 0 AND s.ticker IS NOT NULL AND s.ticker != h.ticker
+      AND h.ticker NOT IN (SELECT ticker FROM symbol_history WHERE current = 1)`).catch(() => [])) renamedTo[r.old] = r.cur;
+  for (const r of await dbQuery(`
+    SELECT h.ticker FROM symbol_history h JOIN securities s ON s.issuer_cik = h.issuer_cik
+    WHERE s.status = 'delisted'`).catch(() => [])) dead.add(r.ticker);
 
   // Every open-market buy over 5 years, market-wide, old enough for a forward
   // window. Title + value drive the scenario tags. (~1M rows read; runs ~monthly.)
@@ -902,8 +1111,8 @@ async function computeInsiderStudy() {
   };
   const byTicker = {}, byInsider = {};
   for (const b of buys) {
-    const d = (b.d || '').slice(0, 10);
-    (byTicker[b.ticker] || (byTicker[b.ticker] = [])).push({ d, insider: b.insider, role: roleOf(b.title), value: +b.value || 0 });
+    const d = (b.d || '').slice(0, 10), tk = renamedTo[b.ticker] || b.ticker;
+    (byTicker[tk] || (byTicker[tk] = [])).push({ d, insider: b.insider, role: roleOf(b.title), value: +b.value || 0 });
     (byInsider[b.insider] || (byInsider[b.insider] = [])).push(d);
   }
   for (const k in byInsider) byInsider[k].sort();
@@ -952,7 +1161,7 @@ async function computeInsiderStudy() {
   const today = new Date().toISOString().slice(0, 10);
   const midDate = shiftDate(today, -912); // ~2.5y ago - first-half/second-half split for robustness
   // Measure one entry once: returns per-window { ret, rx (Russell excess), sx (S&P excess) }.
-  function measure(bars, entryDate) {
+  function measure(bars, entryDate, held) {
     const ei = bars.findIndex(x => x.t >= entryDate);
     if (ei < 0) return null;
     if (new Date(bars[ei].t) - new Date(entryDate) > 6 * DAY) return null;
@@ -960,7 +1169,8 @@ async function computeInsiderStudy() {
     const rE = onOrBefore(rutClose, bars[ei].t), sE = onOrBefore(spxClose, bars[ei].t);
     const out = {}; let any = false;
     for (const [k, n] of Object.entries(WIN)) {
-      const fi = ei + n; if (fi >= bars.length) continue;
+      let fi = ei + n;
+      if (fi >= bars.length) { if (!held || bars.length - 1 <= ei) continue; fi = bars.length - 1; }
       const fwd = bars[fi].c; if (!(fwd > 0)) continue;
       const ret = fwd / entry - 1; if (ret > 4 || ret < -0.95) continue;
       let rx = null, sx = null;
@@ -1019,8 +1229,9 @@ async function computeInsiderStudy() {
   let minD = '9999', maxD = '0';
   for (const ticker of Object.keys(byTicker)) {
     const bars = barsByTicker[ticker]; if (!bars) continue;
+    const held = dead.has(ticker);
     for (const b of byTicker[ticker]) {
-      const out = measure(bars, b.d); if (!out) continue;
+      const out = measure(bars, b.d, held); if (!out) continue;
       if (b.d < minD) minD = b.d; if (b.d > maxD) maxD = b.d;
       let prior = null; const hist = byInsider[b.insider];
       if (hist) for (let i = hist.length - 1; i >= 0; i--) { if (hist[i] < b.d) { prior = hist[i]; break; } }
@@ -1030,7 +1241,7 @@ async function computeInsiderStudy() {
     }
     if (clusterEventsByTicker[ticker]) {
       for (const ev of clusterEventsByTicker[ticker]) {
-        const out = measure(bars, ev.d); if (!out) continue;
+        const out = measure(bars, ev.d, held); if (!out) continue;
         if (ev.size >= 2) tally('cluster_2plus', out, ev.d);
         if (ev.size >= 3) tally('cluster_3plus', out, ev.d);
         if (ev.size >= 4) tally('cluster_4plus', out, ev.d);
@@ -1056,7 +1267,8 @@ async function computeInsiderStudy() {
     version: STUDY_VERSION,
     benchmarks: ['Russell 2000', 'S&P 500'],
     generated: today,
-    sample: { from: minD, to: maxD, midDate, minValue: 10000, tickersPriced: allTk.filter(t => barsByTicker[t]).length, tickersTotal: allTk.length },
+    sample: { from: minD, to: maxD, midDate, minValue: 10000, tickersPriced: allTk.filter(t => barsByTicker[t]).length, tickersTotal: allTk.length,
+      delistedPriced: allTk.filter(t => dead.has(t) && barsByTicker[t]).length, renamedSymbols: Object.keys(renamedTo).length },
     scenarios,
   };
   await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('insider-study', ?, ?)`, [JSON.stringify(result), Date.now()]);
@@ -1073,10 +1285,17 @@ async function computeSitemapLists() {
     if (ex && Date.now() - ex.computed_at < 6 * 24 * 3600000 && process.env.FORCE_FULL !== '1') { log('sitemap-lists fresh, skip'); return; }
   } catch(_) {}
   log('Computing sitemap-lists...');
-  const tickers = (await dbQuery("SELECT ticker FROM trades WHERE ticker GLOB '[A-Z]*' AND trade_date >= date('now','-1825 days') GROUP BY ticker ORDER BY COUNT(*) DESC LIMIT 800")).map(r => r.ticker);
-  const insiders = (await dbQuery("SELECT insider, COUNT(*) AS n FROM trades WHERE insider IS NOT NULL AND insider != '' AND TRIM(type) IN ('P','S','S-') AND trade_date >= date('now','-1825 days') GROUP BY insider ORDER BY n DESC LIMIT 600")).map(r => r.insider);
-  await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('sitemap-lists', ?, ?)`, [JSON.stringify({ tickers, insiders }), Date.now()]);
-  log(`sitemap-lists cached: ${tickers.length} tickers, ${insiders.length} insiders`);
+  // Retired symbols 301 to the issuer's current one, so they stay out.
+  const retired = new Set((await dbQuery("SELECT ticker FROM symbol_history WHERE current = 0 AND ticker NOT IN (SELECT ticker FROM symbol_history WHERE current = 1)").catch(() => [])).map(r => r.ticker));
+  const tickers = (await dbQuery("SELECT ticker FROM trades WHERE ticker GLOB '[A-Z]*' AND TRIM(type) IN ('P','S','S-') AND trade_date >= date('now','-1825 days') GROUP BY ticker ORDER BY COUNT(*) DESC LIMIT 800")).map(r => r.ticker).filter(t => !retired.has(t));
+  // One URL per resolved insider, under the entity's canonical name.
+  const insiders = (await dbQuery(`SELECT COALESCE(e.name, MAX(t.insider)) AS insider, COUNT(*) AS n FROM trades t LEFT JOIN insider_entities e ON e.id = t.insider_id
+    WHERE t.insider IS NOT NULL AND t.insider != '' AND TRIM(t.type) IN ('P','S','S-') AND t.trade_date >= date('now','-1825 days')
+    GROUP BY COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider) ORDER BY n DESC LIMIT 600`)).map(r => r.insider);
+  // congress_trades only exists once congress-worker has run.
+  const congress = (await dbQuery("SELECT member_slug FROM congress_trades WHERE tx_date >= date('now','-1825 days') GROUP BY member_slug ORDER BY COUNT(*) DESC LIMIT 600").catch(() => [])).map(r => r.member_slug);
+  await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('sitemap-lists', ?, ?)`, [JSON.stringify({ tickers, insiders, congress }), Date.now()]);
+  log(`sitemap-lists cached: ${tickers.length} tickers, ${insiders.length} insiders, ${congress.length} congress members`);
 }
 
 // Precompute the ticker search index (server reads this from computed_cache so
@@ -1109,6 +1328,154 @@ async function computeSearchIndex() {
   log(`search-index cached: ${index.length} tickers`);
 }
 
+// SIC-based sectors for every issuer with trades in the last five years. New
+// issuers (and ones not checked in SIC_TTL) are looked up in EDGAR's company
+// submissions, a capped batch per run; the ticker -> [sector, industry] index
+// the server reads is then rebuilt from issuer_sectors. Refreshes every ~3 days.
+const SIC_TTL = 180 * 24 * 3600000, SIC_BATCH = 1500;
+const UPSERT_SECTOR_SQL = `INSERT OR REPLACE INTO issuer_sectors (issuer_cik, ticker, sic, sic_description, sector, industry, source, updated_at) VALUES (?,?,?,?,?,?,?,?)`;
+async function computeSectorIndex() {
+  try {
+    const ex = (await dbQuery("SELECT computed_at FROM computed_cache WHERE key='sector-index'"))[0];
+    if (ex && Date.now() - ex.computed_at < 3 * 24 * 3600000 && process.env.FORCE_FULL !== '1') { log('sector-index fresh, skip'); return; }
+  } catch(_) {}
+  log('Computing sector-index...');
+  await client.execute(`CREATE TABLE IF NOT EXISTS issuer_sectors (
+    issuer_cik TEXT PRIMARY KEY, ticker TEXT, sic TEXT, sic_description TEXT,
+    sector TEXT, industry TEXT, source TEXT, updated_at INTEGER
+  )`);
+  await client.execute(`CREATE INDEX IF NOT EXISTS idx_issuer_sectors_sector ON issuer_sectors(sector)`);
+
+  const pairs = await dbQuery(`SELECT ticker, issuer_cik, MAX(trade_date) AS last_trade FROM trades
+    WHERE issuer_cik IS NOT NULL AND issuer_cik != '' AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
+      AND trade_date >= date('now','-1825 days')
+    GROUP BY ticker, issuer_cik ORDER BY last_trade`);
+  // pairs come oldest first, so the last write per issuer is its latest symbol and trade.
+  const latestTicker = new Map(pairs.map(p => [p.issuer_cik, p.ticker]));
+  const lastTrade = new Map(pairs.map(p => [p.issuer_cik, p.last_trade]));
+  const known = new Map((await dbQuery('SELECT issuer_cik, sector, industry, updated_at FROM issuer_sectors')).map(r => [r.issuer_cik, r]));
+
+  // Never-classified issuers first, then the most recently traded.
+  const now = Date.now();
+  const todo = [...lastTrade.keys()]
+    .filter(c => !known.has(c) || now - (known.get(c).updated_at || 0) > SIC_TTL)
+    .sort((a, b) => (known.has(a) - known.has(b)) || (lastTrade.get(a) < lastTrade.get(b) ? 1 : -1))
+    .slice(0, SIC_BATCH);
+  if (todo.length) {
+    const source = openSicSource(process.env.SIC_SOURCE);
+    log(`  classifying ${todo.length} issuers via ${source.name}`);
+    let done = 0, unmapped = 0, failed = 0;
+    for (const cik of todo) {
+      let sub;
+      try { sub = await source.lookup(cik); } catch(e) { failed++; continue; }
+      // Issuers EDGAR has no SIC for are stored too, so they wait out SIC_TTL.
+      const c = classifySubmission(sub);
+      if (!c.sector) unmapped++;
+      await dbRun(UPSERT_SECTOR_SQL, [cik, latestTicker.get(cik), c.sic, c.description, c.sector, c.industry, source.name.split(':')[0], now]);
+      known.set(cik, { issuer_cik: cik, sector: c.sector, industry: c.industry, updated_at: now });
+      if (++done % 250 === 0) log(`  ${done}/${todo.length} classified`);
+    }
+    log(`  ${done} classified (${unmapped} without a mapped SIC), ${failed} lookups failed`);
+  }
+
+  // A symbol some other issuer used before takes the sector of whoever traded it last.
+  const index = {};
+  for (const p of pairs) {
+    const k = known.get(p.issuer_cik);
+    if (k?.sector) index[p.ticker] = [k.sector, k.industry];
+  }
+  await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('sector-index', ?, ?)`, [JSON.stringify(index), Date.now()]);
+  log(`sector-index cached: ${Object.keys(index).length} tickers from ${known.size} issuers`);
+}
+
+// Shares outstanding from XBRL company facts into issuer_fundamentals (issuers
+// not checked in XBRL_TTL, a capped batch per run), then the ticker-keyed
+// 'market-caps' cache the server sizes trades with: the recent share series,
+// the splits needed to restate it, and today's cap from the latest cached close.
+const XBRL_TTL = 30 * 24 * 3600000, XBRL_BATCH = 1500;
+const UPSERT_FUNDAMENTAL_SQL = `INSERT OR REPLACE INTO issuer_fundamentals (issuer_cik, period_end, shares_outstanding, form, accession, filed_date, source, updated_at) VALUES (?,?,?,?,?,?,?,?)`;
+async function computeMarketCaps() {
+  try {
+    const ex = (await dbQuery("SELECT computed_at FROM computed_cache WHERE key='market-caps'"))[0];
+    if (ex && Date.now() - ex.computed_at < 20 * 3600000 && process.env.FORCE_FULL !== '1') { log('market-caps fresh, skip'); return; }
+  } catch(_) {}
+  log('Computing market-caps...');
+  await client.execute(`CREATE TABLE IF NOT EXISTS issuer_fundamentals (
+    issuer_cik TEXT NOT NULL, period_end TEXT NOT NULL, shares_outstanding INTEGER NOT NULL,
+    form TEXT, accession TEXT, filed_date TEXT, source TEXT, updated_at INTEGER,
+    PRIMARY KEY (issuer_cik, period_end)
+  )`);
+  await client.execute(`CREATE TABLE IF NOT EXISTS fundamentals_log (issuer_cik TEXT PRIMARY KEY, checked_at INTEGER NOT NULL, points INTEGER)`);
+
+  const pairs = await dbQuery(`SELECT ticker, issuer_cik, MAX(trade_date) AS last_trade FROM trades
+    WHERE issuer_cik IS NOT NULL AND issuer_cik != '' AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
+      AND trade_date >= date('now','-1100 days')
+    GROUP BY ticker, issuer_cik ORDER BY last_trade`);
+  const lastTrade = new Map(pairs.map(p => [p.issuer_cik, p.last_trade]));
+  const checked = new Map((await dbQuery('SELECT issuer_cik, checked_at FROM fundamentals_log')).map(r => [r.issuer_cik, r.checked_at]));
+
+  const now = Date.now();
+  const todo = [...lastTrade.keys()]
+    .filter(c => now - (checked.get(c) || 0) > XBRL_TTL)
+    .sort((a, b) => (checked.has(a) - checked.has(b)) || (lastTrade.get(a) < lastTrade.get(b) ? 1 : -1))
+    .slice(0, XBRL_BATCH);
+  if (todo.length) {
+    const source = openXbrlSource(process.env.XBRL_SOURCE);
+    log(`  shares outstanding for ${todo.length} issuers via ${source.name}`);
+    let done = 0, points = 0, failed = 0;
+    for (const cik of todo) {
+      let pts;
+      try { pts = sharesFromFacts(await source.lookup(cik)); } catch(e) { failed++; continue; }
+      for (const p of pts) await dbRun(UPSERT_FUNDAMENTAL_SQL, [cik, p.date, Math.round(p.shares), p.form, p.accn, p.filed, source.name.split(':')[0], now]);
+      // Logged even when empty (no XBRL, e.g. funds and foreign filers) so it waits out XBRL_TTL.
+      await dbRun('INSERT OR REPLACE INTO fundamentals_log (issuer_cik, checked_at, points) VALUES (?,?,?)', [cik, now, pts.length]);
+      points += pts.length;
+      if (++done % 250 === 0) log(`  ${done}/${todo.length} issuers`);
+    }
+    log(`  ${done} issuers, ${points} share counts, ${failed} lookups failed`);
+  }
+
+  // Three years of points covers every screener window.
+  const series = {};
+  for (const r of await dbQuery(`SELECT issuer_cik, period_end, shares_outstanding FROM issuer_fundamentals
+    WHERE period_end >= date('now','-1200 days') ORDER BY period_end`)) {
+    (series[r.issuer_cik] || (series[r.issuer_cik] = [])).push([r.period_end, r.shares_outstanding]);
+  }
+  const latestTicker = new Map(pairs.map(p => [p.issuer_cik, p.ticker]));
+  const tickers = [...new Set(pairs.filter(p => series[p.issuer_cik]).map(p => p.ticker))];
+  const splitsBy = {}, closeBy = {};
+  for (let i = 0; i < tickers.length; i += 500) {
+    const chunk = tickers.slice(i, i + 500), ph = chunk.map(() => '?').join(',');
+    for (const s of await dbQuery(`SELECT ticker, ex_date, ratio FROM corporate_actions WHERE ticker IN (${ph}) ORDER BY ex_date`, chunk).catch(() => [])) {
+      (splitsBy[s.ticker] || (splitsBy[s.ticker] = [])).push({ date: s.ex_date, ratio: s.ratio });
+    }
+    // Only the last bar of each cached series is needed.
+    for (const c of await dbQuery(`SELECT symbol, json_extract(bars_json, '$[#-1].close') AS close, json_extract(bars_json, '$[#-1].time') AS d
+      FROM price_cache WHERE symbol IN (${ph})`, chunk).catch(() => [])) {
+      if (c.close > 0) closeBy[c.symbol] = { close: c.close, date: c.d };
+    }
+  }
+
+  const index = {};
+  for (const p of pairs) {
+    const s = series[p.issuer_cik];
+    if (!s) continue;
+    const x = (splitsBy[p.ticker] || []).filter(sp => sp.date > s[0][0]);
+    const e = { cik: p.issuer_cik, s: s.slice(-12), x: x.map(sp => [sp.date, sp.ratio]) };
+    // Today's cap only for the issuer's current symbol; bars are on today's share basis.
+    const c = closeBy[p.ticker];
+    if (c && latestTicker.get(p.issuer_cik) === p.ticker) {
+      const last = s[s.length - 1];
+      e.m = Math.round(restateShares(last[1], x, last[0], c.date) * c.close);
+      e.b = marketCapBand(e.m);
+      e.d = c.date;
+    }
+    index[p.ticker] = e;
+  }
+  await dbRun(`INSERT OR REPLACE INTO computed_cache (key, value_json, computed_at) VALUES ('market-caps', ?, ?)`, [JSON.stringify(index), Date.now()]);
+  log(`market-caps cached: ${Object.keys(index).length} tickers, ${Object.values(index).filter(e => e.m).length} with a current cap`);
+}
+
 async function main() {
   log('=== precompute start ===');
   await ensureComputedCacheTable();
@@ -1137,13 +1504,13 @@ async function main() {
     await cleanupPlanClusters().catch(e => log('cleanup-plan-clusters error: ' + e.message));
     await cleanupNonOpenMarket().catch(e => log('cleanup-non-open-market error: ' + e.message));
   }
-  // Data-hygiene safety nets (bad dates, non-P/S types, implausible values). Each
-  // full-scans the table, so run weekly - they rarely delete anything. Moved here
-  // from daily-worker, where they ran on every ingestion.
+  // Data-hygiene safety nets (bad dates, implausible values). Each full-scans the
+  // table, so run weekly - they rarely delete anything. Moved here from
+  // daily-worker, where they ran on every ingestion. Non-P/S codes are kept on
+  // purpose now (grants, exercises, gifts, tax withholding).
   if (weeklyRun) {
     await dbRun(`DELETE FROM trades WHERE trade_date < '2000-01-01' OR trade_date > '2030-12-31'`).catch(() => {});
-    await dbRun(`DELETE FROM trades WHERE TRIM(type) NOT IN ('P','S','S-')`).catch(() => {});
-    await dbRun(`DELETE FROM trades WHERE value > 5000000000 OR price > 1500000 OR qty > 500000000`).catch(() => {});
+    await dbRun(`DELETE FROM trades WHERE (value > 5000000000 OR price > 1500000 OR qty > 500000000) AND ${notReleased('trades')}`).catch(() => {});
   }
 
   // Light, recent-data caches - every run
@@ -1158,8 +1525,11 @@ async function main() {
   // Self-gating caches (sitemap ~weekly, insider-study ~monthly). Run these
   // BEFORE the heavy block - and regardless of light/heavy mode - so the slower
   // leaderboard can never block the study, and a run does not depend on FORCE_FULL.
+  await resolveInsiderEntities().catch(e => log('insider-entities error: ' + e.message));
   await computeSitemapLists().catch(e => log('sitemap-lists error: ' + e.message));
   await computeSearchIndex().catch(e => log('search-index error: ' + e.message));
+  await computeSectorIndex().catch(e => log('sector-index error: ' + e.message));
+  await computeMarketCaps().catch(e => log('market-caps error: ' + e.message));
   await computeInsiderStudy().catch(e => log('insider-study error: ' + e.message));
 
   // Heavy caches - once per day. Sentiment is now incremental (~95d scan), so it
@@ -1179,6 +1549,8 @@ async function main() {
   // job after the important caches above already succeeded - it self-heals next run.
   await migratePriceCacheTo5yr().catch(e => log('price-cache-migrate error: ' + e.message));
   await migrateDecodeInsiderNames().catch(e => log('decode-names error: ' + e.message));
+  await backfillFilingLatency().catch(e => log('filing-latency backfill error: ' + e.message));
+  await restateAmendmentLatency().catch(e => log('amendment-latency error: ' + e.message));
   await prewarmPrices().catch(e => log('prewarm-prices error: ' + e.message));
   log('=== precompute done ===');
 }
@@ -0,0 +1,72 @@
+'use strict';
+
+// One-time migration: move trades / form5_trades off the table-level
+// UNIQUE(accession, insider, trade_date, type, qty) onto the per-ownership-line
+// unique index initSchema creates (idx_<table>_line). The old key dropped the
+// second of two lines sharing date, code and quantity (1,000 direct and 1,000
+// "By Spouse"). SQLite can't drop a table constraint, so each table is copied
+// into one without it, in id order (ids and every column kept), then swapped in
+// with its indexes in one transaction. A table already on the new key is
+// skipped. Lines the old key dropped come back when their filings are parsed
+// again (scripts/reprocess.js --all for stored XML).
+// Usage: node scripts/rekey-trades.js [--dry-run]   (run via workflow_dispatch)
+
+const { createClient } = require('@libsql/client');
+
+const TURSO_URL   = process.env.TURSO_DATABASE_URL;
+const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
+if (!TURSO_URL) { console.error('TURSO_DATABASE_URL not set'); process.exit(1); }
+
+const client = createClient({ url: TURSO_URL, authToken: TURSO_TOKEN || undefined });
+const log = m => process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${m}\n`);
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const OLD_KEY = /,\s*UNIQUE\s*\(\s*accession\s*,\s*insider\s*,\s*trade_date\s*,\s*type\s*,\s*qty\s*\)/i;
+const COPY_ROWS = 20000;
+
+async function rows(sql, args = []) {
+  const r = await client.execute({ sql, args });
+  return r.rows.map(row => Object.fromEntries(r.columns.map((c, i) => [c, row[i] ?? null])));
+}
+
+async function rekey(table) {
+  const [def] = await rows(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  if (!def) { log(`${table}: not found`); return; }
+  if (!OLD_KEY.test(def.sql)) { log(`${table}: already on the per-line key`); return; }
+  const tmp = `${table}_rekey`;
+  const cols = (await rows(`PRAGMA table_info(${table})`)).map(c => c.name).join(', ');
+  const indexes = (await rows(`SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL`, [table])).map(i => i.sql);
+  const [{ n }] = await rows(`SELECT COUNT(*) AS n FROM ${table}`);
+  log(`${table}: ${n} rows, ${indexes.length} indexes`);
+  if (DRY_RUN) return;
+
+  await client.execute(`DROP TABLE IF EXISTS ${tmp}`);
+  await client.execute(def.sql.replace(OLD_KEY, '').replace(new RegExp(`^CREATE TABLE\\s+(IF NOT EXISTS\\s+)?"?${table}"?`, 'i'), `CREATE TABLE ${tmp}`));
+  let last = 0, copied = 0;
+  for (;;) {
+    const [{ hi }] = await rows(`SELECT MAX(id) AS hi FROM (SELECT id FROM ${table} WHERE id > ? ORDER BY id LIMIT ?)`, [last, COPY_ROWS]);
+    if (hi == null) break;
+    const r = await client.execute({ sql: `INSERT INTO ${tmp} (${cols}) SELECT ${cols} FROM ${table} WHERE id > ? AND id <= ?`, args: [last, hi] });
+    copied += r.rowsAffected;
+    last = hi;
+    if (copied % (COPY_ROWS * 10) < COPY_ROWS) log(`  ${table}: ${copied} copied`);
+  }
+  // Rows the workers wrote during the copy, then the swap, in one transaction.
+  await client.batch([
+    { sql: `INSERT INTO ${tmp} (${cols}) SELECT ${cols} FROM ${table} WHERE id > ?`, args: [last] },
+    `DROP TABLE ${table}`,
+    `ALTER TABLE ${tmp} RENAME TO ${table}`,
+    ...indexes,
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_${table}_line ON ${table}(accession, insider, trade_date, type, qty, COALESCE(ownership, ''), COALESCE(ownership_nature, ''))`,
+  ], 'write');
+  const [{ m }] = await rows(`SELECT COUNT(*) AS m FROM ${table}`);
+  log(`${table}: rekeyed, ${m} rows`);
+}
+
+async function main() {
+  log(`=== rekey-trades start${DRY_RUN ? ' (dry run)' : ''} ===`);
+  for (const t of ['trades', 'form5_trades']) await rekey(t);
+  log('=== rekey-trades done ===');
+}
+
+main().catch(e => { log(`FATAL: ${e.message}\n${e.stack}`); process.exit(1); });
@@ -0,0 +1,186 @@
+'use strict';
+
+// reprocess.js - replays stored ownership XML (raw_filings, kept by daily-worker)
+// through the current lib/form4 parser and applies what changed, so a parser fix
+// reaches history without a one-off backfill script.
+// Usage: node scripts/reprocess.js [--all] [--accession=<acc>[,<acc>...]] [--limit=N] [--dry-run]
+//   default      filings last parsed below PARSER_VERSION
+//   --all        every stored filing, whatever its version
+//   --accession  just these filings
+//   --limit      stop after N filings
+//   --dry-run    report the differences, write nothing
+//
+// Per filing, each table's rows for the accession are matched to the new parse
+// on the table's unique key: changed rows are updated in place (ids and
+// insider_id survive), new rows inserted, rows the parser no longer produces
+// deleted. Lines a 4/A has replaced are left out - they live in
+// superseded_rows; lines released from quarantine are kept even while the
+// parser still rejects them. A filing that no longer parses at all is reported
+// and skipped rather than emptied.
+
+const { createClient } = require('@libsql/client');
+const { parseFiling, PARSER_VERSION } = require('../lib/form4');
+const {
+  INSERT_SQL, INSERT_FORM5_SQL, INSERT_DERIV_SQL, INSERT_FORM3_SQL, INSERT_OWNER_SQL, INSERT_QUARANTINE_SQL,
+  quarantineArgs, unpackXml,
+} = require('../lib/ingest');
+
+const TURSO_URL   = process.env.TURSO_DATABASE_URL;
+const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
+if (!TURSO_URL) { console.error('TURSO_DATABASE_URL not set'); process.exit(1); }
+
+const client = createClient({ url: TURSO_URL, authToken: TURSO_TOKEN || undefined });
+
+function log(msg) { process.stdout.write(`[${new Date().toISOString().slice(11, 19)}] ${msg}\n`); }
+
+async function dbQuery(sql, args = []) {
+  const r = await client.execute({ sql, args });
+  return r.rows.map(row => Object.fromEntries(r.columns.map((c, i) => [c, row[i] ?? null])));
+}
+async function dbBatch(stmts) {
+  for (let i = 0; i < stmts.length; i += 200) await client.batch(stmts.slice(i, i + 200), 'write');
+}
+
+const opts = Object.fromEntries(process.argv.slice(2).map(a => {
+  const m = a.match(/^--([\w-]+)(?:=(.*))?$/);
+  return m ? [m[1], m[2] ?? true] : [a, true];
+}));
+const DRY_RUN    = !!opts['dry-run'];
+const LIMIT      = parseInt(opts.limit, 10) || Infinity;
+const ACCESSIONS = typeof opts.accession === 'string' ? opts.accession.split(',').map(s => s.trim()).filter(Boolean) : null;
+
+// Tables a filing's parse lands in, keyed like their UNIQUE constraints / indexes.
+const TABLES = {
+  trades:            { sql: INSERT_SQL,       key: ['insider', 'trade_date', 'type', 'qty', 'ownership', 'ownership_nature'] },
+  form5_trades:      { sql: INSERT_FORM5_SQL, key: ['insider', 'trade_date', 'type', 'qty', 'ownership', 'ownership_nature'] },
+  derivative_trades: { sql: INSERT_DERIV_SQL, key: ['insider', 'trade_date', 'type', 'security', 'qty'] },
+  form3_holdings:    { sql: INSERT_FORM3_SQL, key: ['insider', 'security', 'is_derivative', 'shares'] },
+  filing_owners:     { sql: INSERT_OWNER_SQL, key: ['owner_name'] },
+};
+for (const t of Object.values(TABLES)) t.cols = t.sql.match(/\(([^)]+)\) VALUES/)[1].split(',');
+
+const norm = v => (v == null ? null : String(v));
+
+// -> { stmts, inserted, updated, deleted } turning the table's rows for
+// `accession` into `rows` (positional, in the INSERT column order).
+async function diffTable(table, accession, rows) {
+  const { sql, key, cols } = TABLES[table];
+  const same = cols.filter(c => c !== 'parser_version');
+  const keyOf = r => key.map(c => norm(r[c])).join('|');
+  const old = new Map();
+  for (const r of await dbQuery(`SELECT rowid AS _rid, ${cols.join(',')} FROM ${table} WHERE accession = ?`, [accession])) old.set(keyOf(r), r);
+
+  const out = { stmts: [], inserted: 0, updated: 0, deleted: 0 };
+  const done = new Set();
+  for (const arr of rows) {
+    const r = Object.fromEntries(cols.map((c, i) => [c, arr[i] ?? null]));
+    const k = keyOf(r);
+    if (done.has(k)) continue;   // INSERT OR IGNORE would have kept the first
+    done.add(k);
+    const prev = old.get(k);
+    if (!prev) { out.stmts.push({ sql, args: cols.map(c => r[c]) }); out.inserted++; continue; }
+    old.delete(k);
+    if (same.every(c => norm(prev[c]) === norm(r[c]))) {
+      if (cols.includes('parser_version') && norm(prev.parser_version) !== norm(r.parser_version)) {
+        out.stmts.push({ sql: `UPDATE ${table} SET parser_version = ? WHERE rowid = ?`, args: [r.parser_version, prev._rid] });
+      }
+      continue;
+    }
+    out.stmts.push({ sql: `UPDATE ${table} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE rowid = ?`, args: [...cols.map(c => r[c]), prev._rid] });
+    out.updated++;
+  }
+  for (const prev of old.values()) { out.stmts.push({ sql: `DELETE FROM ${table} WHERE rowid = ?`, args: [prev._rid] }); out.deleted++; }
+  return out;
+}
+
+const totals = { filings: 0, changed: 0, superseded: 0, unparseable: 0 };
+const tableTotals = Object.fromEntries(Object.keys(TABLES).map(t => [t, { inserted: 0, updated: 0, deleted: 0 }]));
+
+async function reprocessFiling(raw) {
+  const { accession, filing_date: filingDate } = raw;
+  const stamp = { sql: `UPDATE raw_filings SET parser_version = ?, reparsed_at = datetime('now') WHERE accession = ?`, args: [PARSER_VERSION, accession] };
+  const doc = parseFiling(unpackXml(raw.xml_gz), filingDate, accession);
+  if (!doc.owners.length && !doc.trades.length && !doc.derivatives.length && !doc.holdings.length) {
+    totals.unparseable++;
+    log(`  ${accession}: no longer parses - left as is`);
+    return;
+  }
+  const form = doc.form === '5' ? '5' : '4';
+  // A line an admin released from quarantine stays in the table even though
+  // the parser still rejects it.
+  const lineKey = (...v) => v.map(norm).join('|');
+  const rowKey = row => lineKey(row[2], row[4], row[6], row[7], row[8]);
+  const released = new Set((await dbQuery(`SELECT insider, trade_date, type, qty, price FROM quarantined_trades
+    WHERE accession = ? AND status = 'released'`, [accession])).map(q => lineKey(q.insider, q.trade_date, q.type, q.qty, q.price)));
+  const tableRows = [...doc.trades, ...doc.quarantined.filter(({ row }) => released.has(rowKey(row))).map(({ row }) => row)];
+  const want = {
+    trades:            doc.form === '3' || form === '5' ? [] : tableRows,
+    form5_trades:      form === '5' ? tableRows : [],
+    derivative_trades: doc.derivatives,
+    form3_holdings:    doc.holdings,
+    filing_owners:     doc.owners,
+  };
+  const superseded = await dbQuery('SELECT source_table, row_json FROM superseded_rows WHERE accession = ?', [accession]);
+  if (superseded.length) totals.superseded++;
+  const stmts = [], changes = [];
+  for (const [table, rows] of Object.entries(want)) {
+    const { key, cols } = TABLES[table];
+    const gone = new Set(superseded.filter(s => s.source_table === table).map(s => {
+      const r = JSON.parse(s.row_json);
+      return key.map(c => norm(r[c])).join('|');
+    }));
+    const d = await diffTable(table, accession, gone.size
+      ? rows.filter(arr => !gone.has(key.map(c => norm(arr[cols.indexOf(c)])).join('|')))
+      : rows);
+    stmts.push(...d.stmts);
+    for (const k of ['inserted', 'updated', 'deleted']) tableTotals[table][k] += d[k];
+    if (d.inserted || d.updated || d.deleted) changes.push(`${table} +${d.inserted} ~${d.updated} -${d.deleted}`);
+  }
+
+  // Rows the parser now rejects join the quarantine; pending ones it now
+  // accepts are closed out (released when they made it into the table).
+  for (const q of doc.quarantined) stmts.push({ sql: INSERT_QUARANTINE_SQL, args: quarantineArgs(form, q) });
+  const rejected = new Set(doc.quarantined.map(({ row }) => rowKey(row)));
+  const accepted = new Set(doc.trades.map(rowKey));
+  const pending = await dbQuery(`SELECT id, insider, trade_date, type, qty, price FROM quarantined_trades WHERE accession = ? AND status = 'pending'`, [accession]);
+  for (const p of pending) {
+    const k = lineKey(p.insider, p.trade_date, p.type, p.qty, p.price);
+    if (rejected.has(k)) continue;
+    stmts.push({ sql: `UPDATE quarantined_trades SET status = ?, reviewed_at = datetime('now'), note = ? WHERE id = ?`,
+      args: [accepted.has(k) ? 'released' : 'dismissed', `reprocessed with parser v${PARSER_VERSION}`, p.id] });
+    changes.push(`quarantine #${p.id} ${accepted.has(k) ? 'released' : 'dismissed'}`);
+  }
+
+  if (changes.length) { totals.changed++; log(`  ${accession}: ${changes.join(', ')}`); }
+  if (!DRY_RUN) await dbBatch([...stmts, stamp]);
+}
+
+async function main() {
+  log(`=== reprocess start, parser v${PARSER_VERSION}${DRY_RUN ? ' (dry run)' : ''} ===`);
+  // Every table in TABLES has a UNIQUE key led by accession, so the per-filing
+  // reads below are index seeks.
+  let cursor = '';
+  while (totals.filings < LIMIT) {
+    const where = ['accession > ?'], args = [cursor];
+    if (ACCESSIONS) { where.push(`accession IN (${ACCESSIONS.map(() => '?').join(',')})`); args.push(...ACCESSIONS); }
+    else if (!opts.all) { where.push('(parser_version IS NULL OR parser_version < ?)'); args.push(PARSER_VERSION); }
+    const page = await dbQuery(`SELECT accession, filing_date, xml_gz FROM raw_filings WHERE ${where.join(' AND ')}
+      ORDER BY accession LIMIT ?`, [...args, Math.min(200, LIMIT - totals.filings)]);
+    if (!page.length) break;
+    for (const raw of page) {
+      totals.filings++;
+      try { await reprocessFiling(raw); }
+      catch (e) { log(`  ${raw.accession}: ${e.message}`); }
+    }
+    cursor = page[page.length - 1].accession;
+    log(`${totals.filings} filings, ${totals.changed} changed`);
+  }
+
+  for (const [t, n] of Object.entries(tableTotals)) {
+    if (n.inserted || n.updated || n.deleted) log(`${t}: ${n.inserted} inserted, ${n.updated} updated, ${n.deleted} deleted`);
+  }
+  log(`=== reprocess done: ${totals.filings} filings, ${totals.changed} changed, ${totals.superseded} superseded, ${totals.unparseable} unparseable${DRY_RUN ? ' (dry run, nothing written)' : ''} ===`);
+  // New and renamed trades rows get their insider_id on the next precompute.
+}
+
+main().catch(e => { log(`FATAL: ${e.message}\n${e.stack}`); process.exit(1); });
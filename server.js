@@ -9,6 +9,14 @@ const path     = require('path');
 const crypto   = require('crypto');
 const { query, queryOne, run, exec, batch } = require('./lib/db');
 const { renderOgPng } = require('./lib/og');
+const { filerKey } = require('./lib/schedule13');
+const { congressEnabled, parseAmountRange, memberSlug } = require('./lib/congress');
+const { UPSERT_ACTION_SQL, splitsFromChart, actionRows, adjustTrade, restateShares } = require('./lib/corporate-actions');
+const { MCAP_BANDS, marketCapBand, sharesAsOf } = require('./lib/xbrl');
+const { normalizeInsiderName, insiderKind, insiderSlug, tagJointActors, insiderNamesCte } = require('./lib/entities');
+const { QUARANTINE_REASONS, normCik } = require('./lib/form4');
+const { FORM4_DUE_DAYS, latencyCols } = require('./lib/calendar');
+const { INSERT_SQL, INSERT_FORM5_SQL } = require('./lib/ingest');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
@@ -28,6 +36,10 @@ const STRIPE_PRICE_ANNUAL   = process.env.STRIPE_PRICE_ID_ANNUAL|| '';
 const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET  || '';
 const ADMIN_EMAIL    = process.env.ADMIN_EMAIL         || '';
 const TRIAL_DAYS     = parseInt(process.env.TRIAL_DAYS || '7');
+// STOCK Act trades module, off unless CONGRESS_TRADES=on; while off its API,
+// pages, articles and sitemap entries are hidden.
+const CONGRESS_ENABLED = congressEnabled();
+const CONGRESS_ARTICLES = ['what-is-the-stock-act', 'how-to-track-congressional-trades', 'congressional-vs-insider-trading'];
 
 // ─── LOGGING ──────────────────────────────────────────────────────────────────
 const syncLog = [];
@@ -51,8 +63,7 @@ async function initSchema() {
       ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
       trade_date TEXT NOT NULL, filing_date TEXT,
       type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
-      accession TEXT, footnote TEXT,
-      UNIQUE(accession, insider, trade_date, type, qty)
+      accession TEXT, footnote TEXT
     )`,
     `CREATE INDEX IF NOT EXISTS idx_ticker           ON trades(ticker)`,
     `CREATE INDEX IF NOT EXISTS idx_trade_date       ON trades(trade_date DESC)`,
@@ -66,6 +77,176 @@ async function initSchema() {
     `CREATE INDEX IF NOT EXISTS idx_trades_type_trade  ON trades(type, trade_date DESC)`,
     `CREATE INDEX IF NOT EXISTS idx_trades_ttype_date  ON trades(TRIM(type), trade_date)`,
     `CREATE INDEX IF NOT EXISTS idx_trades_filing_type ON trades(filing_date DESC, type, value)`,
+    // Form 4 Table II rows (option exercises, grants, conversions). Written by
+    // daily-worker / sync-worker; never mixed into the `trades` aggregates.
+    `CREATE TABLE IF NOT EXISTS derivative_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, security TEXT NOT NULL DEFAULT '', qty INTEGER, price REAL, value INTEGER,
+      exercise_price REAL, exercise_date TEXT, expiration_date TEXT,
+      underlying_security TEXT, underlying_shares INTEGER,
+      acq_disp TEXT, owned INTEGER, accession TEXT, footnote TEXT,
+      UNIQUE(accession, insider, trade_date, type, security, qty)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_ticker       ON derivative_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_insider_upper ON derivative_trades(UPPER(insider))`,
+    // Rows from before a missing security title was stored as '' (NULL, and
+    // duplicated on re-ingestion) are cleaned up by scripts/dedupe-derivatives.js.
+    // Form 3 opening positions (the became-insider baseline) and Form 5 annual
+    // transactions, written by daily-worker / sync-worker.
+    `CREATE TABLE IF NOT EXISTS form3_holdings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      event_date TEXT NOT NULL, filing_date TEXT,
+      security TEXT NOT NULL DEFAULT '', is_derivative INTEGER NOT NULL DEFAULT 0,
+      shares INTEGER, exercise_price REAL, expiration_date TEXT, accession TEXT,
+      UNIQUE(accession, insider, security, is_derivative, shares)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_ticker ON form3_holdings(insider, ticker)`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_upper  ON form3_holdings(UPPER(insider))`,
+    `CREATE TABLE IF NOT EXISTS form5_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
+      accession TEXT, footnote TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_ticker       ON form5_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_insider_upper ON form5_trades(UPPER(insider))`,
+    ...['trades', 'derivative_trades', 'form3_holdings', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN issuer_cik TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN owner_cik TEXT`,
+    ]),
+    `CREATE INDEX IF NOT EXISTS idx_trades_owner_cik  ON trades(owner_cik)`,
+    `CREATE INDEX IF NOT EXISTS idx_trades_issuer_cik ON trades(issuer_cik, trade_date DESC)`,
+    ...['trades', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN plan_10b5_1 INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN plan_adopted TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership_nature TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN price_low REAL`,
+      `ALTER TABLE ${t} ADD COLUMN price_high REAL`,
+      `ALTER TABLE ${t} ADD COLUMN filing_latency INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN late_filing INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN parser_version INTEGER`,
+    ]),
+    // One row per ownership line: a filing's direct and "By Spouse" lines can
+    // share date, code and quantity. Tables created with the older
+    // UNIQUE(accession, insider, trade_date, type, qty) are moved onto this key
+    // by scripts/rekey-trades.js.
+    ...['trades', 'form5_trades'].map(t =>
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_${t}_line ON ${t}(accession, insider, trade_date, type, qty, COALESCE(ownership, ''), COALESCE(ownership_nature, ''))`),
+    `CREATE INDEX IF NOT EXISTS idx_trades_late ON trades(late_filing, filing_date DESC)`,
+    `CREATE TABLE IF NOT EXISTS filing_owners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, ticker TEXT, filing_date TEXT, owner_seq INTEGER NOT NULL DEFAULT 0,
+      owner_name TEXT NOT NULL DEFAULT '', owner_cik TEXT, title TEXT,
+      is_director INTEGER NOT NULL DEFAULT 0, is_officer INTEGER NOT NULL DEFAULT 0,
+      is_ten_pct INTEGER NOT NULL DEFAULT 0, is_other INTEGER NOT NULL DEFAULT 0, officer_title TEXT,
+      UNIQUE(accession, owner_name)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_name ON filing_owners(owner_name)`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_cik  ON filing_owners(owner_cik)`,
+    // Form 4/A and 5/A chains: each amendment, the version it replaces (`amends`,
+    // NULL until that filing is loaded) and the chain's original filing.
+    `CREATE TABLE IF NOT EXISTS filing_amendments (
+      accession TEXT PRIMARY KEY, amends TEXT, root_accession TEXT,
+      ticker TEXT, insider TEXT, filing_date TEXT, original_date TEXT,
+      rows_superseded INTEGER NOT NULL DEFAULT 0, linked_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_root    ON filing_amendments(root_accession)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_amends  ON filing_amendments(amends)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_lookup  ON filing_amendments(ticker, insider, original_date)`,
+    `ALTER TABLE filing_amendments ADD COLUMN form TEXT NOT NULL DEFAULT '4'`,
+    // Rows an amendment replaced, moved out of trades / derivative_trades so no
+    // aggregate can see them. Kept verbatim (row_json) for the filing history.
+    `CREATE TABLE IF NOT EXISTS superseded_rows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_table TEXT NOT NULL, accession TEXT NOT NULL, superseded_by TEXT NOT NULL,
+      row_json TEXT NOT NULL, superseded_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_superseded_acc ON superseded_rows(accession)`,
+    // Form 4 / 5 Table I rows the parser rejected on a sanity check (reason codes
+    // in lib/form4.js QUARANTINE_REASONS), kept for review at /api/admin/quarantine.
+    // status: pending | released (copied into trades / form5_trades) | dismissed.
+    `CREATE TABLE IF NOT EXISTS quarantined_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, form TEXT NOT NULL DEFAULT '4', reason TEXT NOT NULL,
+      ticker TEXT, insider TEXT, trade_date TEXT, filing_date TEXT, type TEXT,
+      qty INTEGER, price REAL, value INTEGER, row_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', reviewed_at TEXT, note TEXT,
+      quarantined_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(accession, insider, trade_date, type, qty, price)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_quarantine_status ON quarantined_trades(status, reason, filing_date DESC)`,
+    // Per-day ingestion completeness against EDGAR's daily form index, written by
+    // `daily-worker.js <days> reconcile`; read at /api/admin/coverage.
+    `CREATE TABLE IF NOT EXISTS coverage_report (
+      date TEXT PRIMARY KEY, indexed INTEGER, seen INTEGER, missing INTEGER, missing_by_form TEXT,
+      recovered_trades INTEGER, logged_filings INTEGER, completeness REAL, checked_at TEXT
+    )`,
+    // Form 144 proposed-sale notices, linked by daily-worker to the Form 4 sale
+    // that follows (sale_*; NULL while the sale hasn't printed).
+    `CREATE TABLE IF NOT EXISTS form144_notices (
+      accession TEXT PRIMARY KEY, filing_date TEXT NOT NULL,
+      issuer_cik TEXT NOT NULL, ticker TEXT, company TEXT,
+      seller TEXT NOT NULL, seller_cik TEXT, relationship TEXT, security TEXT,
+      shares INTEGER, market_value INTEGER, shares_outstanding INTEGER,
+      approx_sale_date TEXT, exchange TEXT, plan_adopted TEXT, is_amendment INTEGER NOT NULL DEFAULT 0,
+      sale_accession TEXT, sale_date TEXT, sale_shares INTEGER, sale_value INTEGER, linked_at TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form144_ticker ON form144_notices(ticker, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_form144_issuer ON form144_notices(issuer_cik, filing_date DESC)`,
+    // Schedule 13D/G 5%+ stakes, one row per filing; schedule13_owners lists
+    // every joint filer. prev_pct is the filer's previous percent for the issuer.
+    `CREATE TABLE IF NOT EXISTS schedule13_filings (
+      accession TEXT PRIMARY KEY, form_type TEXT NOT NULL, filing_date TEXT NOT NULL, event_date TEXT,
+      issuer_cik TEXT NOT NULL, ticker TEXT, company TEXT, cusip TEXT,
+      filer TEXT NOT NULL, filer_cik TEXT, filer_key TEXT NOT NULL,
+      shares INTEGER, pct_of_class REAL, prev_pct REAL,
+      is_activist INTEGER NOT NULL DEFAULT 0, is_amendment INTEGER NOT NULL DEFAULT 0
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_ticker ON schedule13_filings(ticker, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_issuer ON schedule13_filings(issuer_cik, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_filer  ON schedule13_filings(filer_key, filing_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_date   ON schedule13_filings(filing_date DESC)`,
+    `CREATE TABLE IF NOT EXISTS schedule13_owners (
+      accession TEXT NOT NULL, owner_seq INTEGER NOT NULL, name TEXT NOT NULL, cik TEXT, name_key TEXT NOT NULL,
+      shares INTEGER, pct_of_class REAL, PRIMARY KEY (accession, owner_seq)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_owner_key ON schedule13_owners(name_key)`,
+    `CREATE INDEX IF NOT EXISTS idx_sched13_owner_cik ON schedule13_owners(cik)`,
+    // 13F long positions per manager, CUSIP and quarter (period end), loaded by
+    // form13f-worker; cusip_tickers is its CUSIP -> ticker map.
+    `CREATE TABLE IF NOT EXISTS institutional_holdings (
+      quarter TEXT NOT NULL, manager_cik TEXT NOT NULL, cusip TEXT NOT NULL,
+      manager TEXT, shares INTEGER, value INTEGER, accession TEXT, filing_date TEXT,
+      PRIMARY KEY (quarter, manager_cik, cusip)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_inst_cusip   ON institutional_holdings(cusip, quarter)`,
+    `CREATE INDEX IF NOT EXISTS idx_inst_manager ON institutional_holdings(manager_cik, quarter)`,
+    `CREATE TABLE IF NOT EXISTS cusip_tickers (
+      cusip TEXT PRIMARY KEY, ticker TEXT NOT NULL, issuer_name TEXT,
+      source TEXT NOT NULL, updated_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_cusip_tickers_ticker ON cusip_tickers(ticker)`,
+    // STOCK Act trades, loaded by congress-worker (same definition there).
+    `CREATE TABLE IF NOT EXISTS congress_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      chamber TEXT NOT NULL, member TEXT NOT NULL, member_slug TEXT NOT NULL,
+      state TEXT, district TEXT, party TEXT,
+      ticker TEXT, asset TEXT NOT NULL DEFAULT '', asset_type TEXT, owner TEXT NOT NULL DEFAULT '',
+      tx_type TEXT NOT NULL, tx_date TEXT NOT NULL, disclosure_date TEXT,
+      amount_range TEXT NOT NULL DEFAULT '', amount_low INTEGER, amount_high INTEGER,
+      ptr_link TEXT NOT NULL DEFAULT '', comment TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      UNIQUE (chamber, member, tx_date, asset, tx_type, amount_range, owner, ptr_link)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_ticker ON congress_trades(ticker, tx_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_member ON congress_trades(member_slug, tx_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_disclosed ON congress_trades(disclosure_date)`,
+    `CREATE INDEX IF NOT EXISTS idx_congress_tx_date ON congress_trades(tx_date)`,
     `CREATE TABLE IF NOT EXISTS users (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       email TEXT NOT NULL UNIQUE,
@@ -123,6 +304,7 @@ async function initSchema() {
       frequency TEXT NOT NULL DEFAULT 'immediate',
       updated_at TEXT NOT NULL DEFAULT (datetime('now'))
     )`,
+    `ALTER TABLE alert_prefs ADD COLUMN exclude_planned INTEGER NOT NULL DEFAULT 0`,
     `CREATE TABLE IF NOT EXISTS alert_log (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user_id INTEGER NOT NULL,
@@ -139,6 +321,68 @@ async function initSchema() {
       bars_json TEXT NOT NULL,
       fetched_at INTEGER NOT NULL
     )`,
+    // Security master, maintained by scripts/cleanup-delisted.js: one row per
+    // issuer CIK with its listing status, and every symbol it has filed under
+    // (current = 1 for the ones it trades under today). price_archive keeps bars
+    // for names Yahoo may stop serving, for the backtests.
+    `CREATE TABLE IF NOT EXISTS securities (
+      issuer_cik TEXT PRIMARY KEY, ticker TEXT, company TEXT,
+      status TEXT NOT NULL DEFAULT 'active', delisted_at TEXT, status_source TEXT,
+      first_trade TEXT, last_trade TEXT, updated_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_securities_ticker ON securities(ticker)`,
+    `CREATE TABLE IF NOT EXISTS symbol_history (
+      issuer_cik TEXT NOT NULL, ticker TEXT NOT NULL,
+      first_seen TEXT, last_seen TEXT, source TEXT, current INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (issuer_cik, ticker)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_symbol_history_ticker ON symbol_history(ticker)`,
+    `CREATE TABLE IF NOT EXISTS price_archive (
+      symbol TEXT PRIMARY KEY, bars_json TEXT NOT NULL, last_bar TEXT, archived_at INTEGER NOT NULL
+    )`,
+    // Splits and reverse splits seen in the price feed (see lib/corporate-actions.js);
+    // ratio is new shares per old share. Filled whenever bars are refreshed.
+    `CREATE TABLE IF NOT EXISTS corporate_actions (
+      ticker TEXT NOT NULL, ex_date TEXT NOT NULL, action_type TEXT NOT NULL,
+      numerator REAL, denominator REAL, ratio REAL NOT NULL,
+      source TEXT, updated_at INTEGER,
+      PRIMARY KEY (ticker, ex_date, action_type)
+    )`,
+    // Each issuer's SEC SIC code and the sector/industry it maps to (lib/sic.js).
+    // Filled by scripts/precompute.js, which also publishes the ticker-keyed
+    // 'sector-index' cache the server reads.
+    `CREATE TABLE IF NOT EXISTS issuer_sectors (
+      issuer_cik TEXT PRIMARY KEY, ticker TEXT, sic TEXT, sic_description TEXT,
+      sector TEXT, industry TEXT, source TEXT, updated_at INTEGER
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_issuer_sectors_sector ON issuer_sectors(sector)`,
+    // Shares outstanding per issuer and as-of date from XBRL company facts
+    // (lib/xbrl.js); fundamentals_log records when each issuer was last checked.
+    `CREATE TABLE IF NOT EXISTS issuer_fundamentals (
+      issuer_cik TEXT NOT NULL, period_end TEXT NOT NULL, shares_outstanding INTEGER NOT NULL,
+      form TEXT, accession TEXT, filed_date TEXT, source TEXT, updated_at INTEGER,
+      PRIMARY KEY (issuer_cik, period_end)
+    )`,
+    `CREATE TABLE IF NOT EXISTS fundamentals_log (issuer_cik TEXT PRIMARY KEY, checked_at INTEGER NOT NULL, points INTEGER)`,
+    // Resolved insiders (lib/entities.js). Every (name as filed, owner CIK) pair
+    // is an alias of one entity; trades.insider_id points at it. scripts/precompute.js
+    // resolves new aliases, /api/admin/insiders/merge|split corrects them.
+    `CREATE TABLE IF NOT EXISTS insider_entities (
+      id INTEGER PRIMARY KEY, name TEXT NOT NULL, slug TEXT, owner_cik TEXT,
+      kind TEXT, merged_into INTEGER, created_at INTEGER, updated_at INTEGER
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_insider_entities_cik  ON insider_entities(owner_cik)`,
+    `CREATE INDEX IF NOT EXISTS idx_insider_entities_slug ON insider_entities(slug)`,
+    `CREATE TABLE IF NOT EXISTS insider_aliases (
+      alias TEXT NOT NULL, owner_cik TEXT NOT NULL DEFAULT '', norm TEXT, slug TEXT,
+      entity_id INTEGER NOT NULL, source TEXT, pinned INTEGER DEFAULT 0, updated_at INTEGER,
+      PRIMARY KEY (alias, owner_cik)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_insider_aliases_entity ON insider_aliases(entity_id)`,
+    `CREATE INDEX IF NOT EXISTS idx_insider_aliases_slug   ON insider_aliases(slug)`,
+    `CREATE INDEX IF NOT EXISTS idx_insider_aliases_norm   ON insider_aliases(norm)`,
+    `ALTER TABLE trades ADD COLUMN insider_id INTEGER`,
+    `CREATE INDEX IF NOT EXISTS idx_trades_insider_id ON trades(insider_id, trade_date DESC)`,
     `CREATE TABLE IF NOT EXISTS sync_log (
       quarter TEXT PRIMARY KEY,
       synced_at TEXT DEFAULT (datetime('now')),
@@ -158,7 +402,6 @@ async function initSchema() {
   // Cleanup stale data
   try {
     await run(`DELETE FROM trades WHERE ticker IN ('N/A','NA','NONE','NULL','--','-','.','0','FALSE','TRUE','UNKNOWN','TBD') OR ticker NOT GLOB '[A-Z]*' OR LENGTH(ticker) < 1 OR LENGTH(ticker) > 10`);
-    await run(`DELETE FROM trades WHERE TRIM(type) NOT IN ('P','S','S-')`);
     await run(`DELETE FROM price_cache WHERE bars_json = '[]'`);
     await run(`DELETE FROM price_cache WHERE fetched_at < ?`, [Date.now() - 12 * 3600000]);
   } catch(e) { slog('Startup cleanup skipped: ' + e.message); }
@@ -219,6 +462,19 @@ app.use(express.static(path.join(__dirname, 'public'), {
     }
   }
 }));
+// With the congress module off its articles 404 and their cards, fenced by
+// <!-- congress --> ... <!-- /congress --> in articles/index.html, are cut.
+let _articlesIndexNoCongress = null;
+app.use('/articles', (req, res, next) => {
+  if (CONGRESS_ENABLED || req.method !== 'GET' && req.method !== 'HEAD') return next();
+  if (CONGRESS_ARTICLES.some(s => req.path === `/${s}` || req.path === `/${s}.html`)) return _congressDisabled(res);
+  if (req.path !== '/' && req.path !== '/index.html') return next();
+  try {
+    if (_articlesIndexNoCongress == null) _articlesIndexNoCongress = require('fs').readFileSync(path.join(__dirname, 'articles', 'index.html'), 'utf8').replace(/[ \t]*<!-- congress -->[\s\S]*?<!-- \/congress -->\n?/g, '');
+  } catch (e) { return next(); }
+  res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=21600, stale-while-revalidate=86400');
+  res.type('html').send(_articlesIndexNoCongress);
+});
 app.use('/articles', express.static(path.join(__dirname, 'articles'), {
   setHeaders: (res, filePath) => {
     if (filePath.endsWith('.html')) res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=21600, stale-while-revalidate=86400');
@@ -469,6 +725,7 @@ async function setPC(sym, bars) {
   } catch(e) {}
 }
 
+// Bars plus the splits inside the range: { bars, splits }, or null.
 function parseYahoo(body) {
   try {
     const d = JSON.parse(body.toString());
@@ -483,7 +740,7 @@ function parseYahoo(body) {
       close:  q.close?.[i]  || 0,
       volume: q.volume?.[i] || 0,
     })).filter(b => b.close > 0);
-    return bars.length >= 2 ? bars : null;
+    return bars.length >= 2 ? { bars, splits: splitsFromChart(r) } : null;
   } catch(_) { return null; }
 }
 
@@ -497,16 +754,17 @@ function refreshPriceBars(sym) {
   const startTs = endTs - 1830 * 86400; // ~5 years
   const p = (async () => {
     try {
-      const bars = await Promise.any([
-        httpGet(`https://query1.finance.yahoo.com/v8/finance/chart/${sym}?interval=1d&period1=${startTs}&period2=${endTs}`, 10000)
+      const { bars, splits } = await Promise.any([
+        httpGet(`https://query1.finance.yahoo.com/v8/finance/chart/${sym}?interval=1d&period1=${startTs}&period2=${endTs}&events=split`, 10000)
           .then(({ status, body }) => { if (status !== 200) throw new Error('404'); const b = parseYahoo(body); if (!b) throw new Error('no data'); return b; }),
-        httpGet(`https://query2.finance.yahoo.com/v8/finance/chart/${sym}?interval=1d&period1=${startTs}&period2=${endTs}`, 10000)
+        httpGet(`https://query2.finance.yahoo.com/v8/finance/chart/${sym}?interval=1d&period1=${startTs}&period2=${endTs}&events=split`, 10000)
           .then(({ status, body }) => { if (status !== 200) throw new Error('404'); const b = parseYahoo(body); if (!b) throw new Error('no data'); return b; }),
       ]);
       const sanitized = bars
         .sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0))
         .filter((b, i, arr) => i === 0 || b.time !== arr[i - 1].time);
       await setPC(sym, sanitized);
+      await saveSplits(sym, splits);
       return sanitized;
     } catch(_) {
       return null;
@@ -524,17 +782,146 @@ async function fetchPriceBars(sym) {
   return refreshPriceBars(sym);
 }
 
+// ─── SPLITS ───────────────────────────────────────────────────────────────────
+// Bars are split-adjusted; Form 4 figures are not. Splits are read from
+// corporate_actions (filled by refreshPriceBars and the precompute prewarm) and
+// applied on the way out, next to the reported columns.
+const _splitCache = new Map(); // ticker -> { splits, t }
+const SPLIT_TTL = 6 * 3600000;
+
+async function saveSplits(sym, splits) {
+  if (!splits?.length) return;
+  try { await batch(actionRows(sym, splits).map(args => ({ sql: UPSERT_ACTION_SQL, args }))); } catch(_) {}
+  _splitCache.delete(sym);
+}
+
+// ticker -> [{ ex_date, ratio }] ascending, for every ticker asked (empty when none).
+async function loadSplits(tickers) {
+  const out = new Map(), missing = [];
+  for (const t of new Set(tickers.filter(Boolean))) {
+    const c = _splitCache.get(t);
+    if (c && Date.now() - c.t < SPLIT_TTL) out.set(t, c.splits); else missing.push(t);
+  }
+  for (let i = 0; i < missing.length; i += 200) {
+    const chunk = missing.slice(i, i + 200);
+    let rows = [];
+    try {
+      rows = await query(`SELECT ticker, ex_date, ratio FROM corporate_actions WHERE ticker IN (${chunk.map(() => '?').join(',')}) AND ratio > 0 ORDER BY ex_date`, chunk);
+    } catch(_) {}
+    const by = new Map(chunk.map(t => [t, []]));
+    for (const r of rows) by.get(r.ticker)?.push({ date: r.ex_date, ratio: r.ratio });
+    for (const [t, splits] of by) { _splitCache.set(t, { splits, t: Date.now() }); out.set(t, splits); }
+  }
+  return out;
+}
+
+// Adds split_factor / adj_price / adj_qty / adj_owned to trade rows in place.
+async function withSplitAdjusted(rows, dateKey = 'trade') {
+  if (!rows?.length) return rows;
+  const splits = await loadSplits(rows.map(r => r.ticker));
+  for (const r of rows) adjustTrade(r, splits.get(r.ticker), dateKey);
+  return rows;
+}
+
 // ─── SCREENER ─────────────────────────────────────────────────────────────────
 const _screenerCache = new Map();
 setInterval(() => { const n = Date.now(); for (const [k,v] of _screenerCache) if (n - v.t > 30000) _screenerCache.delete(k); }, 30000);
 
+// Form 4 transaction codes selectable with ?codes=A,M,F (or codes=all) on the
+// trade-list endpoints. Every code is stored; the default views stay open-market
+// only (P/S). 'S' always brings 'S-' along, as everywhere else in this file.
+const FORM4_CODES   = ['P','S','S-','A','C','D','E','F','G','H','I','J','K','L','M','O','U','V','W','X','Z'];
+const DEFAULT_CODES = ['P','S','S-'];
+function _codesWhere(req) {
+  const raw = String(req.query.codes || '').toUpperCase().split(',').map(s => s.trim()).filter(Boolean);
+  let codes = raw.includes('ALL') ? FORM4_CODES.slice() : raw.filter(c => FORM4_CODES.includes(c));
+  if (codes.includes('S') && !codes.includes('S-')) codes.push('S-');
+  codes = codes.length ? [...new Set(codes)].sort() : DEFAULT_CODES;
+  const key = codes.join(',');
+  return {
+    clause: `TRIM(type) IN (${codes.map(() => '?').join(',')})`,
+    args: codes,
+    key,
+    isDefault: key === DEFAULT_CODES.slice().sort().join(','),
+  };
+}
+
+// ?plan=exclude drops trades made under a Rule 10b5-1 plan; ?plan=only keeps
+// just those. Rows with an undisclosed flag (pre-2023 forms) count as unplanned.
+function _planWhere(req) {
+  const mode = String(req.query.plan || '').toLowerCase();
+  if (mode === 'exclude') return { clause: 'COALESCE(plan_10b5_1, 0) = 0', key: mode, keep: r => !r.plan_10b5_1 };
+  if (mode === 'only')    return { clause: 'plan_10b5_1 = 1', key: mode, keep: r => r.plan_10b5_1 === 1 };
+  return { clause: '1=1', key: '', keep: null };
+}
+
+// ─── MARKET CAP ───────────────────────────────────────────────────────────────
+// Ticker -> { s: [[as-of, shares]], x: [[ex-date, ratio]], m: cap today, b: band }
+// from XBRL shares outstanding, built by scripts/precompute.js ('market-caps').
+let _mcapIndex = {}, _mcapIndexTime = 0, _mcapIndexLoading = null;
+async function loadMarketCaps() {
+  if (Date.now() - _mcapIndexTime < 30 * 60 * 1000) return _mcapIndex;
+  if (_mcapIndexLoading) return _mcapIndexLoading;
+  _mcapIndexLoading = (async () => {
+    try {
+      const c = await queryOne("SELECT value_json FROM computed_cache WHERE key = 'market-caps'");
+      const idx = c ? JSON.parse(c.value_json) : null;
+      if (idx && typeof idx === 'object') _mcapIndex = idx;
+      _mcapIndexTime = Date.now();
+    } catch(e) { slog('Market cap load failed: ' + e.message); }
+    return _mcapIndex;
+  })();
+  try { return await _mcapIndexLoading; } finally { _mcapIndexLoading = null; }
+}
+
+// Market cap on `date` at `price`: the latest reported share count before it,
+// restated across any split in between, times the Form 4 price (both on the
+// trade date's share basis). Null when the issuer has no XBRL shares on file.
+function _marketCapAt(ticker, date, price) {
+  const e = _mcapIndex[ticker];
+  if (!e || !(price > 0)) return null;
+  const pt = sharesAsOf(e.s, date);
+  if (!pt) return null;
+  const splits = (e.x || []).map(([d, ratio]) => ({ date: d, ratio }));
+  return Math.round(restateShares(pt.shares, splits, pt.date, date) * price);
+}
+
+// Adds mcap (point-in-time) and pct_mcap (the trade's value as % of it) to
+// trade rows in place, plus mcap_band (today's band, see _mcapWhere). Call
+// loadMarketCaps() first.
+function withMarketCap(rows) {
+  for (const r of rows) {
+    const cap = _marketCapAt(r.ticker, r.trade, r.price);
+    r.mcap = cap;
+    r.mcap_band = _mcapIndex[r.ticker]?.b || null;
+    r.pct_mcap = cap && r.value ? +(r.value / cap * 100).toFixed(4) : null;
+  }
+  return rows;
+}
+
+// ?mcap=small,mid keeps rows in those bands (see MCAP_BANDS); rows with no
+// known cap drop out once a band is asked for. The band is the company's size
+// today (XBRL shares x last close) on both /api/screener and /api/ranker, so a
+// ticker sits in one band whatever the trade date; mcap / pct_mcap still size
+// each buy against the cap on its own trade date.
+function _mcapWhere(req) {
+  const names = MCAP_BANDS.map(b => b[0]);
+  const want = String(req.query.mcap || '').toLowerCase().split(',').map(s => s.trim()).filter(b => names.includes(b));
+  if (!want.length) return { key: '', keep: null };
+  const set = new Set(want);
+  return { key: [...set].sort().join(','), keep: cap => set.has(marketCapBand(cap)) };
+}
+
 app.get('/api/screener', async (req, res) => {
   try {
+    const codes = _codesWhere(req);
+    const plan  = _planWhere(req);
+    const band  = _mcapWhere(req);
     // Biggest payload on the site (~570KB) and the SPA hits it on every visit to
     // The Tape. Trades only change a few times a day (on ingestion), so cache it
     // at the edge for 30 min: turns thousands of origin re-streams into a handful.
     res.set('Cache-Control', 'public, max-age=0, s-maxage=1800, stale-while-revalidate=86400');
-    const cacheKey =(req.query.days || '30') + '|' + (req.query.limit || '');
+    const cacheKey =(req.query.days || '30') + '|' + (req.query.limit || '') + '|' + codes.key + '|' + plan.key + '|' + band.key;
     const cached = _screenerCache.get(cacheKey);
     const _reqDays = parseInt(req.query.days || '30');
     const cacheTTL = _reqDays >= 90 ? 120000 : 30000;
@@ -543,7 +930,7 @@ app.get('/api/screener', async (req, res) => {
     // Short windows (≤90d) served from the precomputed 90-day cache: read the blob
     // once, slice to the requested window in memory, reuse via _screenerCache.
     // Avoids scanning thousands of trade rows on every screener load at scale.
-    if (_reqDays <= 90 && !req.query.limit) {
+    if (_reqDays <= 90 && !req.query.limit && codes.isDefault) {
       try {
         const cachedRow = await queryOne("SELECT value_json, computed_at FROM computed_cache WHERE key = 'screener-90d'");
         if (cachedRow && Date.now() - cachedRow.computed_at < 6 * 3600000) {
@@ -552,6 +939,11 @@ app.get('/api/screener', async (req, res) => {
             const cutoff = new Date(Date.now() - _reqDays * 86400000).toISOString().slice(0, 10);
             rows = rows.filter(r => (r.trade || '') >= cutoff);
           }
+          if (plan.keep) rows = rows.filter(plan.keep);
+          await withSplitAdjusted(rows);
+          await loadMarketCaps();
+          withMarketCap(rows);
+          if (band.keep) rows = rows.filter(r => band.keep(_mcapIndex[r.ticker]?.m));
           _screenerCache.set(cacheKey, { d: rows, t: Date.now() });
           return res.json(rows);
         }
@@ -566,19 +958,23 @@ app.get('/api/screener', async (req, res) => {
     const defaultLimit = days <= 7 ? 5000 : days <= 30 ? 10000 : days <= 90 ? 20000 : 50000;
     const limit = Math.min(parseInt(req.query.limit || String(defaultLimit)), 20000);
 
+    // One row per ownership line (direct, or each indirect holder such as a trust)
+    // so qty and owned always describe the same holding; stake math relies on it.
     let rows = await query(`
       SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
              trade_date AS trade, MAX(filing_date) AS filing,
              TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
+             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+             MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+             MIN(price_low) AS price_low, MAX(price_high) AS price_high
       FROM trades
       WHERE trade_date >= date('now', '-' || ? || ' days') AND trade_date <= date('now')
-        AND TRIM(type) IN ('P','S','S-')
+        AND ${codes.clause} AND ${plan.clause}
         AND ticker NOT IN ('N/A','NA','NONE','NULL','--','-','.')
         AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
-      GROUP BY ticker, insider, trade_date, type
+      GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
       ORDER BY trade_date DESC LIMIT ?
-    `, [days, limit]);
+    `, [days, ...codes.args, limit]);
 
     if (!rows.length && n > 0) {
       const mx = await queryOne("SELECT MAX(trade_date) AS d FROM trades WHERE trade_date IS NOT NULL");
@@ -587,18 +983,25 @@ app.get('/api/screener', async (req, res) => {
           SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
                  trade_date AS trade, MAX(filing_date) AS filing,
                  TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-                 MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
+                 MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+                 MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+                 MIN(price_low) AS price_low, MAX(price_high) AS price_high
           FROM trades
           WHERE trade_date >= date(?, '-' || ? || ' days')
-            AND TRIM(type) IN ('P','S','S-')
+            AND ${codes.clause} AND ${plan.clause}
             AND ticker NOT IN ('N/A','NA','NONE','NULL','--','-','.')
             AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
-          GROUP BY ticker, insider, trade_date, type
+          GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
           ORDER BY trade_date DESC LIMIT ?
-        `, [mx.d, days, limit]);
+        `, [mx.d, days, ...codes.args, limit]);
       }
     }
 
+    await tagJointActors(rows, query);
+    await withSplitAdjusted(rows);
+    await loadMarketCaps();
+    withMarketCap(rows);
+    if (band.keep) rows = rows.filter(r => band.keep(_mcapIndex[r.ticker]?.m));
     _screenerCache.set(cacheKey, { d: rows, t: Date.now() });
     res.json(rows);
   } catch(e) { res.status(500).json({ error: e.message }); }
@@ -608,80 +1011,459 @@ app.get('/api/history', async (req, res) => {
   try {
     const days  = Math.min(Math.max(parseInt(req.query.days || '1825'), 1), 1825);
     const limit = Math.min(parseInt(req.query.limit || '10000'), 25000);
+    const codes = _codesWhere(req);
     const rows = await query(`
       SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
              trade_date AS trade, MAX(filing_date) AS filing,
              TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
+             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+             MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+             MIN(price_low) AS price_low, MAX(price_high) AS price_high
       FROM trades
       WHERE trade_date >= date('now', '-' || ? || ' days') AND trade_date <= date('now')
-        AND TRIM(type) IN ('P','S','S-')
+        AND ${codes.clause}
         AND ticker NOT IN ('N/A','NA','NONE','NULL','--','-','.')
         AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 10
         AND insider IS NOT NULL
-      GROUP BY ticker, insider, trade_date, type
+      GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
       ORDER BY trade_date DESC LIMIT ?
-    `, [days, limit]);
+    `, [days, ...codes.args, limit]);
     res.json(rows);
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
+// Optional companion datasets for /api/ticker and /api/insider, requested as
+// ?include=derivatives,baseline,owners,form144 (/api/insider also takes entity).
+// Without it both endpoints keep returning the bare trades array the SPA
+// expects; with it they return { trades, <extra>... }.
+function _parseIncludes(req) {
+  return new Set(String(req.query.include || '').toLowerCase().split(',').map(s => s.trim()).filter(Boolean));
+}
+
+// Form 3 baseline per issuer: when the insider became one and the common shares
+// they started with (derivative lines are reported separately as initial_derivatives).
+const BASELINE_SQL = where => `
+  SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
+         MIN(event_date) AS became_insider, MIN(filing_date) AS form3_filed,
+         SUM(CASE WHEN is_derivative = 0 THEN shares ELSE 0 END) AS initial_shares,
+         SUM(CASE WHEN is_derivative = 1 THEN shares ELSE 0 END) AS initial_derivatives
+  FROM form3_holdings WHERE ${where}
+  GROUP BY ticker, insider ORDER BY became_insider DESC`;
+
+const DERIV_COLS = `ticker, company, insider, title, trade_date AS trade, filing_date AS filing,
+  TRIM(type) AS type, security, qty, price, value, exercise_price, exercise_date,
+  expiration_date, underlying_security, underlying_shares, acq_disp, owned, accession`;
+
+const FORM144_COLS = `accession, filing_date AS filing, seller, seller_cik, relationship, security,
+  shares, market_value, shares_outstanding, approx_sale_date, plan_adopted, is_amendment,
+  sale_accession, sale_date, sale_shares, sale_value,
+  CASE WHEN sale_accession IS NOT NULL THEN 'sold'
+       WHEN filing_date >= date('now', '-90 days') THEN 'pending' ELSE 'lapsed' END AS status`;
+
+// change compares with the filer's previous 13D/G on the issuer. Under 5% is the
+// filing that reports the holder dropping out; an amendment whose original we
+// never ingested is just 'amended'.
+const STAKE_COLS = `s.accession, s.form_type, s.filing_date AS filing, s.event_date, s.ticker, s.company,
+  s.issuer_cik, s.filer, s.filer_cik, s.shares, s.pct_of_class, s.prev_pct, s.is_activist, s.is_amendment,
+  CASE WHEN s.pct_of_class IS NOT NULL AND s.pct_of_class < 5 THEN 'exited'
+       WHEN s.prev_pct IS NULL THEN CASE WHEN s.is_amendment = 1 THEN 'amended' ELSE 'new' END
+       WHEN s.pct_of_class IS NULL OR s.pct_of_class = s.prev_pct THEN 'unchanged'
+       WHEN s.pct_of_class > s.prev_pct THEN 'increased' ELSE 'decreased' END AS change`;
+const STAKE_CHANGED = `(s.prev_pct IS NULL OR s.pct_of_class != s.prev_pct)`;
+
 app.get('/api/ticker', async (req, res) => {
   publicApiCache(res, 600);
   const sym = (req.query.symbol || '').toUpperCase().trim();
   if (!sym) return res.status(400).json({ error: 'symbol required' });
   try {
+    const codes = _codesWhere(req);
     const rows = await query(`
       SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
              trade_date AS trade, MAX(filing_date) AS filing,
              TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
-      FROM trades WHERE ticker = ? AND TRIM(type) IN ('P','S','S-')
-      GROUP BY ticker, insider, trade_date, type
+             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+             MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+             MIN(price_low) AS price_low, MAX(price_high) AS price_high,
+             MAX(filing_latency) AS latency, MAX(late_filing) AS late
+      FROM trades WHERE ticker = ? AND ${codes.clause}
+      GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
       ORDER BY trade_date DESC, filing_date DESC LIMIT 5000
-    `, [sym]);
-    res.json(rows);
+    `, [sym, ...codes.args]);
+    await withSplitAdjusted(rows);
+    const includes = _parseIncludes(req);
+    if (!includes.size) return res.json(rows);
+    const out = { trades: rows };
+    if (includes.has('derivatives')) {
+      out.derivatives = await query(`
+        SELECT ${DERIV_COLS} FROM derivative_trades WHERE ticker = ?
+        ORDER BY trade_date DESC, filing_date DESC LIMIT 5000
+      `, [sym]);
+    }
+    if (includes.has('owners')) {
+      // Every reporting owner per accession; joint filings have owner_seq 1+.
+      out.owners = await query(`
+        SELECT accession, filing_date AS filing, owner_seq, owner_name, owner_cik, title,
+               is_director, is_officer, is_ten_pct, is_other
+        FROM filing_owners WHERE ticker = ?
+        ORDER BY filing_date DESC, accession, owner_seq LIMIT 5000
+      `, [sym]);
+    }
+    if (includes.has('form144')) {
+      // Proposed sales and the Form 4 each was linked to. status: 'pending' (no
+      // sale yet, inside the 90-day window), 'sold', or 'lapsed'.
+      out.form144 = await query(`
+        SELECT ${FORM144_COLS} FROM form144_notices WHERE ticker = ?
+        ORDER BY filing_date DESC LIMIT 500
+      `, [sym]);
+    }
+    res.json(out);
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
+// 13F quarters are period-end dates (2025-03-31).
+function _quarterEndOf(ymd) {
+  const y = +ymd.slice(0, 4), m = Math.ceil(+ymd.slice(5, 7) / 3) * 3;
+  return new Date(Date.UTC(y, m, 0)).toISOString().slice(0, 10);
+}
+function _prevQuarterEnd(q) {
+  return new Date(Date.UTC(+q.slice(0, 4), +q.slice(5, 7) - 3, 0)).toISOString().slice(0, 10);
+}
+
+// Institutional (13F) ownership per quarter beside that quarter's insider flow,
+// to see whether funds add while insiders buy. new_holders / closed / added /
+// reduced compare each manager with the prior quarter; top_changes are the
+// largest position changes in the latest one. 13F lands up to 45 days after
+// quarter end, so the newest quarter trails the insider data.
+app.get('/api/institutional', async (req, res) => {
+  publicApiCache(res, 3600);
+  const sym = (req.query.symbol || '').toUpperCase().trim();
+  if (!sym) return res.status(400).json({ error: 'symbol required' });
+  const n = Math.min(Math.max(parseInt(req.query.quarters || '8') || 8, 1), 20);
+  try {
+    const cusips = (await query('SELECT cusip FROM cusip_tickers WHERE ticker = ?', [sym])).map(r => r.cusip);
+    const empty = { ticker: sym, cusips, quarters: [], top_changes: [] };
+    if (!cusips.length) return res.json(empty);
+    const ph = cusips.map(() => '?').join(',');
+    const qs = (await query(`SELECT DISTINCT quarter FROM institutional_holdings WHERE cusip IN (${ph}) ORDER BY quarter DESC LIMIT ?`, [...cusips, n + 1])).map(r => r.quarter);
+    if (!qs.length) return res.json(empty);
+    const oldest = qs[qs.length - 1];
+    const holdings = await query(`
+      SELECT quarter, manager_cik, MAX(manager) AS manager, SUM(shares) AS shares, SUM(value) AS value
+      FROM institutional_holdings WHERE cusip IN (${ph}) AND quarter >= ?
+      GROUP BY quarter, manager_cik`, [...cusips, oldest]);
+    const flow = await query(`
+      SELECT substr(trade_date, 1, 7) AS ym,
+             SUM(CASE WHEN type = 'P' THEN val ELSE 0 END) AS buy_value,
+             SUM(CASE WHEN type IN ('S','S-') THEN val ELSE 0 END) AS sell_value,
+             COUNT(CASE WHEN type = 'P' THEN 1 END) AS buys,
+             COUNT(CASE WHEN type IN ('S','S-') THEN 1 END) AS sells
+      FROM (SELECT trade_date, TRIM(type) AS type, MAX(COALESCE(value,0)) AS val FROM trades
+            WHERE ticker = ? AND trade_date >= date(?, 'start of month', '-2 months') AND TRIM(type) IN ('P','S','S-')
+            GROUP BY insider, trade_date, TRIM(type), ownership, ownership_nature)
+      GROUP BY ym`, [sym, oldest]);
+
+    const byQ = {};
+    for (const h of holdings) (byQ[h.quarter] || (byQ[h.quarter] = new Map())).set(h.manager_cik, h);
+    const insider = {};
+    for (const f of flow) {
+      const q = _quarterEndOf(f.ym + '-01');
+      const b = insider[q] || (insider[q] = { buys: 0, sells: 0, buy_value: 0, sell_value: 0 });
+      b.buys += f.buys; b.sells += f.sells; b.buy_value += f.buy_value; b.sell_value += f.sell_value;
+    }
+    const diff = (cur, prev) => {
+      const out = [];
+      for (const cik of new Set([...cur.keys(), ...prev.keys()])) {
+        const a = cur.get(cik), b = prev.get(cik);
+        const change = (a?.shares || 0) - (b?.shares || 0);
+        if (change) out.push({ manager: (a || b).manager, manager_cik: cik, shares: a?.shares || 0, prev_shares: b?.shares || 0, change, value: a?.value || 0,
+          status: !b ? 'new' : !a ? 'closed' : change > 0 ? 'added' : 'reduced' });
+      }
+      return out;
+    };
+
+    let topChanges = [];
+    const quarters = qs.slice(0, n).map((q, i) => {
+      const cur = byQ[q] || new Map();
+      const prevQ = qs[i + 1] === _prevQuarterEnd(q) ? qs[i + 1] : null;
+      const sum = k => [...cur.values()].reduce((s, h) => s + (h[k] || 0), 0);
+      const row = { quarter: q, holders: cur.size, shares: sum('shares'), value: sum('value'),
+        new_holders: null, closed: null, added: null, reduced: null, share_change: null };
+      if (prevQ) {
+        const changes = diff(cur, byQ[prevQ]);
+        const count = st => changes.filter(c => c.status === st).length;
+        Object.assign(row, { new_holders: count('new'), closed: count('closed'), added: count('added'), reduced: count('reduced'),
+          share_change: changes.reduce((s, c) => s + c.change, 0) });
+        if (i === 0) topChanges = changes.sort((a, b) => Math.abs(b.change) - Math.abs(a.change)).slice(0, 15);
+      }
+      const ins = insider[q] || { buys: 0, sells: 0, buy_value: 0, sell_value: 0 };
+      return { ...row, insider_buys: ins.buys, insider_sells: ins.sells, insider_buy_value: ins.buy_value, insider_sell_value: ins.sell_value };
+    });
+    res.json({ ticker: sym, cusips, quarters, top_changes: topChanges });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── INSIDER ENTITIES ─────────────────────────────────────────────────────────
+// The person or firm behind the free-text insider names (lib/entities.js; aliases
+// resolved by scripts/precompute.js, corrected via /api/admin/insiders). A lookup
+// by id, owner CIK, slug or any spelling lands on the surviving entity and every
+// alias filed for it. null = not resolved (yet, or ambiguous): callers fall back
+// to matching the name itself.
+const _insiderEntityCache = new Map(); // 'id:'|'cik:'|'slug:'|'name:' key -> { e, t }
+const INSIDER_ENTITY_TTL = 30 * 60000;
+
+async function _entityById(id) {
+  // Follow merges to the survivor; chains are short, the cap only guards a cycle.
+  for (let hops = 0; id && hops < 5; hops++) {
+    const e = await queryOne('SELECT id, name, slug, owner_cik, kind, merged_into FROM insider_entities WHERE id = ?', [id]);
+    if (!e) return null;
+    if (!e.merged_into) return e;
+    id = e.merged_into;
+  }
+  return null;
+}
+
+async function _resolveInsider({ id, cik, slug, names = [] }) {
+  const norms = [...new Set(names.map(normalizeInsiderName).filter(Boolean))];
+  const key = id ? `id:${id}` : cik ? `cik:${cik}` : slug ? `slug:${slug}` : `name:${norms.join('|')}`;
+  const hit = _insiderEntityCache.get(key);
+  if (hit && Date.now() - hit.t < INSIDER_ENTITY_TTL) return hit.e;
+  let e = null;
+  try {
+    let ids = [];
+    if (id) ids = [id];
+    else if (cik) ids = (await query('SELECT DISTINCT entity_id FROM insider_aliases WHERE owner_cik = ? LIMIT 20', [cik])).map(r => r.entity_id);
+    else if (slug) {
+      ids = (await query('SELECT id AS entity_id FROM insider_entities WHERE slug = ? AND merged_into IS NULL LIMIT 20', [slug])).map(r => r.entity_id);
+      if (!ids.length) ids = (await query('SELECT DISTINCT entity_id FROM insider_aliases WHERE slug = ? LIMIT 20', [slug])).map(r => r.entity_id);
+    } else if (norms.length) {
+      ids = (await query(`SELECT DISTINCT entity_id FROM insider_aliases WHERE norm IN (${norms.map(() => '?').join(',')}) LIMIT 20`, norms)).map(r => r.entity_id);
+    }
+    // Two different people filing under one name stay ambiguous.
+    const live = new Map();
+    for (const i of ids) { const x = await _entityById(i); if (x) live.set(x.id, x); }
+    if (live.size === 1) {
+      e = [...live.values()][0];
+      e.aliases = await query('SELECT alias, owner_cik FROM insider_aliases WHERE entity_id = ? LIMIT 200', [e.id]);
+    }
+  } catch(_) {}   // tables missing until the first precompute after deploy
+  _insiderEntityCache.set(key, { e, t: Date.now() });
+  return e;
+}
+
+// WHERE clauses for an entity: trades by insider_id (plus its spellings not yet
+// stamped), side tables without an insider_id by the spellings alone.
+function _entityMatch(e) {
+  const names = [...new Set((e.aliases || []).map(a => a.alias))];
+  const inNames = `UPPER(insider) IN (${names.map(() => 'UPPER(?)').join(',')})`;
+  return {
+    trades: names.length ? { clause: `(insider_id = ? OR (insider_id IS NULL AND ${inNames}))`, args: [e.id, ...names] }
+                         : { clause: 'insider_id = ?', args: [e.id] },
+    byName: names.length ? { clause: inNames, args: names } : { clause: '0', args: [] },
+  };
+}
+
+function _entityJson(e) {
+  return { id: e.id, name: e.name, slug: e.slug, owner_cik: e.owner_cik, kind: e.kind, aliases: e.aliases };
+}
+
 app.get('/api/insider', async (req, res) => {
   publicApiCache(res, 600);
   const name  = (req.query.name || '').trim();
-  const exact = req.query.exact === '1';
-  if (!name || name.length < 2) return res.status(400).json({ error: 'name required (min 2 chars)' });
+  const cik   = normCik(req.query.cik);
+  const eid   = parseInt(req.query.id, 10) || null;
+  const exact = req.query.exact === '1' || !!cik || !!eid;
+  if (req.query.cik && !cik) return res.status(400).json({ error: 'invalid cik' });
+  if (!cik && !eid && (!name || name.length < 2)) return res.status(400).json({ error: 'name required (min 2 chars)' });
   try {
-    // Exact lookups (the profile pages) use indexed equality so idx_insider_upper
+    // ?id= (a resolved insider) and a reporting-owner CIK are unambiguous across
+    // name spellings, so they win over ?name= when given. Exact lookups (the profile pages) use indexed equality so idx_insider_upper
     // kicks in; LIKE would full-scan the whole trades table. SEC stores names
     // last-first ("Austin Rudy Mitchell"), so we also try last-name-first and
     // reversed orderings to tolerate first-last URLs without a scan.
     const limit = exact ? 2000 : 500;
-    let matchClause, params;
-    if (exact) {
+    const cands = [name];
+    if (exact && !cik && !eid) {
       const toks = name.split(/\s+/).filter(Boolean);
-      const cands = [name];
       if (toks.length >= 2) {
         const lastFirst = [toks[toks.length - 1], ...toks.slice(0, -1)].join(' ');
         const reversed  = [...toks].reverse().join(' ');
         if (!cands.includes(lastFirst)) cands.push(lastFirst);
         if (!cands.includes(reversed))  cands.push(reversed);
       }
+    }
+    // Exact lookups go through the resolved entity, so every spelling of the
+    // person comes back together.
+    const entity = exact ? await _resolveInsider(eid ? { id: eid } : cik ? { cik } : { names: cands }) : null;
+    if (eid && !entity) return res.status(404).json({ error: 'insider not found' });
+    let matchClause, params, sideClause, sideParams;
+    if (entity) {
+      const m = _entityMatch(entity);
+      ({ clause: matchClause, args: params } = m.trades);
+      ({ clause: sideClause, args: sideParams } = m.byName);
+    } else if (cik) {
+      matchClause = 'owner_cik = ?';
+      params = [cik];
+    } else if (exact) {
       matchClause = `UPPER(insider) IN (${cands.map(() => 'UPPER(?)').join(',')})`;
       params = cands;
     } else {
       matchClause = 'UPPER(insider) LIKE UPPER(?)';
       params = [`%${name}%`];
     }
+    const codes = _codesWhere(req);
     const rows = await query(`
       SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
              trade_date AS trade, MAX(filing_date) AS filing,
              TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
-             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession
-      FROM trades WHERE ${matchClause} AND TRIM(type) IN ('P','S','S-')
+             MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+             MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted, ownership, ownership_nature,
+             MIN(price_low) AS price_low, MAX(price_high) AS price_high
+      FROM trades WHERE ${matchClause} AND ${codes.clause}
         AND COALESCE(value, 0) <= 5000000000
-      GROUP BY ticker, insider, trade_date, type
+      GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
       ORDER BY trade_date DESC LIMIT ?
-    `, [...params, limit]);
-    res.json(rows);
+    `, [...params, ...codes.args, limit]);
+    await withSplitAdjusted(rows);
+    const includes = _parseIncludes(req);
+    if (!includes.size) return res.json(rows);
+    const out = { trades: rows };
+    if (!sideClause) { sideClause = matchClause; sideParams = params; }
+    if (includes.has('derivatives')) {
+      out.derivatives = await query(`
+        SELECT ${DERIV_COLS} FROM derivative_trades WHERE ${sideClause}
+        ORDER BY trade_date DESC LIMIT ?
+      `, [...sideParams, limit]);
+    }
+    if (includes.has('baseline')) out.baseline = await query(BASELINE_SQL(sideClause), sideParams);
+    if (includes.has('entity')) out.entity = entity ? _entityJson(entity) : null;
+    res.json(out);
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Version history for a filing and its Form 4/A or 5/A chain: every version's
+// Table I and Table II rows (current ones from trades / form5_trades /
+// derivative_trades, replaced ones from superseded_rows) plus a field-level
+// diff between consecutive versions.
+const _HISTORY_FIELDS = ['qty', 'price', 'value', 'owned'];
+function _historyRow(table, r) {
+  return {
+    table: table === 'derivative_trades' ? 'derivative' : 'nonderivative',
+    trade_date: r.trade_date, type: (r.type || '').trim(), security: r.security || null,
+    qty: r.qty, price: r.price, value: r.value, owned: r.owned,
+  };
+}
+function _diffVersions(before, after) {
+  const key = r => [r.table, r.trade_date, r.type, r.security || ''].join('|');
+  // Rows sharing a key (same-day lots) pair up in order.
+  const pool = {};
+  for (const r of before) (pool[key(r)] || (pool[key(r)] = [])).push(r);
+  const changes = [];
+  for (const r of after) {
+    const old = pool[key(r)]?.shift();
+    if (!old) { changes.push({ change: 'added', ...r }); continue; }
+    const fields = {};
+    for (const f of _HISTORY_FIELDS) if (old[f] !== r[f]) fields[f] = [old[f], r[f]];
+    if (Object.keys(fields).length) changes.push({ change: 'changed', table: r.table, trade_date: r.trade_date, type: r.type, security: r.security, fields });
+  }
+  for (const rest of Object.values(pool)) for (const r of rest) changes.push({ change: 'removed', ...r });
+  return changes;
+}
+
+app.get('/api/filing/:accession/history', async (req, res) => {
+  publicApiCache(res, 600);
+  const acc = String(req.params.accession || '').trim();
+  if (!/^\d{10}-\d{2}-\d{6}$/.test(acc)) return res.status(400).json({ error: 'accession must look like 0001234567-24-000123' });
+  try {
+    const link = await queryOne(`
+      SELECT root_accession FROM filing_amendments
+      WHERE (accession = ? OR amends = ?) AND root_accession IS NOT NULL LIMIT 1
+    `, [acc, acc]);
+    const root  = link?.root_accession || acc;
+    const chain = await query(`
+      SELECT accession, amends, filing_date, original_date, rows_superseded FROM filing_amendments
+      WHERE root_accession = ? ORDER BY filing_date, accession
+    `, [root]);
+    const accs = [root, ...chain.map(c => c.accession).filter(a => a !== root)];
+    const ph = accs.map(() => '?').join(',');
+    const [cur, cur5, curDeriv, old] = await Promise.all([
+      query(`SELECT * FROM trades WHERE accession IN (${ph})`, accs),
+      query(`SELECT * FROM form5_trades WHERE accession IN (${ph})`, accs),
+      query(`SELECT * FROM derivative_trades WHERE accession IN (${ph})`, accs),
+      query(`SELECT source_table, accession, superseded_by, row_json FROM superseded_rows WHERE accession IN (${ph}) ORDER BY id`, accs),
+    ]);
+    const versions = accs.map(a => {
+      const c = chain.find(x => x.accession === a);
+      return { accession: a, amends: c?.amends || null, filing_date: c?.filing_date || null, status: 'current', superseded_by: null, ticker: null, insider: null, rows: [] };
+    });
+    const byAcc = Object.fromEntries(versions.map(v => [v.accession, v]));
+    const add = (table, r) => {
+      const v = byAcc[r.accession];
+      v.rows.push(_historyRow(table, r));
+      v.filing_date = v.filing_date || r.filing_date;
+      v.ticker = v.ticker || r.ticker;
+      v.insider = v.insider || r.insider;
+    };
+    cur.forEach(r => add('trades', r));
+    cur5.forEach(r => add('form5_trades', r));
+    curDeriv.forEach(r => add('derivative_trades', r));
+    // An amendment can restate only some lines of a version: the rest stay
+    // current, and the diff compares just the lines it replaced.
+    const live = Object.fromEntries(versions.map(v => [v.accession, v.rows.length]));
+    const replacedBy = {};
+    for (const o of old) {
+      const v = byAcc[o.accession];
+      v.status = live[o.accession] ? 'partly_superseded' : 'superseded';
+      v.superseded_by = o.superseded_by;
+      add(o.source_table, JSON.parse(o.row_json));
+      const k = `${o.accession}>${o.superseded_by}`;
+      (replacedBy[k] || (replacedBy[k] = [])).push(v.rows[v.rows.length - 1]);
+    }
+    if (!versions.some(v => v.rows.length) && !chain.length) return res.status(404).json({ error: 'filing not found' });
+    const changes = versions.slice(1).map((v, i) => {
+      const from = versions[i];
+      return { from: from.accession, to: v.accession, changes: _diffVersions(replacedBy[`${from.accession}>${v.accession}`] || from.rows, v.rows) };
+    });
+    res.json({ accession: acc, root, versions, changes });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Issuer lookup by CIK. Unlike /api/ticker this survives ticker changes: every
+// symbol the issuer has filed under is listed, and trades span all of them.
+app.get('/api/issuer', async (req, res) => {
+  publicApiCache(res, 600);
+  const cik = normCik(req.query.cik);
+  if (!cik) return res.status(400).json({ error: 'cik required' });
+  try {
+    const codes = _codesWhere(req);
+    const [tickers, rows] = await Promise.all([
+      query(`
+        SELECT ticker, MAX(company) AS company, MIN(trade_date) AS first, MAX(trade_date) AS last
+        FROM trades WHERE issuer_cik = ?
+        GROUP BY ticker ORDER BY last DESC
+      `, [cik]),
+      query(`
+        SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
+               trade_date AS trade, MAX(filing_date) AS filing,
+               TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price,
+               MAX(value) AS value, MAX(owned) AS owned, MAX(accession) AS accession,
+               MAX(plan_10b5_1) AS plan_10b5_1, MAX(plan_adopted) AS plan_adopted,
+               ownership, ownership_nature, MIN(price_low) AS price_low, MAX(price_high) AS price_high,
+               MAX(owner_cik) AS owner_cik
+        FROM trades WHERE issuer_cik = ? AND ${codes.clause}
+        GROUP BY ticker, insider, trade_date, type, ownership, ownership_nature
+        ORDER BY trade_date DESC, filing_date DESC LIMIT 5000
+      `, [cik, ...codes.args]),
+    ]);
+    if (!tickers.length) return res.status(404).json({ error: 'issuer not found' });
+    const out = { cik, company: tickers[0].company, tickers, trades: rows };
+    const includes = _parseIncludes(req);
+    if (includes.has('derivatives')) {
+      out.derivatives = await query(`
+        SELECT ${DERIV_COLS} FROM derivative_trades WHERE issuer_cik = ?
+        ORDER BY trade_date DESC, filing_date DESC LIMIT 5000
+      `, [cik]);
+    }
+    res.json(out);
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -977,6 +1759,23 @@ app.get('/api/monitor-sentiment', async (req, res) => {
 
 // ─── FIRST BUYS ───────────────────────────────────────────────────────────────
 const _firstBuysCache = new Map();
+// One insider across spellings: the resolved entity, else the name as filed.
+// First buys match a recent buy to history on it (prior buys filed under
+// another spelling count), as the late-filer and leaderboard queries group on it.
+const _INSIDER_KEY = `COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)`;
+
+// The previous holding can sit years before the latest buy, across a split;
+// adj_prev_owned / adj_initial_shares restate it on the latest buy's basis.
+async function _restateFirstBuys(rows) {
+  if (!rows?.length) return rows;
+  const splits = await loadSplits(rows.map(r => r.ticker));
+  for (const r of rows) {
+    const sp = splits.get(r.ticker), to = r.latest_trade || r.latest_filing;
+    r.adj_prev_owned = r.prev_trade ? restateShares(r.prev_owned, sp, r.prev_trade, to) : r.prev_owned;
+    r.adj_initial_shares = r.became_insider ? restateShares(r.initial_shares, sp, r.became_insider, to) : r.initial_shares;
+  }
+  return rows;
+}
 app.get('/api/firstbuys', async (req, res) => {
   publicApiCache(res, 1800);
   try {
@@ -991,7 +1790,7 @@ app.get('/api/firstbuys', async (req, res) => {
                    : null;
     if (cacheKey) {
       const cached = await queryOne('SELECT value_json FROM computed_cache WHERE key = ?', [cacheKey]);
-      if (cached) return res.json(JSON.parse(cached.value_json));
+      if (cached) return res.json(await _restateFirstBuys(JSON.parse(cached.value_json)));
       return res.json([]); // not computed yet - client falls back gracefully
     }
     const fbKey = `${minGapDays}|${lookbackDays}|${limit}`;
@@ -1000,34 +1799,44 @@ app.get('/api/firstbuys', async (req, res) => {
 
     const rows = await query(`
       WITH recent_buys AS (
-        SELECT DISTINCT insider, ticker FROM trades
+        SELECT DISTINCT COALESCE(CAST(insider_id AS TEXT), 'n:' || insider) AS k, ticker FROM trades
         WHERE TRIM(type) = 'P' AND trade_date >= date('now', '-' || ? || ' days') AND trade_date <= date('now')
           AND insider IS NOT NULL AND ticker IS NOT NULL
       ),
       latest AS (
-        SELECT t.ticker, MAX(t.company) AS company, t.insider, MAX(t.title) AS title,
+        SELECT rb.k, t.ticker, MAX(t.company) AS company, MAX(t.insider) AS insider, MAX(t.title) AS title,
                MAX(t.trade_date) AS latest_trade, MAX(t.filing_date) AS latest_filing,
                MAX(t.price) AS latest_price, MAX(t.qty) AS latest_qty,
                MAX(t.value) AS latest_value, MAX(t.owned) AS latest_owned
-        FROM trades t JOIN recent_buys rb ON t.insider = rb.insider AND t.ticker = rb.ticker
+        FROM trades t JOIN recent_buys rb ON ${_INSIDER_KEY} = rb.k AND t.ticker = rb.ticker
         WHERE TRIM(t.type) = 'P' AND t.trade_date >= date('now', '-' || ? || ' days') AND t.trade_date <= date('now')
-        GROUP BY t.insider, t.ticker
+        GROUP BY rb.k, t.ticker
       ),
       prev AS (
-        SELECT t.insider, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
-        FROM trades t JOIN recent_buys rb ON t.insider = rb.insider AND t.ticker = rb.ticker
+        SELECT rb.k, t.ticker, MAX(t.trade_date) AS prev_trade, MAX(t.owned) AS prev_owned
+        FROM trades t JOIN recent_buys rb ON ${_INSIDER_KEY} = rb.k AND t.ticker = rb.ticker
         WHERE TRIM(t.type) = 'P' AND t.trade_date < date('now', '-' || ? || ' days')
-        GROUP BY t.insider, t.ticker
+        GROUP BY rb.k, t.ticker
+      ),
+      ${insiderNamesCte('recent_buys')},
+      baseline AS (
+        SELECT n.k, n.ticker, MIN(f.event_date) AS became_insider,
+               SUM(CASE WHEN f.is_derivative = 0 THEN f.shares ELSE 0 END) AS initial_shares
+        FROM form3_holdings f JOIN names n ON f.insider = n.name AND f.ticker = n.ticker
+        GROUP BY n.k, n.ticker
       )
       SELECT l.ticker, l.company, l.insider, l.title,
              l.latest_trade, l.latest_filing, l.latest_price, l.latest_qty, l.latest_value, l.latest_owned,
-             p.prev_trade, p.prev_owned,
-             CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) AS gap_days
-      FROM latest l JOIN prev p ON l.insider = p.insider AND l.ticker = p.ticker
-      WHERE CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) >= ?
+             p.prev_trade, p.prev_owned, b.became_insider, b.initial_shares,
+             CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) AS gap_days
+      FROM latest l
+      LEFT JOIN prev p ON l.k = p.k AND l.ticker = p.ticker
+      LEFT JOIN baseline b ON l.k = b.k AND l.ticker = b.ticker
+      WHERE CAST(julianday(l.latest_trade) - julianday(COALESCE(p.prev_trade, b.became_insider)) AS INTEGER) >= ?
       ORDER BY gap_days DESC LIMIT ?
     `, [lookbackDays, lookbackDays, lookbackDays, minGapDays, limit]);
 
+    await _restateFirstBuys(rows);
     _firstBuysCache.set(fbKey, { d: rows, t: Date.now() });
     res.json(rows);
   } catch(e) { res.status(500).json({ error: e.message }); }
@@ -1042,7 +1851,8 @@ app.get('/api/ranker', async (req, res) => {
     // is safe to edge-cache for 15 min with a long stale-while-revalidate window.
     res.set('Cache-Control', 'public, max-age=0, s-maxage=900, stale-while-revalidate=86400');
     const days = Math.min(parseInt(req.query.days || '30'), 90);
-    const ck = 'r' + days;
+    const band = _mcapWhere(req);
+    const ck = 'r' + days + '|' + band.key;
     const c = _rankerApiCache.get(ck);
     if (c && Date.now() - c.t < 300000) return res.json(c.d);
 
@@ -1050,6 +1860,7 @@ app.get('/api/ranker', async (req, res) => {
     // live per-ticker GROUP BY over trades takes ~18s on a cold instance, which
     // times out the client (empty ranker). The cache is refreshed every ingestion.
     let rows = null;
+    await loadMarketCaps();
     try {
       const cachedRow = await queryOne("SELECT value_json, computed_at FROM computed_cache WHERE key = 'screener-90d'");
       if (cachedRow && Date.now() - cachedRow.computed_at < 6 * 3600000) {
@@ -1060,16 +1871,21 @@ app.get('/api/ranker', async (req, res) => {
         for (const t of trades) {
           if (!t.ticker || !t.trade || t.trade < cutoff) continue;
           let a = byT.get(t.ticker);
-          if (!a) { a = { ticker: t.ticker, company: t.company || '', buy_count: 0, _buyers: new Set(), total_buy_val: 0, latest_buy_date: null, sell_count: 0, total_sell_val: 0, has_exec_buyer: 0, _maxStake: 0, _stakeNew: 0, _pset: new Set(), _dset: new Set() }; byT.set(t.ticker, a); }
+          if (!a) { a = { ticker: t.ticker, company: t.company || '', buy_count: 0, _buyers: new Set(), total_buy_val: 0, latest_buy_date: null, sell_count: 0, total_sell_val: 0, has_exec_buyer: 0, _maxStake: 0, _stakeNew: 0, _pset: new Set(), _dset: new Set(), _pctMcap: null }; byT.set(t.ticker, a); }
           const ty = (t.type || '').trim(), val = t.value || 0;
           if (ty === 'P') {
             a.buy_count++; if (t.insider) a._buyers.add(t.insider); a.total_buy_val += val;
+            // Each purchase against the market cap on its own trade date.
+            const cap = _marketCapAt(t.ticker, t.trade, t.price);
+            if (cap && val) a._pctMcap = (a._pctMcap || 0) + val / cap * 100;
             if (t.price > 0) a._pset.add(t.price.toFixed(4));
             if (t.trade) a._dset.add(String(t.trade).slice(0, 10));
             if (!a.latest_buy_date || t.trade > a.latest_buy_date) a.latest_buy_date = t.trade;
             if (t.title && execRe.test(String(t.title).toUpperCase())) a.has_exec_buyer = 1;
             if (!a.company && t.company) a.company = t.company;
-            // Stake increase for this filing: shares bought vs. prior holding (owned - qty).
+            // Stake increase on this ownership line: shares bought vs. the line's prior
+            // holding (owned - qty). Screener rows are per line, so a trust buy is
+            // measured against the trust, not against the insider's personal shares.
             const qty = t.qty || 0, owned = t.owned || 0, prior = owned - qty;
             if (qty > 0 && owned > 0) {
               if (prior <= 0 || qty / owned >= 0.99) a._stakeNew = 1;            // brand-new (or all-but-a-sliver) position
@@ -1078,8 +1894,8 @@ app.get('/api/ranker', async (req, res) => {
           } else if (ty === 'S' || ty === 'S-') { a.sell_count++; a.total_sell_val += val; }
         }
         rows = [...byT.values()]
-          .filter(a => a.buy_count > 0)
-          .map(a => ({ ticker: a.ticker, company: a.company, buy_count: a.buy_count, buyer_count: a._buyers.size, total_buy_val: a.total_buy_val, latest_buy_date: a.latest_buy_date, sell_count: a.sell_count, total_sell_val: a.total_sell_val, has_exec_buyer: a.has_exec_buyer, max_stake_pct: a._maxStake, stake_new: a._stakeNew, coordinated: (a._buyers.size >= 2 && a._pset.size === 1 && a._dset.size <= 1) ? 1 : 0 }))
+          .filter(a => a.buy_count > 0 && (!band.keep || band.keep(_mcapIndex[a.ticker]?.m)))
+          .map(a => ({ ticker: a.ticker, company: a.company, buy_count: a.buy_count, buyer_count: a._buyers.size, total_buy_val: a.total_buy_val, latest_buy_date: a.latest_buy_date, sell_count: a.sell_count, total_sell_val: a.total_sell_val, has_exec_buyer: a.has_exec_buyer, max_stake_pct: a._maxStake, stake_new: a._stakeNew, buy_pct_mcap: a._pctMcap, coordinated: (a._buyers.size >= 2 && a._pset.size === 1 && a._dset.size <= 1) ? 1 : 0 }))
           .sort((x, y) => y.total_buy_val - x.total_buy_val)
           .slice(0, 200);
       }
@@ -1102,14 +1918,25 @@ app.get('/api/ranker', async (req, res) => {
           COUNT(DISTINCT CASE WHEN TRIM(type)='P' THEN trade_date END) AS _ddist
         FROM trades
         WHERE trade_date >= date('now', '-' || ? || ' days') AND trade_date <= date('now')
+          AND TRIM(type) IN ('P','S','S-')
         GROUP BY ticker HAVING buy_count > 0 ORDER BY total_buy_val DESC LIMIT 200
       `, [days]);
       // Same-day, same-price buying by 2+ insiders = an offering / plan / conversion.
       for (const r of rows) r.coordinated = (r.buyer_count >= 2 && r._pdist <= 1 && r._ddist <= 1) ? 1 : 0;
     }
-    const out = rows.filter(r => r.buyer_count <= 8);
+    let out = rows.filter(r => r.buyer_count <= 8);
     // Round the derived stake % to a clean integer for display (raw float from both paths).
-    for (const r of out) r.max_stake_pct = Math.round(r.max_stake_pct || 0);
+    for (const r of out) {
+      r.max_stake_pct = Math.round(r.max_stake_pct || 0);
+      // Today's cap and band; the live path has no per-trade prices, so it sizes
+      // the buying against today's cap.
+      const e = _mcapIndex[r.ticker];
+      r.market_cap = e?.m || null;
+      r.mcap_band = e?.b || null;
+      if (r.buy_pct_mcap == null && r.market_cap) r.buy_pct_mcap = r.total_buy_val / r.market_cap * 100;
+      r.buy_pct_mcap = r.buy_pct_mcap == null ? null : +r.buy_pct_mcap.toFixed(4);
+    }
+    if (band.keep) out = out.filter(r => band.keep(r.market_cap));
     _rankerApiCache.set(ck, { d: out, t: Date.now() });
     res.json(out);
   } catch(e) { res.status(500).json({ error: e.message }); }
@@ -1149,7 +1976,7 @@ app.get('/api/stock-lists', async (req, res) => {
                MAX(CASE WHEN TRIM(type)='P' AND (UPPER(title) LIKE '%CEO%' OR UPPER(title) LIKE '%CFO%' OR UPPER(title) LIKE '%PRESIDENT%' OR UPPER(title) LIKE '%CHIEF%') THEN 1 ELSE 0 END) AS exec_buy,
                MAX(trade_date) AS latest_date
              FROM trades WHERE trade_date >= date('now','-14 days') AND trade_date <= date('now')
-               AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
+               AND TRIM(type) IN ('P','S','S-') AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
              GROUP BY ticker HAVING buys >= 1 AND buy_val >= 1000
                AND NOT (COUNT(DISTINCT CASE WHEN TRIM(type)='P' THEN insider END) >= 2 AND COUNT(DISTINCT CASE WHEN TRIM(type)='P' AND price>0 THEN price END) <= 1 AND COUNT(DISTINCT CASE WHEN TRIM(type)='P' THEN trade_date END) <= 1)
              ORDER BY buyers DESC, buy_val DESC LIMIT 24`),
@@ -1197,93 +2024,33 @@ app.get('/api/stock-lists', async (req, res) => {
 });
 
 // ─── SECTORS ──────────────────────────────────────────────────────────────────
-const TICKER_SECTOR_MAP = {
-  'AAPL':['Technology','Consumer Electronics'],'MSFT':['Technology','Software-Infrastructure'],
-  'NVDA':['Technology','Semiconductors'],'GOOGL':['Communication Services','Internet Content & Information'],
-  'AMZN':['Consumer Cyclical','Internet Retail'],'META':['Communication Services','Internet Content & Information'],
-  'TSLA':['Consumer Cyclical','Auto Manufacturers'],'AVGO':['Technology','Semiconductors'],
-  'JPM':['Financial Services','Banks-Diversified'],'V':['Financial Services','Credit Services'],
-  'MA':['Financial Services','Credit Services'],'UNH':['Healthcare','Healthcare Plans'],
-  'XOM':['Energy','Oil & Gas Integrated'],'LLY':['Healthcare','Drug Manufacturers-General'],
-  'JNJ':['Healthcare','Drug Manufacturers-General'],'PG':['Consumer Defensive','Household & Personal Products'],
-  'HD':['Consumer Cyclical','Home Improvement Retail'],'ABBV':['Healthcare','Drug Manufacturers-General'],
-  'MRK':['Healthcare','Drug Manufacturers-General'],'KO':['Consumer Defensive','Beverages-Non-Alcoholic'],
-  'PEP':['Consumer Defensive','Beverages-Non-Alcoholic'],'CVX':['Energy','Oil & Gas Integrated'],
-  'BAC':['Financial Services','Banks-Diversified'],'WFC':['Financial Services','Banks-Diversified'],
-  'COP':['Energy','Oil & Gas E&P'],'COST':['Consumer Defensive','Discount Stores'],
-  'TMO':['Healthcare','Diagnostics & Research'],'CSCO':['Technology','Communication Equipment'],
-  'ACN':['Technology','Information Technology Services'],'ABT':['Healthcare','Medical Devices'],
-  'AMD':['Technology','Semiconductors'],'INTC':['Technology','Semiconductors'],
-  'QCOM':['Technology','Semiconductors'],'TXN':['Technology','Semiconductors'],
-  'NEE':['Utilities','Utilities-Regulated Electric'],'HON':['Industrials','Conglomerates'],
-  'CAT':['Industrials','Farm & Heavy Construction Machinery'],'DE':['Industrials','Farm & Heavy Construction Machinery'],
-  'BA':['Industrials','Aerospace & Defense'],'RTX':['Industrials','Aerospace & Defense'],
-  'GE':['Industrials','Specialty Industrial Machinery'],'LMT':['Industrials','Aerospace & Defense'],
-  'UPS':['Industrials','Integrated Freight & Logistics'],'GS':['Financial Services','Capital Markets'],
-  'MS':['Financial Services','Capital Markets'],'BLK':['Financial Services','Asset Management'],
-  'AMGN':['Healthcare','Drug Manufacturers-General'],'GILD':['Healthcare','Drug Manufacturers-General'],
-  'BIIB':['Healthcare','Drug Manufacturers-General'],'REGN':['Healthcare','Drug Manufacturers-General'],
-  'VRTX':['Healthcare','Drug Manufacturers-General'],'MDT':['Healthcare','Medical Devices'],
-  'SYK':['Healthcare','Medical Devices'],'BSX':['Healthcare','Medical Devices'],
-  'EW':['Healthcare','Medical Devices'],'ZBH':['Healthcare','Medical Devices'],
-  'ISRG':['Healthcare','Medical Devices'],'HCA':['Healthcare','Medical Care Facilities'],
-  'CI':['Healthcare','Healthcare Plans'],'HUM':['Healthcare','Healthcare Plans'],
-  'MCD':['Consumer Cyclical','Restaurants'],'SBUX':['Consumer Cyclical','Restaurants'],
-  'NKE':['Consumer Cyclical','Footwear & Accessories'],'LOW':['Consumer Cyclical','Home Improvement Retail'],
-  'TGT':['Consumer Cyclical','Discount Stores'],'WMT':['Consumer Defensive','Discount Stores'],
-  'BKNG':['Consumer Cyclical','Travel Services'],'MAR':['Consumer Cyclical','Lodging'],
-  'F':['Consumer Cyclical','Auto Manufacturers'],'GM':['Consumer Cyclical','Auto Manufacturers'],
-  'LIN':['Basic Materials','Specialty Chemicals'],'SHW':['Basic Materials','Specialty Chemicals'],
-  'FCX':['Basic Materials','Copper'],'NEM':['Basic Materials','Gold'],
-  'HAL':['Energy','Oil & Gas Equipment & Services'],'SLB':['Energy','Oil & Gas Equipment & Services'],
-  'DVN':['Energy','Oil & Gas E&P'],'EOG':['Energy','Oil & Gas E&P'],
-  'OXY':['Energy','Oil & Gas E&P'],'MPC':['Energy','Oil & Gas Refining & Marketing'],
-  'AMT':['Real Estate','REIT-Specialty'],'PLD':['Real Estate','REIT-Industrial'],
-  'EQIX':['Real Estate','REIT-Specialty'],'SPG':['Real Estate','REIT-Retail'],
-  'CCI':['Real Estate','REIT-Specialty'],'WY':['Real Estate','REIT-Specialty'],
-  'SNOW':['Technology','Software-Application'],'CRM':['Technology','Software-Application'],
-  'ADBE':['Technology','Software-Application'],'NOW':['Technology','Software-Application'],
-  'INTU':['Technology','Software-Application'],'AMAT':['Technology','Semiconductor Equipment & Materials'],
-  'MU':['Technology','Semiconductors'],'PANW':['Technology','Software-Infrastructure'],
-  'CRWD':['Technology','Software-Infrastructure'],'ZS':['Technology','Software-Infrastructure'],
-  'NFLX':['Communication Services','Entertainment'],'DIS':['Communication Services','Entertainment'],
-  'CMCSA':['Communication Services','Telecom Services'],'T':['Communication Services','Telecom Services'],
-  'VZ':['Communication Services','Telecom Services'],'TMUS':['Communication Services','Telecom Services'],
-  'PLTR':['Technology','Software-Application'],'COIN':['Financial Services','Capital Markets'],
-  'MSTR':['Financial Services','Capital Markets'],'HOOD':['Financial Services','Capital Markets'],
-};
-// Expanded coverage: top holdings across each sector (major sector-ETF constituents).
-Object.assign(TICKER_SECTOR_MAP, {
-  // Technology
-  'ORCL':['Technology','Software-Infrastructure'],'IBM':['Technology','Information Technology Services'],'ADI':['Technology','Semiconductors'],'LRCX':['Technology','Semiconductor Equipment & Materials'],'KLAC':['Technology','Semiconductor Equipment & Materials'],'SNPS':['Technology','Software-Application'],'CDNS':['Technology','Software-Application'],'ANET':['Technology','Computer Hardware'],'APH':['Technology','Electronic Components'],'TEL':['Technology','Electronic Components'],'MSI':['Technology','Communication Equipment'],'FTNT':['Technology','Software-Infrastructure'],'MRVL':['Technology','Semiconductors'],'NXPI':['Technology','Semiconductors'],'MCHP':['Technology','Semiconductors'],'ON':['Technology','Semiconductors'],'DELL':['Technology','Computer Hardware'],'HPQ':['Technology','Computer Hardware'],'HPE':['Technology','Computer Hardware'],'CTSH':['Technology','Information Technology Services'],'GLW':['Technology','Electronic Components'],'MPWR':['Technology','Semiconductors'],'SMCI':['Technology','Computer Hardware'],'WDC':['Technology','Computer Hardware'],'STX':['Technology','Computer Hardware'],'ADSK':['Technology','Software-Application'],'WDAY':['Technology','Software-Application'],'TEAM':['Technology','Software-Application'],'DDOG':['Technology','Software-Infrastructure'],'NET':['Technology','Software-Infrastructure'],'VRSN':['Technology','Software-Infrastructure'],'FICO':['Technology','Software-Application'],'GRMN':['Technology','Scientific & Technical Instruments'],'IT':['Technology','Information Technology Services'],'CDW':['Technology','Information Technology Services'],'NTAP':['Technology','Computer Hardware'],'KEYS':['Technology','Scientific & Technical Instruments'],'TER':['Technology','Semiconductor Equipment & Materials'],'TYL':['Technology','Software-Application'],'PTC':['Technology','Software-Application'],'AKAM':['Technology','Software-Infrastructure'],'ZM':['Technology','Software-Application'],'DOCU':['Technology','Software-Application'],'HUBS':['Technology','Software-Application'],'MDB':['Technology','Software-Infrastructure'],
-  // Communication Services
-  'GOOG':['Communication Services','Internet Content & Information'],'CHTR':['Communication Services','Telecom Services'],'WBD':['Communication Services','Entertainment'],'EA':['Communication Services','Electronic Gaming & Multimedia'],'TTWO':['Communication Services','Electronic Gaming & Multimedia'],'OMC':['Communication Services','Advertising Agencies'],'IPG':['Communication Services','Advertising Agencies'],'LYV':['Communication Services','Entertainment'],'MTCH':['Communication Services','Internet Content & Information'],'PINS':['Communication Services','Internet Content & Information'],'SNAP':['Communication Services','Internet Content & Information'],'RBLX':['Communication Services','Electronic Gaming & Multimedia'],'FOXA':['Communication Services','Entertainment'],'PARA':['Communication Services','Entertainment'],'NWSA':['Communication Services','Publishing'],
-  // Consumer Cyclical
-  'LULU':['Consumer Cyclical','Apparel Retail'],'ORLY':['Consumer Cyclical','Specialty Retail'],'AZO':['Consumer Cyclical','Specialty Retail'],'ROST':['Consumer Cyclical','Apparel Retail'],'TJX':['Consumer Cyclical','Apparel Retail'],'YUM':['Consumer Cyclical','Restaurants'],'CMG':['Consumer Cyclical','Restaurants'],'HLT':['Consumer Cyclical','Lodging'],'RCL':['Consumer Cyclical','Travel Services'],'CCL':['Consumer Cyclical','Travel Services'],'NCLH':['Consumer Cyclical','Travel Services'],'DHI':['Consumer Cyclical','Residential Construction'],'LEN':['Consumer Cyclical','Residential Construction'],'PHM':['Consumer Cyclical','Residential Construction'],'NVR':['Consumer Cyclical','Residential Construction'],'EBAY':['Consumer Cyclical','Internet Retail'],'ETSY':['Consumer Cyclical','Internet Retail'],'APTV':['Consumer Cyclical','Auto Parts'],'LVS':['Consumer Cyclical','Resorts & Casinos'],'WYNN':['Consumer Cyclical','Resorts & Casinos'],'MGM':['Consumer Cyclical','Resorts & Casinos'],'DRI':['Consumer Cyclical','Restaurants'],'GPC':['Consumer Cyclical','Auto Parts'],'TSCO':['Consumer Cyclical','Specialty Retail'],'BBY':['Consumer Cyclical','Specialty Retail'],'ULTA':['Consumer Cyclical','Specialty Retail'],'EXPE':['Consumer Cyclical','Travel Services'],'ABNB':['Consumer Cyclical','Travel Services'],
-  // Consumer Defensive
-  'PM':['Consumer Defensive','Tobacco'],'MO':['Consumer Defensive','Tobacco'],'MDLZ':['Consumer Defensive','Confectioners'],'CL':['Consumer Defensive','Household & Personal Products'],'KMB':['Consumer Defensive','Household & Personal Products'],'GIS':['Consumer Defensive','Packaged Foods'],'KHC':['Consumer Defensive','Packaged Foods'],'SYY':['Consumer Defensive','Food Distribution'],'STZ':['Consumer Defensive','Beverages-Wineries & Distilleries'],'KDP':['Consumer Defensive','Beverages-Non-Alcoholic'],'MNST':['Consumer Defensive','Beverages-Non-Alcoholic'],'HSY':['Consumer Defensive','Confectioners'],'KR':['Consumer Defensive','Grocery Stores'],'ADM':['Consumer Defensive','Farm Products'],'KVUE':['Consumer Defensive','Household & Personal Products'],'CLX':['Consumer Defensive','Household & Personal Products'],'CHD':['Consumer Defensive','Household & Personal Products'],'MKC':['Consumer Defensive','Packaged Foods'],'HRL':['Consumer Defensive','Packaged Foods'],'TSN':['Consumer Defensive','Packaged Foods'],'EL':['Consumer Defensive','Household & Personal Products'],'DG':['Consumer Defensive','Discount Stores'],'DLTR':['Consumer Defensive','Discount Stores'],'TAP':['Consumer Defensive','Beverages-Brewers'],'K':['Consumer Defensive','Packaged Foods'],
-  // Financial Services
-  'C':['Financial Services','Banks-Diversified'],'SCHW':['Financial Services','Capital Markets'],'AXP':['Financial Services','Credit Services'],'SPGI':['Financial Services','Financial Data & Stock Exchanges'],'CB':['Financial Services','Insurance-Property & Casualty'],'PGR':['Financial Services','Insurance-Property & Casualty'],'MMC':['Financial Services','Insurance Brokers'],'AON':['Financial Services','Insurance Brokers'],'ICE':['Financial Services','Financial Data & Stock Exchanges'],'CME':['Financial Services','Financial Data & Stock Exchanges'],'USB':['Financial Services','Banks-Regional'],'PNC':['Financial Services','Banks-Regional'],'TFC':['Financial Services','Banks-Regional'],'COF':['Financial Services','Credit Services'],'BK':['Financial Services','Asset Management'],'AIG':['Financial Services','Insurance-Diversified'],'MET':['Financial Services','Insurance-Life'],'PRU':['Financial Services','Insurance-Life'],'TRV':['Financial Services','Insurance-Property & Casualty'],'ALL':['Financial Services','Insurance-Property & Casualty'],'AFL':['Financial Services','Insurance-Life'],'MCO':['Financial Services','Financial Data & Stock Exchanges'],'NDAQ':['Financial Services','Financial Data & Stock Exchanges'],'MSCI':['Financial Services','Financial Data & Stock Exchanges'],'AJG':['Financial Services','Insurance Brokers'],'DFS':['Financial Services','Credit Services'],'SYF':['Financial Services','Credit Services'],'KKR':['Financial Services','Asset Management'],'APO':['Financial Services','Asset Management'],'BX':['Financial Services','Asset Management'],'AMP':['Financial Services','Asset Management'],'TROW':['Financial Services','Asset Management'],'STT':['Financial Services','Asset Management'],'FITB':['Financial Services','Banks-Regional'],'HBAN':['Financial Services','Banks-Regional'],'RF':['Financial Services','Banks-Regional'],'CFG':['Financial Services','Banks-Regional'],'MTB':['Financial Services','Banks-Regional'],'NTRS':['Financial Services','Asset Management'],'ARES':['Financial Services','Asset Management'],
-  // Healthcare
-  'PFE':['Healthcare','Drug Manufacturers-General'],'BMY':['Healthcare','Drug Manufacturers-General'],'DHR':['Healthcare','Diagnostics & Research'],'ELV':['Healthcare','Healthcare Plans'],'CVS':['Healthcare','Healthcare Plans'],'MCK':['Healthcare','Medical Distribution'],'COR':['Healthcare','Medical Distribution'],'CAH':['Healthcare','Medical Distribution'],'ZTS':['Healthcare','Drug Manufacturers-Specialty & Generic'],'BDX':['Healthcare','Medical Instruments & Supplies'],'DXCM':['Healthcare','Medical Devices'],'IDXX':['Healthcare','Diagnostics & Research'],'IQV':['Healthcare','Diagnostics & Research'],'A':['Healthcare','Diagnostics & Research'],'MRNA':['Healthcare','Biotechnology'],'RMD':['Healthcare','Medical Devices'],'GEHC':['Healthcare','Medical Devices'],'CNC':['Healthcare','Healthcare Plans'],'MOH':['Healthcare','Healthcare Plans'],'HOLX':['Healthcare','Medical Devices'],'BAX':['Healthcare','Medical Instruments & Supplies'],'STE':['Healthcare','Medical Instruments & Supplies'],'WST':['Healthcare','Medical Instruments & Supplies'],'ALGN':['Healthcare','Medical Devices'],'PODD':['Healthcare','Medical Devices'],'WAT':['Healthcare','Diagnostics & Research'],'MTD':['Healthcare','Diagnostics & Research'],'LH':['Healthcare','Diagnostics & Research'],'DGX':['Healthcare','Diagnostics & Research'],'DVA':['Healthcare','Medical Care Facilities'],'UHS':['Healthcare','Medical Care Facilities'],
-  // Energy
-  'PSX':['Energy','Oil & Gas Refining & Marketing'],'VLO':['Energy','Oil & Gas Refining & Marketing'],'WMB':['Energy','Oil & Gas Midstream'],'KMI':['Energy','Oil & Gas Midstream'],'OKE':['Energy','Oil & Gas Midstream'],'ET':['Energy','Oil & Gas Midstream'],'EPD':['Energy','Oil & Gas Midstream'],'MPLX':['Energy','Oil & Gas Midstream'],'LNG':['Energy','Oil & Gas Midstream'],'BKR':['Energy','Oil & Gas Equipment & Services'],'FANG':['Energy','Oil & Gas E&P'],'HES':['Energy','Oil & Gas E&P'],'CTRA':['Energy','Oil & Gas E&P'],'APA':['Energy','Oil & Gas E&P'],'EQT':['Energy','Oil & Gas E&P'],'TRGP':['Energy','Oil & Gas Midstream'],'TPL':['Energy','Oil & Gas E&P'],
-  // Industrials
-  'UNP':['Industrials','Railroads'],'CSX':['Industrials','Railroads'],'NSC':['Industrials','Railroads'],'FDX':['Industrials','Integrated Freight & Logistics'],'ETN':['Industrials','Specialty Industrial Machinery'],'EMR':['Industrials','Specialty Industrial Machinery'],'ITW':['Industrials','Specialty Industrial Machinery'],'PH':['Industrials','Specialty Industrial Machinery'],'GD':['Industrials','Aerospace & Defense'],'NOC':['Industrials','Aerospace & Defense'],'TDG':['Industrials','Aerospace & Defense'],'LHX':['Industrials','Aerospace & Defense'],'MMM':['Industrials','Conglomerates'],'TT':['Industrials','Building Products & Equipment'],'JCI':['Industrials','Building Products & Equipment'],'CMI':['Industrials','Specialty Industrial Machinery'],'PCAR':['Industrials','Farm & Heavy Construction Machinery'],'CARR':['Industrials','Building Products & Equipment'],'OTIS':['Industrials','Specialty Industrial Machinery'],'WM':['Industrials','Waste Management'],'RSG':['Industrials','Waste Management'],'FAST':['Industrials','Industrial Distribution'],'GWW':['Industrials','Industrial Distribution'],'URI':['Industrials','Rental & Leasing Services'],'PWR':['Industrials','Engineering & Construction'],'AME':['Industrials','Specialty Industrial Machinery'],'ROK':['Industrials','Specialty Industrial Machinery'],'DOV':['Industrials','Specialty Industrial Machinery'],'IR':['Industrials','Specialty Industrial Machinery'],'XYL':['Industrials','Specialty Industrial Machinery'],'FTV':['Industrials','Scientific & Technical Instruments'],'VRSK':['Industrials','Consulting Services'],'ODFL':['Industrials','Trucking'],'JBHT':['Industrials','Trucking'],'CTAS':['Industrials','Specialty Business Services'],'WAB':['Industrials','Railroads'],'TXT':['Industrials','Aerospace & Defense'],'HII':['Industrials','Aerospace & Defense'],'AXON':['Industrials','Aerospace & Defense'],'EFX':['Industrials','Consulting Services'],'SWK':['Industrials','Tools & Accessories'],'SNA':['Industrials','Tools & Accessories'],'PNR':['Industrials','Specialty Industrial Machinery'],'NDSN':['Industrials','Specialty Industrial Machinery'],'IEX':['Industrials','Specialty Industrial Machinery'],'ALLE':['Industrials','Security & Protection Services'],'MAS':['Industrials','Building Products & Equipment'],'HWM':['Industrials','Aerospace & Defense'],'LII':['Industrials','Building Products & Equipment'],
-  // Basic Materials
-  'APD':['Basic Materials','Specialty Chemicals'],'ECL':['Basic Materials','Specialty Chemicals'],'DD':['Basic Materials','Specialty Chemicals'],'DOW':['Basic Materials','Chemicals'],'PPG':['Basic Materials','Specialty Chemicals'],'NUE':['Basic Materials','Steel'],'STLD':['Basic Materials','Steel'],'CTVA':['Basic Materials','Agricultural Inputs'],'CF':['Basic Materials','Agricultural Inputs'],'MOS':['Basic Materials','Agricultural Inputs'],'ALB':['Basic Materials','Specialty Chemicals'],'LYB':['Basic Materials','Specialty Chemicals'],'VMC':['Basic Materials','Building Materials'],'MLM':['Basic Materials','Building Materials'],'IFF':['Basic Materials','Specialty Chemicals'],'PKG':['Basic Materials','Packaging & Containers'],'IP':['Basic Materials','Packaging & Containers'],'AMCR':['Basic Materials','Packaging & Containers'],'BALL':['Basic Materials','Packaging & Containers'],'CE':['Basic Materials','Specialty Chemicals'],'EMN':['Basic Materials','Specialty Chemicals'],'FMC':['Basic Materials','Agricultural Inputs'],'AVY':['Basic Materials','Packaging & Containers'],'RPM':['Basic Materials','Specialty Chemicals'],
-  // Utilities
-  'DUK':['Utilities','Utilities-Regulated Electric'],'SO':['Utilities','Utilities-Regulated Electric'],'D':['Utilities','Utilities-Regulated Electric'],'AEP':['Utilities','Utilities-Regulated Electric'],'EXC':['Utilities','Utilities-Regulated Electric'],'SRE':['Utilities','Utilities-Diversified'],'XEL':['Utilities','Utilities-Regulated Electric'],'PEG':['Utilities','Utilities-Regulated Electric'],'ED':['Utilities','Utilities-Regulated Electric'],'WEC':['Utilities','Utilities-Regulated Electric'],'ES':['Utilities','Utilities-Regulated Electric'],'AEE':['Utilities','Utilities-Regulated Electric'],'DTE':['Utilities','Utilities-Regulated Electric'],'PPL':['Utilities','Utilities-Regulated Electric'],'FE':['Utilities','Utilities-Regulated Electric'],'EIX':['Utilities','Utilities-Regulated Electric'],'ETR':['Utilities','Utilities-Regulated Electric'],'CEG':['Utilities','Utilities-Renewable'],'VST':['Utilities','Utilities-Independent Power Producers'],'NRG':['Utilities','Utilities-Independent Power Producers'],'AWK':['Utilities','Utilities-Regulated Water'],'CMS':['Utilities','Utilities-Regulated Electric'],'CNP':['Utilities','Utilities-Regulated Electric'],'NI':['Utilities','Utilities-Regulated Gas'],'LNT':['Utilities','Utilities-Regulated Electric'],'ATO':['Utilities','Utilities-Regulated Gas'],'PCG':['Utilities','Utilities-Regulated Electric'],
-  // Real Estate
-  'O':['Real Estate','REIT-Retail'],'PSA':['Real Estate','REIT-Industrial'],'DLR':['Real Estate','REIT-Specialty'],'WELL':['Real Estate','REIT-Healthcare Facilities'],'VICI':['Real Estate','REIT-Diversified'],'AVB':['Real Estate','REIT-Residential'],'EQR':['Real Estate','REIT-Residential'],'EXR':['Real Estate','REIT-Industrial'],'VTR':['Real Estate','REIT-Healthcare Facilities'],'ARE':['Real Estate','REIT-Office'],'SBAC':['Real Estate','REIT-Specialty'],'INVH':['Real Estate','REIT-Residential'],'MAA':['Real Estate','REIT-Residential'],'ESS':['Real Estate','REIT-Residential'],'KIM':['Real Estate','REIT-Retail'],'REG':['Real Estate','REIT-Retail'],'BXP':['Real Estate','REIT-Office'],'HST':['Real Estate','REIT-Hotel & Motel'],'DOC':['Real Estate','REIT-Healthcare Facilities'],'IRM':['Real Estate','REIT-Specialty'],'CBRE':['Real Estate','Real Estate Services'],'CSGP':['Real Estate','Real Estate Services'],'UDR':['Real Estate','REIT-Residential'],'CPT':['Real Estate','REIT-Residential'],
-});
-function getTickerSector(t) { return TICKER_SECTOR_MAP[t] || null; }
+// Ticker -> [sector, industry] from each issuer's SEC SIC code (lib/sic.js),
+// built by scripts/precompute.js into computed_cache. Routes that classify
+// await loadSectorIndex() first; getTickerSector() itself stays synchronous.
+let _sectorIndex = {}, _sectorIndexTime = 0, _sectorIndexLoading = null;
+const SECTOR_INDEX_TTL = 30 * 60 * 1000;
+async function loadSectorIndex() {
+  if (Date.now() - _sectorIndexTime < SECTOR_INDEX_TTL) return _sectorIndex;
+  if (_sectorIndexLoading) return _sectorIndexLoading;
+  _sectorIndexLoading = (async () => {
+    try {
+      const c = await queryOne("SELECT value_json FROM computed_cache WHERE key = 'sector-index'");
+      const idx = c ? JSON.parse(c.value_json) : null;
+      if (idx && typeof idx === 'object') _sectorIndex = idx;
+      _sectorIndexTime = Date.now();
+    } catch(e) { slog('Sector index load failed: ' + e.message); }
+    return _sectorIndex;
+  })();
+  try { return await _sectorIndexLoading; } finally { _sectorIndexLoading = null; }
+}
+function getTickerSector(t) { return _sectorIndex[t] || null; }
 
 let _sectorsCache = null, _sectorsCacheTime = 0;
 app.get('/api/sectors', async (req, res) => {
   publicApiCache(res, 1800);
   try {
     if (_sectorsCache && Date.now() - _sectorsCacheTime < 120000) return res.json(_sectorsCache);
+    await loadSectorIndex();
     const days = [7, 30, 90].includes(parseInt(req.query.days)) ? parseInt(req.query.days) : 30;
     const rows = await query(`
       SELECT ticker, MAX(company) AS company,
@@ -1297,7 +2064,7 @@ app.get('/api/sectors', async (req, res) => {
       WHERE trade_date >= date('now', '-' || ? || ' days') AND trade_date <= date('now')
         AND TRIM(type) IN ('P','S','S-') AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
       GROUP BY ticker HAVING buy_count > 0 OR sell_count > 0
-      ORDER BY (buy_val + sell_val) DESC LIMIT 500
+      ORDER BY (buy_val + sell_val) DESC LIMIT 3000
     `, [days]);
 
     const sectorMap = {};
@@ -1350,16 +2117,18 @@ app.get('/api/proximity', async (req, res) => {
 const _sbCandidatesCache = { data: null, t: 0 };
 
 async function buildScoreboardCandidates() {
+  // One candidate per resolved insider (unresolved names stand alone).
   const rows = await query(`
-    SELECT insider AS name, MAX(title) AS title, COUNT(*) AS total_buys
-    FROM trades WHERE insider IS NOT NULL AND TRIM(type)='P' AND price > 0
-      AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
-      AND insider IN (
-        SELECT DISTINCT insider FROM trades
+    SELECT t.insider_id AS id, COALESCE(e.name, MAX(t.insider)) AS name, MAX(t.title) AS title, COUNT(*) AS total_buys
+    FROM trades t LEFT JOIN insider_entities e ON e.id = t.insider_id
+    WHERE t.insider IS NOT NULL AND TRIM(t.type)='P' AND t.price > 0
+      AND t.ticker GLOB '[A-Z]*' AND LENGTH(t.ticker) BETWEEN 1 AND 6
+      AND COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider) IN (
+        SELECT DISTINCT COALESCE(CAST(insider_id AS TEXT), 'n:' || insider) FROM trades
         WHERE TRIM(type)='P' AND price > 0 AND COALESCE(value,0) >= 10000
           AND trade_date >= date('now','-90 days')
       )
-    GROUP BY insider HAVING total_buys >= 4 ORDER BY MAX(value) DESC LIMIT 80
+    GROUP BY COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider) HAVING total_buys >= 4 ORDER BY MAX(t.value) DESC LIMIT 80
   `);
   return { candidates: rows };
 }
@@ -1409,23 +2178,30 @@ const INSIDER_SCORE_TTL = 30 * 60000;
 app.get('/api/insider-score', async (req, res) => {
   publicApiCache(res, 1800);
   const name = (req.query.name || '').trim();
-  if (!name) return res.status(400).json({ error: 'name required' });
-  const ck = name.toUpperCase();
-  const cached = _insiderScoreCache.get(ck);
-  if (cached && Date.now() - cached.t < INSIDER_SCORE_TTL) return res.json(cached.data);
+  const eid  = parseInt(req.query.id, 10) || null;
+  if (!name && !eid) return res.status(400).json({ error: 'name required' });
 
   try {
+    // Scored per resolved insider, so every spelling's buys count once.
+    const entity = await _resolveInsider(eid ? { id: eid } : { names: [name] });
+    if (eid && !entity) return res.status(404).json({ error: 'insider not found' });
+    const ck = entity ? `E${entity.id}` : name.toUpperCase();
+    const cached = _insiderScoreCache.get(ck);
+    if (cached && Date.now() - cached.t < INSIDER_SCORE_TTL) return res.json(cached.data);
+    const m = entity ? _entityMatch(entity).trades : { clause: 'UPPER(insider) = UPPER(?)', args: [name] };
     const rows = await query(`
       SELECT ticker, trade_date AS trade, TRIM(type) AS type,
              COALESCE(price,0) AS price, COALESCE(value,0) AS value
-      FROM trades WHERE UPPER(insider) = UPPER(?) AND TRIM(type)='P' AND price > 0
+      FROM trades WHERE ${m.clause} AND TRIM(type)='P' AND price > 0
       ORDER BY trade_date DESC LIMIT 500
-    `, [name]);
+    `, m.args);
 
-    if (!rows.length) { const p = { error: 'no trades', name }; _insiderScoreCache.set(ck, { data: p, t: Date.now() }); return res.json(p); }
+    if (!rows.length) { const p = { error: 'no trades', name: entity ? entity.name : name }; _insiderScoreCache.set(ck, { data: p, t: Date.now() }); return res.json(p); }
 
     const tickers = [...new Set(rows.map(r => r.ticker))];
     await Promise.allSettled(tickers.map(sym => fetchPriceBars(sym)));
+    // After the bar refresh, so splits it just stored are picked up.
+    await withSplitAdjusted(rows);
 
     const CAP = 100, cap = r => Math.max(-CAP, Math.min(CAP, r));
     const today = new Date().toISOString().slice(0, 10);
@@ -1434,7 +2210,8 @@ app.get('/api/insider-score', async (req, res) => {
       const bars = await getPC(t.ticker);
       if (!bars?.length) return null;
       const buyDate = t.trade.slice(0, 10);
-      const buyPrice = t.price || bars.find(b => b.time >= buyDate)?.close || 0;
+      // Bars are split-adjusted, so the reported price must be too.
+      const buyPrice = t.adj_price || bars.find(b => b.time >= buyDate)?.close || 0;
       if (!buyPrice) return null;
       const addDays = (ds, n) => { const d = new Date(ds + 'T12:00:00Z'); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().slice(0, 10); };
       if (today < addDays(buyDate, 90)) return null;
@@ -1461,12 +2238,79 @@ app.get('/api/insider-score', async (req, res) => {
     const win30Rate = rets30.length ? Math.round(rets30.filter(r => r > 0).length / rets30.length * 100) : null;
     const timingAlpha = computeTimingAlpha(avgRet30, avgRet90, win30Rate, completed.length);
 
-    const payload = { name, winRate, avgRet90, avgRet30, win30Rate, tradeCount: completed.length, accuracyScore, timingAlpha, tier, tickers: tickers.slice(0, 3).join(', ') };
+    const payload = { name: entity ? entity.name : name, id: entity ? entity.id : null, winRate, avgRet90, avgRet30, win30Rate, tradeCount: completed.length, accuracyScore, timingAlpha, tier, tickers: tickers.slice(0, 3).join(', ') };
     _insiderScoreCache.set(ck, { data: payload, t: Date.now() });
     res.json(payload);
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
 
+// ─── LATE FILERS ──────────────────────────────────────────────────────────────
+// Form 4s filed after the two-business-day deadline (late_filing, set at
+// ingestion from lib/calendar.js). Insiders ranked by late filings in the window
+// (?days=, default 365), beside their total filings for scale; ?ticker= narrows
+// to one issuer and lists the late filings themselves.
+const _lateFilersCache = new Map();
+const LATE_FILERS_TTL = 30 * 60000;
+
+// Habitual: at least 3 late filings, and a quarter or more of all of them.
+function _habitualLate(late, filings) {
+  return late >= 3 && filings > 0 && late / filings >= 0.25;
+}
+
+app.get('/api/late-filers', async (req, res) => {
+  publicApiCache(res, 1800);
+  const days = Math.min(1825, Math.max(30, parseInt(req.query.days, 10) || 365));
+  const sym = (req.query.ticker || '').toUpperCase().trim();
+  const minLate = Math.max(1, parseInt(req.query.min_late, 10) || (sym ? 1 : 2));
+  const ck = `${days}|${sym}|${minLate}`;
+  const hit = _lateFilersCache.get(ck);
+  if (hit && Date.now() - hit.t < LATE_FILERS_TTL) return res.json(hit.data);
+  try {
+    const since = `-${days} days`;
+    const tk = sym ? 'AND t.ticker = ?' : '', tkArgs = sym ? [sym] : [];
+    // Late rows only (idx_trades_late), counted per filing.
+    const late = await query(`
+      SELECT ${_INSIDER_KEY} AS k, MAX(t.insider_id) AS id, COALESCE(MAX(e.name), MAX(t.insider)) AS name,
+             COUNT(DISTINCT t.accession) AS late_filings, MAX(t.filing_latency) AS max_latency,
+             ROUND(AVG(t.filing_latency), 1) AS avg_late_latency, MAX(t.filing_date) AS latest_late,
+             GROUP_CONCAT(DISTINCT t.ticker) AS tickers
+      FROM trades t LEFT JOIN insider_entities e ON e.id = t.insider_id
+      WHERE t.late_filing = 1 AND t.filing_date >= date('now', ?) ${tk}
+      GROUP BY ${_INSIDER_KEY} HAVING late_filings >= ?
+      ORDER BY late_filings DESC, max_latency DESC LIMIT 100`, [since, ...tkArgs, minLate]);
+    const ids = late.filter(r => !r.k.startsWith('n:')).map(r => +r.k);
+    const names = late.filter(r => r.k.startsWith('n:')).map(r => r.k.slice(2));
+    const ph = a => a.map(() => '?').join(',') || 'NULL';
+    const totals = {};
+    if (late.length) {
+      for (const r of await query(`
+        SELECT ${_INSIDER_KEY} AS k, COUNT(DISTINCT t.accession) AS filings FROM trades t
+        WHERE (t.insider_id IN (${ph(ids)}) OR (t.insider_id IS NULL AND t.insider IN (${ph(names)})))
+          AND t.late_filing IS NOT NULL AND t.filing_date >= date('now', ?) ${tk}
+        GROUP BY ${_INSIDER_KEY}`, [...ids, ...names, since, ...tkArgs])) totals[r.k] = r.filings;
+    }
+    const insiders = late.map(r => {
+      const filings = totals[r.k] || r.late_filings;
+      return {
+        id: r.id, name: r.name, late_filings: r.late_filings, filings,
+        late_pct: Math.round(r.late_filings / filings * 100), habitual: _habitualLate(r.late_filings, filings),
+        max_latency: r.max_latency, avg_late_latency: r.avg_late_latency, latest_late: r.latest_late,
+        tickers: String(r.tickers || '').split(',').filter(Boolean).slice(0, 10),
+      };
+    });
+    const data = { days, due_days: FORM4_DUE_DAYS, ticker: sym || null, insiders };
+    if (sym) {
+      data.filings = await query(`
+        SELECT accession, MAX(insider) AS insider, MIN(trade_date) AS trade, MAX(filing_date) AS filing,
+               MAX(filing_latency) AS latency, GROUP_CONCAT(DISTINCT TRIM(type)) AS types, SUM(COALESCE(value,0)) AS value
+        FROM trades t WHERE t.late_filing = 1 AND t.filing_date >= date('now', ?) ${tk}
+        GROUP BY accession ORDER BY filing DESC LIMIT 200`, [since, ...tkArgs]);
+    }
+    _lateFilersCache.set(ck, { data, t: Date.now() });
+    res.json(data);
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
 // ─── YAHOO CRUMB (for earnings dates) ────────────────────────────────────────
 let _yahooCrumb = null, _yahooCookie = null, _yahooCrumbTs = 0, _yahooCrumbBackoff = 0;
 const CRUMB_TTL = 12 * 3600000;
@@ -1833,7 +2677,13 @@ function getRoleKey(title) {
   return 'other';
 }
 
-function buildSignalsFromTrades(trades, firstBuyRows = []) {
+// Joint filers count as one economic actor (tagJointActors, lib/entities.js).
+const _actorOf = t => t.actor || t.insider;
+
+// A Form 144 notice at or above this value can raise an exit warning on its own.
+const FORM144_LARGE_VALUE = 1000000;
+
+function buildSignalsFromTrades(trades, firstBuyRows = [], notices = []) {
   const signals = [], byTicker = {};
   for (const t of trades) { if (!byTicker[t.ticker]) byTicker[t.ticker] = []; byTicker[t.ticker].push(t); }
   for (const [ticker, tt] of Object.entries(byTicker)) {
@@ -1841,7 +2691,8 @@ function buildSignalsFromTrades(trades, firstBuyRows = []) {
     const buys    = tt.filter(t => t.type === 'P');
     const sells   = tt.filter(t => t.type === 'S' || t.type === 'S-');
     if (buys.length >= 2) {
-      const ui = new Set(buys.map(t => t.insider)).size;
+      // Distinct economic actors: co-filers collapse to one (see tagJointActors).
+      const ui = new Set(buys.map(_actorOf)).size;
       if (ui >= 2) {
         const totalVal = buys.reduce((s, t) => s + (t.value || 0), 0);
         const score    = Math.min(100, 50 + ui * 10 + (totalVal >= 500000 ? 15 : totalVal >= 100000 ? 8 : 0));
@@ -1855,26 +2706,59 @@ function buildSignalsFromTrades(trades, firstBuyRows = []) {
       if (isCsuite || (t.value || 0) >= 100000) {
         const score  = Math.min(100, 55 + (isCsuite ? 15 : 0) + (t.value >= 500000 ? 15 : t.value >= 100000 ? 8 : 0));
         const sec    = getTickerSector(ticker);
-        signals.push({ ticker, company, signal_type: 'CONVICTION', score, value: t.value || 0, date: t.filing_date, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: getRoleKey(t.title), headline: 'High conviction buy · ' + (t.title || 'Insider'), detail: (t.insider || '') + ' · ' + formatVal(t.value || 0) });
+        signals.push({ ticker, company, signal_type: 'CONVICTION', score, value: t.value || 0, date: t.filing_date, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: getRoleKey(t.title), headline: 'High conviction buy · ' + (t.title || 'Insider'), detail: (t.insider || '') + ' · ' + formatVal(t.value || 0) + (t.plan_10b5_1 ? ' · 10b5-1 plan' : '') });
       }
     }
     if (sells.length >= 2) {
-      const us = new Set(sells.map(t => t.insider)).size;
+      const us = new Set(sells.map(_actorOf)).size;
       if (us >= 2) {
         const totalSell = sells.reduce((s, t) => s + (t.value || 0), 0);
+        const planned   = sells.filter(t => t.plan_10b5_1).length;
         const score     = Math.min(100, 50 + us * 8 + (totalSell >= 1000000 ? 15 : 0));
         const date      = sells.sort((a, b) => b.filing_date.localeCompare(a.filing_date))[0].filing_date;
         const sec       = getTickerSector(ticker);
-        signals.push({ ticker, company, signal_type: 'EXIT_WARNING', score, value: totalSell, date, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: null, headline: 'Exit warning · ' + us + ' insiders selling', detail: us + ' sellers · ' + formatVal(totalSell) + ' disclosed' });
+        signals.push({ ticker, company, signal_type: 'EXIT_WARNING', score, value: totalSell, date, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: null, headline: 'Exit warning · ' + us + ' insiders selling', detail: us + ' sellers · ' + formatVal(totalSell) + ' disclosed' + (planned ? ' · ' + planned + ' of ' + sells.length + ' under 10b5-1 plans' : '') });
       }
     }
   }
+  // Pending Form 144 notices are supply announced before the sale prints. Large
+  // ones raise an exit warning alone, or add to one the Form 4 sells raised.
+  const noticesByTicker = {};
+  for (const n of notices) {
+    if (n.ticker && (n.market_value || 0) >= FORM144_LARGE_VALUE) (noticesByTicker[n.ticker] || (noticesByTicker[n.ticker] = [])).push(n);
+  }
+  for (const [ticker, nn] of Object.entries(noticesByTicker)) {
+    const proposed = nn.reduce((s, n) => s + (n.market_value || 0), 0);
+    const existing = signals.find(s => s.ticker === ticker && s.signal_type === 'EXIT_WARNING');
+    if (existing) {
+      existing.score = Math.min(100, existing.score + 5);
+      existing.detail += ' · ' + formatVal(proposed) + ' more proposed (Form 144)';
+      continue;
+    }
+    const sellers = new Set(nn.map(n => n.seller)).size;
+    const latest  = nn.sort((a, b) => b.filing_date.localeCompare(a.filing_date))[0];
+    const planned = nn.filter(n => n.plan_adopted).length;
+    const score   = Math.min(100, 50 + sellers * 8 + (proposed >= 10000000 ? 15 : proposed >= 5000000 ? 10 : 5)
+      + (nn.some(n => /officer|director/i.test(n.relationship || '')) ? 5 : 0));
+    const sec     = getTickerSector(ticker);
+    signals.push({ ticker, company: latest.company || ticker, signal_type: 'EXIT_WARNING', score, value: proposed, date: latest.filing_date, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: null, headline: 'Exit warning · Form 144 proposed sale', detail: (sellers === 1 ? latest.seller : sellers + ' sellers') + ' · ' + formatVal(proposed) + ' proposed' + (latest.approx_sale_date ? ' · sale ~' + latest.approx_sale_date : '') + (planned ? ' · 10b5-1 plan' : '') });
+  }
   for (const fb of firstBuyRows) {
     const gapYears = fb.gap_days ? Math.floor(fb.gap_days / 365) : null;
     const isCsuite = /\b(CEO|CFO|President|Chairman|COO|CTO)\b/i.test(fb.title || '');
-    const score    = Math.min(100, 60 + (isCsuite ? 15 : 0) + ((fb.latest_value || 0) >= 100000 ? 10 : 0) + (!fb.prev_trade ? 8 : 0));
+    // With a Form 3 on file, "no prior buy" splits into a new insider (Form 3 in
+    // the last year) and a long-standing insider buying for the first time ever.
+    const tenureDays = fb.became_insider && fb.latest_trade
+      ? Math.round((new Date(fb.latest_trade) - new Date(fb.became_insider)) / 86400000) : null;
+    const isNewInsider = !fb.prev_trade && tenureDays !== null && tenureDays < 365;
+    const score    = Math.min(100, 60 + (isCsuite ? 15 : 0) + ((fb.latest_value || 0) >= 100000 ? 10 : 0) + (!fb.prev_trade && !isNewInsider ? 8 : 0));
     const sec      = getTickerSector(fb.ticker);
-    signals.push({ ticker: fb.ticker, company: fb.company || fb.ticker, signal_type: 'FIRST_BUY', score, value: fb.latest_value || 0, date: fb.latest_filing, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: getRoleKey(fb.title), headline: 'First buy in years · ' + (fb.title || 'Insider'), detail: (fb.insider || '') + ' · ' + (fb.prev_trade ? gapYears + '+ yr gap' : 'No prior buy') + ' · ' + formatVal(fb.latest_value || 0) });
+    const history  = fb.prev_trade ? gapYears + '+ yr gap'
+                   : isNewInsider ? 'Insider since ' + fb.became_insider
+                   : tenureDays !== null ? 'First buy in ' + Math.floor(tenureDays / 365) + '+ yrs as insider'
+                   : 'No prior buy';
+    const headline = (isNewInsider ? 'New insider buy · ' : 'First buy in years · ') + (fb.title || 'Insider');
+    signals.push({ ticker: fb.ticker, company: fb.company || fb.ticker, signal_type: 'FIRST_BUY', score, value: fb.latest_value || 0, date: fb.latest_filing, sector: sec?.[0] || null, subsector: sec?.[1] || null, role_key: getRoleKey(fb.title), headline, detail: (fb.insider || '') + ' · ' + history + ' · ' + formatVal(fb.latest_value || 0) });
   }
   return signals.sort((a, b) => b.score - a.score);
 }
@@ -1914,7 +2798,7 @@ async function runAlertCheck() {
   _alertRunning = true;
   try {
     const users = await query(`
-      SELECT u.id AS user_id, u.email, p.min_score, p.min_value, p.types, p.tickers, p.sectors, p.roles, p.frequency
+      SELECT u.id AS user_id, u.email, p.min_score, p.min_value, p.types, p.tickers, p.sectors, p.roles, p.frequency, p.exclude_planned
       FROM alert_prefs p JOIN users u ON u.id = p.user_id JOIN subscriptions s ON s.user_id = p.user_id
       WHERE p.enabled = 1 AND (s.status = 'active' OR (s.status = 'trial' AND s.current_period_end > datetime('now'))
         OR (s.current_period_end IS NOT NULL AND s.current_period_end > datetime('now')))
@@ -1923,32 +2807,47 @@ async function runAlertCheck() {
     const recentTrades = await query(`
       SELECT ticker, MAX(company) AS company, insider, MAX(title) AS title,
              trade_date, MAX(filing_date) AS filing_date, TRIM(type) AS type,
-             MAX(qty) AS qty, MAX(price) AS price, MAX(value) AS value, MAX(owned) AS owned
+             MAX(qty) AS qty, MAX(price) AS price, MAX(value) AS value, MAX(owned) AS owned,
+             MAX(plan_10b5_1) AS plan_10b5_1
       FROM trades WHERE filing_date >= date('now','-3 days') AND TRIM(type) IN ('P','S','S-')
         AND ticker GLOB '[A-Z]*' AND COALESCE(value,0) > 0
       GROUP BY ticker, insider, trade_date, type ORDER BY filing_date DESC, value DESC
     `);
-    if (!recentTrades.length) return;
+    // Notices whose sale hasn't printed yet; once linked, the Form 4 sell counts instead.
+    const notices = await query(`
+      SELECT ticker, company, seller, relationship, market_value, approx_sale_date, plan_adopted, filing_date
+      FROM form144_notices
+      WHERE filing_date >= date('now','-3 days') AND sale_accession IS NULL AND ticker IS NOT NULL
+    `).catch(() => []);
+    if (!recentTrades.length && !notices.length) return;
 
     const firstBuyRows = await query(`
-      WITH rb AS (SELECT DISTINCT insider, ticker FROM trades WHERE TRIM(type)='P' AND filing_date >= date('now','-2 days') AND insider IS NOT NULL),
-      latest AS (SELECT t.ticker, MAX(t.company) AS company, t.insider, MAX(t.title) AS title, MAX(t.trade_date) AS latest_trade, MAX(t.filing_date) AS latest_filing, MAX(t.value) AS latest_value FROM trades t JOIN rb ON t.insider=rb.insider AND t.ticker=rb.ticker WHERE TRIM(t.type)='P' AND t.filing_date >= date('now','-2 days') GROUP BY t.insider, t.ticker),
-      prev AS (SELECT t.insider, t.ticker, MAX(t.trade_date) AS prev_trade FROM trades t JOIN rb ON t.insider=rb.insider AND t.ticker=rb.ticker WHERE TRIM(t.type)='P' AND t.filing_date < date('now','-2 days') GROUP BY t.insider, t.ticker)
-      SELECT l.ticker, l.company, l.insider, l.title, l.latest_trade, l.latest_filing, l.latest_value, p.prev_trade,
+      WITH rb AS (SELECT DISTINCT COALESCE(CAST(insider_id AS TEXT), 'n:' || insider) AS k, ticker FROM trades WHERE TRIM(type)='P' AND filing_date >= date('now','-2 days') AND insider IS NOT NULL),
+      latest AS (SELECT rb.k, t.ticker, MAX(t.company) AS company, MAX(t.insider) AS insider, MAX(t.title) AS title, MAX(t.trade_date) AS latest_trade, MAX(t.filing_date) AS latest_filing, MAX(t.value) AS latest_value, MAX(t.plan_10b5_1) AS plan_10b5_1 FROM trades t JOIN rb ON ${_INSIDER_KEY}=rb.k AND t.ticker=rb.ticker WHERE TRIM(t.type)='P' AND t.filing_date >= date('now','-2 days') GROUP BY rb.k, t.ticker),
+      prev AS (SELECT rb.k, t.ticker, MAX(t.trade_date) AS prev_trade FROM trades t JOIN rb ON ${_INSIDER_KEY}=rb.k AND t.ticker=rb.ticker WHERE TRIM(t.type)='P' AND t.filing_date < date('now','-2 days') GROUP BY rb.k, t.ticker),
+      ${insiderNamesCte('rb')},
+      baseline AS (SELECT n.k, n.ticker, MIN(f.event_date) AS became_insider FROM form3_holdings f JOIN names n ON f.insider=n.name AND f.ticker=n.ticker GROUP BY n.k, n.ticker)
+      SELECT l.ticker, l.company, l.insider, l.title, l.latest_trade, l.latest_filing, l.latest_value, l.plan_10b5_1, p.prev_trade, b.became_insider,
              CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) AS gap_days
-      FROM latest l LEFT JOIN prev p ON l.insider=p.insider AND l.ticker=p.ticker
+      FROM latest l LEFT JOIN prev p ON l.k=p.k AND l.ticker=p.ticker
+      LEFT JOIN baseline b ON l.k=b.k AND l.ticker=b.ticker
       WHERE p.prev_trade IS NULL OR CAST(julianday(l.latest_trade) - julianday(p.prev_trade) AS INTEGER) >= 730
     `);
 
-    const signals = buildSignalsFromTrades(recentTrades, firstBuyRows);
+    await tagJointActors(recentTrades, query);
+    await loadSectorIndex();
+    const signals = buildSignalsFromTrades(recentTrades, firstBuyRows, notices);
     if (!signals.length) return;
+    // Users who skip pre-planned trades get signals rebuilt without 10b5-1 rows,
+    // so a cluster or exit warning only fires on discretionary activity.
+    const unplannedSignals = buildSignalsFromTrades(recentTrades.filter(t => !t.plan_10b5_1), firstBuyRows.filter(f => !f.plan_10b5_1), notices.filter(n => !n.plan_adopted));
 
     for (const user of users) {
       const userTickers = user.tickers ? user.tickers.split(',').map(t => t.trim()).filter(Boolean) : [];
       const userTypes   = user.types.split(',').map(t => t.trim().toLowerCase());
       const userSectors = user.sectors ? user.sectors.split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
       const toSend = [];
-      for (const sig of signals) {
+      for (const sig of (user.exclude_planned ? unplannedSignals : signals)) {
         if (sig.score < user.min_score) continue;
         if (sig.value < user.min_value) continue;
         if (userTickers.length && !userTickers.includes(sig.ticker)) continue;
@@ -1976,7 +2875,7 @@ app.get('/api/alerts/prefs', async (req, res) => {
   if (!req.isPremium) return res.status(403).json({ error: 'Premium required' });
   try {
     let prefs = await queryOne('SELECT * FROM alert_prefs WHERE user_id = ?', [req.session.user_id]);
-    if (!prefs) prefs = { enabled: 0, min_score: 70, min_value: 0, types: 'conviction,cluster,first_buy,exit_warning', tickers: '', sectors: '', roles: '', frequency: 'immediate' };
+    if (!prefs) prefs = { enabled: 0, min_score: 70, min_value: 0, types: 'conviction,cluster,first_buy,exit_warning', tickers: '', sectors: '', roles: '', frequency: 'immediate', exclude_planned: 0 };
     res.json(prefs);
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
@@ -1984,19 +2883,20 @@ app.get('/api/alerts/prefs', async (req, res) => {
 app.post('/api/alerts/prefs', express.json(), async (req, res) => {
   if (!req.session) return res.status(401).json({ error: 'Not authenticated' });
   if (!req.isPremium) return res.status(403).json({ error: 'Premium required' });
-  const { enabled, min_score, min_value, types, tickers, sectors, roles, frequency } = req.body;
+  const { enabled, min_score, min_value, types, tickers, sectors, roles, frequency, exclude_planned } = req.body;
   try {
     await run(`
-      INSERT INTO alert_prefs (user_id, enabled, min_score, min_value, types, tickers, sectors, roles, frequency, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+      INSERT INTO alert_prefs (user_id, enabled, min_score, min_value, types, tickers, sectors, roles, frequency, exclude_planned, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
       ON CONFLICT(user_id) DO UPDATE SET enabled=excluded.enabled, min_score=excluded.min_score,
         min_value=excluded.min_value, types=excluded.types, tickers=excluded.tickers,
-        sectors=excluded.sectors, roles=excluded.roles, frequency=excluded.frequency, updated_at=excluded.updated_at
+        sectors=excluded.sectors, roles=excluded.roles, frequency=excluded.frequency,
+        exclude_planned=excluded.exclude_planned, updated_at=excluded.updated_at
     `, [req.session.user_id, enabled ? 1 : 0, Math.min(Math.max(parseInt(min_score) || 70, 0), 100),
         Math.max(parseInt(min_value) || 0, 0), (types || 'conviction,cluster,first_buy,exit_warning').slice(0, 200),
         (tickers || '').toUpperCase().replace(/[^A-Z,\s]/g, '').slice(0, 500),
         (sectors || '').slice(0, 500), (roles || '').slice(0, 200),
-        ['immediate', 'daily'].includes(frequency) ? frequency : 'immediate']);
+        ['immediate', 'daily'].includes(frequency) ? frequency : 'immediate', exclude_planned ? 1 : 0]);
     res.json({ ok: true });
   } catch(e) { res.status(500).json({ error: e.message }); }
 });
@@ -2216,6 +3116,210 @@ app.get('/api/admin/unban', (req, res) => {
   res.json({ ok: true, unbanned: ip });
 });
 
+// Insider entity review and correction. ?id= shows one entity with its aliases;
+// ?q= searches aliases by normalized name. merge folds `from` entities into
+// `into`; split moves the listed aliases (and their trades) to a new entity.
+// Aliases moved here are marked pinned / source 'admin' as a record; precompute
+// only resolves new aliases, so the correction sticks.
+function _clearInsiderCaches() {
+  _insiderEntityCache.clear(); _insiderPageCache.clear(); _insiderScoreCache.clear();
+  _sbCandidatesCache.data = null; _biggestBuyersCache = null;
+}
+
+app.get('/api/admin/insiders', async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const id = parseInt(req.query.id, 10) || null;
+  const q = normalizeInsiderName(req.query.q);
+  if (!id && q.length < 2) return res.status(400).json({ error: 'id or q required' });
+  try {
+    if (id) {
+      const e = await queryOne('SELECT * FROM insider_entities WHERE id = ?', [id]);
+      if (!e) return res.status(404).json({ error: 'insider not found' });
+      const aliases = await query(`SELECT a.alias, a.owner_cik, a.source, a.pinned,
+          (SELECT COUNT(*) FROM trades t WHERE t.insider_id = a.entity_id AND t.insider = a.alias AND COALESCE(t.owner_cik,'') = a.owner_cik) AS trades
+        FROM insider_aliases a WHERE a.entity_id = ? ORDER BY trades DESC`, [id]);
+      const merged = await query('SELECT id, name FROM insider_entities WHERE merged_into = ?', [id]);
+      return res.json({ entity: e, aliases, merged });
+    }
+    const entities = await query(`SELECT e.id, e.name, e.slug, e.owner_cik, e.kind, COUNT(a.alias) AS aliases
+      FROM insider_entities e JOIN insider_aliases a ON a.entity_id = e.id
+      WHERE e.merged_into IS NULL AND e.id IN (SELECT entity_id FROM insider_aliases WHERE norm LIKE ?)
+      GROUP BY e.id ORDER BY e.name LIMIT 50`, [`%${q}%`]);
+    res.json({ q, entities });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/insiders/merge', express.json(), async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const into = parseInt(req.body?.into, 10) || null;
+  const from = [...new Set((Array.isArray(req.body?.from) ? req.body.from : [req.body?.from]).map(x => parseInt(x, 10)).filter(x => x > 0 && x !== into))];
+  const name = String(req.body?.name || '').trim().slice(0, 200);
+  if (!into || !from.length) return res.status(400).json({ error: 'into and from required' });
+  try {
+    const target = await queryOne('SELECT id, name, owner_cik, merged_into FROM insider_entities WHERE id = ?', [into]);
+    if (!target || target.merged_into) return res.status(404).json({ error: 'into: insider not found or already merged' });
+    const found = await query(`SELECT id FROM insider_entities WHERE id IN (${from.map(() => '?').join(',')}) AND merged_into IS NULL`, from);
+    if (found.length !== from.length) return res.status(404).json({ error: 'from: insider not found or already merged' });
+    const ph = from.map(() => '?').join(','), now = Date.now();
+    const stmts = [
+      { sql: `UPDATE insider_aliases SET entity_id = ?, source = 'admin', pinned = 1, updated_at = ? WHERE entity_id IN (${ph})`, args: [into, now, ...from] },
+      // Earlier merges into a `from` entity now forward straight to `into`.
+      { sql: `UPDATE insider_entities SET merged_into = ?, updated_at = ? WHERE id IN (${ph}) OR merged_into IN (${ph})`, args: [into, now, ...from, ...from] },
+      { sql: `UPDATE trades SET insider_id = ? WHERE insider_id IN (${ph})`, args: [into, ...from] },
+    ];
+    if (!target.owner_cik) {
+      stmts.push({ sql: `UPDATE insider_entities SET owner_cik = (SELECT owner_cik FROM insider_entities WHERE id IN (${ph}) AND owner_cik IS NOT NULL LIMIT 1) WHERE id = ?`, args: [...from, into] });
+    }
+    if (name) stmts.push({ sql: 'UPDATE insider_entities SET name = ?, slug = ?, kind = ?, updated_at = ? WHERE id = ?', args: [name, insiderSlug(name), insiderKind(name), now, into] });
+    const r = await batch(stmts);
+    _clearInsiderCaches();
+    res.json({ ok: true, into, merged: from, aliases_moved: r[0].rowsAffected, trades_moved: r[2].rowsAffected });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/insiders/split', express.json(), async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const id = parseInt(req.body?.id, 10) || null;
+  // Aliases as "NAME" (every CIK it was filed under) or { alias, owner_cik }.
+  const want = (Array.isArray(req.body?.aliases) ? req.body.aliases : [])
+    .map(a => typeof a === 'string' ? { alias: a } : { alias: a?.alias, owner_cik: a?.owner_cik == null ? undefined : (normCik(a.owner_cik) || '') })
+    .filter(a => a.alias);
+  if (!id || !want.length) return res.status(400).json({ error: 'id and aliases required' });
+  try {
+    const e = await queryOne('SELECT id, name, merged_into FROM insider_entities WHERE id = ?', [id]);
+    if (!e || e.merged_into) return res.status(404).json({ error: 'insider not found or merged' });
+    const all = await query('SELECT alias, owner_cik FROM insider_aliases WHERE entity_id = ?', [id]);
+    const moving = all.filter(a => want.some(w => w.alias === a.alias && (w.owner_cik === undefined || w.owner_cik === a.owner_cik)));
+    if (!moving.length) return res.status(400).json({ error: 'none of those aliases belong to this insider' });
+    if (moving.length === all.length) return res.status(400).json({ error: 'cannot move every alias; merge instead' });
+    const name = String(req.body?.name || '').trim().slice(0, 200) || moving[0].alias;
+    const cik = moving.find(a => a.owner_cik)?.owner_cik || null;
+    const now = Date.now();
+    // INTEGER PRIMARY KEY hands out the next id.
+    const { lastInsertRowid } = await run('INSERT INTO insider_entities (name, slug, owner_cik, kind, created_at, updated_at) VALUES (?,?,?,?,?,?)',
+      [name, insiderSlug(name), cik, insiderKind(name), now, now]);
+    const newId = Number(lastInsertRowid);
+    const stmts = [];
+    for (const a of moving) {
+      stmts.push({ sql: `UPDATE insider_aliases SET entity_id = ?, source = 'admin', pinned = 1, updated_at = ? WHERE alias = ? AND owner_cik = ?`, args: [newId, now, a.alias, a.owner_cik] });
+      stmts.push({ sql: `UPDATE trades SET insider_id = ? WHERE insider_id = ? AND insider = ? AND COALESCE(owner_cik,'') = ?`, args: [newId, id, a.alias, a.owner_cik] });
+    }
+    // An entity that just gave away the spelling it was named after takes a remaining one.
+    if (moving.some(a => a.alias === e.name)) {
+      const keep = all.find(a => !moving.includes(a)).alias;
+      stmts.push({ sql: 'UPDATE insider_entities SET name = ?, slug = ?, updated_at = ? WHERE id = ?', args: [keep, insiderSlug(keep), now, id] });
+    }
+    const r = await batch(stmts);
+    _clearInsiderCaches();
+    const trades = r.filter((_, i) => i < moving.length * 2 && i % 2 === 1).reduce((s, x) => s + (x.rowsAffected || 0), 0);
+    res.json({ ok: true, id, new_id: newId, aliases_moved: moving.length, trades_moved: trades });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Rows the Form 4 parser rejected (lib/form4.js rejectReason). GET lists them
+// (?status=pending|released|dismissed, ?reason=, ?ticker=, ?accession=) with
+// counts per reason; release copies rows into trades / form5_trades untouched,
+// dismiss marks them reviewed. Rows from a filing a 4/A has since replaced
+// are not released - the amendment's own rows stand.
+app.get('/api/admin/quarantine', async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const status = ['pending', 'released', 'dismissed'].includes(req.query.status) ? req.query.status : 'pending';
+  const where = ['status = ?'], args = [status];
+  if (req.query.reason)    { where.push('reason = ?');    args.push(String(req.query.reason)); }
+  if (req.query.ticker)    { where.push('ticker = ?');    args.push(String(req.query.ticker).toUpperCase()); }
+  if (req.query.accession) { where.push('accession = ?'); args.push(String(req.query.accession)); }
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+  try {
+    const counts = await query('SELECT reason, status, COUNT(*) AS n FROM quarantined_trades GROUP BY reason, status');
+    const rows = await query(`
+      SELECT id, accession, form, reason, ticker, insider, trade_date, filing_date, TRIM(type) AS type,
+             qty, price, value, row_json, status, reviewed_at, note, quarantined_at
+      FROM quarantined_trades WHERE ${where.join(' AND ')}
+      ORDER BY value DESC, filing_date DESC LIMIT ?`, [...args, limit]);
+    for (const r of rows) {
+      let row = [];
+      try { row = JSON.parse(r.row_json); } catch (_) {}
+      delete r.row_json;
+      r.reason_text = QUARANTINE_REASONS[r.reason] || null;
+      r.footnote = row[12] || null;
+      r.filing_url = `https://www.sec.gov/Archives/edgar/data/${parseInt(String(r.accession).slice(0, 10), 10)}/${String(r.accession).replace(/-/g, '')}/`;
+    }
+    res.json({ status, reasons: QUARANTINE_REASONS, counts, rows });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+function _quarantineIds(body) {
+  return [...new Set((Array.isArray(body?.ids) ? body.ids : [body?.id]).map(x => parseInt(x, 10)).filter(x => x > 0))].slice(0, 500);
+}
+
+app.post('/api/admin/quarantine/release', express.json(), async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const ids = _quarantineIds(req.body);
+  if (!ids.length) return res.status(400).json({ error: 'ids required' });
+  const note = String(req.body?.note || '').slice(0, 500) || null;
+  try {
+    // A line a later amendment restates stays out: the amendment's row stands.
+    const rows = await query(`
+      SELECT q.id, q.form, q.row_json, o.accession IS NOT NULL AS is_amend, o.original_date, (
+        SELECT a.accession FROM filing_amendments a
+        WHERE a.amends = q.accession AND (
+          EXISTS (SELECT 1 FROM trades t WHERE t.accession = a.accession AND t.trade_date = q.trade_date AND TRIM(t.type) = TRIM(q.type))
+          OR EXISTS (SELECT 1 FROM form5_trades t WHERE t.accession = a.accession AND t.trade_date = q.trade_date AND TRIM(t.type) = TRIM(q.type)))
+        LIMIT 1) AS amended_by
+      FROM quarantined_trades q LEFT JOIN filing_amendments o ON o.accession = q.accession
+      WHERE q.id IN (${ids.map(() => '?').join(',')}) AND q.status = 'pending'`, ids);
+    const stmts = [], released = [], superseded = [];
+    for (const r of rows) {
+      if (r.amended_by) { superseded.push({ id: r.id, amended_by: r.amended_by }); continue; }
+      const row = JSON.parse(r.row_json);
+      // Rows quarantined before filing latency was tracked lack its two columns,
+      // and before parser versions were stamped, the version. An amendment's
+      // latency runs to the original submission (NULL without one), as in lib/form4.
+      if (row.length === 21) row.push(...latencyCols(row[4], r.is_amend ? r.original_date : row[5], row[6], r.form));
+      if (row.length === 23) row.push(null);
+      stmts.push({ sql: r.form === '5' ? INSERT_FORM5_SQL : INSERT_SQL, args: row });
+      stmts.push({ sql: `UPDATE quarantined_trades SET status = 'released', reviewed_at = datetime('now'), note = ? WHERE id = ?`, args: [note, r.id] });
+      released.push(r.id);
+    }
+    const out = stmts.length ? await batch(stmts) : [];
+    // INSERT OR IGNORE: 0 rows means the trade was already there (e.g. a re-filed copy).
+    const inserted = out.filter((_, i) => i % 2 === 0).reduce((n, x) => n + (x.rowsAffected || 0), 0);
+    res.json({ ok: true, released, inserted, superseded, skipped: ids.length - rows.length });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/admin/quarantine/dismiss', express.json(), async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const ids = _quarantineIds(req.body);
+  if (!ids.length) return res.status(400).json({ error: 'ids required' });
+  try {
+    const r = await run(`UPDATE quarantined_trades SET status = 'dismissed', reviewed_at = datetime('now'), note = ?
+      WHERE id IN (${ids.map(() => '?').join(',')}) AND status = 'pending'`, [String(req.body?.note || '').slice(0, 500) || null, ...ids]);
+    res.json({ ok: true, dismissed: r.changes });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Ingestion coverage per filing day (daily-worker reconcile mode): how many of
+// the day's indexed Form 3/4/5, 144 and 13D/G filings were already ingested,
+// how many were missed and re-queued, and the trades that recovered.
+app.get('/api/admin/coverage', async (req, res) => {
+  if (requireAdminSecret(req, res)) return;
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days, 10) || 30));
+  try {
+    const rows = await query(`
+      SELECT date, indexed, seen, missing, missing_by_form, recovered_trades, logged_filings, completeness, checked_at
+      FROM coverage_report WHERE date >= date('now', ?) ORDER BY date DESC`, [`-${days} days`]);
+    for (const r of rows) { try { r.missing_by_form = JSON.parse(r.missing_by_form || '{}'); } catch (_) { r.missing_by_form = {}; } }
+    const indexed = rows.reduce((a, r) => a + (r.indexed || 0), 0);
+    const seen    = rows.reduce((a, r) => a + (r.seen || 0), 0);
+    res.json({
+      days, checked_days: rows.length, indexed, missing: indexed - seen,
+      completeness: indexed ? Math.round(seen / indexed * 1000) / 10 : null,
+      rows,
+    });
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
 app.get('/api/debug', async (req, res) => {
   try {
     const total   = await queryOne('SELECT COUNT(*) AS n FROM trades');
@@ -2273,11 +3377,12 @@ app.get('/sitemap.xml', async (req, res) => {
     { url: '/privacy', priority: '0.3', freq: 'yearly' },
   ];
   const articleSlugs = ['what-is-sec-form-4','sec-form-4-transaction-codes','is-insider-buying-bullish','what-it-means-when-a-ceo-buys-stock','insider-buying-near-52-week-lows','what-is-a-10b5-1-plan','first-insider-buy-in-years','real-insider-buys-vs-option-exercises','cluster-buying-example','how-to-find-stocks-with-insider-buying','how-to-read-sec-form-4','how-to-use-insider-data','insider-buying-vs-analyst-upgrades','legal-vs-illegal-insider-trading','what-is-cluster-buying'];
+  if (CONGRESS_ENABLED) articleSlugs.push(...CONGRESS_ARTICLES);
   const articlePages = articleSlugs.map(s => ({ url: `/articles/${s}.html`, priority: '0.6', freq: 'monthly' }));
   // Ticker + insider lists are precomputed by scripts/precompute.js
   // (computeSitemapLists) and read from a single cached row here - running the
   // 5-year GROUP BY scans live cost ~1M rows read each and blew the timeout.
-  let tickerPages = [], insiderPages = [];
+  let tickerPages = [], insiderPages = [], congressPages = [];
   try {
     const row = await queryOne("SELECT value_json FROM computed_cache WHERE key = 'sitemap-lists'");
     if (row) {
@@ -2288,6 +3393,7 @@ app.get('/sitemap.xml', async (req, res) => {
         const slug = _insiderSlug(name);
         if (slug && slug.length >= 2 && !seen.has(slug)) { seen.add(slug); insiderPages.push({ url: `/insider-profile/${slug}`, priority: '0.4', freq: 'weekly' }); }
       }
+      if (CONGRESS_ENABLED) congressPages = [{ url: '/congress-trading', priority: '0.7', freq: 'daily' }, ...(lists.congress || []).map(s => ({ url: `/congress-trading/${s}`, priority: '0.5', freq: 'weekly' }))];
     }
   } catch(_) {}
   const sectorPages = Object.keys(SECTOR_SLUGS).map(s => ({ url: `/insider-trading/sector/${s}`, priority: '0.5', freq: 'weekly' }));
@@ -2295,7 +3401,7 @@ app.get('/sitemap.xml', async (req, res) => {
   const reportPages = []; let _rw = _reportLatest();
   for (let i = 0; i < 12; i++) { reportPages.push({ url: `/insider-buying-report/${_ymd(_rw)}`, priority: i === 0 ? '0.7' : '0.5', freq: i === 0 ? 'daily' : 'monthly' }); _rw = new Date(_rw); _rw.setUTCDate(_rw.getUTCDate() - 7); }
   const investorPages = [{ url: '/investors', priority: '0.7', freq: 'weekly' }, ...Object.keys(FAMOUS_INVESTORS).map(s => ({ url: `/investors/${s}`, priority: '0.6', freq: 'weekly' }))];
-  const allPages = [...staticPages, ...articlePages, ...tickerPages, ...insiderPages, ...sectorPages, ...rolePages, ...reportPages, ...investorPages];
+  const allPages = [...staticPages, ...articlePages, ...tickerPages, ...insiderPages, ...sectorPages, ...rolePages, ...reportPages, ...investorPages, ...congressPages];
   const urls = allPages.map(p => `\n  <url><loc>${base}${p.url}</loc><lastmod>${now}</lastmod><changefreq>${p.freq}</changefreq><priority>${p.priority}</priority></url>`).join('');
   _sitemapCache = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}\n</urlset>`;
   _sitemapCacheTime = Date.now();
@@ -2364,8 +3470,37 @@ function _chartTeaser(ticker) {
     </div>
   </div>`;
 }
-function renderTickerPage(ticker, rows, stats) {
+// Schedule 13D/G table for the ticker and investor pages. `by` is the column
+// that varies: 'holder' on a ticker page, 'company' on an investor's.
+function _stakesTable(stakes, by) {
+  const CHG = { new: 'New stake', exited: 'Below 5%', amended: 'Amended', unchanged: 'No change' };
+  const body = stakes.map(s => {
+    const pct = s.pct_of_class != null ? (+s.pct_of_class).toFixed(1) + '%' : '-';
+    const d = s.pct_of_class != null && s.prev_pct != null ? +s.pct_of_class - +s.prev_pct : 0;
+    const chg = CHG[s.change] || (d > 0 ? '+' : '') + d.toFixed(1) + ' pts';
+    const cls = s.change === 'new' || s.change === 'increased' ? 'g' : s.change === 'exited' || s.change === 'decreased' ? 'r' : '';
+    const who = by === 'holder'
+      ? `<td class="ins"><strong>${_esc(_displayName(s.filer))}</strong></td>`
+      : `<td class="tk">${s.ticker ? `<a href="/insider-trading/${_esc(s.ticker)}"><strong>${_esc(s.ticker)}</strong><span class="co">${_esc(s.company || s.ticker)}</span></a>` : `<strong>${_esc(s.company || '')}</strong>`}</td>`;
+    const form = s.is_activist ? '<span class="b" style="background:rgba(10,111,136,.1);color:var(--accent)" title="Schedule 13D: the holder may seek to influence control">13D</span>' : '<span class="b" title="Schedule 13G: passive holder">13G</span>';
+    return `<tr>
+      <td class="dt">${_fmtDate(s.filing)}</td>
+      ${who}
+      <td>${form}</td>
+      <td class="num">${pct}</td>
+      <td class="num val ${cls}">${chg}</td>
+      <td class="num">${s.shares ? _fmtQty(s.shares) : '-'}</td>
+    </tr>`;
+  }).join('');
+  return `<table><thead><tr><th>Filed</th><th>${by === 'holder' ? 'Holder' : 'Company'}</th><th>Form</th><th class="num">% of Class</th><th class="num">Change</th><th class="num">Shares</th></tr></thead><tbody>${body}</tbody></table>`;
+}
+
+function renderTickerPage(ticker, rows, stats, stakes = [], listing = null) {
   const company = (rows.find(r => r.company && r.company.trim()) || {}).company || ticker;
+  const formerSymbols = (listing?.symbols || []).filter(t => t !== ticker);
+  const _listingNote = listing?.status === 'delisted'
+    ? `<div class="sub" style="color:var(--sell)">${ticker} is no longer listed${listing.delisted_at ? ` (flagged ${_fmtDate(listing.delisted_at)})` : ''}. Its insider history is kept for the record.</div>`
+    : formerSymbols.length ? `<div class="sub">Includes filings under former symbol${formerSymbols.length === 1 ? '' : 's'} ${formerSymbols.map(_esc).join(', ')}.</div>` : '';
   const co = _esc(company);
   const url = `https://www.insidertape.com/insider-trading/${ticker}`;
   const _ogimg = ogImg('ticker', ticker);
@@ -2450,6 +3585,7 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
   <div class="crumb"><a href="/">Home</a> &nbsp;/&nbsp; Insider Trading &nbsp;/&nbsp; ${ticker}</div>
   <h1>${co} (${ticker}) Insider Trading Activity</h1>
   <div class="sub">SEC Form 4 open-market purchases and sales by corporate insiders &nbsp;·&nbsp; Sourced from SEC EDGAR</div>
+  ${_listingNote}
   <p class="intro">${_esc(intro)}</p>
   <div class="stats">
     <div class="stat"><div class="k">Buys (1Y)</div><div class="v g">${buys}</div></div>
@@ -2461,6 +3597,9 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
   <a class="prem-show" href="/stock/${ticker}" style="display:none;background:var(--bg2);border:1px solid var(--buy);border-radius:12px;padding:15px 20px;margin:0 0 32px;text-decoration:none"><span style="font-size:14px;font-weight:700;color:var(--buy)">&#10003; You're a member.</span> <span style="font-size:14px;color:var(--text)">Open the full interactive ${ticker} chart, with every insider buy and sell plotted on the price &rarr;</span></a>
   <h2>Recent ${ticker} insider trades</h2>
   <table><thead><tr><th>Date</th><th>Insider</th><th>Type</th><th class="num">Shares</th><th class="num">Price</th><th class="num">Value</th></tr></thead><tbody>${tableRows}</tbody></table>
+  ${stakes.length ? `<h2 style="margin-top:36px">5%+ holders of ${ticker}: new and changed stakes</h2>
+  <div class="sub">Schedule 13D (activist) and 13G (passive) filings by holders of more than 5% of ${co}</div>
+  ${_stakesTable(stakes, 'holder')}` : ''}
   <section class="faq">
     <h2>${ticker} insider trading FAQ</h2>
     ${faqHtml}
@@ -2490,19 +3629,50 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
 </body></html>`;
 }
 
-const _tickerPageCache = new Map(); // ticker -> { html, t }
+// A ticker as the security master sees it: every symbol its issuer has filed
+// under (so a renamed company keeps its history), the listing status, and
+// `moved` when the symbol was retired for a new one. A symbol nobody trades
+// under today but a later issuer reused stays with the reuser. Null when the
+// master has no row for it (legacy trades without an issuer CIK).
+async function _resolveListing(ticker) {
+  const rows = await query(`
+    SELECT h.issuer_cik, h.current, s.ticker AS cur, s.status, s.delisted_at
+    FROM symbol_history h JOIN securities s ON s.issuer_cik = h.issuer_cik
+    WHERE h.ticker = ? ORDER BY h.current DESC, h.last_seen DESC`, [ticker]).catch(() => []);
+  if (!rows.length) return null;
+  const r = rows[0];
+  const symbols = (await query('SELECT ticker FROM symbol_history WHERE issuer_cik = ? ORDER BY last_seen DESC', [r.issuer_cik]).catch(() => []))
+    .map(x => x.ticker);
+  return {
+    issuer_cik: r.issuer_cik, status: r.status, delisted_at: r.delisted_at,
+    moved: !r.current && r.cur && r.cur !== ticker ? r.cur : null,
+    symbols: symbols.includes(ticker) ? symbols : [ticker, ...symbols],
+  };
+}
+
+const _tickerPageCache = new Map(); // ticker -> { html, t } or { moved, t }
 app.get('/insider-trading/:ticker', async (req, res) => {
   const ticker = (req.params.ticker || '').toUpperCase().replace(/[^A-Z0-9.\-]/g, '').slice(0, 10);
   if (!ticker || !/^[A-Z]/.test(ticker)) return res.redirect(302, '/');
   const hit = _tickerPageCache.get(ticker);
-  if (hit && Date.now() - hit.t < 12 * 3600000) { res.type('html'); return res.send(hit.html); }
+  if (hit && Date.now() - hit.t < 12 * 3600000) {
+    if (hit.moved) return res.redirect(301, `/insider-trading/${hit.moved}`);
+    res.type('html'); return res.send(hit.html);
+  }
   try {
+    const listing = await _resolveListing(ticker);
+    if (listing?.moved) {
+      _tickerPageCache.set(ticker, { moved: listing.moved, t: Date.now() });
+      return res.redirect(301, `/insider-trading/${listing.moved}`);
+    }
+    const symbols = listing?.symbols || [ticker];
+    const ph = symbols.map(() => '?').join(',');
     const rows = await query(`
       SELECT company, insider, title, trade_date AS trade, filing_date AS filing,
              TRIM(type) AS type, MAX(qty) AS qty, MAX(price) AS price, MAX(value) AS value
-      FROM trades WHERE ticker = ? AND TRIM(type) IN ('P','S','S-')
+      FROM trades WHERE ticker IN (${ph}) AND TRIM(type) IN ('P','S','S-')
       GROUP BY insider, trade_date, TRIM(type)
-      ORDER BY trade_date DESC, filing_date DESC LIMIT 50`, [ticker]);
+      ORDER BY trade_date DESC, filing_date DESC LIMIT 50`, symbols);
     if (!rows.length) {
       res.status(404).type('html');
       return res.send(`<!DOCTYPE html><html><head><meta name="robots" content="noindex"><title>${ticker} | InsiderTape</title><meta http-equiv="refresh" content="0;url=/"></head><body>No insider trading data for ${ticker}. <a href="/">InsiderTape</a></body></html>`);
@@ -2513,8 +3683,12 @@ app.get('/insider-trading/:ticker', async (req, res) => {
              SUM(CASE WHEN TRIM(type)='P' THEN COALESCE(value,0) ELSE 0 END) AS buyval,
              SUM(CASE WHEN TRIM(type) IN ('S','S-') THEN COALESCE(value,0) ELSE 0 END) AS sellval,
              COUNT(DISTINCT insider) AS insiders, MAX(trade_date) AS latest
-      FROM trades WHERE ticker = ? AND trade_date >= date('now','-365 days') AND TRIM(type) IN ('P','S','S-')`, [ticker]);
-    const html = renderTickerPage(ticker, rows, st || {});
+      FROM trades WHERE ticker IN (${ph}) AND trade_date >= date('now','-365 days') AND TRIM(type) IN ('P','S','S-')`, symbols);
+    const stakes = await query(`
+      SELECT ${STAKE_COLS} FROM schedule13_filings s WHERE s.ticker = ? AND ${STAKE_CHANGED}
+      ORDER BY s.filing_date DESC LIMIT 15`, [ticker]).catch(() => []);
+    await loadSectorIndex();
+    const html = renderTickerPage(ticker, rows, st || {}, stakes, listing);
     _tickerPageCache.set(ticker, { html, t: Date.now() });
     res.type('html').send(html);
   } catch(e) { res.status(500).type('html').send('<!DOCTYPE html><html><body>Temporarily unavailable. <a href="/">InsiderTape</a></body></html>'); }
@@ -2564,7 +3738,7 @@ function _displayName(raw) {
   return _titleCaseName(s);
 }
 
-function renderInsiderPage(name, rows, stats) {
+function renderInsiderPage(name, rows, stats, baseline = []) {
   const displayName = _displayName(name);
   const dn = _esc(displayName);
   const url = `https://www.insidertape.com/insider-profile/${_insiderSlug(name)}`;
@@ -2591,6 +3765,14 @@ function renderInsiderPage(name, rows, stats) {
   const _ownedDate = _fmtDate(_latest.trade || _latest.filing);
   const _hasHoldings = _ownedShares > 0 && _ownedPrice > 0 && _ownedTicker;
   const _holdingsBox = _hasHoldings ? `<div style="background:var(--bg2);border:1px solid var(--border);border-left:3px solid var(--accent);border-radius:9px;padding:16px 20px;margin:0 0 28px;font-size:14px;color:#3a4555;line-height:1.75"><div style="font-size:11px;letter-spacing:1px;text-transform:uppercase;color:var(--muted);font-weight:700;margin-bottom:6px">How much stock does ${dn} own?</div><strong style="color:var(--text)">Disclosed holdings:</strong> as of ${dn}'s most recent SEC Form 4 (${_ownedDate}) for ${_esc(_ownedCo)} (${_esc(_ownedTicker)}), they reported owning <strong style="color:var(--text)">${_fmtQty(_ownedShares)} shares</strong>, worth about <strong style="color:var(--text)">${_fmtV(_ownedVal)}</strong> at that price. This is ${dn}'s reported insider stake in ${_esc(_ownedTicker)} from SEC filings, <strong style="color:var(--text)">not their total net worth</strong>.</div>` : '';
+  // Form 3 baselines: when they became an insider at each issuer and what they
+  // started with, so later buys and sales read against a known starting point.
+  const _baselineBox = baseline.length ? `<div style="background:var(--bg2);border:1px solid var(--border);border-radius:9px;padding:16px 20px;margin:0 0 28px;font-size:14px;color:#3a4555;line-height:1.75"><div style="font-size:11px;letter-spacing:1px;text-transform:uppercase;color:var(--muted);font-weight:700;margin-bottom:6px">When ${dn} became an insider</div>${baseline.slice(0, 8).map(b => `<div><a href="/insider-trading/${_esc(b.ticker)}" style="color:var(--accent);text-decoration:none;font-weight:700">${_esc(b.ticker)}</a> ${b.company ? _esc(b.company) + ' ' : ''}since <strong style="color:var(--text)">${_fmtDate(b.became_insider)}</strong>, starting with ${+b.initial_shares > 0 ? `<strong style="color:var(--text)">${_fmtQty(b.initial_shares)} shares</strong>` : 'no common shares'}${+b.initial_derivatives > 0 ? ` and derivatives on ${_fmtQty(b.initial_derivatives)} more` : ''} (SEC Form 3).</div>`).join('')}</div>` : '';
+  // Filing timeliness: Form 4s due within two business days, filed later.
+  const _tl = stats.timeliness || {};
+  const _tlLate = +_tl.late || 0, _tlAll = +_tl.filings || 0;
+  const _habitual = _habitualLate(_tlLate, _tlAll);
+  const _lateBox = _tlAll >= 3 ? `<div style="background:var(--bg2);border:1px solid var(--border);${_habitual ? 'border-left:3px solid var(--sell);' : ''}border-radius:9px;padding:16px 20px;margin:0 0 28px;font-size:14px;color:#3a4555;line-height:1.75"><div style="font-size:11px;letter-spacing:1px;text-transform:uppercase;color:${_habitual ? 'var(--sell)' : 'var(--muted)'};font-weight:700;margin-bottom:6px">${_habitual ? 'Habitual late filer' : 'Filing timeliness'}</div>${_tlLate ? `<strong style="color:var(--text)">${_tlLate} of ${_tlAll}</strong> of ${dn}'s Form 4 filings (${Math.round(_tlLate / _tlAll * 100)}%) reached the SEC after the two-business-day deadline, the latest on ${_fmtDate(_tl.latest_late)}; the slowest took ${_tl.max_latency} business days.` : `All <strong style="color:var(--text)">${_tlAll}</strong> of ${dn}'s Form 4 filings on record reached the SEC within the two-business-day deadline.`}</div>` : '';
   // Lead the meta description with the disclosed-holdings figure when we have it:
   // a large share of searches for these names are "<name> net worth", and a real
   // holdings number in the SERP snippet answers that intent honestly (never a
@@ -2601,6 +3783,7 @@ function renderInsiderPage(name, rows, stats) {
     faq.push({ q: `How much is ${displayName} worth?`, a: `We can't state ${displayName}'s total net worth. What public SEC filings show is that, as of their most recent Form 4 (${_ownedDate}), ${displayName} reported owning ${_fmtQty(_ownedShares)} shares of ${_ownedCo} (${_ownedTicker}), worth about ${_fmtV(_ownedVal)} at that price. That is their disclosed insider stake in this one company, not their overall wealth.` });
     faq.push({ q: `How many shares of ${_ownedCo} does ${displayName} own?`, a: `As of their most recent SEC Form 4 (${_ownedDate}), ${displayName} reported owning ${_fmtQty(_ownedShares)} shares of ${_ownedTicker}. Insider ownership changes with each new filing, so check the latest Form 4 for the current figure.` });
   }
+  if (_tlAll >= 3) faq.push({ q: `Does ${displayName} file Form 4s on time?`, a: _tlLate ? `Not always. ${_tlLate} of ${displayName}'s ${_tlAll} Form 4 filings (${Math.round(_tlLate / _tlAll * 100)}%) were filed after the deadline of two business days from the trade${_habitual ? ', often enough to mark them as a habitual late filer' : ''}. The slowest took ${_tl.max_latency} business days.` : `Yes. All ${_tlAll} of ${displayName}'s Form 4 filings on record were filed within two business days of the trade, as the SEC requires.` });
   faq.push({ q: `Is ${displayName} buying or selling?`, a: `In the public SEC Form 4 record, ${displayName} filed ${buys} open-market purchase${buys === 1 ? '' : 's'} worth ${_fmtV(stats.buyval)} and ${sells} sale${sells === 1 ? '' : 's'} worth ${_fmtV(stats.sellval)} across ${companies} ${companies === 1 ? 'company' : 'companies'}, making them ${posture}. Every transaction is listed above with dates and prices.` });
   const faqHtml = faq.map(f => `<div class="qa"><h3>${_esc(f.q)}</h3><p>${_esc(f.a)}</p></div>`).join('');
   const faqSchema = faq.length ? `<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: faq.map(f => ({ '@type': 'Question', name: f.q, acceptedAnswer: { '@type': 'Answer', text: f.a } })) })}</script>` : '';
@@ -2695,6 +3878,8 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
     <div class="stat"><div class="k">Companies</div><div class="v">${companies}</div></div>
   </div>
   ${_holdingsBox}
+  ${_baselineBox}
+  ${_lateBox}
   <h2>${dn}'s recent insider trades</h2>
   <table><thead><tr><th>Date</th><th>Company</th><th>Type</th><th class="num">Shares</th><th class="num">Price</th><th class="num">Value</th></tr></thead><tbody>${tableRows}</tbody></table>
   <section class="faq">
@@ -2738,8 +3923,16 @@ app.get('/insider-profile/:name', async (req, res) => {
     GROUP BY ticker, trade_date, TRIM(type)
     ORDER BY trade_date DESC, filing_date DESC LIMIT 60`;
   try {
+    // A resolved insider lives at its canonical slug; every other spelling's
+    // slug 301s there, so one person is one page.
+    const want = _insiderSlug(spaced);
+    const entity = await _resolveInsider({ slug: want });
+    if (entity && entity.slug && entity.slug !== want) return res.redirect(301, '/insider-profile/' + entity.slug);
+    const m = entity ? _entityMatch(entity) : null;
+    let rows = m ? await query(rowSql(m.trades.clause), m.trades.args) : [];
+    const byEntity = rows.length > 0;
     // Indexed via idx_insider_upper (expression index on UPPER(insider)).
-    let rows = await query(rowSql('UPPER(insider) = UPPER(?)'), [spaced]);
+    if (!rows.length) rows = await query(rowSql('UPPER(insider) = UPPER(?)'), [spaced]);
     // Fall back to the raw slug (with hyphens kept) for genuinely hyphenated surnames.
     if (!rows.length && raw !== spaced) rows = await query(rowSql('UPPER(insider) = UPPER(?)'), [raw]);
     // Slugs strip punctuation ("MERCK & CO., INC." -> merck-co-inc), so the exact
@@ -2748,7 +3941,6 @@ app.get('/insider-profile/:name', async (req, res) => {
     // against candidates found via an indexed first-token prefix (idx_insider_upper
     // supports the GLOB prefix), then re-slugifying each to confirm the exact one.
     if (!rows.length) {
-      const want = _insiderSlug(spaced);
       const tok = want.split('-')[0] || '';
       if (tok.length >= 2) {
         const cands = await query(`SELECT DISTINCT insider FROM trades WHERE UPPER(insider) GLOB ? LIMIT 300`, [tok.toUpperCase() + '*']);
@@ -2760,7 +3952,8 @@ app.get('/insider-profile/:name', async (req, res) => {
       res.status(404).type('html');
       return res.send(`<!DOCTYPE html><html><head><meta name="robots" content="noindex"><title>${_esc(name)} | InsiderTape</title><meta http-equiv="refresh" content="0;url=/"></head><body>No insider trading data for ${_esc(name)}. <a href="/">InsiderTape</a></body></html>`);
     }
-    const canonical = rows[0].insider || name;
+    const canonical = byEntity ? entity.name : (rows[0].insider || name);
+    const who = byEntity ? m.trades : { clause: 'insider = ?', args: [canonical] };
     const st = await queryOne(`
       SELECT SUM(CASE WHEN type='P' THEN 1 ELSE 0 END) AS buys,
              SUM(CASE WHEN type IN ('S','S-') THEN 1 ELSE 0 END) AS sells,
@@ -2769,9 +3962,17 @@ app.get('/insider-profile/:name', async (req, res) => {
              COUNT(DISTINCT ticker) AS companies, MAX(latest) AS latest, MIN(first) AS first
       FROM (SELECT ticker, TRIM(type) AS type, MAX(COALESCE(value,0)) AS val,
                    MAX(trade_date) AS latest, MIN(trade_date) AS first
-            FROM trades WHERE insider = ? AND TRIM(type) IN ('P','S','S-') AND COALESCE(value,0) <= 5000000000
-            GROUP BY ticker, trade_date, TRIM(type))`, [canonical]);
-    const html = renderInsiderPage(canonical, rows, st || {});
+            FROM trades WHERE ${who.clause} AND TRIM(type) IN ('P','S','S-') AND COALESCE(value,0) <= 5000000000
+            GROUP BY ticker, trade_date, TRIM(type))`, who.args);
+    const side = byEntity ? m.byName : who;
+    const baseline = await query(BASELINE_SQL(side.clause), side.args).catch(() => []);
+    // Filing timeliness over every Form 4 on record (late_filing is NULL where no deadline applies).
+    const lat = await queryOne(`
+      SELECT COUNT(DISTINCT accession) AS filings, COUNT(DISTINCT CASE WHEN late_filing = 1 THEN accession END) AS late,
+             MAX(CASE WHEN late_filing = 1 THEN filing_latency END) AS max_latency,
+             MAX(CASE WHEN late_filing = 1 THEN filing_date END) AS latest_late
+      FROM trades WHERE ${who.clause} AND late_filing IS NOT NULL`, who.args).catch(() => null);
+    const html = renderInsiderPage(canonical, rows, { ...(st || {}), timeliness: lat }, baseline);
     _insiderPageCache.set(key, { html, t: Date.now() });
     res.type('html').send(html);
   } catch (e) { res.status(500).type('html').send('<!DOCTYPE html><html><body>Temporarily unavailable. <a href="/">InsiderTape</a></body></html>'); }
@@ -2783,10 +3984,12 @@ app.get('/insider-profile/:name', async (req, res) => {
 // Druckenmiller, etc. never appear in Form 4). Targets the huge evergreen "what
 // stocks is X buying" query. Each page prominently EXPLAINS the person -> filing
 // entity link (e.g. Cascade = Bill Gates) so searchers connect the dots.
+// Their 5%+ stakes come from Schedule 13D/G, matched on any joint filer by
+// filerKey of `patterns`, plus `filers` where the 13D/G spelling differs.
 const FAMOUS_INVESTORS = {
   'greg-abel': { name: 'Greg Abel', entity: 'Berkshire Hathaway', patterns: ['BERKSHIRE HATHAWAY INC', 'BUFFETT WARREN E'],
     blurb: `Greg Abel took over as CEO of Berkshire Hathaway at the end of 2025, following Warren Buffett's retirement from the role (Buffett stays on as chairman). So if you are wondering what Warren Buffett, or Berkshire, is buying now, this is where to look: Berkshire files SEC Form 4s whenever it owns more than 10% of a public company, so its open-market purchases are public, most notably its multi-billion-dollar Occidental Petroleum ($OXY) stake. The filings below are Berkshire's reportable buys.` },
-  'elon-musk': { name: 'Elon Musk', entity: 'Tesla', patterns: ['MUSK ELON'],
+  'elon-musk': { name: 'Elon Musk', entity: 'Tesla', patterns: ['MUSK ELON'], filers: ['Elon R. Musk'],
     blurb: `As Tesla's CEO and its largest individual shareholder, Elon Musk files an SEC Form 4 every time he buys or sells Tesla ($TSLA) stock on the open market. These are his reportable insider transactions.` },
   'ryan-cohen': { name: 'Ryan Cohen', entity: 'RC Ventures / GameStop', patterns: ['COHEN RYAN', 'RC VENTURES LLC'],
     blurb: `Ryan Cohen, the GameStop chairman and founder of Chewy, invests through RC Ventures. As GameStop's chairman and a 10%+ owner, he files SEC Form 4s for his $GME purchases, shown below.` },
@@ -2816,8 +4019,13 @@ function _investorWhere(patterns) {
   const clause = 'UPPER(insider) IN (' + vals.map(() => '?').join(',') + ')';
   return { clause, args: vals };
 }
+// Schedule 13D/G filings where any reporting person is the investor.
+function _investorStakeWhere(inv) {
+  const keys = [...new Set([...inv.patterns, ...(inv.filers || [])].map(filerKey))];
+  return { clause: `s.accession IN (SELECT accession FROM schedule13_owners WHERE name_key IN (${keys.map(() => '?').join(',')}))`, args: keys };
+}
 
-function renderInvestorPage(slug, inv, rows, stats) {
+function renderInvestorPage(slug, inv, rows, stats, stakes = []) {
   const name = inv.name;
   const url = `https://www.insidertape.com/investors/${slug}`;
   const buys = stats.buys || 0, sells = stats.sells || 0;
@@ -2911,6 +4119,9 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
   </div>
   <h2>Every ${name} SEC Form 4 filing</h2>
   <table><thead><tr><th>Date</th><th>Company</th><th>Type</th><th class="num">Shares</th><th class="num">Price</th><th class="num">Value</th></tr></thead><tbody>${tableRows}</tbody></table>
+  ${stakes.length ? `<h2 style="margin-top:36px">${name}'s 5%+ stakes: new and changed</h2>
+  <div class="sub">Schedule 13D (activist) and 13G (passive) filings, which also cover stakes between 5% and 10% that never show up on Form 4</div>
+  ${_stakesTable(stakes, 'company')}` : ''}
   <section class="faq">
     <h2>${name} insider trading FAQ</h2>
     ${faqHtml}
@@ -3018,12 +4229,322 @@ app.get('/investors/:slug', async (req, res) => {
       FROM (SELECT ticker, TRIM(type) AS type, MAX(COALESCE(value,0)) AS val, MAX(trade_date) AS latest
             FROM trades WHERE ${w.clause} AND TRIM(type) IN ('P','S','S-') AND COALESCE(value,0) <= 5000000000
             GROUP BY ticker, trade_date, TRIM(type))`, w.args);
-    const html = renderInvestorPage(slug, inv, rows || [], st || {});
+    const sw = _investorStakeWhere(inv);
+    const stakes = await query(`
+      SELECT ${STAKE_COLS} FROM schedule13_filings s WHERE ${sw.clause} AND ${STAKE_CHANGED}
+      ORDER BY s.filing_date DESC LIMIT 30`, sw.args).catch(() => []);
+    const html = renderInvestorPage(slug, inv, rows || [], st || {}, stakes);
     _investorPageCache.set(slug, { html, t: Date.now() });
     res.type('html').send(html);
   } catch (e) { res.status(500).type('html').send('<!DOCTYPE html><html><body>Temporarily unavailable. <a href="/investors">InsiderTape</a></body></html>'); }
 });
 
+// Schedule 13D/G stakes, newest first. Scope with ?ticker=, ?investor=<slug>
+// (a FAMOUS_INVESTORS page) or ?filer=<name as filed>; ?form=13d|13g,
+// ?days= (default 90) and ?changed=1 to drop refilings that moved nothing.
+app.get('/api/stakes', async (req, res) => {
+  publicApiCache(res, 600);
+  const days  = Math.min(Math.max(parseInt(req.query.days || '90') || 90, 1), 1095);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '200') || 200, 1), 1000);
+  const where = [`s.filing_date >= date('now', '-' || ? || ' days')`], args = [days];
+  const ticker = (req.query.ticker || '').toUpperCase().trim();
+  if (ticker) { where.push('s.ticker = ?'); args.push(ticker); }
+  if (req.query.investor) {
+    const inv = FAMOUS_INVESTORS[String(req.query.investor).toLowerCase()];
+    if (!inv) return res.status(404).json({ error: 'unknown investor' });
+    const sw = _investorStakeWhere(inv);
+    where.push(sw.clause); args.push(...sw.args);
+  }
+  if (req.query.filer) {
+    where.push('s.accession IN (SELECT accession FROM schedule13_owners WHERE name_key = ?)');
+    args.push(filerKey(req.query.filer));
+  }
+  const form = String(req.query.form || '').toLowerCase();
+  if (form === '13d' || form === '13g') where.push(`s.is_activist = ${form === '13d' ? 1 : 0}`);
+  if (req.query.changed === '1') where.push(STAKE_CHANGED);
+  try {
+    res.json(await query(`
+      SELECT ${STAKE_COLS} FROM schedule13_filings s WHERE ${where.join(' AND ')}
+      ORDER BY s.filing_date DESC, s.accession DESC LIMIT ?`, [...args, limit]));
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── CONGRESSIONAL TRADES (STOCK Act) ─────────────────────────────────────────
+// House and Senate periodic transaction reports, loaded by congress-worker.js.
+// Optional: unless CONGRESS_TRADES=on the API answers 404 and the pages,
+// articles and sitemap entries disappear. Sizes are disclosed as ranges, so
+// totals use the range's lower bound (amount_low, see lib/congress.js parseAmountRange).
+const CONGRESS_COLS = `c.chamber, c.member, c.member_slug, c.state, c.district, c.party, c.ticker, c.asset, c.asset_type, c.owner,
+  c.tx_type, c.tx_date, c.disclosure_date, c.amount_range, c.amount_low, c.amount_high, c.ptr_link,
+  CAST(julianday(c.disclosure_date) - julianday(c.tx_date) AS INTEGER) AS days_to_disclose`;
+const CONGRESS_BUY = `c.tx_type = 'purchase'`, CONGRESS_SELL = `c.tx_type IN ('sale','sale_partial')`;
+// STOCK Act deadline: 45 days from the trade (30 from notice, capped at 45).
+const CONGRESS_LATE_DAYS = 45;
+
+// Display form of a disclosed range: the lower bound plus "+" ("$1.0K+").
+function fmtAmountRange(s) {
+  if (!s) return '-';
+  const nums = String(s).replace(/[$,]/g, '').match(/\d+/g);
+  if (!nums || !nums.length) return s;
+  const lo = parseAmountRange(s);
+  return _fmtV(lo) + (nums.length > 1 || /over/i.test(s) ? '+' : '');
+}
+function _congressType(t) {
+  return t === 'purchase' ? '<span class="b buy">BUY</span>'
+    : t === 'sale' ? '<span class="b sell">SELL</span>'
+    : t === 'sale_partial' ? '<span class="b sell">SELL (PART)</span>'
+    : '<span class="b">EXCH</span>';
+}
+function _congressSeat(m) {
+  const ch = m.chamber === 'senate' ? 'Senator' : 'Representative';
+  const where = m.chamber === 'house' && m.district ? m.district : m.state;
+  return [ch, m.party, where].filter(Boolean).join(' · ');
+}
+function _congressDisabled(res, json) {
+  if (json) return res.status(404).json({ error: 'congressional trades are disabled' });
+  res.status(404).type('html').send('<!DOCTYPE html><html><head><meta name="robots" content="noindex"><title>Not found | InsiderTape</title><meta http-equiv="refresh" content="0;url=/"></head><body><a href="/">InsiderTape</a></body></html>');
+}
+
+// Transactions, newest trade first. Scope with ?ticker=, ?member=<slug>,
+// ?chamber=house|senate, ?type=buy|sell, ?min=<dollars> (range lower bound)
+// and ?days= (default 90, by trade date).
+app.get('/api/congress', async (req, res) => {
+  if (!CONGRESS_ENABLED) return _congressDisabled(res, true);
+  publicApiCache(res, 600);
+  const days  = Math.min(Math.max(parseInt(req.query.days || '90') || 90, 1), 3650);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '200') || 200, 1), 1000);
+  const where = [`c.tx_date >= date('now', '-' || ? || ' days')`], args = [days];
+  const ticker = (req.query.ticker || '').toUpperCase().trim();
+  if (ticker) { where.push('c.ticker = ?'); args.push(ticker); }
+  if (req.query.member) { where.push('c.member_slug = ?'); args.push(memberSlug(req.query.member)); }
+  const chamber = String(req.query.chamber || '').toLowerCase();
+  if (chamber === 'house' || chamber === 'senate') { where.push('c.chamber = ?'); args.push(chamber); }
+  const type = String(req.query.type || '').toLowerCase();
+  if (type === 'buy') where.push(CONGRESS_BUY);
+  else if (type === 'sell') where.push(CONGRESS_SELL);
+  const min = parseInt(req.query.min || '0') || 0;
+  if (min > 0) { where.push('c.amount_low >= ?'); args.push(min); }
+  try {
+    const rows = await query(`
+      SELECT ${CONGRESS_COLS} FROM congress_trades c WHERE ${where.join(' AND ')}
+      ORDER BY c.tx_date DESC, c.id DESC LIMIT ?`, [...args, limit]);
+    res.json(rows.map(r => ({ ...r, late: r.days_to_disclose != null && r.days_to_disclose > CONGRESS_LATE_DAYS })));
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Most active members over ?days= (default 365).
+app.get('/api/congress/members', async (req, res) => {
+  if (!CONGRESS_ENABLED) return _congressDisabled(res, true);
+  publicApiCache(res, 3600);
+  const days  = Math.min(Math.max(parseInt(req.query.days || '365') || 365, 1), 3650);
+  const limit = Math.min(Math.max(parseInt(req.query.limit || '50') || 50, 1), 500);
+  try {
+    res.json(await _congressMembers(days, limit));
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+// Tickers bought by the most distinct members over ?days= (default 90): the
+// congressional version of a cluster buy. ?min_members= defaults to 2.
+app.get('/api/congress/tickers', async (req, res) => {
+  if (!CONGRESS_ENABLED) return _congressDisabled(res, true);
+  publicApiCache(res, 3600);
+  const days = Math.min(Math.max(parseInt(req.query.days || '90') || 90, 1), 3650);
+  const minMembers = Math.min(Math.max(parseInt(req.query.min_members || '2') || 2, 1), 50);
+  try {
+    res.json(await _congressClusters(days, minMembers, 50));
+  } catch(e) { res.status(500).json({ error: e.message }); }
+});
+
+function _congressMembers(days, limit) {
+  return query(`
+    SELECT c.member_slug AS slug, MAX(c.member) AS member, MAX(c.chamber) AS chamber, MAX(c.party) AS party,
+           MAX(c.state) AS state, MAX(c.district) AS district, COUNT(*) AS trades,
+           COUNT(CASE WHEN ${CONGRESS_BUY} THEN 1 END) AS buys, COUNT(CASE WHEN ${CONGRESS_SELL} THEN 1 END) AS sells,
+           SUM(CASE WHEN ${CONGRESS_BUY} THEN COALESCE(c.amount_low,0) ELSE 0 END) AS buy_low,
+           COUNT(DISTINCT c.ticker) AS tickers, MAX(c.tx_date) AS latest
+    FROM congress_trades c WHERE c.tx_date >= date('now', '-' || ? || ' days')
+    GROUP BY c.member_slug ORDER BY trades DESC LIMIT ?`, [days, limit]);
+}
+function _congressClusters(days, minMembers, limit) {
+  return query(`
+    SELECT c.ticker, MAX(c.asset) AS asset, COUNT(DISTINCT c.member_slug) AS members, COUNT(*) AS buys,
+           SUM(COALESCE(c.amount_low,0)) AS buy_low, MAX(c.tx_date) AS latest,
+           GROUP_CONCAT(DISTINCT c.member) AS names
+    FROM congress_trades c WHERE ${CONGRESS_BUY} AND c.ticker IS NOT NULL AND c.tx_date >= date('now', '-' || ? || ' days')
+    GROUP BY c.ticker HAVING COUNT(DISTINCT c.member_slug) >= ?
+    ORDER BY members DESC, buy_low DESC LIMIT ?`, [days, minMembers, limit]);
+}
+
+function _congressHead(title, desc, url, ld) {
+  return `<!DOCTYPE html><html lang="en"><head>
+<meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${_esc(title)} | InsiderTape</title>
+<meta name="description" content="${_esc(desc)}">
+<meta name="robots" content="index, follow">
+<link rel="canonical" href="${url}">
+<meta property="og:type" content="website"><meta property="og:url" content="${url}">
+<meta property="og:title" content="${_esc(title)}">
+<meta property="og:description" content="${_esc(desc)}">
+<meta property="og:image" content="${ogImg('biggest-buys')}"><meta property="og:image:width" content="1200"><meta property="og:image:height" content="630">
+<meta name="twitter:card" content="summary_large_image"><meta name="twitter:image" content="${ogImg('biggest-buys')}">
+${ld.map(o => `<script type="application/ld+json">${JSON.stringify(o)}</script>`).join('\n')}
+<link rel="icon" type="image/svg+xml" href="data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 64 64'%3E%3Ccircle cx='32' cy='32' r='32' fill='%230f172a'/%3E%3Ccircle cx='32' cy='32' r='14' fill='none' stroke='%2300d4ff' stroke-width='1.5' opacity='0.5'/%3E%3Ccircle cx='32' cy='32' r='3' fill='%2300d4ff'/%3E%3C/svg%3E">
+<link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+<link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&display=swap" media="print" onload="this.media='all'"><noscript><link rel="stylesheet" href="https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700;800&display=swap"></noscript>
+<style>
+:root{--bg:#f0f2f5;--bg2:#fff;--border:#d0d4db;--text:#1a2030;--muted:#6e7a8a;--accent:#0a6f88;--accent2:#075a70;--buy:#12905f;--sell:#cc3b46}
+*{box-sizing:border-box;margin:0;padding:0}body{background:var(--bg);color:var(--text);font-family:'Inter',sans-serif;font-size:16px;line-height:1.7}
+header{position:sticky;top:0;z-index:10;height:60px;background:rgba(255,255,255,.97);backdrop-filter:blur(10px);border-bottom:1px solid var(--border);display:flex;align-items:center;justify-content:space-between;padding:0 24px}
+.logo{font-size:17px;font-weight:800;letter-spacing:3px;color:var(--text);text-decoration:none}.logo span{color:var(--accent)}
+header nav a{color:var(--muted);font-size:12px;font-weight:500;text-decoration:none;padding:7px 14px;border:1px solid transparent;border-radius:5px}header nav a:hover{color:var(--text);border-color:var(--border)}
+.wrap{max-width:900px;margin:0 auto;padding:44px 24px 90px}
+.crumb{font-size:12px;color:var(--muted);margin-bottom:18px}.crumb a{color:var(--accent);text-decoration:none}
+h1{font-size:clamp(26px,4vw,38px);font-weight:800;letter-spacing:-.5px;line-height:1.15;margin-bottom:10px}
+.sub{font-size:13px;color:var(--muted);margin-bottom:22px}
+.intro{font-size:16px;color:#3a4555;line-height:1.8;margin-bottom:28px}
+.stats{display:grid;grid-template-columns:repeat(4,1fr);gap:12px;margin-bottom:32px}
+.stat{background:var(--bg2);border:1px solid var(--border);border-radius:9px;padding:14px 16px}
+.stat .k{font-size:10px;letter-spacing:1px;color:var(--muted);text-transform:uppercase;margin-bottom:6px}
+.stat .v{font-size:20px;font-weight:700}.v.g{color:var(--buy)}.v.r{color:var(--sell)}
+h2{font-size:18px;font-weight:700;margin:36px 0 14px}
+table{width:100%;border-collapse:collapse;background:var(--bg2);border:1px solid var(--border);border-radius:10px;overflow:hidden;font-size:13px}
+th{text-align:left;font-size:10px;letter-spacing:.5px;text-transform:uppercase;color:var(--muted);padding:11px 14px;border-bottom:2px solid var(--border)}
+td{padding:11px 14px;border-bottom:1px solid var(--border);vertical-align:top;color:#3a4555}tr:last-child td{border-bottom:none}
+td a{color:var(--accent);text-decoration:none}
+.dt{white-space:nowrap;color:var(--muted)}.tk a{text-decoration:none;color:inherit;display:flex;flex-direction:column}.tk strong{color:var(--accent);font-weight:700}.tk .co{font-size:11px;color:var(--muted);max-width:220px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.num{text-align:right;white-space:nowrap;font-variant-numeric:tabular-nums}.late{color:var(--sell);font-weight:600}
+.b{font-size:10px;font-weight:700;padding:3px 9px;border-radius:4px;background:#eee;color:var(--muted);white-space:nowrap}.b.buy{background:rgba(18,144,95,.1);color:var(--buy)}.b.sell{background:rgba(204,59,70,.1);color:var(--sell)}
+.note{margin-top:34px;font-size:13px;color:var(--muted);line-height:1.7}.note a{color:var(--accent);text-decoration:none}
+footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;font-size:11px;color:var(--muted);background:var(--bg2)}footer a{color:var(--accent);text-decoration:none}
+@media(max-width:640px){.stats{grid-template-columns:1fr 1fr}table{font-size:12px}th,td{padding:9px 10px}.tk .co{max-width:130px}}
+</style></head><body>
+<header><a class="logo" href="/">INSIDER<span>TAPE</span></a><nav><a href="/congress-trading">Congress</a><a href="/biggest-insider-buys">Top Buys</a><a href="/articles/">Learn</a></nav></header>`;
+}
+const _congressFooter = `<footer><a href="/">InsiderTape</a> &nbsp;·&nbsp; Congressional data from House and Senate STOCK Act periodic transaction reports &nbsp;·&nbsp; Not financial advice</footer>
+</body></html>`;
+
+function _congressTradeRows(rows, withMember) {
+  return rows.map(r => `<tr>
+      <td class="dt">${_fmtDate(r.tx_date)}</td>
+      ${withMember ? `<td><a href="/congress-trading/${_esc(r.member_slug)}">${_esc(r.member)}</a><br><span class="dt" style="font-size:11px">${_esc(_congressSeat(r))}</span></td>` : ''}
+      <td class="tk">${r.ticker ? `<a href="/insider-trading/${_esc(r.ticker)}"><strong>${_esc(r.ticker)}</strong><span class="co">${_esc(r.asset || r.ticker)}</span></a>` : `<span class="co" style="font-size:12px">${_esc(r.asset || '-')}</span>`}</td>
+      <td>${_congressType(r.tx_type)}</td>
+      <td class="num">${_esc(fmtAmountRange(r.amount_range))}</td>
+      <td class="num${r.days_to_disclose > CONGRESS_LATE_DAYS ? ' late' : ''}">${r.days_to_disclose == null ? '-' : r.days_to_disclose + 'd'}</td>
+    </tr>`).join('');
+}
+const _congressTableHead = withMember => `<thead><tr><th>Traded</th>${withMember ? '<th>Member</th>' : ''}<th>Asset</th><th>Type</th><th class="num">Amount</th><th class="num">Disclosed after</th></tr></thead>`;
+
+function renderCongressHub(recent, members, clusters) {
+  const url = 'https://www.insidertape.com/congress-trading';
+  const title = 'Congress Stock Trades: What Members of Congress Are Buying';
+  const desc = `Track stock trades by members of Congress. The latest STOCK Act disclosures from House representatives and senators, the most active traders on Capitol Hill, and the stocks several members are buying at once.`;
+  const memberRows = members.map(m => `<tr>
+      <td><a href="/congress-trading/${_esc(m.slug)}"><strong>${_esc(m.member)}</strong></a><br><span class="dt" style="font-size:11px">${_esc(_congressSeat(m))}</span></td>
+      <td class="num">${m.trades}</td><td class="num">${m.buys}</td><td class="num">${m.sells}</td><td class="num">${m.tickers}</td><td class="dt">${_fmtDate(m.latest)}</td>
+    </tr>`).join('');
+  const clusterRows = clusters.map(c => `<tr>
+      <td class="tk"><a href="/insider-trading/${_esc(c.ticker)}"><strong>${_esc(c.ticker)}</strong><span class="co">${_esc(c.asset || c.ticker)}</span></a></td>
+      <td class="num">${c.members}</td><td class="num">${c.buys}</td><td class="num">${_fmtV(c.buy_low)}+</td>
+      <td style="font-size:12px">${_esc(String(c.names || '').split(',').slice(0, 4).join(', '))}</td>
+    </tr>`).join('');
+  return _congressHead(title, desc, url, [
+    { '@context': 'https://schema.org', '@type': 'CollectionPage', name: title, description: desc, url },
+    { '@context': 'https://schema.org', '@type': 'BreadcrumbList', itemListElement: [{ '@type': 'ListItem', position: 1, name: 'Home', item: 'https://www.insidertape.com/' }, { '@type': 'ListItem', position: 2, name: 'Congress Trading', item: url }] },
+  ]) + `
+<div class="wrap">
+  <div class="crumb"><a href="/">Home</a> &nbsp;/&nbsp; Congress Trading</div>
+  <h1>What is Congress buying?</h1>
+  <div class="sub">House and Senate STOCK Act periodic transaction reports &nbsp;·&nbsp; Amounts are disclosed as ranges; totals use each range's lower bound</div>
+  <p class="intro">Members of Congress must disclose stock trades by themselves, their spouses and dependent children within 45 days under the STOCK Act. Most are routine portfolio moves. The ones worth a look are large ranges, several members buying the same stock, and buying that lines up with corporate insiders. Read <a href="/articles/what-is-the-stock-act.html">what the STOCK Act requires</a> and <a href="/articles/how-to-track-congressional-trades.html">how to track congressional trades</a>.</p>
+  ${clusters.length ? `<h2>Stocks several members bought in the last 90 days</h2>
+  <table><thead><tr><th>Stock</th><th class="num">Members</th><th class="num">Buys</th><th class="num">Amount</th><th>Who</th></tr></thead><tbody>${clusterRows}</tbody></table>` : ''}
+  <h2>Latest congressional trades</h2>
+  <table>${_congressTableHead(true)}<tbody>${_congressTradeRows(recent, true)}</tbody></table>
+  ${members.length ? `<h2>Most active traders in Congress, last 12 months</h2>
+  <table><thead><tr><th>Member</th><th class="num">Trades</th><th class="num">Buys</th><th class="num">Sells</th><th class="num">Stocks</th><th>Latest</th></tr></thead><tbody>${memberRows}</tbody></table>` : ''}
+  <div class="note">Trades reported later than ${CONGRESS_LATE_DAYS} days after they happened are marked in red. Compare with <a href="/articles/congressional-vs-insider-trading.html">how corporate insider filings differ</a> and the <a href="/biggest-insider-buys">biggest corporate insider buys this week</a>.</div>
+  ${_emailCapture('congress-hub', 'Get the biggest insider buys every week, free.')}
+</div>
+${_congressFooter}`;
+}
+
+function renderCongressMemberPage(m, rows, stats) {
+  const url = `https://www.insidertape.com/congress-trading/${m.slug}`;
+  const seat = _congressSeat(m);
+  const title = `${m.member} Stock Trades`;
+  const desc = `What is ${m.member} buying? ${m.member} (${seat}) has disclosed ${stats.trades || 0} stock trade${stats.trades === 1 ? '' : 's'} under the STOCK Act, ${stats.buys || 0} purchase${stats.buys === 1 ? '' : 's'} and ${stats.sells || 0} sale${stats.sells === 1 ? '' : 's'} across ${stats.tickers || 0} stock${stats.tickers === 1 ? '' : 's'}. See every trade with dates and amount ranges.`;
+  const faq = [
+    { q: `What stocks has ${m.member} bought?`, a: `${m.member} has disclosed ${stats.buys || 0} purchase${stats.buys === 1 ? '' : 's'} worth at least ${_fmtV(stats.buy_low)} (the sum of each range's lower bound). The full list, with tickers, dates and amount ranges, is above. The most recent trade was on ${_fmtDate(stats.latest)}.` },
+    { q: `Does ${m.member} disclose trades on time?`, a: `The STOCK Act requires disclosure within ${CONGRESS_LATE_DAYS} days. ${m.member}'s trades were disclosed a median of ${stats.median_days == null ? 'an unknown number of' : stats.median_days} days after the trade, and ${stats.late || 0} of ${stats.trades || 0} came in late.` },
+  ];
+  return _congressHead(title, desc, url, [
+    { '@context': 'https://schema.org', '@type': 'WebPage', name: title, description: desc, url },
+    { '@context': 'https://schema.org', '@type': 'BreadcrumbList', itemListElement: [{ '@type': 'ListItem', position: 1, name: 'Home', item: 'https://www.insidertape.com/' }, { '@type': 'ListItem', position: 2, name: 'Congress Trading', item: 'https://www.insidertape.com/congress-trading' }, { '@type': 'ListItem', position: 3, name: m.member, item: url }] },
+    { '@context': 'https://schema.org', '@type': 'FAQPage', mainEntity: faq.map(f => ({ '@type': 'Question', name: f.q, acceptedAnswer: { '@type': 'Answer', text: f.a } })) },
+  ]) + `
+<div class="wrap">
+  <div class="crumb"><a href="/">Home</a> &nbsp;/&nbsp; <a href="/congress-trading">Congress Trading</a> &nbsp;/&nbsp; ${_esc(m.member)}</div>
+  <h1>${_esc(m.member)} stock trades</h1>
+  <div class="sub">${_esc(seat)} &nbsp;·&nbsp; STOCK Act periodic transaction reports</div>
+  <div class="stats">
+    <div class="stat"><div class="k">Buys</div><div class="v g">${stats.buys || 0}</div></div>
+    <div class="stat"><div class="k">Sells</div><div class="v r">${stats.sells || 0}</div></div>
+    <div class="stat"><div class="k">Bought (min.)</div><div class="v g">${_fmtV(stats.buy_low)}</div></div>
+    <div class="stat"><div class="k">Late filings</div><div class="v${stats.late ? ' r' : ''}">${stats.late || 0}</div></div>
+  </div>
+  <h2>Every disclosed trade</h2>
+  <table>${_congressTableHead(false)}<tbody>${_congressTradeRows(rows, false)}</tbody></table>
+  <section style="margin-top:40px">
+    <h2>${_esc(m.member)} trading FAQ</h2>
+    ${faq.map(f => `<div class="stat" style="margin-bottom:10px"><h3 style="font-size:15px;margin-bottom:6px">${_esc(f.q)}</h3><p style="font-size:14px;color:#3a4555">${_esc(f.a)}</p></div>`).join('')}
+  </section>
+  <div class="note">Amounts are the ranges members must report, shown as the lower bound. Trades include those by a spouse or dependent child. <a href="/congress-trading">See all congressional trades</a>.</div>
+</div>
+${_congressFooter}`;
+}
+
+const _congressPageCache = new Map();
+app.get('/congress-trading', async (req, res) => {
+  if (!CONGRESS_ENABLED) return _congressDisabled(res);
+  res.set('Cache-Control', 'public, max-age=0, s-maxage=21600, stale-while-revalidate=86400');
+  const hit = _congressPageCache.get('__hub__');
+  if (hit && Date.now() - hit.t < 6 * 3600000) { res.type('html'); return res.send(hit.html); }
+  try {
+    const recent = await query(`SELECT ${CONGRESS_COLS} FROM congress_trades c ORDER BY COALESCE(c.disclosure_date, c.tx_date) DESC, c.id DESC LIMIT 50`);
+    const members = await _congressMembers(365, 30);
+    const clusters = await _congressClusters(90, 2, 20);
+    const html = renderCongressHub(recent, members, clusters);
+    _congressPageCache.set('__hub__', { html, t: Date.now() });
+    res.type('html').send(html);
+  } catch(e) { res.status(500).type('html').send('<!DOCTYPE html><html><body>Temporarily unavailable. <a href="/">InsiderTape</a></body></html>'); }
+});
+app.get('/congress-trading/:slug', async (req, res) => {
+  if (!CONGRESS_ENABLED) return _congressDisabled(res);
+  res.set('Cache-Control', 'public, max-age=0, s-maxage=21600, stale-while-revalidate=86400');
+  const slug = memberSlug(req.params.slug);
+  if (!slug) return res.redirect(302, '/congress-trading');
+  const hit = _congressPageCache.get(slug);
+  if (hit && Date.now() - hit.t < 6 * 3600000) { res.type('html'); return res.send(hit.html); }
+  try {
+    const rows = await query(`SELECT ${CONGRESS_COLS} FROM congress_trades c WHERE c.member_slug = ? ORDER BY c.tx_date DESC, c.id DESC LIMIT 200`, [slug]);
+    if (!rows.length) return res.redirect(302, '/congress-trading');
+    const st = await queryOne(`
+      SELECT COUNT(*) AS trades, COUNT(CASE WHEN ${CONGRESS_BUY} THEN 1 END) AS buys, COUNT(CASE WHEN ${CONGRESS_SELL} THEN 1 END) AS sells,
+             SUM(CASE WHEN ${CONGRESS_BUY} THEN COALESCE(c.amount_low,0) ELSE 0 END) AS buy_low,
+             COUNT(DISTINCT c.ticker) AS tickers, MAX(c.tx_date) AS latest,
+             COUNT(CASE WHEN julianday(c.disclosure_date) - julianday(c.tx_date) > ${CONGRESS_LATE_DAYS} THEN 1 END) AS late
+      FROM congress_trades c WHERE c.member_slug = ?`, [slug]);
+    const lags = rows.map(r => r.days_to_disclose).filter(d => d != null).sort((a, b) => a - b);
+    const stats = { ...(st || {}), median_days: lags.length ? lags[Math.floor(lags.length / 2)] : null };
+    const m = { slug, member: rows[0].member, chamber: rows[0].chamber, party: rows[0].party, state: rows[0].state, district: rows[0].district };
+    const html = renderCongressMemberPage(m, rows, stats);
+    _congressPageCache.set(slug, { html, t: Date.now() });
+    if (_congressPageCache.size > 600) _congressPageCache.delete(_congressPageCache.keys().next().value);
+    res.type('html').send(html);
+  } catch(e) { res.status(500).type('html').send('<!DOCTYPE html><html><body>Temporarily unavailable. <a href="/congress-trading">InsiderTape</a></body></html>'); }
+});
+
 // ─── FREE SHAREABLE PAGE: BIGGEST INSIDER BUYS THIS WEEK ───────────────────────
 // Ungated, server-rendered, auto-updating link-bait: the largest open-market
 // insider purchases in the last 7 days, ranked by value. Great for sharing on
@@ -3543,7 +5064,7 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
 <div class="wrap">
   <div class="tag">Updated Daily &nbsp;·&nbsp; Free</div>
   <h1>Insiders Buying the Dip</h1>
-  <p class="sub">Stocks where insiders are buying near their 52-week lows, ranked by open-market dollars bought over the past 90 days. Each name trades in the lower part of its 52-week range, so this is insiders buying weakness. Grants, options, and coordinated plan buys stripped out.</p>
+  <p class="sub">Stocks where insiders are buying near their 52-week lows, ranked by open-market dollars bought over the past 90 days. Each name was bought in the lower part of its 52-week range (at the insiders' actual execution prices, not the reported averages), so this is insiders buying weakness. Grants, options, and coordinated plan buys stripped out.</p>
   <div class="upd">Updated ${updated}</div>
   <div class="share-row" style="display:flex;align-items:center;gap:8px;flex-wrap:wrap;margin:0 0 26px">
     <span style="font-size:11px;color:#6e7a8a;letter-spacing:1px;text-transform:uppercase;font-weight:600">Share</span>
@@ -3558,7 +5079,7 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
   </div>
   <div class="tbl-brand"><span class="bl">INSIDER<span>TAPE</span></span><span class="br">insidertape.com</span></div>
   <table><thead><tr><th>#</th><th>Company</th><th class="num">Bought</th><th class="num bcol">Insiders</th><th class="num">Off High</th><th class="dt">Latest</th></tr></thead><tbody>${tr}</tbody></table>
-  <p class="note">Every name here trades in the lower third of its 52-week range with real open-market insider buying. Honest caveat from our own five-year study: buying the dip <em>alone</em> was mixed and the biggest dip-buys did worst (value-trap risk). The edge showed up when a <a href="/ceos-buying-stock">CEO</a> or <a href="/cfos-buying-stock">CFO</a> bought, or when several insiders clustered near the low. See also the <a href="/biggest-insider-buys">biggest insider buys this week</a> and the study of <a href="/insider-buying-at-lows-study">insider buying near 52-week lows</a>.</p>
+  <p class="note">Every name here was bought in the lower third of its 52-week range with real open-market insider buying. Honest caveat from our own five-year study: buying the dip <em>alone</em> was mixed and the biggest dip-buys did worst (value-trap risk). The edge showed up when a <a href="/ceos-buying-stock">CEO</a> or <a href="/cfos-buying-stock">CFO</a> bought, or when several insiders clustered near the low. See also the <a href="/biggest-insider-buys">biggest insider buys this week</a> and the study of <a href="/insider-buying-at-lows-study">insider buying near 52-week lows</a>.</p>
   <div class="cite"><strong>Cite this page:</strong> InsiderTape, &ldquo;Insiders Buying the Dip,&rdquo; data through ${updated}, sourced from SEC Form 4 filings. Free to reference with a link to insidertape.com/insiders-buying-the-dip.</div>
   <section style="margin-top:40px">
     <h2 style="font-size:18px;font-weight:700;margin-bottom:14px">Insiders buying the dip: FAQ</h2>
@@ -3584,7 +5105,8 @@ app.get('/insiders-buying-the-dip', async (req, res) => {
   try {
     const cand = await query(`
       SELECT ticker, MAX(company) AS company, COUNT(DISTINCT insider) AS insiders,
-             COUNT(*) AS buys, SUM(COALESCE(value,0)) AS buy_val, MAX(trade_date) AS latest
+             COUNT(*) AS buys, SUM(COALESCE(value,0)) AS buy_val, MAX(trade_date) AS latest,
+             MIN(COALESCE(price_low, NULLIF(price,0))) AS buy_low
       FROM trades
       WHERE TRIM(type)='P' AND trade_date >= date('now','-90 days')
         AND COALESCE(value,0) >= 25000
@@ -3593,8 +5115,11 @@ app.get('/insiders-buying-the-dip', async (req, res) => {
       GROUP BY ticker HAVING buy_val >= 100000
         AND NOT (COUNT(DISTINCT insider) >= 2 AND COUNT(DISTINCT CASE WHEN price>0 THEN price END) <= 1 AND COUNT(DISTINCT trade_date) <= 1)
       ORDER BY buy_val DESC LIMIT 120`);
-    // Batch-read cached prices for the candidates, compute 52-week position.
+    // Batch-read cached prices for the candidates, compute 52-week position. The
+    // position is where insiders actually bought: the lowest execution price
+    // (the footnoted range low, not the weighted average), else today's close.
     const tickers = cand.map(r => r.ticker);
+    const buyLow = Object.fromEntries(cand.map(r => [r.ticker, +r.buy_low || 0]));
     const pmap = {};
     for (let i = 0; i < tickers.length; i += 100) {
       const chunk = tickers.slice(i, i + 100);
@@ -3607,7 +5132,10 @@ app.get('/insiders-buying-the-dip', async (req, res) => {
           if (bars52.length < 20) continue;
           const hi = Math.max(...bars52.map(b => b.high));
           const lo = Math.min(...bars52.map(b => b.low));
-          const cur = bars[bars.length - 1].close;
+          const bl = buyLow[pr.symbol];
+          // Same sanity band as the tape's winners tile: ADR ratios and split
+          // artifacts put Form 4 prices far outside the chart's range.
+          const cur = bl >= lo * 0.5 && bl <= hi * 1.5 ? bl : bars[bars.length - 1].close;
           const range = hi - lo || 1;
           pmap[pr.symbol] = { posInRange: (cur - lo) / range, offHigh: (hi - cur) / hi };
         } catch(_) {}
@@ -3878,34 +5406,39 @@ let _biggestBuyersCache = null;
 app.get('/biggest-insider-buyers', async (req, res) => {
   if (_biggestBuyersCache && Date.now() - _biggestBuyersCache.t < 6 * 3600000) { res.type('html'); return res.send(_biggestBuyersCache.html); }
   try {
+    // Grouped by resolved insider, so a buyer filing under several spellings
+    // is ranked on the combined total under one canonical name.
+    const KEY = `COALESCE(CAST(t.insider_id AS TEXT), 'n:' || t.insider)`;
     const rows = await query(`
-      SELECT insider, MAX(title) AS title,
-             COUNT(DISTINCT ticker) AS companies, COUNT(*) AS buys,
-             SUM(COALESCE(value,0)) AS total_val, MAX(trade_date) AS latest
-      FROM trades
-      WHERE TRIM(type)='P' AND trade_date >= date('now','-365 days')
-        AND insider IS NOT NULL AND TRIM(insider) <> ''
-        AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6
-        AND COALESCE(value,0) >= 10000
-      GROUP BY insider
+      SELECT ${KEY} AS k, COALESCE(e.name, MAX(t.insider)) AS insider, MAX(t.title) AS title,
+             COUNT(DISTINCT t.ticker) AS companies, COUNT(*) AS buys,
+             SUM(COALESCE(t.value,0)) AS total_val, MAX(t.trade_date) AS latest
+      FROM trades t LEFT JOIN insider_entities e ON e.id = t.insider_id
+      WHERE TRIM(t.type)='P' AND t.trade_date >= date('now','-365 days')
+        AND t.insider IS NOT NULL AND TRIM(t.insider) <> ''
+        AND t.ticker GLOB '[A-Z]*' AND LENGTH(t.ticker) BETWEEN 1 AND 6
+        AND COALESCE(t.value,0) >= 10000
+      GROUP BY ${KEY}
       HAVING total_val >= 1000000
       ORDER BY total_val DESC LIMIT 30`);
     // Attach each insider's single biggest ticker over the window (one extra query).
     if (rows && rows.length) {
-      const names = rows.map(r => r.insider);
-      const ph = names.map(() => '?').join(',');
+      const ids = rows.filter(r => !r.k.startsWith('n:')).map(r => +r.k);
+      const names = rows.filter(r => r.k.startsWith('n:')).map(r => r.k.slice(2));
+      const ph = a => a.map(() => '?').join(',') || 'NULL';
       const tk = await query(`
-        SELECT insider, ticker, MAX(company) AS company, SUM(COALESCE(value,0)) AS v
-        FROM trades
-        WHERE TRIM(type)='P' AND trade_date >= date('now','-365 days')
-          AND insider IN (${ph}) AND COALESCE(value,0) >= 10000
-        GROUP BY insider, ticker`, names);
+        SELECT ${KEY} AS k, t.ticker, MAX(t.company) AS company, SUM(COALESCE(t.value,0)) AS v
+        FROM trades t
+        WHERE TRIM(t.type)='P' AND t.trade_date >= date('now','-365 days')
+          AND (t.insider_id IN (${ph(ids)}) OR (t.insider_id IS NULL AND t.insider IN (${ph(names)})))
+          AND COALESCE(t.value,0) >= 10000
+        GROUP BY ${KEY}, t.ticker`, [...ids, ...names]);
       const best = {};
       for (const r of (tk || [])) {
-        const cur = best[r.insider];
-        if (!cur || (+r.v) > cur.v) best[r.insider] = { ticker: r.ticker, company: r.company, v: +r.v };
+        const cur = best[r.k];
+        if (!cur || (+r.v) > cur.v) best[r.k] = { ticker: r.ticker, company: r.company, v: +r.v };
       }
-      for (const r of rows) r.top = best[r.insider] || null;
+      for (const r of rows) r.top = best[r.k] || null;
     }
     for (const r of (rows || [])) r.cat = _classifyBuyer(r.insider, r.top ? r.top.ticker : '', r.buys);
     const html = renderBiggestBuyersPage(rows || []);
@@ -3917,7 +5450,7 @@ app.get('/biggest-insider-buyers', async (req, res) => {
 // ─── PROGRAMMATIC SECTOR PAGES (SEO) ──────────────────────────────────────────
 // Server-rendered, indexable pages at /insider-trading/sector/<slug>, one per
 // GICS-style sector, targeting "<sector> insider buying" searches. Aggregates
-// open-market Form 4 activity across the mapped tickers in each sector.
+// open-market Form 4 activity across every issuer whose SIC code maps to the sector.
 const SECTOR_SLUGS = {
   'technology': 'Technology', 'healthcare': 'Healthcare', 'financial-services': 'Financial Services',
   'energy': 'Energy', 'consumer-cyclical': 'Consumer Cyclical', 'consumer-defensive': 'Consumer Defensive',
@@ -3935,7 +5468,8 @@ function renderSectorPage(sector, slug, rows, stats) {
   const intro = `Over the past 12 months, corporate insiders across ${stats.companies || 0} ${co} companies filed ${buys + sells} open-market SEC Form 4 transaction${buys + sells === 1 ? '' : 's'}: ${buys} purchase${buys === 1 ? '' : 's'} worth ${_fmtV(stats.buyval)} and ${sells} sale${sells === 1 ? '' : 's'} worth ${_fmtV(stats.sellval)}. Insiders in the ${co} sector have been ${posture} over this period.`;
   const desc = `${sector} sector insider trading: insiders across ${stats.companies || 0} ${sector} companies filed ${buys} buy${buys === 1 ? '' : 's'} (${_fmtV(stats.buyval)}) and ${sells} sale${sells === 1 ? '' : 's'} (${_fmtV(stats.sellval)}) in the past year, currently ${posture}. See which ${sector} stocks insiders are buying.`;
 
-  const tableRows = rows.map(r => {
+  // Stats cover every member; the table lists the most-bought 150.
+  const tableRows = rows.slice(0, 150).map(r => {
     const sentiment = (r.buy_val + r.sell_val) > 0 ? Math.round(r.buy_val / (r.buy_val + r.sell_val) * 100) : 0;
     return `<tr>
       <td class="tk"><a href="/insider-trading/${_esc(r.ticker)}"><strong>${_esc(r.ticker)}</strong><span class="co">${_esc(r.company || r.ticker)}</span></a></td>
@@ -4022,7 +5556,7 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
     <div style="margin-top:18px"><strong>Learn more:</strong> <a href="/insider-buying-study">Which insiders beat the market?</a> &nbsp;·&nbsp; <a href="/articles/is-insider-buying-bullish.html">Is insider buying bullish?</a> &nbsp;·&nbsp; <a href="/articles/what-is-cluster-buying.html">What is cluster buying?</a> &nbsp;·&nbsp; <a href="/biggest-insider-buys">Biggest insider buys this week</a></div>
   </div>
 </div>
-<footer><a href="/">InsiderTape</a> &nbsp;·&nbsp; Insider data sourced from SEC EDGAR (Form 4) &nbsp;·&nbsp; Not financial advice. Sector membership covers major tracked tickers.</footer>
+<footer><a href="/">InsiderTape</a> &nbsp;·&nbsp; Insider data sourced from SEC EDGAR (Form 4) &nbsp;·&nbsp; Not financial advice. Sectors follow each issuer's SIC code on file with the SEC.</footer>
 </body></html>`;
 }
 
@@ -4034,10 +5568,14 @@ app.get('/insider-trading/sector/:slug', async (req, res) => {
   const hit = _sectorPageCache.get(slug);
   if (hit && Date.now() - hit.t < 12 * 3600000) { res.type('html'); return res.send(hit.html); }
   try {
-    const tickers = Object.keys(TICKER_SECTOR_MAP).filter(t => TICKER_SECTOR_MAP[t][0] === sector);
+    const index = await loadSectorIndex();
+    const tickers = Object.keys(index).filter(t => index[t][0] === sector);
     if (!tickers.length) { res.type('html'); return res.send(renderSectorPage(sector, slug, [], {})); }
-    const ph = tickers.map(() => '?').join(',');
-    const rows = await query(`
+    // Every classified ticker is a member now, so the IN list goes in chunks.
+    const rows = [];
+    for (let i = 0; i < tickers.length; i += 500) {
+      const chunk = tickers.slice(i, i + 500);
+      rows.push(...await query(`
       SELECT ticker, MAX(company) AS company,
         SUM(CASE WHEN TRIM(type)='P' THEN COALESCE(value,0) ELSE 0 END) AS buy_val,
         SUM(CASE WHEN TRIM(type) IN ('S','S-') THEN COALESCE(value,0) ELSE 0 END) AS sell_val,
@@ -4045,10 +5583,11 @@ app.get('/insider-trading/sector/:slug', async (req, res) => {
         COUNT(CASE WHEN TRIM(type) IN ('S','S-') THEN 1 END) AS sell_count,
         MAX(trade_date) AS latest
       FROM trades
-      WHERE ticker IN (${ph}) AND trade_date >= date('now','-365 days')
+      WHERE ticker IN (${chunk.map(() => '?').join(',')}) AND trade_date >= date('now','-365 days')
         AND TRIM(type) IN ('P','S','S-') AND COALESCE(value,0) >= 10000
-      GROUP BY ticker HAVING buy_count > 0 OR sell_count > 0
-      ORDER BY buy_val DESC, sell_val DESC`, tickers);
+      GROUP BY ticker HAVING buy_count > 0 OR sell_count > 0`, chunk));
+    }
+    rows.sort((a, b) => (b.buy_val || 0) - (a.buy_val || 0) || (b.sell_val || 0) - (a.sell_val || 0));
     const stats = rows.reduce((a, r) => {
       a.buys += r.buy_count || 0; a.sells += r.sell_count || 0;
       a.buyval += r.buy_val || 0; a.sellval += r.sell_val || 0;
@@ -4079,7 +5618,8 @@ function renderRolePage(slug, def, rows, stats) {
   const role = def.name;
   const url = `https://www.insidertape.com/insider-trading/role/${slug}`;
   const _ogimg = ogImg('role', slug);
-  const intro = `Over the past 90 days, ${stats.insiders || 0} ${def.plural} made ${stats.buys || 0} open-market purchase${stats.buys === 1 ? '' : 's'} worth ${_fmtV(stats.buyval)} across ${stats.companies || 0} ${stats.companies === 1 ? 'company' : 'companies'}. These are ${role} buys filed with the SEC on Form 4, with option exercises and awards stripped out so only genuine open-market conviction is shown.`;
+  const planned = stats.planned || 0;
+  const intro = `Over the past 90 days, ${stats.insiders || 0} ${def.plural} made ${stats.buys || 0} open-market purchase${stats.buys === 1 ? '' : 's'} worth ${_fmtV(stats.buyval)} across ${stats.companies || 0} ${stats.companies === 1 ? 'company' : 'companies'}. These are ${role} buys filed with the SEC on Form 4, with option exercises and awards stripped out so only genuine open-market conviction is shown.${planned ? ` Another ${planned} purchase${planned === 1 ? ' was' : 's were'} made under a pre-arranged Rule 10b5-1 plan and ${planned === 1 ? 'is' : 'are'} left out, since the timing was set in advance.` : ''}`;
   const desc = `Which stocks are ${def.plural} buying? In the last 90 days, ${stats.insiders || 0} ${def.plural} made ${stats.buys || 0} open-market purchase${stats.buys === 1 ? '' : 's'} (${_fmtV(stats.buyval)}) across ${stats.companies || 0} ${stats.companies === 1 ? 'company' : 'companies'}. Every ${role} buy from SEC Form 4, ranked by value.`;
 
   const tableRows = rows.map(r => `<tr>
@@ -4151,7 +5691,7 @@ footer{border-top:1px solid var(--border);padding:28px 24px;text-align:center;fo
   </div>
   <div class="crumb" style="margin-top:34px"><a href="/">Home</a> &nbsp;/&nbsp; Insider Trading &nbsp;/&nbsp; ${role} Buying</div>
   <h1>${role} Insider Buying</h1>
-  <div class="sub">Recent open-market ${role} stock purchases from SEC Form 4 filings &nbsp;·&nbsp; Last 90 days</div>
+  <div class="sub">Recent open-market ${role} stock purchases from SEC Form 4 filings &nbsp;·&nbsp; Last 90 days &nbsp;·&nbsp; <a href="/articles/what-is-a-10b5-1-plan.html" style="color:var(--accent);text-decoration:none">10b5-1 plan buys excluded</a></div>
   <p class="intro">${_esc(intro)}</p>
   <div class="stats">
     <div class="stat"><div class="k">${role} Buys</div><div class="v g">${stats.buys || 0}</div></div>
@@ -4186,11 +5726,17 @@ app.get('/insider-trading/role/:slug', async (req, res) => {
       FROM trades
       WHERE TRIM(type)='P' AND ${def.where} AND trade_date >= date('now','-90 days')
         AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6 AND COALESCE(value,0) >= 10000
+        AND COALESCE(plan_10b5_1, 0) = 0
       GROUP BY ticker, insider, trade_date
       ORDER BY value DESC LIMIT 40`);
+    // Pre-planned (Rule 10b5-1) buys are counted separately and kept out of the
+    // headline stats: the timing was fixed months earlier, so they aren't conviction.
     const st = await queryOne(`
-      SELECT COUNT(*) AS buys, SUM(value) AS buyval, COUNT(DISTINCT ticker) AS companies, COUNT(DISTINCT insider) AS insiders
-      FROM (SELECT ticker, insider, trade_date, MAX(COALESCE(value,0)) AS value
+      SELECT COUNT(CASE WHEN planned = 0 THEN 1 END) AS buys, SUM(CASE WHEN planned = 0 THEN value END) AS buyval,
+             COUNT(DISTINCT CASE WHEN planned = 0 THEN ticker END) AS companies,
+             COUNT(DISTINCT CASE WHEN planned = 0 THEN insider END) AS insiders,
+             COUNT(CASE WHEN planned = 1 THEN 1 END) AS planned
+      FROM (SELECT ticker, insider, trade_date, MAX(COALESCE(value,0)) AS value, MAX(COALESCE(plan_10b5_1,0)) AS planned
             FROM trades
             WHERE TRIM(type)='P' AND ${def.where} AND trade_date >= date('now','-90 days')
               AND ticker GLOB '[A-Z]*' AND LENGTH(ticker) BETWEEN 1 AND 6 AND COALESCE(value,0) >= 10000
@@ -4374,6 +5920,7 @@ app.get('/insider-buying-report/:date', async (req, res) => {
     const tk = {};
     for (const r of rows) { const t = tk[r.ticker] || (tk[r.ticker] = { ticker: r.ticker, company: r.company, buyval: 0, buyers: new Set(), buys: 0 }); t.buyval += +r.value || 0; t.buyers.add(r.insider); t.buys++; }
     const mostBought = Object.values(tk).map(t => ({ ...t, buyers: t.buyers.size })).sort((a, b) => b.buyval - a.buyval).slice(0, 10);
+    await loadSectorIndex();
     const sec = {};
     for (const r of rows) { const info = getTickerSector(r.ticker); if (!info) continue; const s = sec[info[0]] || (sec[info[0]] = { sector: info[0], buyval: 0, buys: 0 }); s.buyval += +r.value || 0; s.buys++; }
     const sectors = Object.values(sec).sort((a, b) => b.buyval - a.buyval).slice(0, 8);
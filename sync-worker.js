@@ -3,11 +3,16 @@
 // sync-worker.js v2 — Turso edition
 // Downloads SEC structured insider-trade ZIP files (quarterly) and bulk-inserts
 // records into Turso. Runs as a one-shot GitHub Actions job.
-// Usage: node sync-worker.js [numQuarters]
+// Usage: node sync-worker.js [numQuarters] [--source=<spec>]
+//   --source — where the quarterly ZIPs come from (see lib/filing-source.js);
+//              a local dir/tarball just needs the <yyyy>q<n>_form345.zip files.
 
-const https  = require('https');
-const zlib   = require('zlib');
 const { createClient } = require('@libsql/client');
+const { sourceFromArgs } = require('./lib/filing-source');
+const { openDataset, toIsoDate } = require('./lib/datasets');
+const { isPlanFootnote, parsePlanAdoption, parsePriceRanges, priceRangeFor, normCik, ownerTitle, rejectReason } = require('./lib/form4');
+const { createIngest, INSERT_DERIV_SQL, INSERT_FORM5_SQL, INSERT_FORM3_SQL, INSERT_OWNER_SQL, INSERT_QUARANTINE_SQL, quarantineArgs } = require('./lib/ingest');
+const { latencyCols } = require('./lib/calendar');
 
 const TURSO_URL   = process.env.TURSO_DATABASE_URL;
 const TURSO_TOKEN = process.env.TURSO_AUTH_TOKEN;
@@ -36,133 +41,295 @@ async function initSchema() {
       ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
       trade_date TEXT NOT NULL, filing_date TEXT,
       type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
-      accession TEXT, footnote TEXT,
-      UNIQUE(accession, insider, trade_date, type, qty)
+      accession TEXT, footnote TEXT
     )`,
     `CREATE INDEX IF NOT EXISTS idx_ticker     ON trades(ticker)`,
     `CREATE INDEX IF NOT EXISTS idx_trade_date ON trades(trade_date DESC)`,
     `CREATE INDEX IF NOT EXISTS idx_insider    ON trades(insider)`,
     `CREATE INDEX IF NOT EXISTS idx_insider_upper ON trades(UPPER(insider))`,
+    `CREATE TABLE IF NOT EXISTS derivative_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, security TEXT NOT NULL DEFAULT '', qty INTEGER, price REAL, value INTEGER,
+      exercise_price REAL, exercise_date TEXT, expiration_date TEXT,
+      underlying_security TEXT, underlying_shares INTEGER,
+      acq_disp TEXT, owned INTEGER, accession TEXT, footnote TEXT,
+      UNIQUE(accession, insider, trade_date, type, security, qty)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_ticker ON derivative_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_deriv_insider_upper ON derivative_trades(UPPER(insider))`,
+    `CREATE TABLE IF NOT EXISTS form3_holdings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      event_date TEXT NOT NULL, filing_date TEXT,
+      security TEXT NOT NULL DEFAULT '', is_derivative INTEGER NOT NULL DEFAULT 0,
+      shares INTEGER, exercise_price REAL, expiration_date TEXT, accession TEXT,
+      UNIQUE(accession, insider, security, is_derivative, shares)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_ticker ON form3_holdings(insider, ticker)`,
+    `CREATE INDEX IF NOT EXISTS idx_form3_insider_upper  ON form3_holdings(UPPER(insider))`,
+    `CREATE TABLE IF NOT EXISTS form5_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ticker TEXT NOT NULL, company TEXT, insider TEXT, title TEXT,
+      trade_date TEXT NOT NULL, filing_date TEXT,
+      type TEXT, qty INTEGER, price REAL, value INTEGER, owned INTEGER,
+      accession TEXT, footnote TEXT
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_ticker       ON form5_trades(ticker, trade_date DESC)`,
+    `CREATE INDEX IF NOT EXISTS idx_form5_insider_upper ON form5_trades(UPPER(insider))`,
+    ...['trades', 'derivative_trades', 'form3_holdings', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN issuer_cik TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN owner_cik TEXT`,
+    ]),
+    `CREATE INDEX IF NOT EXISTS idx_trades_owner_cik  ON trades(owner_cik)`,
+    `CREATE INDEX IF NOT EXISTS idx_trades_issuer_cik ON trades(issuer_cik, trade_date DESC)`,
+    ...['trades', 'form5_trades'].flatMap(t => [
+      `ALTER TABLE ${t} ADD COLUMN plan_10b5_1 INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN plan_adopted TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN ownership_nature TEXT`,
+      `ALTER TABLE ${t} ADD COLUMN price_low REAL`,
+      `ALTER TABLE ${t} ADD COLUMN price_high REAL`,
+      `ALTER TABLE ${t} ADD COLUMN filing_latency INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN late_filing INTEGER`,
+      `ALTER TABLE ${t} ADD COLUMN parser_version INTEGER`,
+    ]),
+    // One row per ownership line: a filing's direct and "By Spouse" lines can
+    // share date, code and quantity. Tables created with the older
+    // UNIQUE(accession, insider, trade_date, type, qty) are moved onto this key
+    // by scripts/rekey-trades.js.
+    ...['trades', 'form5_trades'].map(t =>
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_${t}_line ON ${t}(accession, insider, trade_date, type, qty, COALESCE(ownership, ''), COALESCE(ownership_nature, ''))`),
+    `CREATE TABLE IF NOT EXISTS filing_owners (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, ticker TEXT, filing_date TEXT, owner_seq INTEGER NOT NULL DEFAULT 0,
+      owner_name TEXT NOT NULL DEFAULT '', owner_cik TEXT, title TEXT,
+      is_director INTEGER NOT NULL DEFAULT 0, is_officer INTEGER NOT NULL DEFAULT 0,
+      is_ten_pct INTEGER NOT NULL DEFAULT 0, is_other INTEGER NOT NULL DEFAULT 0, officer_title TEXT,
+      UNIQUE(accession, owner_name)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_name ON filing_owners(owner_name)`,
+    `CREATE INDEX IF NOT EXISTS idx_filing_owners_cik  ON filing_owners(owner_cik)`,
+    // Form 4/A and 5/A chains: each amendment, the version it replaces (`amends`,
+    // NULL until that filing is loaded) and the chain's original filing.
+    `CREATE TABLE IF NOT EXISTS filing_amendments (
+      accession TEXT PRIMARY KEY, amends TEXT, root_accession TEXT,
+      ticker TEXT, insider TEXT, filing_date TEXT, original_date TEXT,
+      rows_superseded INTEGER NOT NULL DEFAULT 0, linked_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_root    ON filing_amendments(root_accession)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_amends  ON filing_amendments(amends)`,
+    `CREATE INDEX IF NOT EXISTS idx_amend_lookup  ON filing_amendments(ticker, insider, original_date)`,
+    `ALTER TABLE filing_amendments ADD COLUMN form TEXT NOT NULL DEFAULT '4'`,
+    // Rows an amendment replaced, moved out of trades / derivative_trades so no
+    // aggregate can see them. Kept verbatim (row_json) for the filing history.
+    `CREATE TABLE IF NOT EXISTS superseded_rows (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_table TEXT NOT NULL, accession TEXT NOT NULL, superseded_by TEXT NOT NULL,
+      row_json TEXT NOT NULL, superseded_at TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_superseded_acc ON superseded_rows(accession)`,
+    // Table I rows held back on a sanity check (lib/form4.js rejectReason).
+    `CREATE TABLE IF NOT EXISTS quarantined_trades (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      accession TEXT NOT NULL, form TEXT NOT NULL DEFAULT '4', reason TEXT NOT NULL,
+      ticker TEXT, insider TEXT, trade_date TEXT, filing_date TEXT, type TEXT,
+      qty INTEGER, price REAL, value INTEGER, row_json TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', reviewed_at TEXT, note TEXT,
+      quarantined_at TEXT DEFAULT (datetime('now')),
+      UNIQUE(accession, insider, trade_date, type, qty, price)
+    )`,
+    `CREATE INDEX IF NOT EXISTS idx_quarantine_status ON quarantined_trades(status, reason, filing_date DESC)`,
     `CREATE TABLE IF NOT EXISTS sync_log (quarter TEXT PRIMARY KEY, synced_at TEXT DEFAULT (datetime('now')), rows INTEGER)`,
   ];
   for (const sql of stmts) try { await client.execute(sql); } catch(_) {}
 }
 
-function get(url, ms = 180000, _hops = 0) {
-  if (_hops > 5) return Promise.reject(new Error('Too many redirects'));
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': 'InsiderTape/2.0 admin@insidertape.com' }, timeout: ms }, res => {
-      if ([301, 302, 303].includes(res.statusCode) && res.headers.location) {
-        res.resume();
-        return get(res.headers.location, ms, _hops + 1).then(resolve).catch(reject);
-      }
-      const chunks = [];
-      res.on('data', c => chunks.push(c));
-      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
-      res.on('error', reject);
-    });
-    req.on('error', reject);
-    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
-  });
-}
-
 function parseDate(s) {
-  if (!s) return null;
-  const mon = { JAN: '01', FEB: '02', MAR: '03', APR: '04', MAY: '05', JUN: '06', JUL: '07', AUG: '08', SEP: '09', OCT: '10', NOV: '11', DEC: '12' };
-  let result = null;
-  const m = s.match(/^(\d{2})-([A-Z]{3})-(\d{4})$/i);
-  if (m) result = `${m[3]}-${mon[m[2].toUpperCase()] || '01'}-${m[1]}`;
-  else if (/^\d{4}-\d{2}-\d{2}$/.test(s)) result = s.slice(0, 10);
+  const result = toIsoDate(s);
   if (!result) return null;
   const yr = parseInt(result.slice(0, 4));
   if (yr < 2000 || yr > 2027) return null;
   return result;
 }
 
-function extractOne(zipBuf, targetPrefix) {
-  let pos = 0;
-  while (pos < zipBuf.length - 4) {
-    if (zipBuf[pos] !== 0x50 || zipBuf[pos+1] !== 0x4B || zipBuf[pos+2] !== 0x03 || zipBuf[pos+3] !== 0x04) { pos++; continue; }
-    const compression = zipBuf.readUInt16LE(pos + 8);
-    const compSize    = zipBuf.readUInt32LE(pos + 18);
-    const fnLen       = zipBuf.readUInt16LE(pos + 26);
-    const exLen       = zipBuf.readUInt16LE(pos + 28);
-    const fname       = zipBuf.slice(pos + 30, pos + 30 + fnLen).toString();
-    const dataStart   = pos + 30 + fnLen + exLen;
-    const base        = fname.split('/').pop().toUpperCase();
-    if (base.startsWith(targetPrefix.toUpperCase())) {
-      const slice = zipBuf.slice(dataStart, dataStart + compSize);
-      const raw   = compression === 8 ? zlib.inflateRawSync(slice) : slice;
-      const lines = raw.toString('utf8').split('\n');
-      log(`  ${base}: ${lines.length} lines`);
-      return lines;
-    }
-    pos = dataStart + compSize;
-  }
-  return null;
+const { insertBatch, reconcileAmendment } = createIngest({ dbQuery, dbBatch, log, chunk: 100 });
+
+// Rows are written every FLUSH_ROWS as the table streams in, so a quarter
+// never holds more than that many pending rows.
+const FLUSH_ROWS = 5000;
+
+// Footnote ids a data-set row cites: every *_FN column, "F1,F2" style.
+function footnoteIds(t) {
+  const ids = [];
+  for (const [k, v] of Object.entries(t)) if (k.endsWith('_FN') && v) ids.push(...v.split(/[,\s]+/).filter(Boolean));
+  return ids;
 }
 
-function* tsvRows(lines) {
-  if (!lines?.length) return;
-  const hdrs = lines[0].split('\t').map(h => h.trim().toUpperCase());
-  for (let i = 1; i < lines.length; i++) {
-    if (!lines[i].trim()) continue;
-    const cols = lines[i].split('\t'), row = {};
-    hdrs.forEach((h, j) => { row[h] = (cols[j] || '').trim(); });
-    yield row;
+async function processTransactions(ds, prefix, subMap, ownerMap, fns) {
+  if (!ds.has(prefix)) { log(`  ${prefix}: not found`); return 0; }
+
+  // Form 5 (annual) transactions go to form5_trades; everything else is Form 4.
+  // Lines failing lib/form4's sanity checks go to quarantined_trades, as with XML.
+  const batch = [], form5Batch = [], quarantine = [];
+  let inserted = 0, form5 = 0, held = 0, lines = 0;
+  for await (const t of ds.rows(prefix)) {
+    lines++;
+    const acc = t.ACCESSION_NUMBER || '';
+    const sub = subMap[acc];
+    if (!sub?.ticker) continue;
+    const date = parseDate(t.TRANS_DATE || '') || sub.period || sub.filed;
+    if (!date) continue;
+    const code = (t.TRANS_CODE || '').trim();
+    if (!code) continue;
+    const qty   = Math.round(Math.abs(parseFloat(t.TRANS_SHARES || '0') || 0));
+    const price = Math.abs(parseFloat(t.TRANS_PRICEPERSHARE || '0') || 0);
+    const value = Math.round(qty * price);
+    // Execution range: the footnote the price cites first, then any other the
+    // line cites (as lib/form4 does).
+    const ranges = fns.range[acc] || {};
+    const priceIds = (t.TRANS_PRICEPERSHARE_FN || '').split(/[,\s]+/).filter(Boolean);
+    const [priceLow, priceHigh] = priceRangeFor([...priceIds, ...footnoteIds(t)].map(id => ranges[id]), price);
+    // A plan footnote this row cites settles its 10b5-1 flag and adoption date;
+    // otherwise the filing-level answer stands.
+    const planText = footnoteIds(t).map(id => fns.plan[acc]?.[id]).find(Boolean);
+    const row = [
+      sub.ticker, sub.company,
+      ownerMap[acc]?.name || '', ownerMap[acc]?.title || '',
+      date, sub.filed || date,
+      code, qty, +price.toFixed(4), value,
+      // Post-trade balance. The data set names it SHRS_OWND_FOLWNG_TRANS, as in DERIV_TRANS.
+      Math.round(Math.abs(parseFloat(t.SHRS_OWND_FOLWNG_TRANS || '0') || 0)),
+      acc, fns.text[acc] || null, sub.issuerCik, ownerMap[acc]?.cik || null,
+      planText ? 1 : sub.plan, planText ? parsePlanAdoption(planText) : sub.planAdopted,
+      (t.DIRECT_INDIRECT_OWNERSHIP || '').trim().toUpperCase().slice(0, 1) || null,
+      (t.DIRECT_INDIRECT_OWNERSHIP || '').trim().toUpperCase().startsWith('I') ? (t.NATURE_OF_OWNERSHIP || '').trim().slice(0, 200) || null : null,
+      // An amendment's latency runs to the original submission (NULL without one).
+      priceLow, priceHigh, ...latencyCols(date, sub.isAmend ? sub.originalDate : sub.filed || date, code, sub.form === '5' ? '5' : '4'),
+      null,   // parser_version: data-set rows never went through lib/form4
+    ];
+    const reason = rejectReason(code, qty, price, value, fns.text[acc]);
+    if (reason) quarantine.push(quarantineArgs(sub.form === '5' ? '5' : '4', { reason, row }));
+    else (sub.form === '5' ? form5Batch : batch).push(row);
+    if (batch.length >= FLUSH_ROWS) inserted += await insertBatch(batch.splice(0));
+    if (form5Batch.length >= FLUSH_ROWS) form5 += await insertBatch(form5Batch.splice(0), INSERT_FORM5_SQL);
+    if (quarantine.length >= FLUSH_ROWS) held += await insertBatch(quarantine.splice(0), INSERT_QUARANTINE_SQL);
   }
-}
 
-const INSERT_SQL = `INSERT OR IGNORE INTO trades (ticker,company,insider,title,trade_date,filing_date,type,qty,price,value,owned,accession,footnote) VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)`;
+  inserted += await insertBatch(batch);
+  form5 += await insertBatch(form5Batch, INSERT_FORM5_SQL);
+  held += await insertBatch(quarantine, INSERT_QUARANTINE_SQL);
+  log(`  ${prefix}: ${lines} lines, ${inserted} rows inserted (+${form5} Form 5, ${held} quarantined)`);
+  return inserted;
+}
 
-async function insertBatch(rows) {
-  if (!rows.length) return 0;
+// Form 3 opening positions from NONDERIV_HOLDING / DERIV_HOLDING. Holding lines
+// also appear on Forms 4 and 5, so only Form 3 submissions are kept. A Form 3
+// with no holding lines still gets a placeholder row for its became-insider date.
+async function processForm3Holdings(ds, subMap, ownerMap) {
+  const batch = [], withRows = new Set();
   let inserted = 0;
-  const CHUNK = 100;
-  for (let i = 0; i < rows.length; i += CHUNK) {
-    const stmts = rows.slice(i, i + CHUNK).map(r => ({ sql: INSERT_SQL, args: r }));
-    const results = await dbBatch(stmts);
-    for (const r of results) inserted += r.rowsAffected || 0;
-    if (i % 1000 === 0 && i > 0) { log(`    ...${i} rows processed`); }
+  for (const [prefix, isDeriv] of [['NONDERIV_HOLDING', false], ['DERIV_HOLDING', true]]) {
+    if (!ds.has(prefix)) { log(`  ${prefix}: not found`); continue; }
+    for await (const h of ds.rows(prefix)) {
+      const acc = h.ACCESSION_NUMBER || '';
+      const sub = subMap[acc];
+      if (!sub?.ticker || sub.form !== '3') continue;
+      const eventDate = sub.period || sub.filed;
+      if (!eventDate) continue;
+      const shares = Math.round(Math.abs(parseFloat((isDeriv ? h.UNDLYNG_SEC_SHARES : h.SHRS_OWND_FOLWNG_TRANS) || '0') || 0));
+      if (shares > 5_000_000_000) continue;
+      const exercise = isDeriv ? Math.abs(parseFloat(h.CONV_EXERCISE_PRICE || '0') || 0) : 0;
+      batch.push([
+        sub.ticker, sub.company, ownerMap[acc]?.name || '', ownerMap[acc]?.title || '',
+        eventDate, sub.filed || eventDate, (h.SECURITY_TITLE || '').slice(0, 200), isDeriv ? 1 : 0, shares,
+        exercise ? +exercise.toFixed(4) : null, isDeriv ? toIsoDate(h.EXPIRATION_DATE || '') : null, acc,
+        sub.issuerCik, ownerMap[acc]?.cik || null,
+      ]);
+      withRows.add(acc);
+      if (batch.length >= FLUSH_ROWS) inserted += await insertBatch(batch.splice(0), INSERT_FORM3_SQL);
+    }
+  }
+  for (const [acc, sub] of Object.entries(subMap)) {
+    if (sub.form !== '3' || !sub.ticker || withRows.has(acc)) continue;
+    const eventDate = sub.period || sub.filed;
+    if (!eventDate) continue;
+    batch.push([sub.ticker, sub.company, ownerMap[acc]?.name || '', ownerMap[acc]?.title || '', eventDate, sub.filed || eventDate, '', 0, 0, null, null, acc, sub.issuerCik, ownerMap[acc]?.cik || null]);
   }
+  inserted += await insertBatch(batch, INSERT_FORM3_SQL);
+  log(`  Form 3 holdings: ${inserted} rows inserted`);
   return inserted;
 }
 
-async function processTransactions(zipBuf, prefix, subMap, ownerMap) {
-  const lines = extractOne(zipBuf, prefix);
-  if (!lines) { log(`  ${prefix}: not found`); return 0; }
-  if (prefix.toUpperCase().startsWith('DERIV_TRANS')) { log(`  ${prefix}: skipping derivatives`); return 0; }
+// Table II rows go to derivative_trades, never `trades`: their per-unit prices
+// (option premiums, $0 exercises) would distort every open-market aggregate.
+async function processDerivatives(ds, subMap, ownerMap, fns) {
+  if (!ds.has('DERIV_TRANS')) { log('  DERIV_TRANS: not found'); return 0; }
 
   const batch = [];
-  for (const t of tsvRows(lines)) {
+  let inserted = 0;
+  for await (const t of ds.rows('DERIV_TRANS')) {
     const acc = t.ACCESSION_NUMBER || '';
     const sub = subMap[acc];
     if (!sub?.ticker) continue;
     const date = parseDate(t.TRANS_DATE || '') || sub.period || sub.filed;
     if (!date) continue;
     const code = (t.TRANS_CODE || '').trim();
-    if (!['P', 'S', 'S-'].includes(code)) continue;
-    const qty   = Math.round(Math.abs(parseFloat(t.TRANS_SHARES || '0') || 0));
-    const price = Math.abs(parseFloat(t.TRANS_PRICEPERSHARE || '0') || 0);
-    if (qty > 50_000_000 || price > 1_500_000) continue;
+    if (!code) continue;
+    const qty        = Math.round(Math.abs(parseFloat(t.TRANS_SHARES || '0') || 0));
+    const price      = Math.abs(parseFloat(t.TRANS_PRICEPERSHARE || '0') || 0);
+    const exercise   = Math.abs(parseFloat(t.CONV_EXERCISE_PRICE || '0') || 0);
+    const underlying = Math.round(Math.abs(parseFloat(t.UNDLYNG_SEC_SHARES || '0') || 0));
+    if (qty > 500_000_000 || underlying > 500_000_000 || price > 1_500_000 || exercise > 1_500_000) continue;
     const value = Math.round(qty * price);
-    if (value > 2_000_000_000) continue;
+    if (value > 5_000_000_000) continue;
     batch.push([
       sub.ticker, sub.company,
       ownerMap[acc]?.name || '', ownerMap[acc]?.title || '',
-      date, sub.filed || date,
-      code, qty, +price.toFixed(4), value,
-      Math.round(Math.abs(parseFloat(t.SHRSOWNFOLLOWINGTRANS || '0') || 0)),
-      acc, null,
+      date, sub.filed || date, code, (t.SECURITY_TITLE || '').slice(0, 200),
+      qty, +price.toFixed(4), value, exercise ? +exercise.toFixed(4) : null,
+      // The data set spells it EXCERCISE_DATE.
+      toIsoDate(t.EXCERCISE_DATE || t.EXERCISE_DATE || ''), toIsoDate(t.EXPIRATION_DATE || ''),
+      (t.UNDLYNG_SEC_TITLE || '').slice(0, 200) || null, underlying || null,
+      (t.TRANS_ACQUIRED_DISP_CD || '').toUpperCase() || null,
+      Math.round(Math.abs(parseFloat(t.SHRS_OWND_FOLWNG_TRANS || '0') || 0)),
+      acc, fns.text[acc] || null, sub.issuerCik, ownerMap[acc]?.cik || null,
     ]);
+    if (batch.length >= FLUSH_ROWS) inserted += await insertBatch(batch.splice(0), INSERT_DERIV_SQL);
   }
-  lines.length = 0;
 
-  const inserted = await insertBatch(batch);
-  log(`  ${prefix}: ${inserted} rows inserted`);
+  inserted += await insertBatch(batch, INSERT_DERIV_SQL);
+  log(`  DERIV_TRANS: ${inserted} rows inserted`);
   return inserted;
 }
 
+// What identifies a superseded row when a later run inserts it again.
+const SUPERSEDED_KEYS = {
+  trades:            ['insider', 'trade_date', 'type', 'qty', 'ownership', 'ownership_nature'],
+  form5_trades:      ['insider', 'trade_date', 'type', 'qty', 'ownership', 'ownership_nature'],
+  derivative_trades: ['insider', 'trade_date', 'type', 'security', 'qty'],
+};
+
+// Quarters sync newest-first, so a Form 4/A is often seen before its original;
+// reconcileAmendment (lib/ingest.js) leaves those pending (amends IS NULL) and
+// they are retried here once all quarters are in.
+async function reconcilePendingAmendments() {
+  const pending = await dbQuery('SELECT accession, ticker, insider, filing_date, original_date, form FROM filing_amendments WHERE amends IS NULL AND original_date IS NOT NULL');
+  let linked = 0;
+  for (const a of pending) {
+    if (await reconcileAmendment(a.accession, a.ticker, a.insider, a.filing_date, a.original_date, a.form).catch(() => false)) linked++;
+  }
+  // An older quarter can re-insert rows an amendment already superseded; only
+  // those lines go, an original's unamended lines stay.
+  for (const [table, key] of Object.entries(SUPERSEDED_KEYS)) {
+    await dbRun(`DELETE FROM ${table} WHERE accession IN (SELECT accession FROM superseded_rows WHERE source_table = '${table}')
+      AND EXISTS (SELECT 1 FROM superseded_rows s WHERE s.source_table = '${table}' AND s.accession = ${table}.accession
+        AND ${key.map(c => `json_extract(s.row_json, '$.${c}') IS ${table}.${c}`).join(' AND ')})`).catch(() => {});
+  }
+  log(`amendments: ${linked}/${pending.length} pending linked`);
+}
+
 async function syncQuarter(year, q) {
   const key = `${year}Q${q}`;
   const already = await dbQuery('SELECT 1 AS n FROM sync_log WHERE quarter = ?', [key]);
@@ -170,43 +337,100 @@ async function syncQuarter(year, q) {
 
   const url = `https://www.sec.gov/files/structureddata/data/insider-transactions-data-sets/${year}q${q}_form345.zip`;
   log(`${key}: downloading ${url}`);
-  const { status, body: zipBuf } = await get(url);
+  const { status, body: zipBuf } = await source.get(url, 180000);
   if (status !== 200) { log(`${key}: HTTP ${status}, skipping`); return; }
   log(`${key}: ${(zipBuf.length / 1024 / 1024).toFixed(1)}MB downloaded`);
+  let ds;
+  try { ds = openDataset(zipBuf); }
+  catch(e) { log(`${key}: ${e.message}, skipping`); return; }
 
   // Build submission map
-  const subLines = extractOne(zipBuf, 'SUBMISSION');
   const subMap = {};
-  for (const s of tsvRows(subLines)) {
+  for await (const s of ds.rows('SUBMISSION')) {
     const acc = s.ACCESSION_NUMBER || '';
     if (!acc) continue;
     subMap[acc] = {
       ticker:  (s.ISSUERTRADINGSYMBOL || '').toUpperCase().trim(),
       company: (s.ISSUERNAME || '').trim(),
+      issuerCik: normCik(s.ISSUERCIK),
+      form:    (s.DOCUMENT_TYPE || '4').trim().toUpperCase().replace(/\/A$/, ''),
+      isAmend: /\/A$/i.test((s.DOCUMENT_TYPE || '').trim()),
+      originalDate: parseDate(s.DATE_OF_ORIG_SUB || ''),
+      aff10b5One: (s.AFF10B5ONE || '').trim(),
       filed:   parseDate(s.FILEDATE || s.PERIOD_OF_REPORT || ''),
       period:  parseDate(s.PERIOD_OF_REPORT || s.FILEDATE || ''),
     };
   }
-  subLines.length = 0;
   log(`${key}: ${Object.keys(subMap).length} submissions`);
 
-  // Build owner map
-  const ownerLines = extractOne(zipBuf, 'REPORTINGOWNER');
-  const ownerMap = {};
-  for (const o of tsvRows(ownerLines)) {
+  // Rule 10b5-1: the dataset carries the aff10b5One box per submission, not per
+  // transaction, so a ticked box flags every row of that filing. The adoption
+  // date comes from the filing's plan footnote. Blank box + plan footnote = 1.
+  // Weighted-average price footnotes are kept by id for the execution ranges,
+  // plan footnotes by id for the rows that cite them, and each filing's
+  // footnote text (first 500 characters, as lib/form4 stores it) for the rows.
+  const planFn = {}, fns = { plan: {}, range: {}, text: {} };
+  for await (const f of ds.rows('FOOTNOTES')) {
+    const acc = f.ACCESSION_NUMBER || '';
+    if (!acc || !subMap[acc]?.ticker) continue;
+    const id = (f.FOOTNOTE_ID || '').trim(), txt = f.FOOTNOTE_TXT || '';
+    if (isPlanFootnote(txt)) {
+      if (!planFn[acc]) planFn[acc] = txt;
+      (fns.plan[acc] || (fns.plan[acc] = {}))[id] = txt;
+    }
+    if (parsePriceRanges(txt).length) (fns.range[acc] || (fns.range[acc] = {}))[id] = txt;
+    const prev = fns.text[acc] || '';
+    if (prev.length < 500) fns.text[acc] = `${prev} ${txt}`.replace(/\s+/g, ' ').trim().slice(0, 500);
+  }
+  for (const [acc, sub] of Object.entries(subMap)) {
+    const aff = sub.aff10b5One;
+    sub.plan = aff === '1' || /^true$/i.test(aff) ? 1 : aff === '0' || /^false$/i.test(aff) ? 0 : planFn[acc] ? 1 : null;
+    sub.planAdopted = sub.plan ? parsePlanAdoption(planFn[acc]) : null;
+  }
+
+  // Build owner map (first listed owner, who trades are attributed to) and the
+  // full filing_owners list, which keeps every joint filer on the accession.
+  const ownerMap = {}, ownerSeq = {}, ownerRows = [];
+  let owners = 0;
+  for await (const o of ds.rows('REPORTINGOWNER')) {
     const acc = o.ACCESSION_NUMBER || '';
-    if (!acc || ownerMap[acc]) continue;
-    // SEC REPORTINGOWNER columns use underscores; the officer title is only set for
-    // officers, so fall back to the relationship (Director / 10% Owner / Officer).
-    ownerMap[acc] = { name: (o.RPTOWNERNAME || '').trim(), title: (o.RPTOWNER_TITLE || o.RPTOWNER_RELATIONSHIP || '').trim() };
+    const name = (o.RPTOWNERNAME || '').trim();
+    if (!acc || !name) continue;
+    // SEC REPORTINGOWNER columns use underscores. The role is built the way
+    // lib/form4 builds it from the XML flags: officer title, Director, 10% Owner.
+    const rel = (o.RPTOWNER_RELATIONSHIP || '').toUpperCase();
+    const officerTitle = (o.RPTOWNER_TITLE || '').trim();
+    const flags = { isDirector: /DIRECTOR/.test(rel), isOfficer: /OFFICER/.test(rel), isTenPct: /TENPERCENT|10%/.test(rel), isOther: /OTHER/.test(rel) };
+    const title = ownerTitle({ officerTitle, ...flags }) || (o.RPTOWNER_RELATIONSHIP || '').trim();
+    const cik = normCik(o.RPTOWNERCIK);
+    if (!ownerMap[acc]) ownerMap[acc] = { name, title, cik };
+    const sub = subMap[acc];
+    if (!sub?.ticker) continue;
+    ownerSeq[acc] = (ownerSeq[acc] ?? -1) + 1;
+    ownerRows.push([
+      acc, sub.ticker, sub.filed, ownerSeq[acc], name, cik, title,
+      flags.isDirector ? 1 : 0, flags.isOfficer ? 1 : 0, flags.isTenPct ? 1 : 0, flags.isOther ? 1 : 0,
+      officerTitle || null,
+    ]);
+    owners++;
+    if (ownerRows.length >= FLUSH_ROWS) await insertBatch(ownerRows.splice(0), INSERT_OWNER_SQL);
   }
-  ownerLines.length = 0;
-  log(`${key}: ${Object.keys(ownerMap).length} owners`);
+  await insertBatch(ownerRows, INSERT_OWNER_SQL);
+  log(`${key}: ${Object.keys(ownerMap).length} filings, ${owners} owners`);
 
   // Process non-derivative transactions
-  const ndCount = await processTransactions(zipBuf, 'NONDERIV_TRANS', subMap, ownerMap);
-  // Derivative transactions are skipped (misleading values)
-  await processTransactions(zipBuf, 'DERIV_TRANS', subMap, ownerMap);
+  const ndCount = await processTransactions(ds, 'NONDERIV_TRANS', subMap, ownerMap, fns);
+  // Derivative transactions land in their own table
+  await processDerivatives(ds, subMap, ownerMap, fns);
+  await processForm3Holdings(ds, subMap, ownerMap);
+
+  let amends = 0;
+  for (const [acc, sub] of Object.entries(subMap)) {
+    if (!sub.isAmend || (sub.form !== '4' && sub.form !== '5') || !sub.ticker || !ownerMap[acc]) continue;
+    await reconcileAmendment(acc, sub.ticker, ownerMap[acc].name, sub.filed, sub.originalDate, sub.form).catch(e => log(`  amendment ${acc}: ${e.message}`));
+    amends++;
+  }
+  log(`${key}: ${amends} Form 4/A and 5/A reconciled`);
 
   await dbRun('INSERT OR REPLACE INTO sync_log (quarter, rows) VALUES (?, ?)', [key, ndCount]);
   log(`${key}: complete (${ndCount} rows)`);
@@ -222,13 +446,16 @@ function getQuarters(n) {
   return out;
 }
 
+const { source, args: cliArgs } = sourceFromArgs(process.argv.slice(2));
+
 (async () => {
-  const numQ = parseInt(process.argv[2] || '4');
-  log(`=== sync-worker v2 (Turso) start — ${numQ} quarters ===`);
+  const numQ = parseInt(cliArgs[0] || '4');
+  log(`=== sync-worker v2 (Turso) start — ${numQ} quarters, source=${source.name} ===`);
   await initSchema();
   for (const { year, q } of getQuarters(numQ)) {
     await syncQuarter(year, q);
   }
+  await reconcilePendingAmendments();
   const count = await dbQuery('SELECT COUNT(*) AS n FROM trades');
   log(`=== sync-worker done — ${(count[0]?.n || 0).toLocaleString()} trades ===`);
   process.exit(0);